@@ -0,0 +1,272 @@
+/**
+ * Accessibility Audit
+ * Optional pass that checks each distinct page state the test agent reaches against an axe-style
+ * ruleset (same rule ids and impact levels as axe-core, so findings can be looked up in its docs).
+ * Violations are de-duplicated across steps and scenarios: the same rule on the same element is
+ * one violation, with the pages and scenarios it was seen in.
+ *
+ * Enabled per repo with `testrun.accessibility` in .firstqa.yml, or TEST_EXECUTION_A11Y=true.
+ */
+
+const crypto = require('crypto');
+
+const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+const AXE_DOCS_URL = 'https://dequeuniversity.com/rules/axe/4.10';
+
+/** Rule metadata — the checks themselves run in the page (see runAuditRules) */
+const AUDIT_RULES = {
+  'image-alt': { impact: 'critical', help: 'Images must have alternative text' },
+  'button-name': { impact: 'critical', help: 'Buttons must have discernible text' },
+  'label': { impact: 'critical', help: 'Form elements must have labels' },
+  'select-name': { impact: 'critical', help: 'Select elements must have an accessible name' },
+  'link-name': { impact: 'serious', help: 'Links must have discernible text' },
+  'color-contrast': { impact: 'serious', help: 'Text must have sufficient color contrast with its background' },
+  'frame-title': { impact: 'serious', help: 'Frames must have an accessible name' },
+  'aria-hidden-focus': { impact: 'serious', help: 'aria-hidden elements must not contain focusable elements' },
+  'html-has-lang': { impact: 'serious', help: 'The <html> element must have a lang attribute' },
+  'document-title': { impact: 'serious', help: 'Documents must have a <title> element' },
+  'empty-heading': { impact: 'minor', help: 'Headings should not be empty' }
+};
+
+/** Elements reported per rule and page state */
+const MAX_NODES_PER_RULE = 10;
+/** Text elements checked for contrast per page state */
+const MAX_CONTRAST_CHECKS = 400;
+const AUDIT_TIMEOUT_MS = 10000;
+
+/**
+ * Whether a run audits accessibility: explicit option, else TEST_EXECUTION_A11Y
+ */
+function isAccessibilityAuditEnabled(requested) {
+  if (typeof requested === 'boolean') return requested;
+  return process.env.TEST_EXECUTION_A11Y === 'true';
+}
+
+/**
+ * Runs inside the page — what makes a page state distinct: URL, title, open dialogs and main headings
+ */
+function getStateSignature() {
+  const visible = el => el.getClientRects().length > 0;
+  const openDialogs = [...document.querySelectorAll('dialog[open], [role="dialog"], [role="alertdialog"], [aria-modal="true"]')].filter(visible).length;
+  const headings = [...document.querySelectorAll('h1, h2')].filter(visible).map(h => h.textContent.trim()).slice(0, 5).join('|');
+  return `${location.origin}${location.pathname}${location.search}|${document.title}|${openDialogs}|${headings}`;
+}
+
+/**
+ * Runs inside the page (page.evaluate) — must be self-contained.
+ * @returns {{ path: string, violations: Array<{ id, nodes }> }}
+ */
+function runAuditRules({ maxNodes, maxContrastChecks }) {
+  const isVisible = el => {
+    if (!el.getClientRects().length) return false;
+    const style = getComputedStyle(el);
+    return style.visibility !== 'hidden' && style.display !== 'none';
+  };
+  const text = el => (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim();
+  const byIds = ids => (ids || '').split(/\s+/).filter(Boolean).map(id => document.getElementById(id)).filter(Boolean);
+  const accessibleName = el => {
+    const labelledBy = byIds(el.getAttribute('aria-labelledby')).map(text).join(' ').trim();
+    if (labelledBy) return labelledBy;
+    const ariaLabel = (el.getAttribute('aria-label') || '').trim();
+    if (ariaLabel) return ariaLabel;
+    const own = text(el);
+    if (own) return own;
+    const imgAlt = [...el.querySelectorAll('img[alt], svg title')].map(n => n.getAttribute('alt') || n.textContent || '').join(' ').trim();
+    if (imgAlt) return imgAlt;
+    return (el.getAttribute('title') || '').trim();
+  };
+  const selectorOf = el => {
+    if (el.id && document.querySelectorAll(`#${CSS.escape(el.id)}`).length === 1) return `#${CSS.escape(el.id)}`;
+    const parts = [];
+    let node = el;
+    while (node && node.nodeType === 1 && parts.length < 4) {
+      if (node.id && document.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      let part = node.tagName.toLowerCase();
+      const siblings = node.parentElement ? [...node.parentElement.children].filter(c => c.tagName === node.tagName) : [];
+      if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+      parts.unshift(part);
+      node = node.parentElement;
+    }
+    return parts.join(' > ');
+  };
+  const describe = el => ({
+    target: selectorOf(el),
+    html: el.outerHTML.length > 250 ? `${el.outerHTML.slice(0, 249)}…` : el.outerHTML,
+    text: text(el).slice(0, 80),
+    attrs: ['id', 'name', 'data-testid', 'aria-label', 'placeholder', 'src', 'href', 'type']
+      .reduce((acc, attr) => (el.getAttribute(attr) ? { ...acc, [attr]: el.getAttribute(attr) } : acc), {}),
+    classes: [...el.classList].slice(0, 5)
+  });
+
+  const violations = {};
+  const report = (id, el) => {
+    violations[id] = violations[id] || [];
+    if (violations[id].length < maxNodes) violations[id].push(el ? describe(el) : { target: 'html', html: '', text: '', attrs: {}, classes: [] });
+  };
+
+  const visible = selector => [...document.querySelectorAll(selector)].filter(isVisible);
+  const presentational = el => ['presentation', 'none'].includes(el.getAttribute('role'));
+
+  for (const img of visible('img')) {
+    if (!img.hasAttribute('alt') && !presentational(img) && !img.getAttribute('aria-label') && !img.getAttribute('aria-labelledby')) report('image-alt', img);
+  }
+  for (const button of visible('button, [role="button"], input[type="button"]')) {
+    const name = button.tagName === 'INPUT' ? (button.value || button.getAttribute('aria-label') || '').trim() : accessibleName(button);
+    if (!name) report('button-name', button);
+  }
+  for (const link of visible('a[href]')) {
+    if (!accessibleName(link)) report('link-name', link);
+  }
+  const hasLabel = field => {
+    if (field.getAttribute('aria-label') || byIds(field.getAttribute('aria-labelledby')).length || field.getAttribute('title')) return true;
+    if (field.closest('label')) return true;
+    return !!(field.id && document.querySelector(`label[for="${CSS.escape(field.id)}"]`));
+  };
+  for (const field of visible('input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), textarea')) {
+    if (!hasLabel(field)) report('label', field);
+  }
+  for (const select of visible('select')) {
+    if (!hasLabel(select)) report('select-name', select);
+  }
+  for (const frame of visible('iframe, frame')) {
+    if (!(frame.getAttribute('title') || '').trim() && !frame.getAttribute('aria-label')) report('frame-title', frame);
+  }
+  for (const hidden of document.querySelectorAll('[aria-hidden="true"]')) {
+    const focusable = hidden.querySelector('a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])');
+    if (focusable && isVisible(focusable)) report('aria-hidden-focus', hidden);
+  }
+  for (const heading of visible('h1, h2, h3, h4, h5, h6, [role="heading"]')) {
+    if (!accessibleName(heading)) report('empty-heading', heading);
+  }
+  if (!(document.documentElement.getAttribute('lang') || '').trim()) report('html-has-lang', document.documentElement);
+  if (!(document.title || '').trim()) report('document-title', null);
+
+  // Contrast: text colour against the first opaque background up the tree (skipped over images/gradients)
+  const parseColor = value => {
+    const m = String(value).match(/rgba?\(([\d.]+),\s*([\d.]+),\s*([\d.]+)(?:,\s*([\d.]+))?\)/);
+    return m ? { r: +m[1], g: +m[2], b: +m[3], a: m[4] === undefined ? 1 : +m[4] } : null;
+  };
+  const luminance = ({ r, g, b }) => {
+    const [R, G, B] = [r, g, b].map(v => {
+      const c = v / 255;
+      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+  };
+  const backgroundOf = el => {
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      const style = getComputedStyle(node);
+      if (style.backgroundImage && style.backgroundImage !== 'none') return null;
+      const bg = parseColor(style.backgroundColor);
+      if (bg && bg.a >= 1) return bg;
+      if (bg && bg.a > 0) return null;
+    }
+    return { r: 255, g: 255, b: 255, a: 1 };
+  };
+  let checked = 0;
+  const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_TEXT);
+  const seen = new Set();
+  while (walker.nextNode() && checked < maxContrastChecks) {
+    const el = walker.currentNode.parentElement;
+    if (!el || seen.has(el) || !walker.currentNode.textContent.trim() || !isVisible(el)) continue;
+    seen.add(el);
+    checked++;
+    const style = getComputedStyle(el);
+    const fg = parseColor(style.color);
+    const bg = backgroundOf(el);
+    if (!fg || !bg || fg.a < 1) continue;
+    const [L1, L2] = [luminance(fg), luminance(bg)].sort((a, b) => b - a);
+    const ratio = (L1 + 0.05) / (L2 + 0.05);
+    const size = parseFloat(style.fontSize);
+    const large = size >= 24 || (size >= 18.66 && parseInt(style.fontWeight, 10) >= 700);
+    if (ratio < (large ? 3 : 4.5)) report('color-contrast', el);
+  }
+
+  return {
+    path: location.pathname,
+    violations: Object.entries(violations).map(([id, nodes]) => ({ id, nodes }))
+  };
+}
+
+/**
+ * Per-run auditor shared by every scenario worker
+ * @returns {{ audit: Function, getSummary: Function }}
+ */
+function createAccessibilityAuditor() {
+  const auditedStates = new Set();
+  const violations = new Map();
+  let pagesAudited = 0;
+
+  return {
+    /**
+     * Audit the page if it is in a state not audited yet in this run. Never throws.
+     * @param {Object} page - Playwright / Stagehand page
+     * @param {Object} [context] - { scenario: scenario name }
+     */
+    async audit(page, { scenario = null } = {}) {
+      let timeoutHandle;
+      const timeout = new Promise((_, reject) => {
+        timeoutHandle = setTimeout(() => reject(new Error('audit timed out')), AUDIT_TIMEOUT_MS);
+      });
+      let result;
+      try {
+        const signature = await Promise.race([page.evaluate(getStateSignature), timeout]);
+        const stateKey = crypto.createHash('sha1').update(signature).digest('hex');
+        if (auditedStates.has(stateKey)) return;
+        // Claimed before the audit runs, so parallel scenarios don't audit the same state twice
+        auditedStates.add(stateKey);
+        result = await Promise.race([
+          page.evaluate(runAuditRules, { maxNodes: MAX_NODES_PER_RULE, maxContrastChecks: MAX_CONTRAST_CHECKS }),
+          timeout
+        ]);
+      } catch (err) {
+        // Page mid-navigation or closed — the next step audits the new state
+        return;
+      } finally {
+        clearTimeout(timeoutHandle);
+      }
+      pagesAudited++;
+
+      for (const { id, nodes } of result.violations) {
+        for (const node of nodes) {
+          const key = `${id}|${node.target}|${node.html}`;
+          let violation = violations.get(key);
+          if (!violation) {
+            violation = { id, ...AUDIT_RULES[id], helpUrl: `${AXE_DOCS_URL}/${id}`, node, pages: [], scenarios: [] };
+            violations.set(key, violation);
+          }
+          if (!violation.pages.includes(result.path)) violation.pages.push(result.path);
+          if (scenario && !violation.scenarios.includes(scenario)) violation.scenarios.push(scenario);
+        }
+      }
+    },
+
+    /**
+     * Violations grouped by rule, most severe first
+     * @returns {{ pagesAudited: number, total: number, byImpact: Object, rules: Array<{ id, impact, help, helpUrl, nodes, pages, scenarios }> }}
+     */
+    getSummary() {
+      const rules = new Map();
+      for (const v of violations.values()) {
+        const rule = rules.get(v.id) || { id: v.id, impact: v.impact, help: v.help, helpUrl: v.helpUrl, nodes: [], pages: [], scenarios: [] };
+        rule.nodes.push({ ...v.node, pages: v.pages });
+        for (const p of v.pages) if (!rule.pages.includes(p)) rule.pages.push(p);
+        for (const s of v.scenarios) if (!rule.scenarios.includes(s)) rule.scenarios.push(s);
+        rules.set(v.id, rule);
+      }
+      const sorted = [...rules.values()].sort((a, b) => IMPACTS.indexOf(a.impact) - IMPACTS.indexOf(b.impact));
+      const byImpact = Object.fromEntries(IMPACTS.map(impact => [impact, [...violations.values()].filter(v => v.impact === impact).length]));
+      return { pagesAudited, total: violations.size, byImpact, rules: sorted };
+    }
+  };
+}
+
+module.exports = {
+  IMPACTS,
+  AUDIT_RULES,
+  isAccessibilityAuditEnabled,
+  createAccessibilityAuditor
+};
@@ -0,0 +1,448 @@
+/**
+ * AST Extractor
+ * Parser-based extraction of imports, re-exports, routes, API endpoints and UI elements from
+ * JS / TS / JSX / TSX files and the <script> blocks of Vue and Svelte components (Babel parser).
+ * Catches what regex scans miss: dynamic imports, re-exports, template-literal URLs, JSX spread
+ * props and file-system routes (Next.js, Nuxt, SvelteKit, Remix).
+ *
+ * Returns null for files that don't parse (diff fragments, other languages) — flowDiscovery.js
+ * keeps its regex heuristics for those.
+ */
+
+const PARSEABLE_FILE = /\.(m?jsx?|cjs|tsx?|mts|cts|vue|svelte)$/i;
+const SCRIPT_BLOCK = /<script\b([^>]*)>([\s\S]*?)<\/script>/gi;
+/** AST keys that never hold child nodes */
+const SKIP_KEYS = new Set(['loc', 'start', 'end', 'extra', 'range', 'comments', 'leadingComments', 'trailingComments', 'innerComments', 'tokens']);
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'all'];
+/** Objects whose get/post/... calls are HTTP requests */
+const HTTP_CLIENT = /^(axios|api|apiClient|client|http|\$http|request|ky|got|superagent|instance)$/i;
+/** Objects whose get/post/... calls register server routes */
+const SERVER_ROUTER = /^(app|router|server|route|routes|fastify)$/i;
+const FUNCTION_NODES = ['ArrowFunctionExpression', 'FunctionExpression', 'Identifier', 'MemberExpression', 'CallExpression'];
+const NAVIGATION_CALLS = ['navigate', 'redirect', 'permanentRedirect', 'navigateTo', 'goto', 'push', 'replace'];
+const UI_ELEMENT_TYPES = {
+  button: 'button',
+  Button: 'button',
+  IconButton: 'button',
+  a: 'link',
+  Link: 'link',
+  NavLink: 'link',
+  RouterLink: 'link',
+  'router-link': 'link',
+  NuxtLink: 'link',
+  label: 'label',
+  Label: 'label'
+};
+
+let babelParser;
+function getParser() {
+  if (babelParser === undefined) {
+    try {
+      babelParser = require('@babel/parser');
+    } catch (err) {
+      console.warn('⚠️ @babel/parser not installed — falling back to regex extraction (non-fatal):', err.message);
+      babelParser = null;
+    }
+  }
+  return babelParser;
+}
+
+function isParseable(filePath) {
+  return PARSEABLE_FILE.test(filePath || '');
+}
+
+/**
+ * Script sources of a file: the whole file, or each <script> block of a Vue / Svelte component
+ * @returns {Array<{ code: string, typescript: boolean, jsx: boolean }>}
+ */
+function getScriptSources(filePath, content) {
+  if (/\.(vue|svelte)$/i.test(filePath)) {
+    const blocks = [];
+    let m;
+    SCRIPT_BLOCK.lastIndex = 0;
+    while ((m = SCRIPT_BLOCK.exec(content)) !== null) {
+      const lang = (m[1].match(/\blang\s*=\s*["']([^"']+)["']/i) || [])[1] || 'js';
+      blocks.push({ code: m[2], typescript: /^tsx?$/i.test(lang), jsx: /x$/i.test(lang) });
+    }
+    return blocks;
+  }
+  const typescript = /\.(tsx?|mts|cts)$/i.test(filePath);
+  return [{ code: content, typescript, jsx: !typescript || /\.tsx$/i.test(filePath) }];
+}
+
+/**
+ * Parse a file into Babel programs (one per script source)
+ * @returns {Array<Object>|null} null when the parser is missing or the file doesn't parse
+ */
+function parseSource(filePath, content) {
+  const parser = getParser();
+  if (!parser || !isParseable(filePath) || typeof content !== 'string') return null;
+  const programs = [];
+  for (const source of getScriptSources(filePath, content)) {
+    const plugins = ['decorators-legacy', 'exportDefaultFrom'];
+    if (source.typescript) plugins.push('typescript');
+    if (source.jsx) plugins.push('jsx');
+    try {
+      programs.push(parser.parse(source.code, {
+        sourceType: 'unambiguous',
+        allowImportExportEverywhere: true,
+        allowReturnOutsideFunction: true,
+        allowAwaitOutsideFunction: true,
+        errorRecovery: true,
+        plugins
+      }).program);
+    } catch (err) {
+      return null;
+    }
+  }
+  return programs;
+}
+
+/**
+ * Depth-first walk calling visit(node, parent) for every node
+ */
+function walk(node, visit, parent = null) {
+  if (!node || typeof node.type !== 'string') return;
+  visit(node, parent);
+  for (const key of Object.keys(node)) {
+    if (SKIP_KEYS.has(key)) continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      for (const item of child) walk(item, visit, node);
+    } else if (child && typeof child.type === 'string') {
+      walk(child, visit, node);
+    }
+  }
+}
+
+/**
+ * Static string value of a node: string literals, and template literals with `${x}` rendered as ":x"
+ * @returns {string|null}
+ */
+function stringValue(node) {
+  if (!node) return null;
+  if (node.type === 'StringLiteral') return node.value;
+  if (node.type === 'TemplateLiteral') {
+    return node.quasis.map((q, i) => {
+      const expr = node.expressions[i];
+      if (!expr) return q.value.cooked ?? q.value.raw;
+      const name = expr.type === 'Identifier' ? expr.name : expr.type === 'MemberExpression' && expr.property.type === 'Identifier' ? expr.property.name : 'param';
+      return `${q.value.cooked ?? q.value.raw}:${name}`;
+    }).join('');
+  }
+  if (node.type === 'JSXExpressionContainer') return stringValue(node.expression);
+  if (node.type === 'TSAsExpression' || node.type === 'TSSatisfiesExpression') return stringValue(node.expression);
+  return null;
+}
+
+/** Name of an identifier or the last property of a member expression */
+function calleeName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier' || node.type === 'JSXIdentifier') return node.name;
+  if (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression' || node.type === 'JSXMemberExpression') {
+    return node.property.type === 'Identifier' || node.property.type === 'JSXIdentifier' ? node.property.name : null;
+  }
+  return null;
+}
+
+/** Name of the object a method is called on (`axios` in `axios.get`, `router` in `this.$router.push`) */
+function calleeObjectName(node) {
+  if (!node || (node.type !== 'MemberExpression' && node.type !== 'OptionalMemberExpression')) return null;
+  return calleeName(node.object) || (node.object.type === 'ThisExpression' ? 'this' : null);
+}
+
+function jsxElementName(name) {
+  if (!name) return null;
+  if (name.type === 'JSXIdentifier') return name.name;
+  if (name.type === 'JSXMemberExpression') return jsxElementName(name.property);
+  if (name.type === 'JSXNamespacedName') return `${name.namespace.name}:${name.name.name}`;
+  return null;
+}
+
+/** Visible text of a JSX element (text children and string expressions, nested elements included) */
+function jsxText(element) {
+  const parts = [];
+  const collect = (children) => {
+    for (const child of children || []) {
+      if (child.type === 'JSXText') parts.push(child.value);
+      else if (child.type === 'JSXExpressionContainer') parts.push(stringValue(child.expression) || '');
+      else if (child.type === 'JSXElement' || child.type === 'JSXFragment') collect(child.children);
+    }
+  };
+  collect(element.children);
+  return parts.join(' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Attributes of a JSX element as { name: value }, spread props included when they are object
+ * literals or identifiers bound to one in the same file
+ */
+function jsxAttributes(opening, objectBindings) {
+  const attrs = {};
+  for (const attr of opening.attributes) {
+    if (attr.type === 'JSXAttribute') {
+      const name = attr.name.type === 'JSXNamespacedName' ? `${attr.name.namespace.name}:${attr.name.name.name}` : attr.name.name;
+      const value = attr.value ? stringValue(attr.value) : null;
+      if (value !== null) attrs[name] = value;
+    } else if (attr.type === 'JSXSpreadAttribute') {
+      const object = attr.argument.type === 'ObjectExpression' ? attr.argument : objectBindings.get(attr.argument.name);
+      for (const prop of object?.properties || []) {
+        const key = prop.type === 'ObjectProperty' ? (prop.key.name || prop.key.value) : null;
+        const value = key ? stringValue(prop.value) : null;
+        if (value !== null && !(key in attrs)) attrs[key] = value;
+      }
+    }
+  }
+  return attrs;
+}
+
+/**
+ * Route a file defines by its location in a file-system router
+ * (Next.js pages/ and app/, Nuxt pages/, SvelteKit src/routes, Remix app/routes)
+ * @returns {{ path: string, kind: 'page'|'api' }|null}
+ */
+function getFileSystemRoute(filePath) {
+  const normalized = String(filePath || '').replace(/\\/g, '/');
+  const toSegment = (segment) => segment
+    .replace(/^\[\[?\.\.\.(\w+)\]\]?$/, ':$1*')
+    .replace(/^\[(\w+)\]$/, ':$1')
+    .replace(/^\$(\w+)$/, ':$1');
+  const build = (segments) => `/${segments.filter(s => s && !/^\(.*\)$/.test(s) && !s.startsWith('@') && !s.startsWith('_')).map(toSegment).join('/')}`;
+
+  // Next.js app router: app/**/page.tsx, app/**/route.ts
+  let m = normalized.match(/(?:^|\/)(?:src\/)?app\/(.*?)\/?(page|route)\.(jsx?|tsx?|mdx)$/);
+  if (m && !normalized.includes('/routes/')) {
+    return { path: build(m[1].split('/')), kind: m[2] === 'route' ? 'api' : 'page' };
+  }
+  // SvelteKit: src/routes/**/+page.svelte, +server.ts
+  m = normalized.match(/(?:^|\/)src\/routes\/(.*?)\/?\+(page|server)(?:\.server)?\.(svelte|js|ts)$/);
+  if (m) return { path: build(m[1].split('/')), kind: m[2] === 'server' ? 'api' : 'page' };
+  // Remix flat routes: app/routes/users.$id.tsx
+  m = normalized.match(/(?:^|\/)app\/routes\/([^/]+?)(?:\/route)?\.(jsx?|tsx?)$/);
+  if (m) {
+    const segments = m[1].split('.').filter(s => s !== '_index');
+    return { path: build(segments), kind: 'page' };
+  }
+  // Next.js / Nuxt pages router: pages/**/x.tsx, pages/api/** (index → parent)
+  m = normalized.match(/(?:^|\/)(?:src\/)?pages\/(.+)\.(jsx?|tsx?|vue|mdx)$/);
+  if (m) {
+    const segments = m[1].split('/');
+    if (/^_(app|document|error)$/.test(segments[segments.length - 1])) return null;
+    if (segments[segments.length - 1] === 'index') segments.pop();
+    return { path: build(segments), kind: segments[0] === 'api' ? 'api' : 'page' };
+  }
+  return null;
+}
+
+/**
+ * Everything the analyzer and flow discovery need from one file, from a single parse
+ * @param {string} filePath - Repo-relative path
+ * @param {string} content
+ * @returns {{
+ *   imports: Array<{ specifier: string, kind: 'import'|'dynamic'|'require'|'reexport', names: string[]|null }>,
+ *   exports: string[],
+ *   reexports: Array<{ specifier: string, names: Object<string, string>|'*' }>,
+ *   routes: Array<{ path: string, file: string }>,
+ *   apiEndpoints: Array<{ endpoint: string, method?: string, file: string }>,
+ *   uiElements: Array<{ type: string, text: string, file: string }>
+ * }|null} null when the file doesn't parse. Import `names` are the imported bindings ('default', '*'),
+ *   null when the whole module is used.
+ */
+function extractModuleInfo(filePath, content) {
+  const programs = parseSource(filePath, content);
+  if (!programs) return null;
+
+  const imports = [];
+  const exports = new Set();
+  const reexports = [];
+  const routes = new Map();
+  const apiEndpoints = new Map();
+  const uiElements = new Map();
+  const objectBindings = new Map();
+
+  const addRoute = (path) => {
+    if (path && path.length > 1 && path.length < 200 && !/^(https?:|mailto:|tel:|#)/.test(path) && !routes.has(path)) {
+      routes.set(path, { path, file: filePath });
+    }
+  };
+  const addEndpoint = (endpoint, method) => {
+    if (!endpoint || endpoint.length >= 150) return;
+    const path = endpoint.replace(/^https?:\/\/[^/]+/, '') || '/';
+    if (path.startsWith('/') && !apiEndpoints.has(path)) {
+      apiEndpoints.set(path, method ? { endpoint: path, method: method.toUpperCase(), file: filePath } : { endpoint: path, file: filePath });
+    }
+  };
+  const addUIElement = (type, text) => {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    if (clean && clean.length < 60 && !uiElements.has(`${type}:${clean}`)) {
+      uiElements.set(`${type}:${clean}`, { type, text: clean, file: filePath });
+    }
+  };
+
+  // First pass: object literals bound to names, for JSX spread props
+  for (const program of programs) {
+    walk(program, node => {
+      if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init?.type === 'ObjectExpression') {
+        objectBindings.set(node.id.name, node.init);
+      }
+    });
+  }
+
+  for (const program of programs) {
+    walk(program, (node, parent) => {
+      switch (node.type) {
+        case 'ImportDeclaration': {
+          const names = node.specifiers.map(s => s.type === 'ImportDefaultSpecifier' ? 'default' : s.type === 'ImportNamespaceSpecifier' ? '*' : (s.imported.name || s.imported.value));
+          imports.push({ specifier: node.source.value, kind: 'import', names: names.length && !names.includes('*') ? names : null });
+          break;
+        }
+        case 'ExportNamedDeclaration':
+          if (node.source) {
+            const names = {};
+            for (const s of node.specifiers) {
+              const exported = s.exported.name || s.exported.value;
+              names[exported] = s.type === 'ExportNamespaceSpecifier' ? '*' : s.type === 'ExportDefaultSpecifier' ? 'default' : (s.local.name || s.local.value);
+            }
+            reexports.push({ specifier: node.source.value, names });
+            imports.push({ specifier: node.source.value, kind: 'reexport', names: Object.values(names).includes('*') ? null : Object.values(names) });
+          } else if (node.declaration) {
+            const declaration = node.declaration;
+            if (declaration.id?.name) exports.add(declaration.id.name);
+            for (const d of declaration.declarations || []) {
+              if (d.id.type === 'Identifier') exports.add(d.id.name);
+              else walk(d.id, n => { if (n.type === 'Identifier') exports.add(n.name); });
+            }
+          } else {
+            for (const s of node.specifiers) exports.add(s.exported.name || s.exported.value);
+          }
+          break;
+        case 'ExportDefaultDeclaration':
+          exports.add('default');
+          break;
+        case 'ExportAllDeclaration':
+          if (node.exported) {
+            reexports.push({ specifier: node.source.value, names: { [node.exported.name]: '*' } });
+          } else {
+            reexports.push({ specifier: node.source.value, names: '*' });
+          }
+          imports.push({ specifier: node.source.value, kind: 'reexport', names: null });
+          break;
+        case 'TSExportAssignment':
+          exports.add('default');
+          break;
+        case 'CallExpression':
+        case 'OptionalCallExpression': {
+          const callee = node.callee;
+          const first = stringValue(node.arguments[0]);
+          if (callee.type === 'Import') {
+            if (first && !first.includes(':')) imports.push({ specifier: first, kind: 'dynamic', names: null });
+            break;
+          }
+          const name = calleeName(callee);
+          const objectName = calleeObjectName(callee);
+          if (name === 'require' && callee.type === 'Identifier' && first) {
+            imports.push({ specifier: first, kind: 'require', names: null });
+          } else if ((name === 'fetch' || name === '$fetch' || name === 'useFetch' || name === 'useSWR' || name === 'ofetch') && first) {
+            const methodProp = node.arguments[1]?.type === 'ObjectExpression'
+              ? node.arguments[1].properties.find(p => p.key?.name === 'method')
+              : null;
+            addEndpoint(first, stringValue(methodProp?.value) || undefined);
+          } else if (callee.type === 'Identifier' && name === 'axios') {
+            const config = node.arguments[0]?.type === 'ObjectExpression' ? node.arguments[0] : null;
+            const urlProp = config?.properties.find(p => p.key?.name === 'url');
+            const methodProp = config?.properties.find(p => p.key?.name === 'method');
+            addEndpoint(first || stringValue(urlProp?.value), stringValue(methodProp?.value) || undefined);
+          } else if (HTTP_METHODS.includes(name) && first?.startsWith('/') && objectName && SERVER_ROUTER.test(objectName) && node.arguments.slice(1).some(a => FUNCTION_NODES.includes(a.type))) {
+            // app.get('/x', handler)
+            addRoute(first);
+          } else if (HTTP_METHODS.includes(name) && first && objectName && HTTP_CLIENT.test(objectName)) {
+            addEndpoint(first, name === 'all' ? undefined : name);
+          } else if (NAVIGATION_CALLS.includes(name) && first?.startsWith('/')) {
+            // router.push('/x'), navigate('/x'), redirect('/x') — bare push/replace only on routers
+            if ((name !== 'push' && name !== 'replace') || /router|history|navigation|\$router/i.test(objectName || '')) addRoute(first);
+          } else if (name === 'assign' && objectName === 'location' && first) {
+            addRoute(first);
+          }
+          break;
+        }
+        case 'AssignmentExpression': {
+          const target = node.left;
+          const value = stringValue(node.right);
+          const isLocation = target.type === 'MemberExpression' && (calleeName(target) === 'location' || (calleeName(target) === 'href' && calleeObjectName(target) === 'location'));
+          if (isLocation && value) addRoute(value);
+          break;
+        }
+        case 'ObjectExpression': {
+          // Router config objects: { path: '/x', component: X } (React Router, Vue Router, Angular)
+          const keys = node.properties.map(p => p.key && (p.key.name || p.key.value));
+          if (keys.includes('path') && keys.some(k => ['component', 'element', 'children', 'redirect', 'loadComponent', 'name', 'lazy', 'Component'].includes(k))) {
+            addRoute(stringValue(node.properties.find(p => p.key && (p.key.name || p.key.value) === 'path').value));
+          }
+          break;
+        }
+        case 'StringLiteral':
+        case 'TemplateLiteral': {
+          if (parent?.type === 'ImportDeclaration' || parent?.type === 'ExportNamedDeclaration' || parent?.type === 'ExportAllDeclaration') break;
+          const value = stringValue(node);
+          if (value && /^\/(api|v\d+|graphql)(\/|$)/.test(value)) addEndpoint(value);
+          break;
+        }
+        case 'JSXElement': {
+          const opening = node.openingElement;
+          const tag = jsxElementName(opening.name);
+          const attrs = jsxAttributes(opening, objectBindings);
+          for (const attr of ['path', 'to', 'href']) {
+            const value = attrs[attr];
+            if (value && (attr === 'path' || value.startsWith('/'))) addRoute(value);
+          }
+          if (attrs.placeholder) addUIElement('placeholder', attrs.placeholder);
+          const type = UI_ELEMENT_TYPES[tag];
+          if (type) {
+            const text = jsxText(node) || attrs['aria-label'] || attrs.title || attrs.label || attrs.children;
+            addUIElement(type, text);
+          } else if (attrs.label && /^[A-Z]/.test(tag || '')) {
+            // <TextField label="Email" /> and friends
+            addUIElement('label', attrs.label);
+          }
+          break;
+        }
+        default:
+          break;
+      }
+    });
+  }
+
+  const fileRoute = getFileSystemRoute(filePath);
+  if (fileRoute?.kind === 'api') addEndpoint(fileRoute.path);
+  else if (fileRoute) addRoute(fileRoute.path);
+
+  return {
+    imports,
+    exports: [...exports],
+    reexports,
+    routes: [...routes.values()],
+    apiEndpoints: [...apiEndpoints.values()],
+    uiElements: [...uiElements.values()]
+  };
+}
+
+// flowDiscovery's extractors each ask for the same file — keep the last parse
+let lastParse = { filePath: null, content: null, info: null };
+
+/**
+ * extractModuleInfo, memoized for the most recent file
+ */
+function getModuleInfo(filePath, content) {
+  if (lastParse.filePath !== filePath || lastParse.content !== content) {
+    lastParse = { filePath, content, info: extractModuleInfo(filePath, content) };
+  }
+  return lastParse.info;
+}
+
+module.exports = {
+  isParseable,
+  parseSource,
+  extractModuleInfo,
+  getModuleInfo,
+  getFileSystemRoute
+};
@@ -0,0 +1,138 @@
+/**
+ * Device Profiles
+ * Viewport, user agent and touch emulation for the `/qa testrun` device matrix
+ * (`-devices=desktop,iphone-14` or .firstqa.yml `testrun.devices`). Every scenario runs once per
+ * profile, each in its own browser session.
+ *
+ * All profiles run in Chromium — Browserbase and Stagehand drive Chromium only — so phone and
+ * tablet profiles emulate the device (screen, Safari/Chrome user agent, touch) rather than run
+ * its real browser engine.
+ */
+
+const DEFAULT_DEVICE = 'desktop';
+/** Profiles per run — each one multiplies the scenarios (and browser minutes) of the run */
+const MAX_DEVICES = 4;
+
+const IOS_USER_AGENT = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+const IPAD_USER_AGENT = 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+const ANDROID_USER_AGENT = 'Mozilla/5.0 (Linux; Android 14; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36';
+
+/**
+ * Viewports are the page area (screen minus browser chrome), as in Playwright's device descriptors.
+ * A null user agent keeps the browser's own.
+ */
+const DEVICE_PROFILES = {
+  desktop: { label: 'Desktop', viewport: { width: 1280, height: 800 }, deviceScaleFactor: 1, isMobile: false, hasTouch: false, userAgent: null },
+  'desktop-hd': { label: 'Desktop HD', viewport: { width: 1920, height: 1080 }, deviceScaleFactor: 1, isMobile: false, hasTouch: false, userAgent: null },
+  'ipad-mini': { label: 'iPad Mini', viewport: { width: 768, height: 1024 }, deviceScaleFactor: 2, isMobile: true, hasTouch: true, userAgent: IPAD_USER_AGENT },
+  'iphone-se': { label: 'iPhone SE', viewport: { width: 375, height: 667 }, deviceScaleFactor: 2, isMobile: true, hasTouch: true, userAgent: IOS_USER_AGENT },
+  'iphone-14': { label: 'iPhone 14', viewport: { width: 390, height: 664 }, deviceScaleFactor: 3, isMobile: true, hasTouch: true, userAgent: IOS_USER_AGENT },
+  'pixel-7': { label: 'Pixel 7', viewport: { width: 412, height: 839 }, deviceScaleFactor: 2.625, isMobile: true, hasTouch: true, userAgent: ANDROID_USER_AGENT }
+};
+
+/** Shorthands accepted wherever a profile name is */
+const DEVICE_ALIASES = {
+  iphone: 'iphone-14',
+  android: 'pixel-7',
+  ipad: 'ipad-mini',
+  tablet: 'ipad-mini'
+};
+
+/**
+ * Canonical profile name for a user-supplied one, or null when it isn't known
+ */
+function normalizeDeviceName(name) {
+  const key = String(name || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+  const canonical = DEVICE_ALIASES[key] || key;
+  return DEVICE_PROFILES[canonical] ? canonical : null;
+}
+
+/**
+ * @param {string} name - Canonical profile name
+ * @returns {{ name: string, label: string, viewport: { width: number, height: number }, deviceScaleFactor: number, isMobile: boolean, hasTouch: boolean, userAgent: string|null }}
+ */
+function getDeviceProfile(name) {
+  const canonical = normalizeDeviceName(name) || DEFAULT_DEVICE;
+  return { name: canonical, ...DEVICE_PROFILES[canonical] };
+}
+
+/**
+ * Profiles to run, de-duplicated and in the order given; unknown names are skipped with a warning
+ * (the command parser and the config check report them to the user)
+ * @param {string[]} [names]
+ * @returns {Array<Object>} At least the default desktop profile
+ */
+function resolveDeviceProfiles(names) {
+  const resolved = [];
+  for (const name of names || []) {
+    const canonical = normalizeDeviceName(name);
+    if (!canonical) {
+      console.warn(`⚠️ Unknown device profile "${name}" — skipped (non-fatal)`);
+    } else if (!resolved.includes(canonical)) {
+      resolved.push(canonical);
+    }
+  }
+  if (resolved.length > MAX_DEVICES) {
+    console.warn(`⚠️ ${resolved.length} device profiles requested — running the first ${MAX_DEVICES}`);
+  }
+  return (resolved.length > 0 ? resolved.slice(0, MAX_DEVICES) : [DEFAULT_DEVICE]).map(getDeviceProfile);
+}
+
+/**
+ * Whether a run uses anything but the single default desktop profile
+ */
+function isDeviceMatrix(profiles) {
+  return profiles.length > 1 || profiles[0]?.name !== DEFAULT_DEVICE;
+}
+
+/**
+ * Emulate a profile on a Stagehand page through CDP (Browserbase sessions; local sessions get it
+ * from their Playwright context). Never throws — a failed emulation leaves the desktop defaults.
+ * @param {Object} page - Stagehand page
+ * @param {Object} profile - getDeviceProfile()
+ * @returns {Promise<boolean>} Whether the profile was applied
+ */
+async function applyDeviceEmulation(page, profile) {
+  if (typeof page?.sendCDP !== 'function') {
+    console.warn(`⚠️ Page can't send CDP commands — ${profile.label} emulation skipped (non-fatal)`);
+    return false;
+  }
+  try {
+    await page.sendCDP('Emulation.setDeviceMetricsOverride', {
+      width: profile.viewport.width,
+      height: profile.viewport.height,
+      deviceScaleFactor: profile.deviceScaleFactor,
+      mobile: profile.isMobile
+    });
+    if (profile.userAgent) {
+      await page.sendCDP('Emulation.setUserAgentOverride', { userAgent: profile.userAgent });
+    }
+    await page.sendCDP('Emulation.setTouchEmulationEnabled', { enabled: profile.hasTouch, maxTouchPoints: profile.hasTouch ? 5 : 0 });
+    if (profile.hasTouch) {
+      await page.sendCDP('Emulation.setEmitTouchEventsForMouse', { enabled: true, configuration: 'mobile' });
+    }
+    return true;
+  } catch (err) {
+    console.warn(`⚠️ ${profile.label} emulation failed (non-fatal):`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Scenario name as shown in reports — with the device in a matrix run, since the name alone repeats
+ */
+function getScenarioLabel(scenario) {
+  return scenario.device ? `${scenario.scenario} · ${getDeviceProfile(scenario.device).label}` : scenario.scenario;
+}
+
+module.exports = {
+  DEFAULT_DEVICE,
+  MAX_DEVICES,
+  DEVICE_PROFILES,
+  normalizeDeviceName,
+  getDeviceProfile,
+  resolveDeviceProfiles,
+  isDeviceMatrix,
+  applyDeviceEmulation,
+  getScenarioLabel
+};
@@ -37,7 +37,8 @@ function parseDiffHunks(diff) {
       continue;
     }
 
-    if (!currentHunk) continue;
+    // Every hunk line carries a prefix; bare lines (trailing newline) and "\ No newline at end of file" aren't file lines
+    if (!currentHunk || line === '' || line.startsWith('\\')) continue;
 
     if (line.startsWith('+') && !line.startsWith('+++')) {
       currentHunk.lines.push({ num: newLineNum, type: 'add', content: line.slice(1) });
@@ -160,4 +161,67 @@ function budgetDiff(diff, budgetTokens) {
   return { diff: result, truncated: true, fileCount: files.length };
 }
 
-module.exports = { parseDiffHunks, annotateDiffWithLineNumbers, estimateTokens, budgetDiff };
+/**
+ * Keep only the file sections of a raw unified diff whose path passes `keep`.
+ * Used where the provider returns the whole PR diff as text (Bitbucket) and we need path scoping.
+ * @param {string} diff - Raw unified diff
+ * @param {(filePath: string) => boolean} keep
+ * @returns {string} Filtered diff ('' when no file is kept)
+ */
+function filterDiffFiles(diff, keep) {
+  if (!diff) return '';
+  const sections = diff.split(/(?=^diff --git )/m);
+  return sections
+    .filter(section => {
+      const fileMatch = section.match(/^diff --git a\/(.+?) b\/(.+)/);
+      // Text before the first file header (if any) is dropped along with excluded files
+      return fileMatch ? keep(fileMatch[2].trim()) : false;
+    })
+    .join('');
+}
+
+/** How far a finding's line may be from a line in the diff and still be anchored there */
+const ANCHOR_TOLERANCE = 3;
+
+/**
+ * Find the diff file a finding refers to: exact path, else a unique path suffix match
+ * (the model sometimes drops leading directories).
+ */
+function resolveDiffFile(fileHunks, file) {
+  if (fileHunks.has(file)) return file;
+  const matches = [...fileHunks.keys()].filter(f => f.endsWith(`/${file}`) || file.endsWith(`/${f}`));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Map findings (file + new-file line) onto lines a PR review can comment on.
+ * A finding anchors to its exact line when that line is in the diff (added or context), else to the
+ * nearest diff line within ANCHOR_TOLERANCE, preferring added lines. The rest are returned unanchored.
+ * @param {Array<{file: string, line: number|null}>} findings
+ * @param {string} diff - Raw unified diff
+ * @returns {{anchored: Array<Object>, unanchored: Array<Object>}} anchored findings carry `path` and `line`
+ */
+function mapFindingsToDiff(findings, diff) {
+  const fileHunks = parseDiffHunks(diff);
+  const anchored = [];
+  const unanchored = [];
+
+  for (const finding of findings || []) {
+    const file = finding.line ? resolveDiffFile(fileHunks, finding.file) : null;
+    const candidates = file
+      ? fileHunks.get(file).flatMap(h => h.lines).filter(l => l.num !== null && Math.abs(l.num - finding.line) <= ANCHOR_TOLERANCE)
+      : [];
+    if (candidates.length === 0) {
+      unanchored.push(finding);
+      continue;
+    }
+    const best = candidates.sort((a, b) =>
+      Math.abs(a.num - finding.line) - Math.abs(b.num - finding.line) || (a.type === 'add' ? -1 : 0) - (b.type === 'add' ? -1 : 0)
+    )[0];
+    anchored.push({ ...finding, path: file, line: best.num });
+  }
+
+  return { anchored, unanchored };
+}
+
+module.exports = { parseDiffHunks, annotateDiffWithLineNumbers, estimateTokens, budgetDiff, filterDiffFiles, mapFindingsToDiff };
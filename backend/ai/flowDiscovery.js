@@ -2,12 +2,34 @@
  * Flow Discovery - Extracts application flows from code for accurate test recipe generation
  * Analyzes file contents to discover: routes, navigation, UI elements, API calls, validation, error handling
  * Used by PR and ticket analysis to generate executable, flow-aware test scenarios
+ *
+ * Routes, UI elements and API endpoints come from the parsed AST (astExtractor.js) when the file
+ * parses; the regex scans below cover everything else (diff fragments, other languages) and the
+ * HTML templates of Vue / Svelte components.
  */
 
+const { getModuleInfo } = require('./astExtractor');
+
+/** Vue / Svelte: the AST only covers the <script> blocks, the template is still scanned */
+function hasTemplate(filePath) {
+  return /\.(vue|svelte)$/i.test(filePath);
+}
+
+/** Concatenate AST and regex results, first occurrence of each key wins */
+function mergeUnique(first, second, keyFn) {
+  const byKey = new Map();
+  for (const item of [...first, ...second]) {
+    if (!byKey.has(keyFn(item))) byKey.set(keyFn(item), item);
+  }
+  return [...byKey.values()];
+}
+
 /**
  * Extract routes/paths from code (React Router, Next.js, Express, Vue Router, etc.)
  */
 function extractRoutes(filePath, content) {
+  const info = getModuleInfo(filePath, content);
+  if (info && !hasTemplate(filePath)) return info.routes;
   const routes = [];
   const pathPatterns = [
     // React Router: path="/login" path='/dashboard'
@@ -36,13 +58,15 @@ function extractRoutes(filePath, content) {
       }
     }
   }
-  return routes;
+  return info ? mergeUnique(info.routes, routes, r => r.path) : routes;
 }
 
 /**
  * Extract button/link text, labels from JSX/HTML
  */
 function extractUIElements(filePath, content) {
+  const info = getModuleInfo(filePath, content);
+  const parsedScriptOnly = info && !hasTemplate(filePath);
   const elements = [];
   const patterns = [
     // Button text: >Submit<, >Save<, >Send SMS<
@@ -58,6 +82,8 @@ function extractUIElements(filePath, content) {
   ];
   const seen = new Set();
   for (const { re, type } of patterns) {
+    // Markup in parsed files comes from the AST; action strings are still scanned
+    if (parsedScriptOnly && type !== 'action') continue;
     let m;
     while ((m = re.exec(content)) !== null) {
       let text = (m[1] || m[0]).replace(/^['"`]|['"`]$/g, '').trim();
@@ -67,7 +93,7 @@ function extractUIElements(filePath, content) {
       }
     }
   }
-  return elements;
+  return info ? mergeUnique(info.uiElements, elements, u => `${u.type}:${u.text}`) : elements;
 }
 
 /**
@@ -99,6 +125,8 @@ function extractMessages(filePath, content) {
  * Extract API endpoints and HTTP calls
  */
 function extractAPIEndpoints(filePath, content) {
+  const info = getModuleInfo(filePath, content);
+  if (info && !hasTemplate(filePath)) return info.apiEndpoints;
   const endpoints = [];
   const patterns = [
     /(?:fetch|axios\.(?:get|post|put|delete|patch))\s*\(\s*[`'"]([^`'"]+)[`'"]/g,
@@ -116,7 +144,7 @@ function extractAPIEndpoints(filePath, content) {
       }
     }
   }
-  return endpoints;
+  return info ? mergeUnique(info.apiEndpoints, endpoints, e => e.endpoint) : endpoints;
 }
 
 /**
@@ -0,0 +1,156 @@
+/**
+ * Local Browser Runner
+ * Runs test scenarios in a local headless Chromium (bundled playwright-core) instead of
+ * Browserbase — for local or docker-network staging apps and self-hosted workers.
+ * Every session records a Playwright trace zip and a video into test-results/<executionId>.
+ * Nothing leaves the machine except the LLM calls made by the agent and verifier.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DEFAULT_DEVICE, getDeviceProfile } = require('./deviceProfiles');
+
+const RUNNERS = ['browserbase', 'local'];
+
+/**
+ * Which runner executes a test run: TEST_EXECUTION_RUNNER, else Browserbase when its keys are set
+ * @param {string} [requested] - Per-call override ('browserbase' | 'local')
+ * @returns {'browserbase'|'local'}
+ */
+function resolveTestRunner(requested) {
+  const runner = String(requested || process.env.TEST_EXECUTION_RUNNER || '').trim().toLowerCase();
+  if (RUNNERS.includes(runner)) return runner;
+  if (runner) console.warn(`⚠️ Unknown TEST_EXECUTION_RUNNER "${runner}" — using auto-detection`);
+  return process.env.BROWSERBASE_API_KEY && process.env.BROWSERBASE_PROJECT_ID ? 'browserbase' : 'local';
+}
+
+/**
+ * Local runner settings from the environment
+ */
+function getLocalRunnerConfig() {
+  const extraArgs = (process.env.TEST_EXECUTION_CHROMIUM_ARGS || '').split(/\s+/).filter(Boolean);
+  // Chromium's sandbox can't start as root (typical in docker) — same default as Playwright's own images
+  const runningAsRoot = typeof process.getuid === 'function' && process.getuid() === 0;
+  return {
+    headless: process.env.TEST_AUTOMATION_HEADLESS !== 'false',
+    recordVideo: process.env.TEST_AUTOMATION_RECORD_VIDEO !== 'false',
+    recordTrace: process.env.TEST_EXECUTION_TRACE !== 'false',
+    executablePath: process.env.TEST_EXECUTION_CHROMIUM_PATH || null,
+    args: [
+      '--disable-dev-shm-usage',
+      ...(runningAsRoot ? ['--no-sandbox'] : []),
+      ...extraArgs
+    ]
+  };
+}
+
+/**
+ * Path of the Chromium build installed by `npm run browsers:install`; undefined lets
+ * Stagehand look for a system Chrome instead
+ */
+async function resolveChromiumPath(config) {
+  if (config.executablePath) return config.executablePath;
+  const { chromium } = require('playwright-core');
+  const executablePath = chromium.executablePath();
+  try {
+    await fs.access(executablePath);
+    return executablePath;
+  } catch (err) {
+    console.warn(`⚠️ Playwright Chromium not found at ${executablePath} — falling back to system Chrome (run \`npm run browsers:install\` or set TEST_EXECUTION_CHROMIUM_PATH)`);
+    return undefined;
+  }
+}
+
+/**
+ * Launch a local Chromium through Stagehand and open a fresh Playwright context on it
+ * (own cookies and storage) that records a trace and a video. The context emulates the device
+ * profile: viewport, user agent, pixel ratio and touch.
+ * @param {Object} params
+ * @param {string} params.resultsDir - test-results/<executionId>
+ * @param {string} params.name - Artifact base name, e.g. "scenario-3"
+ * @param {Object} [params.device] - deviceProfiles.getDeviceProfile(); desktop by default
+ * @returns {Promise<{ stagehand, context, page, sessionId: null, recordingStartedAt: number, finalize: () => Promise<{ tracePath: string|null, videoPath: string|null }> }>}
+ */
+async function openLocalSession({ resultsDir, name, device = getDeviceProfile(DEFAULT_DEVICE) }) {
+  const { Stagehand } = require('@browserbasehq/stagehand');
+  const { chromium } = require('playwright-core');
+  const config = getLocalRunnerConfig();
+  const { viewport } = device;
+
+  const stagehand = new Stagehand({
+    env: 'LOCAL',
+    enableCaching: true,
+    localBrowserLaunchOptions: {
+      headless: config.headless,
+      executablePath: await resolveChromiumPath(config),
+      args: config.args,
+      viewport
+    }
+  });
+  await stagehand.init();
+
+  let browser;
+  try {
+    browser = await chromium.connectOverCDP(stagehand.connectURL());
+    const videosDir = path.join(resultsDir, 'videos');
+    const context = await browser.newContext({
+      viewport,
+      deviceScaleFactor: device.deviceScaleFactor,
+      isMobile: device.isMobile,
+      hasTouch: device.hasTouch,
+      ...(device.userAgent ? { userAgent: device.userAgent } : {}),
+      // Staging behind docker networks / self-signed certs
+      ignoreHTTPSErrors: true,
+      ...(config.recordVideo ? { recordVideo: { dir: videosDir, size: viewport } } : {})
+    });
+    if (config.recordTrace) {
+      await context.tracing.start({ screenshots: true, snapshots: true });
+    }
+    const page = await context.newPage();
+    // The video starts with the page — timeline offsets are measured from here
+    const recordingStartedAt = Date.now();
+
+    const finalize = async () => {
+      let tracePath = null;
+      let videoPath = null;
+      if (config.recordTrace) {
+        try {
+          tracePath = path.join(resultsDir, 'traces', `${name}.zip`);
+          await fs.mkdir(path.dirname(tracePath), { recursive: true });
+          await context.tracing.stop({ path: tracePath });
+        } catch (err) {
+          console.warn(`⚠️ Trace save failed (non-fatal): ${err.message}`);
+          tracePath = null;
+        }
+      }
+      const video = config.recordVideo ? page.video() : null;
+      await context.close().catch(() => {});
+      if (video) {
+        try {
+          // The video is only complete once the context is closed
+          videoPath = path.join(videosDir, `${name}.webm`);
+          await video.saveAs(videoPath);
+          await video.delete().catch(() => {});
+        } catch (err) {
+          console.warn(`⚠️ Video save failed (non-fatal): ${err.message}`);
+          videoPath = null;
+        }
+      }
+      await browser.close().catch(() => {});
+      return { tracePath, videoPath };
+    };
+
+    return { stagehand, context, page, sessionId: null, recordingStartedAt, finalize };
+  } catch (err) {
+    if (browser) await browser.close().catch(() => {});
+    await stagehand.close().catch(() => {});
+    throw err;
+  }
+}
+
+module.exports = {
+  RUNNERS,
+  resolveTestRunner,
+  getLocalRunnerConfig,
+  openLocalSession
+};
@@ -8,6 +8,7 @@ const Anthropic = require('@anthropic-ai/sdk');
 const ejs = require('ejs');
 const path = require('path');
 const fs = require('fs');
+const { extractReviewFindings, stripReviewFindingsBlock } = require('./reviewFindings');
 require('dotenv').config();
 
 // Initialize OpenAI client (used by test executor, spec generator, scorer)
@@ -68,6 +69,35 @@ function trunc(x, n) {
   return str.slice(0, n);
 }
 
+/** What each `/qa -focus=` value asks the model to weight */
+const FOCUS_DIRECTIVES = {
+  security: 'SECURITY — authn/authz checks, input validation, injection, secrets in code, data exposure, CSRF/XSS. Lead Bugs & Risks with security findings and include abuse-case scenarios in the Test Recipe.',
+  performance: 'PERFORMANCE — N+1 queries, unbounded loops or payloads, missing pagination, heavy renders, blocking calls on hot paths. Include load/latency-sensitive scenarios in the Test Recipe.',
+  a11y: 'ACCESSIBILITY — keyboard navigation, focus order, labels and ARIA, color contrast, screen-reader announcements. Include keyboard-only and screen-reader scenarios in the Test Recipe.'
+};
+
+/**
+ * Extra prompt section for `/qa -focus=` and `/qa -lang=`
+ * @param {string[]} [focus]
+ * @param {string|null} [lang]
+ * @param {Object} [options] - { json: boolean } output is JSON (keep keys and enum values in English)
+ * @returns {string} Empty string when there is nothing to add
+ */
+function formatAnalysisDirectives(focus = [], lang = null, options = {}) {
+  const lines = [];
+  const areas = (focus || []).filter(f => FOCUS_DIRECTIVES[f]);
+  if (areas.length > 0) {
+    lines.push('REQUESTED FOCUS (the user asked for this — weight the analysis toward it, without inventing issues):');
+    areas.forEach(f => lines.push(`- ${FOCUS_DIRECTIVES[f]}`));
+  }
+  if (lang) {
+    lines.push(options.json
+      ? `OUTPUT LANGUAGE: Write all human-readable text values in "${lang}". Keep JSON keys and enum values (priority, automationLevel) in English.`
+      : `OUTPUT LANGUAGE: Write the analysis prose in "${lang}". Keep section headings, table column headers and the Priority/Automation values (Smoke, Critical Path, Regression, UI, API, Unit) in English exactly as specified — FirstQA parses them. Never translate code, file paths or selectors.`);
+  }
+  return lines.length ? `\n\n${lines.join('\n')}` : '';
+}
+
 /**
  * Generate QA insights for a pull request with DEEP CODE ANALYSIS
  * @param {Object} options - PR details
@@ -76,9 +106,11 @@ function trunc(x, n) {
  * @param {string} options.title - PR title
  * @param {string} options.body - PR description/body
  * @param {string} options.diff - Code diff
+ * @param {string[]} [options.focus] - `/qa -focus=` areas (security, performance, a11y)
+ * @param {string} [options.lang] - `/qa -lang=` output language
  * @returns {Promise<Object>} QA insights or error object
  */
-async function generateQAInsights({ repo, pr_number, title, body, diff, newCommits, fileContents = {}, selectorHints = [] }) {
+async function generateQAInsights({ repo, pr_number, title, body, diff, newCommits, fileContents = {}, selectorHints = [], focus = [], lang = null }) {
   try {
     // Require at least one AI provider
     if (!openai && !anthropic) {
@@ -114,6 +146,7 @@ async function generateQAInsights({ repo, pr_number, title, body, diff, newCommi
           diff,
           prDescription: `${title || ''} ${body || ''}`,
           affectedFlows,
+          blastRadius: productContext.blastRadius,
           repoContext: productContext.repoContext,
           existingRisks: codeContext.risks || {}
         });
@@ -263,6 +296,7 @@ async function generateQAInsights({ repo, pr_number, title, body, diff, newCommi
         diff: sanitizedDiff
       });
     }
+    prompt += formatAnalysisDirectives(focus, lang);
 
     console.log(`🤖 FirstQA Ovi AI performing DEEP CODE ANALYSIS for PR #${pr_number} in ${repo}`);
 
@@ -381,7 +415,11 @@ LINE NUMBERS: The diff below includes actual file line numbers (e.g. "  42|+code
             metadata: {
               repo, pr_number, model, attempt, timestamp: new Date().toISOString(),
               analysisType: 'deep-code-analysis',
-              changedFiles: changedFiles.length
+              changedFiles: changedFiles.length,
+              risk: riskSummary ? { level: riskSummary.level, score: riskSummary.score } : null,
+              blastRadius: productContext?.blastRadius || null,
+              // null when the model emitted no <review_findings> block — callers then parse Bugs & Risks
+              findings: extractReviewFindings(response)
             }
           };
         }
@@ -454,6 +492,8 @@ async function parseAIResponse(response, title, body, diff) {
     if (cleaned.includes('<bug_check>')) {
       cleaned = cleaned.replace(/<bug_check>[\s\S]*?<\/bug_check>\s*/g, '').trim();
     }
+    // Strip the <review_findings> block (read separately for inline review comments)
+    cleaned = stripReviewFindingsBlock(cleaned);
 
     // Check if response is the new/enhanced markdown format
     if (cleaned.includes('🎯 QA Analysis') || 
@@ -1758,7 +1798,7 @@ function generateShortDataAccessError(title, repo, prNumber) {
  * @param {string} options.type - Ticket type
  * @returns {Promise<Object>} QA insights or error object
  */
-async function generateTicketInsights({ ticketId, title, description, comments, labels, platform, priority, type, designContext, discussionContext }) {
+async function generateTicketInsights({ ticketId, title, description, comments, labels, platform, priority, type, designContext, discussionContext, focus = [], lang = null }) {
   try {
     // Validate OpenAI client
     if (!openai) {
@@ -1776,7 +1816,7 @@ async function generateTicketInsights({ ticketId, title, description, comments,
     console.log(`🔍 Ticket analysis input: Title=${sanitizedTitle.length} chars, Description=${sanitizedDescription.length} chars, Comments=${sanitizedComments.length}, Labels=${sanitizedLabels.length}`);
 
     // Generate single fast analysis with low temperature
-    const analysis = await generateSingleAnalysis(sanitizedTitle, sanitizedDescription, sanitizedComments, sanitizedLabels, platform, priority, type, designContext, discussionContext);
+    const analysis = await generateSingleAnalysis(sanitizedTitle, sanitizedDescription, sanitizedComments, sanitizedLabels, platform, priority, type, designContext, discussionContext, formatAnalysisDirectives(focus, lang, { json: true }));
     
     return {
       success: true,
@@ -1812,7 +1852,7 @@ async function generateTicketInsights({ ticketId, title, description, comments,
 
 // Removed calculateInitialReadinessScore - now handled by AI
 
-async function generateSingleAnalysis(title, description, comments, labels, platform, priority, type, designContext, discussionContext) {
+async function generateSingleAnalysis(title, description, comments, labels, platform, priority, type, designContext, discussionContext, directives = '') {
   const testRecipeRules = require('./prompts/test-recipe-rules');
   const prompt = `You are a senior QA engineer analyzing tickets for development readiness. 
 
@@ -1923,7 +1963,7 @@ Return JSON format. For FULL analysis:
   ]
 }
 
-Recommendations: ready-to-paste text for the ticket body. Test scenarios: clear, complete descriptions. No blocked/caveat suffixes.`;
+Recommendations: ready-to-paste text for the ticket body. Test scenarios: clear, complete descriptions. No blocked/caveat suffixes.${directives}`;
 
   let content;
   if (anthropic) {
@@ -8,6 +8,7 @@ const OpenAI = require('openai');
 const path = require('path');
 const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
+const { storeArtifact } = require('../services/artifactStore');
 
 let openai;
 try {
@@ -100,9 +101,10 @@ ${content}
  * @param {string} options.prTitle - PR title
  * @param {string} options.repoName - Repository full name (owner/repo)
  * @param {number} options.prNumber - PR number
+ * @param {string} [options.userId] - Installation owner (sets how long the spec is kept)
  * @returns {Promise<{success: boolean, specContent?: string, specUrl?: string, error?: string}>}
  */
-async function generatePlaywrightSpec({ scenarios, fileContents, selectorHints, prTitle, repoName, prNumber }) {
+async function generatePlaywrightSpec({ scenarios, fileContents, selectorHints, prTitle, repoName, prNumber, userId = null }) {
   if (!openai) {
     return { success: false, error: 'OpenAI not configured' };
   }
@@ -159,8 +161,12 @@ async function generatePlaywrightSpec({ scenarios, fileContents, selectorHints,
     const filePath = path.join(specsDir, fileName);
     await fs.writeFile(filePath, specContent, 'utf-8');
 
-    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
-    const specUrl = `${baseUrl}/test-results/specs/${fileName}`;
+    // Download link is a signed artifact-store URL, so it outlives this deploy
+    const stored = await storeArtifact(filePath, { repoId: repoName, kind: 'spec', userId });
+    if (!stored) {
+      return { success: false, error: 'Could not store the generated spec' };
+    }
+    const specUrl = stored.url;
 
     console.log(`✅ Playwright spec generated: ${specUrl}`);
 
@@ -0,0 +1,132 @@
+/**
+ * Structured review findings (bugs with file, line and severity) from the analysis response.
+ * The model emits them in a hidden <review_findings> JSON block next to the Bugs & Risks section;
+ * when that block is missing or invalid, they are parsed from the Bugs & Risks bullets instead.
+ * Findings are posted as inline PR review comments (see diffLineMapper.mapFindingsToDiff).
+ */
+
+const crypto = require('crypto');
+
+const SEVERITIES = ['BLOCKER', 'HIGH', 'MEDIUM', 'LOW'];
+const SEVERITY_EMOJI = { BLOCKER: '🚫', HIGH: '🔴', MEDIUM: '🟡', LOW: '🟢' };
+const FINDINGS_BLOCK = /<review_findings>([\s\S]*?)<\/review_findings>\s*/g;
+const MAX_FINDINGS = 10;
+
+function normalizeSeverity(value) {
+  const text = String(value || '').toUpperCase();
+  if (text.includes('BLOCKER') || text.includes('🚫')) return 'BLOCKER';
+  if (text.includes('HIGH') || text.includes('🔴')) return 'HIGH';
+  if (text.includes('LOW') || text.includes('🟢')) return 'LOW';
+  return 'MEDIUM';
+}
+
+function toFinding(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const file = String(raw.file || raw.path || '').trim().replace(/^\.?\//, '');
+  const line = parseInt(raw.line, 10);
+  const title = String(raw.title || raw.description || '').trim();
+  if (!file || !title) return null;
+  return {
+    file,
+    line: Number.isFinite(line) && line > 0 ? line : null,
+    severity: normalizeSeverity(raw.severity),
+    title,
+    body: String(raw.body || raw.impact || '').trim()
+  };
+}
+
+/**
+ * Findings from the hidden <review_findings> block, or null if the response has none (or it isn't valid JSON)
+ * @param {string} response - Raw model response
+ * @returns {Array<{file, line, severity, title, body}>|null}
+ */
+function extractReviewFindings(response) {
+  if (typeof response !== 'string') return null;
+  const match = response.match(/<review_findings>([\s\S]*?)<\/review_findings>/);
+  if (!match) return null;
+  try {
+    const json = match[1].replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/i, '').trim();
+    const parsed = JSON.parse(json || '[]');
+    return (Array.isArray(parsed) ? parsed : []).map(toFinding).filter(Boolean).slice(0, MAX_FINDINGS);
+  } catch (err) {
+    console.warn('⚠️ Could not parse <review_findings> block (non-fatal):', err.message);
+    return null;
+  }
+}
+
+/**
+ * Remove the hidden <review_findings> block before the analysis is displayed
+ */
+function stripReviewFindingsBlock(text) {
+  return typeof text === 'string' ? text.replace(FINDINGS_BLOCK, '\n').trim() : text;
+}
+
+/**
+ * Parse findings from the "Bugs & Risks" bullets: `[SEVERITY] Description at \`file:line\` — impact`.
+ * A bullet listing several locations yields one finding per location.
+ * @param {string} markdown - Analysis markdown
+ * @returns {Array<{file, line, severity, title, body}>}
+ */
+function parseFindingsFromMarkdown(markdown) {
+  if (typeof markdown !== 'string') return [];
+  const section = markdown.match(/##\s*🔍?\s*Bugs\s*&(?:amp;)?\s*Risks\s*\n([\s\S]*?)(?=\n##\s|\n---|$)/i);
+  if (!section) return [];
+
+  const findings = [];
+  for (const bullet of section[1].split('\n').filter(l => /^\s*[-*]\s+/.test(l))) {
+    const text = bullet.replace(/^\s*[-*]\s+/, '').trim();
+    const locations = [...text.matchAll(/`([^`\s]+?\.[a-z0-9]+):(\d+)(?:-\d+)?`/gi)];
+    if (locations.length === 0) continue;
+    const [description, ...impact] = text.split(/\s+[—–]\s+/);
+    const title = description
+      .replace(/^\[?(?:🚫|🔴|🟡|🟢)?\s*(?:BLOCKER|HIGH|MEDIUM|LOW)?\]?\s*[:\-]?\s*/i, '')
+      .replace(/\s+(?:at|in)\s+`[^`]+`(?:\s*(?:,|and)\s*`[^`]+`)*\s*$/i, '')
+      .replace(/\*\*/g, '')
+      .trim();
+    for (const [, file, line] of locations) {
+      findings.push(toFinding({ file, line, severity: text, title, body: impact.join(' — ') }));
+    }
+  }
+  return findings.filter(Boolean).slice(0, MAX_FINDINGS);
+}
+
+/**
+ * Findings for an analysis result: structured ones from the response metadata, else parsed from the markdown
+ * @param {Object} aiInsights - { data, metadata }
+ */
+function getReviewFindings(aiInsights) {
+  if (Array.isArray(aiInsights?.metadata?.findings)) return aiInsights.metadata.findings;
+  return parseFindingsFromMarkdown(aiInsights?.data);
+}
+
+/**
+ * Stable id for a finding, so re-analyses don't post the same inline comment twice.
+ * Leaves out the line — the same bug shifting a few lines is still the same bug.
+ */
+function getFindingFingerprint(finding) {
+  return crypto
+    .createHash('sha1')
+    .update(`${finding.file}\n${finding.title.toLowerCase().replace(/\s+/g, ' ')}`)
+    .digest('hex')
+    .slice(0, 12);
+}
+
+/**
+ * Body of one inline review comment
+ */
+function formatFindingComment(finding) {
+  let body = `${SEVERITY_EMOJI[finding.severity] || '🟡'} **${finding.severity}** — ${finding.title}`;
+  if (finding.body) body += `\n\n${finding.body}`;
+  body += `\n\n<sub>🤖 Ovi AI · found by \`/qa\` analysis</sub>`;
+  return body;
+}
+
+module.exports = {
+  SEVERITIES,
+  extractReviewFindings,
+  stripReviewFindingsBlock,
+  parseFindingsFromMarkdown,
+  getReviewFindings,
+  getFindingFingerprint,
+  formatFindingComment
+};
@@ -0,0 +1,112 @@
+/**
+ * Scenario Timeline
+ * Records when a scenario and each of its steps ran, as wall-clock offsets from the start of the
+ * session's recording (Browserbase replay or local Playwright video), so the report can link to
+ * exact moments. Each step also gets a small thumbnail for the filmstrip of failed scenarios.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/** Steps recorded per scenario — the agent is capped at MAX_AGENT_STEPS (x2 with recovery) */
+const MAX_TIMELINE_STEPS = 50;
+const MAX_LABEL_LENGTH = 80;
+const THUMBNAIL_TIMEOUT_MS = 3000;
+
+function truncate(text) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > MAX_LABEL_LENGTH ? `${clean.slice(0, MAX_LABEL_LENGTH - 1)}…` : clean;
+}
+
+/**
+ * Label for one agent step (an AI SDK step result passed to onStepFinish)
+ */
+function describeAgentStep(step) {
+  const calls = (step?.toolCalls || []).map(call => {
+    const input = call.input || call.args || {};
+    const detail = input.action || input.instruction || input.description || input.url || input.text || '';
+    return detail ? `${call.toolName}: ${detail}` : call.toolName;
+  });
+  return truncate(calls.join(' · ') || step?.text || 'agent step');
+}
+
+/**
+ * Label for one cached-script step
+ */
+function describeScriptStep(step) {
+  if (step.kind === 'goto') return truncate(`goto ${step.url}`);
+  if (step.kind === 'wait') return `wait ${step.ms}ms`;
+  if (step.kind === 'navback') return 'go back';
+  if (step.kind === 'scroll') return `scroll ${step.direction} ${step.percentage}%`;
+  if (step.kind === 'keys') return truncate(`${step.method} ${step.method === 'type' ? '(text)' : step.value}`);
+  return truncate(step.description || `${step.method} ${step.selector}`);
+}
+
+/**
+ * Start recording a scenario's timeline
+ * @param {Object} session - Browser session; `recordingStartedAt` (ms) is when its recording began
+ * @param {Object} params
+ * @param {string} params.resultsDir - test-results/<executionId>
+ * @param {string} params.name - Artifact base name, e.g. "scenario-3"
+ * @param {boolean} [params.thumbnails] - Capture a thumbnail per step
+ * @returns {{ timeline: Object, start: Function, step: Function, finish: Function, discardThumbnails: Function }}
+ */
+function createTimelineRecorder(session, { resultsDir, name, thumbnails = true }) {
+  const origin = session.recordingStartedAt || Date.now();
+  const timeline = {
+    recordingStartedAt: new Date(origin).toISOString(),
+    startOffsetMs: null,
+    endOffsetMs: null,
+    steps: []
+  };
+
+  return {
+    timeline,
+
+    start() {
+      timeline.startOffsetMs = Date.now() - origin;
+    },
+
+    /**
+     * Record a step that just finished; the thumbnail shows the page right after it
+     * @param {string} label
+     * @param {Object} [options] - { kind: 'agent'|'replay', page }
+     */
+    async step(label, { kind = 'agent', page = null } = {}) {
+      if (timeline.steps.length >= MAX_TIMELINE_STEPS) return;
+      const entry = { index: timeline.steps.length + 1, kind, label: truncate(label), offsetMs: Date.now() - origin, thumbnailPath: null };
+      timeline.steps.push(entry);
+      if (!thumbnails || !page) return;
+      try {
+        const thumbnailPath = path.join(resultsDir, 'filmstrip', `${name}-step-${entry.index}.jpg`);
+        await fs.mkdir(path.dirname(thumbnailPath), { recursive: true });
+        await page.screenshot({ path: thumbnailPath, type: 'jpeg', quality: 40, timeout: THUMBNAIL_TIMEOUT_MS });
+        entry.thumbnailPath = thumbnailPath;
+      } catch (err) {
+        // A page mid-navigation can't be captured — the step keeps its offset without a thumbnail
+      }
+    },
+
+    finish() {
+      timeline.endOffsetMs = Date.now() - origin;
+      return timeline;
+    },
+
+    /**
+     * Drop the thumbnails — only failed scenarios get a filmstrip
+     */
+    async discardThumbnails() {
+      for (const entry of timeline.steps) {
+        if (!entry.thumbnailPath) continue;
+        await fs.unlink(entry.thumbnailPath).catch(() => {});
+        entry.thumbnailPath = null;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createTimelineRecorder,
+  describeAgentStep,
+  describeScriptStep
+};
@@ -0,0 +1,205 @@
+/**
+ * Silent Failures
+ * Browser errors that don't fail a scenario by themselves but usually mean something is broken:
+ * console errors, uncaught exceptions, 4xx/5xx responses and requests that never completed.
+ * They are captured for every scenario. Known noise is dropped (a built-in list plus the repo's
+ * `testrun.allowed_errors`), and whatever is left is reported, even when the scenario passed.
+ */
+
+const { getScenarioLabel } = require('./deviceProfiles');
+
+/** Distinct errors kept per scenario (repeats only bump `count`) */
+const MAX_ERRORS_PER_SCENARIO = 50;
+const MAX_MESSAGE_LENGTH = 300;
+/** Longest allowed_errors entry — they come from repo config and run against every captured error */
+const MAX_ERROR_PATTERN_LENGTH = 200;
+/** Noise nearly every app produces */
+const BUILTIN_ALLOWED_ERRORS = [
+  /favicon\.ico/i,
+  // Requests the page cancelled itself (navigation away, aborted fetches)
+  /net::ERR_ABORTED/i,
+  /ResizeObserver loop/i,
+  /(chrome|moz)-extension:\/\//i,
+  /google-analytics\.com|googletagmanager\.com|doubleclick\.net|connect\.facebook\.net|hotjar\.com|segment\.(io|com)|sentry\.io|clarity\.ms/i
+];
+/** Chrome logs every 4xx/5xx load as a console error too — the response itself is recorded instead */
+const FAILED_LOAD_MESSAGE = /^Failed to load resource:/i;
+
+const KIND_LABELS = {
+  exception: 'Uncaught exception',
+  console: 'Console error',
+  http: 'HTTP error',
+  request: 'Failed request'
+};
+
+function truncate(text) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > MAX_MESSAGE_LENGTH ? `${clean.slice(0, MAX_MESSAGE_LENGTH - 1)}…` : clean;
+}
+
+/**
+ * Allowlist entry → RegExp. `/pattern/flags` is a regular expression; anything else matches as
+ * case-insensitive text. `g` and `y` are dropped: they make test() stateful through lastIndex.
+ */
+function toErrorPattern(entry) {
+  if (entry instanceof RegExp) return new RegExp(entry.source, entry.flags.replace(/[gy]/g, ''));
+  if (String(entry).length > MAX_ERROR_PATTERN_LENGTH) {
+    throw new Error(`longer than ${MAX_ERROR_PATTERN_LENGTH} characters`);
+  }
+  const match = String(entry).match(/^\/(.+)\/([dgimsuy]*)$/);
+  if (match) return new RegExp(match[1], match[2].replace(/[gy]/g, ''));
+  return new RegExp(String(entry).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+}
+
+/** What allowlist patterns are matched against: "<kind> <status> <message> <url>" */
+function describeForMatching(error) {
+  return [error.kind, error.status, error.message, error.url].filter(Boolean).join(' ');
+}
+
+/**
+ * Start capturing browser errors on a scenario's page into `scenarioResult.browserErrors`
+ * (console messages still go to `consoleLogs` and failed requests to `networkErrors`)
+ * @param {Object} page - Playwright page (local runner) or Stagehand page (Browserbase)
+ * @param {Object} scenarioResult
+ * @returns {Promise<void>} Resolves once capture is active
+ */
+async function attachErrorCapture(page, scenarioResult) {
+  scenarioResult.browserErrors = scenarioResult.browserErrors || [];
+  const bySignature = new Map();
+  const add = (entry) => {
+    const signature = [entry.kind, entry.status, entry.url, entry.message].join('|');
+    const existing = bySignature.get(signature);
+    if (existing) {
+      existing.count++;
+      return;
+    }
+    if (scenarioResult.browserErrors.length >= MAX_ERRORS_PER_SCENARIO) return;
+    let pageUrl = null;
+    try {
+      pageUrl = page.url();
+    } catch (err) {
+      // Page closing
+    }
+    const row = { ...entry, message: truncate(entry.message), pageUrl, count: 1 };
+    bySignature.set(signature, row);
+    scenarioResult.browserErrors.push(row);
+  };
+  const addFailedRequest = (method, url, failure) => {
+    scenarioResult.networkErrors.push({ url, failure });
+    add({ kind: 'request', message: `${method || 'GET'} ${failure || 'failed'}`, url });
+  };
+  const addErrorResponse = (method, status, statusText, url) => {
+    if (status < 400) return;
+    add({ kind: 'http', status, message: `${method || 'GET'} ${status} ${statusText || ''}`, url });
+  };
+
+  page.on('console', msg => {
+    scenarioResult.consoleLogs.push({ type: msg.type(), text: msg.text() });
+    if (msg.type() === 'error' && !FAILED_LOAD_MESSAGE.test(msg.text())) {
+      add({ kind: 'console', message: msg.text(), url: msg.location?.()?.url || null });
+    }
+  });
+
+  // A Stagehand page only emits "console" — the rest comes from its CDP session
+  if (typeof page.getSessionForFrame === 'function') {
+    try {
+      await captureOverCdp(page.getSessionForFrame(page.mainFrameId()), { add, addFailedRequest, addErrorResponse });
+    } catch (err) {
+      console.warn('⚠️ Could not subscribe to CDP errors — exceptions and failed requests are not captured (non-fatal):', err.message);
+    }
+    return;
+  }
+
+  page.on('pageerror', error => {
+    add({ kind: 'exception', message: error?.message || String(error), url: null });
+  });
+  page.on('requestfailed', request => {
+    addFailedRequest(request.method?.(), request.url(), request.failure()?.errorText);
+  });
+  page.on('response', response => {
+    addErrorResponse(response.request?.()?.method?.(), response.status(), response.statusText?.(), response.url());
+  });
+}
+
+/**
+ * Uncaught exceptions, failed requests and 4xx/5xx responses from a page's CDP session
+ */
+async function captureOverCdp(session, { add, addFailedRequest, addErrorResponse }) {
+  // Failure and response events carry only the request id; method and URL come from the request
+  const requests = new Map();
+  session.on('Network.requestWillBeSent', event => {
+    requests.set(event.requestId, { method: event.request?.method, url: event.request?.url || null });
+  });
+  session.on('Network.loadingFinished', event => requests.delete(event.requestId));
+  session.on('Network.loadingFailed', event => {
+    const request = requests.get(event.requestId) || {};
+    requests.delete(event.requestId);
+    addFailedRequest(request.method, request.url || null, event.canceled ? 'net::ERR_ABORTED' : event.errorText);
+  });
+  session.on('Network.responseReceived', event => {
+    const response = event.response || {};
+    addErrorResponse(requests.get(event.requestId)?.method, response.status, response.statusText, response.url);
+  });
+  session.on('Runtime.exceptionThrown', event => {
+    const details = event.exceptionDetails || {};
+    // The description is "TypeError: …" followed by the stack; keep the first line, like Playwright's error.message
+    const message = (details.exception?.description || details.text || 'Uncaught exception').split('\n')[0];
+    add({ kind: 'exception', message, url: null });
+  });
+  await session.send('Runtime.enable');
+  await session.send('Network.enable');
+}
+
+/**
+ * Browser errors of a scenario that aren't known noise
+ * @param {Array} browserErrors - scenarioResult.browserErrors
+ * @param {Array<string|RegExp>} [allowedErrors] - The repo's allowlist (.firstqa.yml testrun.allowed_errors)
+ * @returns {Array}
+ */
+function filterSilentFailures(browserErrors, allowedErrors = []) {
+  const patterns = [...BUILTIN_ALLOWED_ERRORS];
+  for (const entry of allowedErrors) {
+    try {
+      patterns.push(toErrorPattern(entry));
+    } catch (err) {
+      console.warn(`⚠️ Ignoring invalid allowed_errors pattern ${entry} (non-fatal):`, err.message);
+    }
+  }
+  return (browserErrors || []).filter(error => {
+    const text = describeForMatching(error);
+    return !patterns.some(pattern => pattern.test(text));
+  });
+}
+
+/**
+ * Silent failures of a run, de-duplicated across scenarios (most widespread first)
+ * @param {Array} scenarios - results.scenarios with `silentFailures`
+ * @returns {{ total: number, passingScenarios: number, items: Array<{ kind, label, status, message, url, count, scenarios: string[] }> }}
+ */
+function summarizeSilentFailures(scenarios) {
+  const items = new Map();
+  const passingWithFailures = new Set();
+  for (const scenario of scenarios) {
+    const label = getScenarioLabel(scenario);
+    for (const error of scenario.silentFailures || []) {
+      const signature = [error.kind, error.status, error.url, error.message].join('|');
+      const item = items.get(signature) || { kind: error.kind, label: KIND_LABELS[error.kind] || error.kind, status: error.status || null, message: error.message, url: error.url || null, count: 0, scenarios: [] };
+      item.count += error.count || 1;
+      if (!item.scenarios.includes(label)) item.scenarios.push(label);
+      items.set(signature, item);
+      if (scenario.status === 'PASS' || scenario.status === 'PARTIAL') passingWithFailures.add(label);
+    }
+  }
+  const kindOrder = Object.keys(KIND_LABELS);
+  const sorted = [...items.values()].sort((a, b) => b.scenarios.length - a.scenarios.length || kindOrder.indexOf(a.kind) - kindOrder.indexOf(b.kind));
+  return { total: sorted.length, passingScenarios: passingWithFailures.size, items: sorted };
+}
+
+module.exports = {
+  BUILTIN_ALLOWED_ERRORS,
+  MAX_ERROR_PATTERN_LENGTH,
+  toErrorPattern,
+  attachErrorCapture,
+  filterSilentFailures,
+  summarizeSilentFailures
+};
@@ -0,0 +1,84 @@
+/**
+ * Visual Snapshot
+ * Viewport screenshot of a scenario's final state for visual regression baselines, taken with
+ * animations, transitions and the text caret frozen. The bounding boxes of dynamic regions
+ * (clocks, ads, videos, anything marked `data-firstqa-mask`) are recorded alongside so the
+ * comparison can ignore them.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/** Regions masked on every page — content that changes between runs by nature */
+const DEFAULT_MASK_SELECTORS = ['[data-firstqa-mask]', 'video', 'canvas', 'iframe', 'time', '[aria-live]', '[role="timer"]', '[role="marquee"]'];
+const FREEZE_STYLE_ID = '__firstqa_visual_freeze';
+const FREEZE_CSS = '*,*::before,*::after{animation:none!important;transition:none!important;caret-color:transparent!important}';
+const SNAPSHOT_TIMEOUT_MS = 10000;
+/** Masks recorded per snapshot — a page full of matches is masked by its largest regions */
+const MAX_MASKS = 100;
+
+/**
+ * Runs in the page: viewport size and the device-pixel boxes of visible elements matching the selectors
+ */
+function collectMasks({ selectors, maxMasks }) {
+  const dpr = window.devicePixelRatio || 1;
+  const boxes = [];
+  for (const selector of selectors) {
+    let elements = [];
+    try {
+      elements = document.querySelectorAll(selector);
+    } catch (e) {
+      continue; // Invalid selector from .firstqa.yml — reported by the config check, skipped here
+    }
+    for (const el of elements) {
+      const r = el.getBoundingClientRect();
+      if (r.width < 1 || r.height < 1 || r.bottom < 0 || r.right < 0 || r.top > window.innerHeight || r.left > window.innerWidth) continue;
+      boxes.push({ x: Math.round(r.left * dpr), y: Math.round(r.top * dpr), width: Math.round(r.width * dpr), height: Math.round(r.height * dpr) });
+    }
+  }
+  boxes.sort((a, b) => b.width * b.height - a.width * a.height);
+  return { viewport: `${window.innerWidth}x${window.innerHeight}`, masks: boxes.slice(0, maxMasks) };
+}
+
+/**
+ * Take the visual snapshot of the page's current state
+ * @param {Object} page - Playwright / Stagehand page
+ * @param {Object} params
+ * @param {string} params.resultsDir - test-results/<executionId>
+ * @param {string} params.name - Artifact base name, e.g. "scenario-3"
+ * @param {string[]} [params.maskSelectors] - Extra selectors to mask (.firstqa.yml testrun.visual.mask)
+ * @returns {Promise<{ path: string, viewport: string, masks: Array }|null>} null when the page couldn't be captured
+ */
+async function captureVisualSnapshot(page, { resultsDir, name, maskSelectors = [] }) {
+  const snapshotPath = path.join(resultsDir, 'visual', `${name}.png`);
+  let timeoutHandle;
+  const timeout = new Promise((_, reject) => {
+    timeoutHandle = setTimeout(() => reject(new Error('visual snapshot timed out')), SNAPSHOT_TIMEOUT_MS);
+  });
+  try {
+    await fs.mkdir(path.dirname(snapshotPath), { recursive: true });
+    return await Promise.race([(async () => {
+      await page.evaluate(({ id, css }) => {
+        if (document.getElementById(id)) return;
+        const style = document.createElement('style');
+        style.id = id;
+        style.textContent = css;
+        document.head.appendChild(style);
+      }, { id: FREEZE_STYLE_ID, css: FREEZE_CSS });
+      const { viewport, masks } = await page.evaluate(collectMasks, { selectors: [...DEFAULT_MASK_SELECTORS, ...maskSelectors], maxMasks: MAX_MASKS });
+      await page.screenshot({ path: snapshotPath, fullPage: false });
+      await page.evaluate(id => document.getElementById(id)?.remove(), FREEZE_STYLE_ID).catch(() => {});
+      return { path: snapshotPath, viewport, masks };
+    })(), timeout]);
+  } catch (err) {
+    console.warn(`⚠️ Visual snapshot failed for ${name} (non-fatal):`, err.message);
+    return null;
+  } finally {
+    clearTimeout(timeoutHandle);
+  }
+}
+
+module.exports = {
+  DEFAULT_MASK_SELECTORS,
+  captureVisualSnapshot
+};
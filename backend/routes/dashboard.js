@@ -608,20 +608,7 @@ router.post('/settings', async (req, res) => {
       }
     }
 
-    // auto_analyze_prs checkbox is disabled in the UI, so it never submits.
-    // Preserve the existing DB value to avoid silently resetting it.
-    let autoAnalyzePrs = false;
-    const { data: existingSettings } = await supabaseAdmin
-      .from('client_settings')
-      .select('auto_analyze_prs')
-      .eq('user_id', user.id)
-      .maybeSingle();
-    if ('auto_analyze_prs' in (req.body || {})) {
-      autoAnalyzePrs = req.body.auto_analyze_prs === 'on';
-    } else {
-      autoAnalyzePrs = existingSettings?.auto_analyze_prs ?? false;
-    }
-
+    const autoAnalyzePrs = req.body.auto_analyze_prs === 'on';
     const postMergeTests = req.body.post_merge_tests === 'on';
     const postMergeDelayMs = parseInt(req.body.post_merge_delay_ms, 10) || 300000;
     const testUserEmail = (req.body.test_user_email || '').trim() || null;
@@ -652,4 +639,133 @@ router.post('/settings', async (req, res) => {
   }
 });
 
+/**
+ * Indexed repos the user can reach through their GitHub installations and Bitbucket workspaces
+ * @returns {Promise<Array<{ repoId: string, provider: string, updatedAt: string|null }>>}
+ */
+async function getIndexedReposForUser(userId) {
+  const { data: integrations } = await supabaseAdmin
+    .from('integrations')
+    .select('provider, account_id, account_name')
+    .eq('user_id', userId)
+    .in('provider', ['github', 'bitbucket']);
+
+  const repos = new Map();
+  const { getOctokit } = require('../services/githubChecksService');
+  for (const int of (integrations || []).filter(i => i.provider === 'github')) {
+    try {
+      const octokit = await getOctokit(parseInt(int.account_id, 10));
+      if (!octokit) continue;
+      // paginate() unwraps the `repositories` key of each page
+      const installationRepos = await octokit.paginate(octokit.apps.listReposAccessibleToInstallation, { per_page: 100 });
+      for (const repo of installationRepos) repos.set(repo.full_name, 'github');
+    } catch (err) {
+      console.warn('Could not list repos for installation:', err.message);
+    }
+  }
+
+  // Bitbucket repos are indexed as `<workspace>/<repo>`; only the workspace's own repos count,
+  // so a workspace slug can't reach a GitHub org's repos of the same name
+  const { listWorkspaceRepos } = require('../utils/bitbucketService');
+  for (const int of (integrations || []).filter(i => i.provider === 'bitbucket' && i.account_name)) {
+    try {
+      for (const repoId of await listWorkspaceRepos(int.account_name)) {
+        if (!repos.has(repoId)) repos.set(repoId, 'bitbucket');
+      }
+    } catch (err) {
+      console.warn('Could not list repos for Bitbucket workspace:', err.message);
+    }
+  }
+
+  const { data: indexed } = await supabaseAdmin.from('repo_context').select('repo_id, updated_at');
+  return (indexed || [])
+    .filter(rc => repos.has(rc.repo_id))
+    .map(rc => ({ repoId: rc.repo_id, provider: repos.get(rc.repo_id), updatedAt: rc.updated_at || null }))
+    .sort((a, b) => a.repoId.localeCompare(b.repoId));
+}
+
+/**
+ * GET /dashboard/product-map - View and edit a repo's product areas and user flows
+ */
+router.get('/product-map', async (req, res) => {
+  const user = req.session.user;
+  const repoId = req.query.repo || null;
+  const view = { user, repos: [], repoId, areas: {}, flows: [], indexedFlows: [], edits: { areas: {}, flows: {} }, unassigned: [], updatedAt: null, error: null };
+
+  if (!isSupabaseConfigured()) {
+    return res.render('dashboard/product-map', { ...view, error: 'Database not configured' });
+  }
+
+  try {
+    view.repos = await getIndexedReposForUser(user.id);
+    if (!repoId) return res.render('dashboard/product-map', view);
+    if (!view.repos.some(r => r.repoId === repoId)) {
+      return res.render('dashboard/product-map', { ...view, repoId: null, error: `${repoId} is not an indexed repo you have access to` });
+    }
+
+    const { getProductMap, getUnassignedPaths } = require('../services/knowledgeBase/productMap');
+    const { data: rc } = await supabaseAdmin
+      .from('repo_context')
+      .select('product_areas, user_flows, indexed_paths, indexed_areas')
+      .eq('repo_id', repoId)
+      .maybeSingle();
+    const { data: flowRows } = await supabaseAdmin
+      .from('product_knowledge')
+      .select('entity_name, file_paths, metadata')
+      .eq('repo_id', repoId)
+      .eq('knowledge_type', 'user_flow');
+    const { updatedAt, ...edits } = await getProductMap(repoId);
+
+    res.render('dashboard/product-map', {
+      ...view,
+      areas: rc?.product_areas || {},
+      flows: rc?.user_flows || [],
+      // Flows as indexed, so renamed and merged ones can still be edited under their original name
+      indexedFlows: (flowRows || []).map(f => ({ name: f.entity_name, files: (f.file_paths || []).length, area: f.metadata?.area || null })),
+      unassigned: getUnassignedPaths(rc?.indexed_paths || [], rc?.product_areas || {}),
+      edits,
+      updatedAt
+    });
+  } catch (err) {
+    console.error('Product map page error:', err.message);
+    res.render('dashboard/product-map', { ...view, error: 'Could not load the product map' });
+  }
+});
+
+/**
+ * POST /dashboard/product-map?repo=owner/name - Save a repo's product map edits (JSON { areas, flows })
+ */
+router.post('/product-map', async (req, res) => {
+  const user = req.session.user;
+  const repoId = req.query.repo;
+
+  if (!isSupabaseConfigured()) {
+    return res.status(503).json({ success: false, errors: ['Database not configured'] });
+  }
+
+  try {
+    const repos = await getIndexedReposForUser(user.id);
+    if (!repoId || !repos.some(r => r.repoId === repoId)) {
+      return res.status(404).json({ success: false, errors: ['Repo not found'] });
+    }
+
+    const { validateProductMap, saveProductMap } = require('../services/knowledgeBase/productMap');
+    const { map, errors } = validateProductMap(req.body);
+    if (errors.length) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const result = await saveProductMap(repoId, map, user.id);
+    console.log(`🗺️ Product map of ${repoId} saved by ${user.email}`);
+    res.json({
+      success: true,
+      areas: Object.keys(result?.productAreas || {}).length,
+      flows: (result?.userFlows || []).length
+    });
+  } catch (err) {
+    console.error('Product map save error:', err.message);
+    res.status(500).json({ success: false, errors: ['Error saving product map'] });
+  }
+});
+
 module.exports = router;
@@ -381,7 +381,7 @@ router.post('/generate-test-recipe', async (req, res) => {
     const { generateQAInsights } = require('../ai/openaiClient');
     
     // Extract all fields from request body (including optional enrichment data)
-    const { repo, pr_number, title, body, diff, newCommits, fileContents, selectorHints } = req.body;
+    const { repo, pr_number, title, body, diff, newCommits, fileContents, selectorHints, focus, lang } = req.body;
     
     // Validate required fields
     if (!repo || !pr_number || !title) {
@@ -410,7 +410,9 @@ router.post('/generate-test-recipe', async (req, res) => {
       diff,
       newCommits,
       fileContents,
-      selectorHints
+      selectorHints,
+      focus,
+      lang
     });
     
     if (aiInsights && aiInsights.success) {
@@ -0,0 +1,106 @@
+/**
+ * Job queue API routes - status polling and cancellation for the dashboard
+ * Users only see jobs queued for their own account.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { JOB_STATUSES, getJob, listJobs, cancelJob } = require('../services/jobQueue');
+
+function requireUser(req, res, next) {
+  if (!req.session?.user?.id) {
+    return res.status(401).json({ error: 'Not signed in' });
+  }
+  next();
+}
+
+function toJobResponse(job) {
+  return {
+    jobId: job.id,
+    type: job.job_type,
+    status: job.status,
+    repoId: job.repo_id,
+    prNumber: job.pr_number,
+    progress: job.progress || {},
+    attempts: job.attempts,
+    maxAttempts: job.max_attempts,
+    cancelRequested: job.cancel_requested,
+    lastError: job.last_error,
+    result: job.result,
+    runAfter: job.run_after,
+    createdAt: job.created_at,
+    startedAt: job.started_at,
+    finishedAt: job.finished_at
+  };
+}
+
+async function loadOwnJob(req, res) {
+  const job = await getJob(req.params.jobId);
+  if (!job || job.user_id !== req.session.user.id) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+  return job;
+}
+
+router.use(requireUser);
+
+/**
+ * GET /api/jobs?repo=owner/name&pr=12&status=queued,running&limit=20
+ * List the user's jobs, newest first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const statuses = req.query.status
+      ? String(req.query.status).split(',').map(s => s.trim()).filter(s => JOB_STATUSES.includes(s))
+      : null;
+    const prNumber = req.query.pr ? parseInt(req.query.pr, 10) : null;
+    const jobs = await listJobs({
+      userId: req.session.user.id,
+      repoId: req.query.repo || null,
+      prNumber: Number.isNaN(prNumber) ? null : prNumber,
+      statuses: statuses && statuses.length > 0 ? statuses : null
+    }, parseInt(req.query.limit, 10) || 50);
+    res.json({ jobs: jobs.map(toJobResponse) });
+  } catch (err) {
+    console.error('Job list error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/jobs/:jobId
+ * Return one job's status and progress
+ */
+router.get('/:jobId', async (req, res) => {
+  try {
+    const job = await loadOwnJob(req, res);
+    if (!job) return;
+    res.json(toJobResponse(job));
+  } catch (err) {
+    console.error('Job status error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/jobs/:jobId/cancel
+ * Cancel a queued job, or ask a running one to stop
+ */
+router.post('/:jobId/cancel', async (req, res) => {
+  try {
+    const job = await loadOwnJob(req, res);
+    if (!job) return;
+    const result = await cancelJob(job.id);
+    res.status(result.success ? 200 : 409).json({
+      success: result.success,
+      message: result.message,
+      job: result.job ? toJobResponse(result.job) : null
+    });
+  } catch (err) {
+    console.error('Job cancel error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,286 @@
+/**
+ * Action Script Cache
+ * Stores the concrete action sequence (URLs, selectors, inputs) of a passing agent run so later
+ * runs of the same scenario can replay it without the agent. Only `dom`-mode agent actions carry
+ * selectors — hybrid-mode clicks and typing are screen coordinates — so recording runs use `dom` mode.
+ *
+ * Scripts live in the Supabase `test_action_scripts` table (migration 023), keyed by repo and
+ * a hash of the scenario's name, steps and expected result — editing the scenario records a new
+ * script. Without Supabase, or before the migration has run, they fall back to a JSON file in
+ * the data directory.
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../lib/supabase');
+const { createJsonFile, checkResult, createStoreSelector } = require('../utils/dataStore');
+
+const TABLE = 'test_action_scripts';
+/** Longest wait a replayed script may contain */
+const MAX_WAIT_MS = 10000;
+/** A script that failed this many replays in a row is dropped */
+const MAX_REPLAY_FAILURES = 3;
+/** Agent action types that don't change the page — left out of scripts */
+const READ_ONLY_ACTION_TYPES = ['screenshot', 'ariatree', 'extract', 'observe', 'think', 'reasoning', 'done', 'close'];
+
+/**
+ * Whether replay is on (TEST_EXECUTION_REPLAY=false turns it off)
+ */
+function isReplayEnabled() {
+  return process.env.TEST_EXECUTION_REPLAY !== 'false';
+}
+
+/**
+ * Stable key for a scenario: same name, steps and expected result → same script
+ */
+function getScenarioKey(scenario) {
+  const normalize = value => String(value || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  return crypto
+    .createHash('sha1')
+    .update([scenario.scenario, scenario.steps, scenario.expected].map(normalize).join('\n'))
+    .digest('hex');
+}
+
+// ---------------------------------------------------------------------------
+// Recording
+// ---------------------------------------------------------------------------
+
+/** Same-origin URLs are stored as paths so scripts replay against any environment (-env=) */
+function toScriptUrl(url, baseUrl) {
+  try {
+    const target = new URL(url, baseUrl);
+    const base = new URL(baseUrl);
+    return target.origin === base.origin ? `${target.pathname}${target.search}${target.hash}` : target.href;
+  } catch (err) {
+    return url;
+  }
+}
+
+/** Test credentials are never stored — they are written back in at replay time */
+function maskCredentials(args, testCredentials) {
+  if (!testCredentials) return args;
+  return args.map(arg => {
+    if (testCredentials.password && arg === testCredentials.password) return '{{password}}';
+    if (testCredentials.email && arg === testCredentials.email) return '{{email}}';
+    return arg;
+  });
+}
+
+/**
+ * Convert one agent action (Stagehand agent in `dom` mode) into script steps
+ * @returns {Array<Object>|null} steps ([] for read-only actions), or null when the action can't be replayed
+ */
+function toScriptSteps(action, baseUrl, testCredentials) {
+  const type = String(action.type || '').toLowerCase();
+  // A failed tool call left the page as it was
+  if (READ_ONLY_ACTION_TYPES.includes(type) || action.success === false) return [];
+  // The fillForm tool is followed by one act action per field it filled — those are recorded instead
+  if (type === 'fillform') return [];
+
+  if (['goto', 'navigate'].includes(type) && action.url) {
+    return [{ kind: 'goto', url: toScriptUrl(action.url, baseUrl) }];
+  }
+  if (type === 'navback') {
+    return [{ kind: 'navback' }];
+  }
+  if (type === 'wait') {
+    return [{ kind: 'wait', ms: Math.min(Number(action.timeMs || action.ms) || 1000, MAX_WAIT_MS) }];
+  }
+  if (type === 'scroll' && ['up', 'down'].includes(action.direction)) {
+    return [{ kind: 'scroll', direction: action.direction, percentage: Number(action.percentage) || 80 }];
+  }
+  // Keystrokes go to whatever has focus, so they replay after the step that focused it
+  if (type === 'keys' && ['press', 'type'].includes(action.method) && action.value) {
+    const [value] = maskCredentials([String(action.value)], testCredentials);
+    return [{ kind: 'keys', method: action.method, value, times: Math.max(1, Number(action.times || action.repeat) || 1) }];
+  }
+
+  // act results carry the resolved Playwright call (selector + method + arguments)
+  const resolved = [].concat(action.playwrightArguments || action.actions || (action.selector ? action : []));
+  if (resolved.length === 0 || resolved.some(a => !a || !a.selector || !a.method)) return null;
+  return resolved.map(a => ({
+    kind: 'act',
+    selector: a.selector,
+    method: a.method,
+    arguments: maskCredentials((a.arguments || []).map(String), testCredentials),
+    description: a.description || action.action || ''
+  }));
+}
+
+/**
+ * Build a replayable script from the actions of a passing agent run
+ * @param {Array<Object>} agentActions - agentResult.actions
+ * @param {Object} options - { baseUrl, startUrl, testCredentials }
+ * @returns {Array<Object>|null} Steps starting with a goto to startUrl, or null if any action can't be replayed
+ */
+function buildActionScript(agentActions, { baseUrl, startUrl, testCredentials = null }) {
+  const steps = [{ kind: 'goto', url: toScriptUrl(startUrl, baseUrl) }];
+  for (const action of agentActions || []) {
+    const converted = toScriptSteps(action, baseUrl, testCredentials);
+    if (!converted) return null;
+    steps.push(...converted);
+  }
+  // Nothing but the initial navigation — there's no interaction to replay
+  return steps.length > 1 ? steps : null;
+}
+
+/**
+ * Resolve a stored step for this run: stored paths against baseUrl, credential placeholders
+ */
+function resolveScriptStep(step, { baseUrl, testCredentials = null }) {
+  const unmask = arg => {
+    if (arg === '{{password}}') return testCredentials?.password || '';
+    if (arg === '{{email}}') return testCredentials?.email || '';
+    return arg;
+  };
+  if (step.kind === 'goto') {
+    return { ...step, url: new URL(step.url, `${baseUrl}/`).href };
+  }
+  if (step.kind === 'act') {
+    return { ...step, arguments: (step.arguments || []).map(unmask) };
+  }
+  if (step.kind === 'keys') {
+    return { ...step, value: unmask(step.value) };
+  }
+  return step;
+}
+
+// ---------------------------------------------------------------------------
+// Stores
+// ---------------------------------------------------------------------------
+
+/**
+ * Local JSON-file store, keyed by "<repo>:<scenarioKey>"
+ */
+function createFileStore() {
+  const file = createJsonFile('action-scripts.json', { description: 'action script file' });
+  const load = file.load;
+  const save = () => file.save();
+
+  return {
+    name: 'file',
+    async get(repoId, scenarioKey) {
+      const row = load()[`${repoId}:${scenarioKey}`];
+      return row ? { ...row } : null;
+    },
+    async upsert(row) {
+      const key = `${row.repo_id}:${row.scenario_key}`;
+      const existing = load()[key];
+      load()[key] = { ...existing, ...row, created_at: existing?.created_at || row.updated_at };
+      save();
+    },
+    async update(repoId, scenarioKey, patch) {
+      const row = load()[`${repoId}:${scenarioKey}`];
+      if (!row) return;
+      Object.assign(row, patch);
+      save();
+    },
+    async remove(repoId, scenarioKey) {
+      delete load()[`${repoId}:${scenarioKey}`];
+      save();
+    }
+  };
+}
+
+function createSupabaseStore() {
+  const check = result => checkResult(TABLE, result);
+
+  return {
+    name: 'supabase',
+    async get(repoId, scenarioKey) {
+      return check(await supabaseAdmin.from(TABLE).select('*').eq('repo_id', repoId).eq('scenario_key', scenarioKey).maybeSingle());
+    },
+    async upsert(row) {
+      check(await supabaseAdmin.from(TABLE).upsert(row, { onConflict: 'repo_id,scenario_key' }));
+    },
+    async update(repoId, scenarioKey, patch) {
+      check(await supabaseAdmin.from(TABLE).update(patch).eq('repo_id', repoId).eq('scenario_key', scenarioKey));
+    },
+    async remove(repoId, scenarioKey) {
+      check(await supabaseAdmin.from(TABLE).delete().eq('repo_id', repoId).eq('scenario_key', scenarioKey));
+    }
+  };
+}
+
+const { withStore } = createStoreSelector({
+  createSupabaseStore,
+  createFileStore,
+  missingTable: `${TABLE} table missing (run migration 023)`
+});
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Cached script for a scenario
+ * @returns {Promise<{ steps: Array<Object>, replayCount: number }|null>}
+ */
+async function getActionScript(repoId, scenario) {
+  if (!repoId || !isReplayEnabled()) return null;
+  try {
+    const row = await withStore(s => s.get(repoId, getScenarioKey(scenario)));
+    return row?.steps?.length > 0 ? { steps: row.steps, replayCount: row.replay_count || 0 } : null;
+  } catch (err) {
+    console.warn('⚠️ Action script lookup failed (non-fatal):', err.message);
+    return null;
+  }
+}
+
+/**
+ * Store (or replace) the script of a scenario that just passed under the agent
+ */
+async function saveActionScript(repoId, scenario, steps, { executionId = null } = {}) {
+  if (!repoId || !isReplayEnabled() || !steps) return;
+  try {
+    await withStore(s => s.upsert({
+      repo_id: repoId,
+      scenario_key: getScenarioKey(scenario),
+      scenario: scenario.scenario,
+      steps,
+      recorded_execution_id: executionId,
+      replay_count: 0,
+      replay_failures: 0,
+      updated_at: new Date().toISOString()
+    }));
+  } catch (err) {
+    console.warn('⚠️ Action script save failed (non-fatal):', err.message);
+  }
+}
+
+/**
+ * Record how a replay went. Scripts that keep failing are dropped so the agent records a fresh one.
+ * @param {Object} outcome - { success: boolean }
+ */
+async function recordReplayOutcome(repoId, scenario, { success }) {
+  if (!repoId) return;
+  const scenarioKey = getScenarioKey(scenario);
+  try {
+    await withStore(async s => {
+      const row = await s.get(repoId, scenarioKey);
+      if (!row) return;
+      const failures = success ? 0 : (row.replay_failures || 0) + 1;
+      if (failures >= MAX_REPLAY_FAILURES) {
+        await s.remove(repoId, scenarioKey);
+        return;
+      }
+      await s.update(repoId, scenarioKey, {
+        replay_count: (row.replay_count || 0) + (success ? 1 : 0),
+        replay_failures: failures,
+        last_replayed_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      });
+    });
+  } catch (err) {
+    console.warn('⚠️ Action script update failed (non-fatal):', err.message);
+  }
+}
+
+module.exports = {
+  isReplayEnabled,
+  getScenarioKey,
+  buildActionScript,
+  resolveScriptStep,
+  getActionScript,
+  saveActionScript,
+  recordReplayOutcome
+};
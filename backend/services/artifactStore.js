@@ -0,0 +1,533 @@
+/**
+ * Artifact Store
+ * Durable storage for test-run artifacts (screenshots, videos, Playwright traces, generated specs)
+ * so links in PR reports keep working across redeploys.
+ *
+ * Backends (ARTIFACT_STORE):
+ * - local (default): files are copied to ARTIFACT_LOCAL_DIR (default <DATA_DIR>/artifacts) — put it
+ *   on a persistent disk
+ * - s3: any S3-compatible bucket (AWS S3, Cloudflare R2, MinIO), addressed with SigV4 presigned URLs
+ *
+ * Links are signed and expire when the artifact's retention ends (per plan, see RETENTION_DAYS).
+ * They point at `${BASE_URL}/test-results/<key>?e=<expires>&s=<signature>`; serveArtifact checks the
+ * signature and then sends the local file or redirects to a short-lived presigned S3 URL.
+ * Every stored artifact is recorded in the Supabase `artifacts` table (migration 025), or a JSON
+ * file in the data directory without Supabase, so the retention sweep knows what to delete.
+ * Permanent artifacts (visual baselines) have no expiry until they are released.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { supabaseAdmin, isSupabaseConfigured } = require('../lib/supabase');
+const { resolveDataDir, createJsonFile, checkResult, createStoreSelector } = require('../utils/dataStore');
+
+const TABLE = 'artifacts';
+/** Scratch directory the runners write to — artifact keys mirror paths below it */
+const TEST_RESULTS_ROOT = path.join(__dirname, '..', '..', 'test-results');
+/** Retention (days) per plan; unknown plans and self-hosted installs use `default` */
+const RETENTION_DAYS = {
+  free_trial: 14,
+  pro: 90,
+  firstqa: 90,
+  'launch partner': 90,
+  enterprise: 365,
+  default: 30
+};
+/** Lifetime of the presigned S3 URL a signed link redirects to */
+const S3_REDIRECT_TTL_SECONDS = 300;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webm': 'video/webm',
+  '.mp4': 'video/mp4',
+  '.zip': 'application/zip',
+  '.json': 'application/json',
+  '.xml': 'application/xml; charset=utf-8',
+  '.html': 'text/html; charset=utf-8',
+  '.ts': 'text/plain; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+function getContentType(filePath) {
+  return CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+// ---------------------------------------------------------------------------
+// Retention
+// ---------------------------------------------------------------------------
+
+/**
+ * Retention table with ARTIFACT_RETENTION_DAYS overrides ("free_trial=7,pro=180,default=30")
+ */
+function getRetentionTable() {
+  const table = { ...RETENTION_DAYS };
+  for (const pair of String(process.env.ARTIFACT_RETENTION_DAYS || '').split(',')) {
+    const [plan, days] = pair.split('=').map(s => s && s.trim());
+    if (plan && parseInt(days, 10) > 0) table[plan.toLowerCase()] = parseInt(days, 10);
+  }
+  return table;
+}
+
+/**
+ * Days an artifact is kept for a plan
+ * @param {string|null} plan - users.plan
+ */
+function getRetentionDays(plan) {
+  const table = getRetentionTable();
+  return table[String(plan || '').toLowerCase()] || table.default;
+}
+
+/**
+ * Plan of the user who owns the installation (users.plan), or null when unknown
+ */
+async function resolvePlan(userId) {
+  if (!userId || !isSupabaseConfigured()) return null;
+  try {
+    const { data, error } = await supabaseAdmin.from('users').select('plan').eq('id', userId).maybeSingle();
+    if (error) throw error;
+    return data?.plan || 'free_trial';
+  } catch (err) {
+    console.warn('⚠️ Could not look up plan for artifact retention (non-fatal):', err.message);
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Signed links
+// ---------------------------------------------------------------------------
+
+let generatedSecret = null;
+
+function getUrlSecret() {
+  const secret = process.env.ARTIFACT_URL_SECRET || process.env.SESSION_SECRET;
+  if (secret) return secret;
+  if (!generatedSecret) {
+    console.warn('⚠️ ARTIFACT_URL_SECRET not set — artifact links will stop working after a restart');
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return generatedSecret;
+}
+
+function signKey(key, expires) {
+  return crypto.createHmac('sha256', getUrlSecret()).update(`${key}\n${expires}`).digest('hex').slice(0, 32);
+}
+
+/**
+ * Signed link to an artifact, valid until `expiresAt`
+ * @param {string} key - Artifact key
+ * @param {Date|string} expiresAt
+ */
+function getArtifactUrl(key, expiresAt) {
+  const expires = Math.floor(new Date(expiresAt).getTime() / 1000);
+  const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+  const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+  return `${baseUrl}/test-results/${encodedKey}?e=${expires}&s=${signKey(key, expires)}`;
+}
+
+/**
+ * Whether a link's signature is valid and it hasn't expired
+ */
+function verifyArtifactSignature(key, expires, signature) {
+  const exp = parseInt(expires, 10);
+  if (!Number.isFinite(exp) || exp * 1000 < Date.now() || typeof signature !== 'string') return false;
+  const expected = Buffer.from(signKey(key, exp));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Artifact key from a request path — rejects anything that could escape the store
+ */
+function toSafeKey(requestPath) {
+  let key;
+  try {
+    key = decodeURIComponent(String(requestPath || '').replace(/^\/+/, ''));
+  } catch (err) {
+    return null;
+  }
+  const segments = key.split('/');
+  if (!key || segments.some(s => !s || s === '.' || s === '..' || s.startsWith('.')) || key.includes('\\')) return null;
+  return key;
+}
+
+// ---------------------------------------------------------------------------
+// Backends
+// ---------------------------------------------------------------------------
+
+/**
+ * Local-disk backend: artifacts are copied under ARTIFACT_LOCAL_DIR
+ */
+function createLocalBackend() {
+  const root = path.resolve(process.env.ARTIFACT_LOCAL_DIR || path.join(resolveDataDir(), 'artifacts'));
+
+  return {
+    name: 'local',
+    async put(key, localPath) {
+      const target = path.join(root, key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.copyFile(localPath, target);
+    },
+    async write(key, body) {
+      const target = path.join(root, key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, body);
+    },
+    async read(key) {
+      return fs.promises.readFile(path.join(root, key));
+    },
+    async remove(key) {
+      await fs.promises.rm(path.join(root, key), { force: true });
+    },
+    send(key, res) {
+      res.sendFile(key, { root, dotfiles: 'deny', headers: { 'Content-Type': getContentType(key) } }, err => {
+        if (err && !res.headersSent) res.status(err.statusCode === 404 || err.code === 'ENOENT' ? 404 : 500).send('Artifact not found');
+      });
+    }
+  };
+}
+
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function hmac(key, value, encoding) {
+  return crypto.createHmac('sha256', key).update(value).digest(encoding);
+}
+
+/**
+ * S3-compatible backend (AWS S3, R2, MinIO) using SigV4 query-string presigning
+ */
+function createS3Backend() {
+  const bucket = process.env.ARTIFACT_S3_BUCKET;
+  const region = process.env.ARTIFACT_S3_REGION || 'us-east-1';
+  const accessKeyId = process.env.ARTIFACT_S3_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.ARTIFACT_S3_SECRET_ACCESS_KEY;
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('ARTIFACT_STORE=s3 needs ARTIFACT_S3_BUCKET, ARTIFACT_S3_ACCESS_KEY_ID and ARTIFACT_S3_SECRET_ACCESS_KEY');
+  }
+  const endpoint = process.env.ARTIFACT_S3_ENDPOINT || `https://s3.${region}.amazonaws.com`;
+  // MinIO and most self-hosted endpoints only support path-style addressing
+  const pathStyle = process.env.ARTIFACT_S3_FORCE_PATH_STYLE
+    ? process.env.ARTIFACT_S3_FORCE_PATH_STYLE === 'true'
+    : !!process.env.ARTIFACT_S3_ENDPOINT;
+
+  const presign = (method, key, expiresIn) => {
+    const base = new URL(endpoint);
+    const host = pathStyle ? base.host : `${bucket}.${base.host}`;
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+    const canonicalUri = pathStyle ? `/${bucket}/${encodedKey}` : `/${encodedKey}`;
+
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const query = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${accessKeyId}/${scope}`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(expiresIn),
+      'X-Amz-SignedHeaders': 'host'
+    };
+    const canonicalQuery = Object.keys(query).sort()
+      .map(k => `${encodeRfc3986(k)}=${encodeRfc3986(query[k])}`)
+      .join('&');
+    const canonicalRequest = [method, canonicalUri, canonicalQuery, `host:${host}\n`, 'host', 'UNSIGNED-PAYLOAD'].join('\n');
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      scope,
+      crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+    ].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+    const signature = hmac(signingKey, stringToSign, 'hex');
+    return `${base.protocol}//${host}${canonicalUri}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+  };
+
+  return {
+    name: 's3',
+    async put(key, localPath) {
+      await this.write(key, await fs.promises.readFile(localPath));
+    },
+    async write(key, body) {
+      await axios.put(presign('PUT', key, 900), body, {
+        headers: { 'Content-Type': getContentType(key) },
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity
+      });
+    },
+    async read(key) {
+      const { data } = await axios.get(presign('GET', key, 900), { responseType: 'arraybuffer', maxContentLength: Infinity });
+      return Buffer.from(data);
+    },
+    async remove(key) {
+      await axios.delete(presign('DELETE', key, 900)).catch(err => {
+        if (err.response?.status !== 404) throw err;
+      });
+    },
+    send(key, res) {
+      res.redirect(302, presign('GET', key, S3_REDIRECT_TTL_SECONDS));
+    }
+  };
+}
+
+let backend = null;
+
+function getBackend() {
+  if (!backend) backend = process.env.ARTIFACT_STORE === 's3' ? createS3Backend() : createLocalBackend();
+  return backend;
+}
+
+// ---------------------------------------------------------------------------
+// Artifact records (for the retention sweep)
+// ---------------------------------------------------------------------------
+
+/**
+ * Local JSON-file store, keyed by artifact key
+ */
+function createFileStore() {
+  const file = createJsonFile('artifacts.json', { description: 'artifact index' });
+  const load = file.load;
+  const save = () => file.save();
+
+  return {
+    name: 'file',
+    async upsert(row) {
+      load()[row.key] = row;
+      save();
+    },
+    async update(key, patch) {
+      const row = load()[key];
+      if (!row) return false;
+      Object.assign(row, patch);
+      save();
+      return true;
+    },
+    async listExpired(before, limit) {
+      // Permanent artifacts have no expiry
+      return Object.values(load()).filter(r => r.expires_at && r.expires_at < before).slice(0, limit);
+    },
+    async remove(key) {
+      delete load()[key];
+      save();
+    }
+  };
+}
+
+function createSupabaseStore() {
+  const check = result => checkResult(TABLE, result);
+
+  return {
+    name: 'supabase',
+    async upsert(row) {
+      check(await supabaseAdmin.from(TABLE).upsert(row, { onConflict: 'key' }));
+    },
+    async update(key, patch) {
+      const rows = check(await supabaseAdmin.from(TABLE).update(patch).eq('key', key).select('key'));
+      return (rows || []).length > 0;
+    },
+    async listExpired(before, limit) {
+      return check(await supabaseAdmin.from(TABLE).select('*').lt('expires_at', before).order('expires_at').limit(limit)) || [];
+    },
+    async remove(key) {
+      check(await supabaseAdmin.from(TABLE).delete().eq('key', key));
+    }
+  };
+}
+
+const { withStore } = createStoreSelector({
+  createSupabaseStore,
+  createFileStore,
+  missingTable: `${TABLE} table missing (run migrations 025 and 026)`
+});
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Record a stored object so the retention sweep can find it (expiresAt null = permanent)
+ */
+async function recordArtifact(key, { repoId, kind, plan, sizeBytes, expiresAt }) {
+  try {
+    await withStore(s => s.upsert({
+      key,
+      repo_id: repoId,
+      kind,
+      plan,
+      backend: getBackend().name,
+      size_bytes: sizeBytes,
+      expires_at: expiresAt,
+      created_at: new Date().toISOString()
+    }));
+  } catch (indexErr) {
+    console.warn('⚠️ Could not record artifact for retention (non-fatal):', indexErr.message);
+  }
+}
+
+async function getExpiry(plan, userId) {
+  const effectivePlan = plan || await resolvePlan(userId);
+  return {
+    plan: effectivePlan,
+    expiresAt: new Date(Date.now() + getRetentionDays(effectivePlan) * 24 * 60 * 60 * 1000).toISOString()
+  };
+}
+
+function toArtifactKey(repoId, name) {
+  return [repoId || '_local', name].join('/').replace(/[^A-Za-z0-9._\-/]/g, '_');
+}
+
+/**
+ * Copy a local artifact into the store and return a signed link to it.
+ * The key mirrors the file's path below test-results/ (<executionId>/screenshots/…), prefixed with the repo.
+ * @param {string} localPath - File written by a runner (usually under test-results/)
+ * @param {Object} [options]
+ * @param {string} [options.repoId] - "owner/repo"
+ * @param {string} [options.kind] - screenshot | video | trace | spec | visual
+ * @param {string} [options.plan] - Plan to apply retention for (else looked up from userId)
+ * @param {string} [options.userId] - Owner of the installation
+ * @returns {Promise<{ key: string, url: string, expiresAt: string }|null>} null when storing failed
+ */
+async function storeArtifact(localPath, { repoId = null, kind = null, plan = null, userId = null } = {}) {
+  try {
+    const stats = await fs.promises.stat(localPath);
+    const relative = path.relative(TEST_RESULTS_ROOT, localPath);
+    const inScratch = relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+    // Files from elsewhere get a random prefix so two runs can't overwrite each other
+    const name = inScratch
+      ? relative.split(path.sep).join('/')
+      : `${crypto.randomBytes(4).toString('hex')}-${path.basename(localPath)}`;
+    const key = toArtifactKey(repoId, name);
+
+    const expiry = await getExpiry(plan, userId);
+    await getBackend().put(key, localPath);
+    await recordArtifact(key, { repoId, kind, plan: expiry.plan, sizeBytes: stats.size, expiresAt: expiry.expiresAt });
+
+    return { key, url: getArtifactUrl(key, expiry.expiresAt), expiresAt: expiry.expiresAt };
+  } catch (err) {
+    console.warn(`⚠️ Could not store artifact ${localPath} (non-fatal):`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Contents of a stored artifact
+ * @returns {Promise<Buffer|null>} null when the object is gone (swept) or the store is unreachable
+ */
+async function readArtifact(key) {
+  try {
+    return await getBackend().read(key);
+  } catch (err) {
+    console.warn(`⚠️ Could not read artifact ${key} (non-fatal):`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Copy a stored artifact to a new key that is kept until released (visual baselines)
+ * @param {string} fromKey - Existing artifact key
+ * @param {string} name - Key below the repo prefix for the copy
+ * @param {Object} [options] - { repoId, kind }
+ * @returns {Promise<{ key: string }|null>} null when the source is gone or the copy failed
+ */
+async function copyArtifactPermanent(fromKey, name, { repoId = null, kind = null } = {}) {
+  const body = await readArtifact(fromKey);
+  if (!body) return null;
+  const key = toArtifactKey(repoId, name);
+  try {
+    await getBackend().write(key, body);
+  } catch (err) {
+    console.warn(`⚠️ Could not copy artifact ${fromKey} → ${key} (non-fatal):`, err.message);
+    return null;
+  }
+  await recordArtifact(key, { repoId, kind, plan: null, sizeBytes: body.length, expiresAt: null });
+  return { key };
+}
+
+/**
+ * Give a permanent artifact the normal retention from now, so links in old reports keep working
+ * until then and the sweep deletes it afterwards
+ * @param {string} key
+ * @param {Object} [options] - { plan, userId }
+ */
+async function releaseArtifact(key, { plan = null, userId = null } = {}) {
+  try {
+    const expiry = await getExpiry(plan, userId);
+    await withStore(s => s.update(key, { expires_at: expiry.expiresAt, plan: expiry.plan }));
+  } catch (err) {
+    console.warn(`⚠️ Could not release artifact ${key} (non-fatal):`, err.message);
+  }
+}
+
+/**
+ * Express handler for /test-results: serves an artifact only through a valid, unexpired signed link
+ */
+function serveArtifact(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return res.status(405).send('Method not allowed');
+  const key = toSafeKey(req.path);
+  if (!key || !verifyArtifactSignature(key, req.query.e, req.query.s)) {
+    return res.status(403).send('This artifact link is invalid or has expired');
+  }
+  res.setHeader('Cache-Control', 'private, max-age=300');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  // HTML reports are self-contained — no scripts, nothing loaded from elsewhere
+  res.setHeader('Content-Security-Policy', "default-src 'none'; img-src data:; style-src 'unsafe-inline'; media-src 'self'; sandbox");
+  try {
+    getBackend().send(key, res);
+  } catch (err) {
+    console.error('❌ Artifact store unavailable:', err.message);
+    res.status(500).send('Artifact store unavailable');
+  }
+}
+
+/**
+ * Delete artifacts whose retention has ended
+ * @returns {Promise<{ deleted: number }>}
+ */
+async function sweepExpiredArtifacts({ limit = 500 } = {}) {
+  let deleted = 0;
+  try {
+    const expired = await withStore(s => s.listExpired(new Date().toISOString(), limit));
+    for (const row of expired) {
+      try {
+        await getBackend().remove(row.key);
+        await withStore(s => s.remove(row.key));
+        deleted++;
+      } catch (err) {
+        console.warn(`⚠️ Could not delete expired artifact ${row.key} (non-fatal):`, err.message);
+      }
+    }
+    if (deleted > 0) console.log(`🧹 Deleted ${deleted} expired artifact(s)`);
+  } catch (err) {
+    console.warn('⚠️ Artifact retention sweep failed (non-fatal):', err.message);
+  }
+  return { deleted };
+}
+
+let sweepTimer = null;
+
+/**
+ * Run the retention sweep now and then hourly
+ */
+function startRetentionSweeper() {
+  if (sweepTimer) return;
+  sweepExpiredArtifacts();
+  sweepTimer = setInterval(() => sweepExpiredArtifacts(), SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  getRetentionDays,
+  getArtifactUrl,
+  verifyArtifactSignature,
+  storeArtifact,
+  readArtifact,
+  copyArtifactPermanent,
+  releaseArtifact,
+  serveArtifact,
+  sweepExpiredArtifacts,
+  startRetentionSweeper
+};
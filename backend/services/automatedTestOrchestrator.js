@@ -3,17 +3,41 @@
  * Coordinates executability scoring, test execution, GitHub Checks, and result reporting
  */
 
+const path = require('path');
 const { executeTestRecipe } = require('../ai/testExecutor');
 const { scoreExecutability, partitionByScore } = require('../ai/executabilityScorer');
 const { createCheckRun, updateCheckRunWithResults, updateCheckRunWithError, getOctokit } = require('./githubChecksService');
 const { generateTestReportComment } = require('./testReportFormatter');
 const { uploadScreenshotToGitHub } = require('./screenshotService');
+const { uploadVideo } = require('./videoService');
+const { storeArtifact } = require('./artifactStore');
+const { writeRunExports } = require('./testRunExporter');
+const { buildSourceIndex } = require('./failureSourceMapper');
+const { compareWithBaselines } = require('./visualBaselines');
+const { getScenarioLabel } = require('../ai/deviceProfiles');
 
 // Hard ceiling: 32 min (Browserbase sessions cap at 30 min; this gives 2 min buffer for cleanup)
 const GLOBAL_RUN_TIMEOUT_MS = 32 * 60 * 1000;
+// After a cancel, how long the executor gets to close the browser and hand back partial results
+const CANCEL_GRACE_MS = 20 * 1000;
 
+/**
+ * @param {Object} params - PR coordinates, test recipe, base URL and auth context.
+ *   `signal` (AbortSignal, optional) cancels the run: the browser session closes, the check run
+ *   completes as `cancelled` and the scenarios finished so far are reported.
+ *   `onProgress` (optional) receives { phase, done, total, current } as scenarios run.
+ *   `sourceContext` (optional) { fileContents, selectorHints, diff, productAreas } of the PR, used to
+ *   annotate failures on the source files that implement the failing flow.
+ *   `userId` (optional) owns the installation — its plan sets how long screenshots, videos and
+ *   traces are kept in the artifact store.
+ *   `accessibilityAudit` (optional) overrides TEST_EXECUTION_A11Y for this run (.firstqa.yml testrun.accessibility).
+ *   `visualRegression` (optional) { branch, threshold, mask } compares passing scenarios' final
+ *   state with the visual baselines of the default branch `branch`; null turns it off.
+ *   `allowedErrors` (optional) browser errors not to report as silent failures (.firstqa.yml testrun.allowed_errors).
+ *   `devices` (optional) device profiles to run every scenario on (`-devices` / .firstqa.yml testrun.devices).
+ */
 async function executeAutomatedTests(params) {
-  const { owner, repo, prNumber, sha, testRecipe, baseUrl, installationId, userContext, testCredentials, authCookies, appKnowledge } = params;
+  const { owner, repo, prNumber, sha, testRecipe, baseUrl, installationId, userContext, testCredentials, authCookies, appKnowledge, signal, onProgress, sourceContext, userId, accessibilityAudit, visualRegression, allowedErrors, devices } = params;
 
   console.log(`\n${'='.repeat(60)}`);
   console.log(`🚀 Starting Automated Test Execution`);
@@ -26,9 +50,19 @@ async function executeAutomatedTests(params) {
   let octokit;
   let checkRunId = null;
   let globalTimeoutHandle;
+  let removeAbortListener = () => {};
   let sharedResults = {}; // declared outside try so catch block can read partial results on timeout
+  let executableCount = null;
+  let sourceIndex = null;
 
   try {
+    if (sourceContext) {
+      try {
+        sourceIndex = buildSourceIndex(sourceContext);
+      } catch (indexErr) {
+        console.warn('⚠️ Could not build source index for annotations (non-fatal):', indexErr.message);
+      }
+    }
     octokit = await getOctokit(installationId);
     if (sha) {
       checkRunId = await createCheckRun(octokit, owner, repo, sha, prNumber);
@@ -38,8 +72,11 @@ async function executeAutomatedTests(params) {
 
     // Score each scenario for browser executability
     console.log(`🧠 Scoring scenario executability...`);
+    if (onProgress) onProgress({ phase: 'scoring', done: 0, total: testRecipe.length, current: null });
     const scoredRecipe = await scoreExecutability(testRecipe);
     const { executable, manual } = partitionByScore(scoredRecipe);
+    executableCount = executable.length;
+    if (signal?.aborted) throw new Error('CANCELLED: Test run was cancelled before execution started.');
 
     console.log(`   ✅ ${executable.length} executable (score >= 70)`);
     console.log(`   📋 ${manual.length} manual-only (score < 70)`);
@@ -62,6 +99,20 @@ async function executeAutomatedTests(params) {
         reject(new Error('GLOBAL_TIMEOUT: Test run exceeded 32-minute limit and was stopped automatically.'));
       }, GLOBAL_RUN_TIMEOUT_MS);
     });
+    // On cancel the executor stops by itself and returns partial results; this only fires if it doesn't in time
+    let cancelGraceHandle;
+    const cancelPromise = new Promise((_, reject) => {
+      if (!signal) return;
+      const onAbort = () => {
+        cancelGraceHandle = setTimeout(() => reject(new Error('CANCELLED: Test run was cancelled.')), CANCEL_GRACE_MS);
+      };
+      if (signal.aborted) return onAbort();
+      signal.addEventListener('abort', onAbort, { once: true });
+      removeAbortListener = () => {
+        signal.removeEventListener('abort', onAbort);
+        clearTimeout(cancelGraceHandle);
+      };
+    });
 
     const results = await Promise.race([
       executeTestRecipe(executable, baseUrl, {
@@ -71,38 +122,88 @@ async function executeAutomatedTests(params) {
         testCredentials,
         authCookies,
         sharedResults,
-        appKnowledge
+        appKnowledge,
+        // Passing scenarios are cached per repo and replayed on later runs
+        scriptCacheKey: `${owner}/${repo}`,
+        accessibilityAudit,
+        visualSnapshots: !!visualRegression,
+        visualMask: visualRegression?.mask || [],
+        allowedErrors: allowedErrors || [],
+        devices,
+        signal,
+        onProgress: onProgress ? (p) => onProgress({ phase: 'executing', ...p }) : null
       }),
-      globalTimeoutPromise
+      globalTimeoutPromise,
+      cancelPromise
     ]);
 
     clearTimeout(globalTimeoutHandle);
+    removeAbortListener();
 
-    console.log(`\n✅ Test execution completed`);
+    const cancelled = !!results.cancelled;
+    console.log(`\n${cancelled ? '🛑 Test execution cancelled' : '✅ Test execution completed'}`);
     console.log(`   Passed: ${results.passed} (${results.partial || 0} partial)`);
     console.log(`   Failed: ${results.failed}`);
 
     // Build screenshot URLs — failures here must not block the check run from closing
     console.log(`\n📸 Processing screenshots...`);
     const screenshotUrls = {};
+    const artifactOptions = { repoId: `${owner}/${repo}`, userId };
+    if (visualRegression) {
+      try {
+        results.visualSummary = await compareWithBaselines(results.scenarios, {
+          repoId: `${owner}/${repo}`,
+          branch: visualRegression.branch,
+          threshold: visualRegression.threshold,
+          artifactOptions
+        });
+      } catch (visualErr) {
+        console.warn('⚠️ Visual baseline comparison failed (non-fatal):', visualErr.message);
+      }
+    }
     for (const scenario of results.scenarios) {
       if (scenario.screenshotPath) {
         try {
-          const filename = `${scenario.scenario.replace(/[^a-z0-9]/gi, '_')}.png`;
-          const uploadResult = await uploadScreenshotToGitHub(scenario.screenshotPath, filename);
-          screenshotUrls[scenario.scenario] = uploadResult.url;
+          // Keyed by label: in a device matrix the same scenario has a screenshot per device
+          const label = getScenarioLabel(scenario);
+          const filename = `${label.replace(/[^a-z0-9]/gi, '_')}.png`;
+          const uploadResult = await uploadScreenshotToGitHub(scenario.screenshotPath, filename, artifactOptions);
+          screenshotUrls[label] = uploadResult.url;
         } catch (ssErr) {
           console.warn(`⚠️ Screenshot upload failed for "${scenario.scenario}": ${ssErr.message}`);
         }
       }
+      // Filmstrip thumbnails (kept for failed scenarios only)
+      for (const step of scenario.timeline?.steps || []) {
+        if (!step.thumbnailPath) continue;
+        step.thumbnailUrl = (await uploadScreenshotToGitHub(step.thumbnailPath, path.basename(step.thumbnailPath), artifactOptions)).url;
+      }
+      // Local runner: Playwright videos and traces go to the artifact store too
+      for (const [pathField, urlField, kind] of [['videoPath', 'videoUrl', 'video'], ['tracePath', 'traceUrl', 'trace']]) {
+        if (!scenario[pathField]) continue;
+        try {
+          scenario[urlField] = (await uploadVideo(scenario[pathField], path.basename(scenario[pathField]), { ...artifactOptions, kind })).url;
+        } catch (artifactErr) {
+          console.warn(`⚠️ ${kind} upload failed for "${scenario.scenario}": ${artifactErr.message}`);
+        }
+      }
     }
 
-    // Video/replay URL
-    const videoUrl = results.sessionReplayUrl || null;
+    // JUnit XML, CTRF JSON and HTML exports of the run, for CI artifact viewers and test dashboards
+    try {
+      const exportPaths = await writeRunExports(results, { title: `${owner}/${repo} · PR #${prNumber}`, repo: `${owner}/${repo}`, prNumber, sha });
+      results.exportUrls = {};
+      for (const [format, filePath] of Object.entries(exportPaths)) {
+        const stored = await storeArtifact(filePath, { ...artifactOptions, kind: 'report' });
+        if (stored) results.exportUrls[format] = stored.url;
+      }
+    } catch (exportErr) {
+      console.warn('⚠️ Test run export failed (non-fatal):', exportErr.message);
+    }
 
     // Always close the check run — this must not be skipped
     if (octokit && checkRunId) {
-      await updateCheckRunWithResults(octokit, owner, repo, checkRunId, results).catch(err => {
+      await updateCheckRunWithResults(octokit, owner, repo, checkRunId, results, { cancelled, sourceIndex }).catch(err => {
         console.error(`⚠️ Failed to update check run: ${err.message}`);
       });
     }
@@ -110,7 +211,11 @@ async function executeAutomatedTests(params) {
     // Post report comment
     console.log(`\n💬 Posting test report...`);
     try {
-      const comment = generateTestReportComment(results, videoUrl, screenshotUrls, manual);
+      let comment = generateTestReportComment(results, screenshotUrls, manual);
+      if (cancelled) {
+        const ran = results.scenarios.filter(s => s.status !== 'SKIPPED').length;
+        comment += `\n\n> 🛑 **Run cancelled** — partial results above (${ran} of ${results.totalTests} scenarios ran). Re-run with \`/qa testrun\`.\n`;
+      }
       await octokit.issues.createComment({ owner, repo, issue_number: prNumber, body: comment });
     } catch (reportErr) {
       console.error(`⚠️ Failed to post report comment: ${reportErr.message}`);
@@ -120,27 +225,29 @@ async function executeAutomatedTests(params) {
     console.log(`✅ Automated testing complete!`);
     console.log(`${'='.repeat(60)}\n`);
 
-    return { success: true, results, checkRunId, videoUrl, screenshotUrls };
+    return { success: !cancelled, cancelled, results, checkRunId, screenshotUrls };
 
   } catch (error) {
     clearTimeout(globalTimeoutHandle);
+    removeAbortListener();
 
     const isTimeout = error.message?.startsWith('GLOBAL_TIMEOUT');
-    console.error(`\n${isTimeout ? '⏱️' : '❌'} Automated test execution ${isTimeout ? 'timed out' : 'failed'}:`, error.message);
-    if (!isTimeout) console.error('❌ Stack:', error.stack);
+    const isCancelled = error.message?.startsWith('CANCELLED');
+    console.error(`\n${isTimeout ? '⏱️' : isCancelled ? '🛑' : '❌'} Automated test execution ${isTimeout ? 'timed out' : isCancelled ? 'cancelled' : 'failed'}:`, error.message);
+    if (!isTimeout && !isCancelled) console.error('❌ Stack:', error.stack);
 
-    // On timeout, we may have partial results from scenarios that already completed
-    const hasPartialResults = isTimeout && sharedResults && sharedResults.scenarios?.length > 0;
+    // On timeout or cancellation, we may have partial results from scenarios that already completed
+    const hasPartialResults = (isTimeout || isCancelled) && sharedResults && sharedResults.scenarios?.length > 0;
     const partialResults = hasPartialResults ? sharedResults : null;
 
     if (octokit && checkRunId) {
       if (hasPartialResults) {
-        // Post partial results with a timeout note
-        await updateCheckRunWithResults(octokit, owner, repo, checkRunId, partialResults).catch(() => {
+        // Post partial results with a timeout / cancel note
+        await updateCheckRunWithResults(octokit, owner, repo, checkRunId, partialResults, { cancelled: isCancelled, sourceIndex }).catch(() => {
           // Fallback if partial update also fails
           octokit.checks.update({
             owner, repo, check_run_id: checkRunId,
-            status: 'completed', conclusion: 'timed_out',
+            status: 'completed', conclusion: isCancelled ? 'cancelled' : 'timed_out',
             completed_at: new Date().toISOString(),
             output: { title: '⏱️ Test run timed out', summary: 'Run exceeded 32-minute limit.' }
           }).catch(() => {});
@@ -150,13 +257,15 @@ async function executeAutomatedTests(params) {
           owner, repo,
           check_run_id: checkRunId,
           status: 'completed',
-          conclusion: isTimeout ? 'timed_out' : 'failure',
+          conclusion: isTimeout ? 'timed_out' : isCancelled ? 'cancelled' : 'failure',
           completed_at: new Date().toISOString(),
           output: {
-            title: isTimeout ? '⏱️ Test run timed out after 32 minutes' : '❌ Test execution failed',
+            title: isTimeout ? '⏱️ Test run timed out after 32 minutes' : isCancelled ? '🛑 Test run cancelled' : '❌ Test execution failed',
             summary: isTimeout
               ? 'The test run hit the 32-minute limit and was stopped.'
-              : `An error occurred during test execution: ${error.message}`
+              : isCancelled
+                ? 'The test run was cancelled before any scenarios completed.'
+                : `An error occurred during test execution: ${error.message}`
           }
         }).catch(() => {});
       }
@@ -165,10 +274,12 @@ async function executeAutomatedTests(params) {
     if (octokit) {
       let body;
       if (hasPartialResults) {
-        const videoUrl = partialResults.sessionReplayUrl || null;
-        const screenshotUrls = {};
-        body = generateTestReportComment(partialResults, videoUrl, screenshotUrls, []);
-        body += `\n\n> ⏱️ **Run timed out after 32 minutes** — partial results above (${partialResults.scenarios.length} of ${executable?.length || '?'} scenarios completed). Re-run with \`/qa testrun\` to continue.\n`;
+        body = generateTestReportComment(partialResults, {}, []);
+        body += isCancelled
+          ? `\n\n> 🛑 **Run cancelled** — partial results above (${partialResults.scenarios.length} scenarios completed). Re-run with \`/qa testrun\`.\n`
+          : `\n\n> ⏱️ **Run timed out after 32 minutes** — partial results above (${partialResults.scenarios.length} of ${executableCount || '?'} scenarios completed). Re-run with \`/qa testrun\` to continue.\n`;
+      } else if (isCancelled) {
+        body = `## 🛑 Test Run Cancelled\n\nThe run was cancelled before any scenarios completed. Re-run with \`/qa testrun\`.\n\n<sub>🤖 Ovi AI Test Automation</sub>`;
       } else if (isTimeout) {
         body = `## ⏱️ Test Run Timed Out\n\nThe run was stopped after **32 minutes** before any scenarios completed.\n\n**Common causes:** Too many scenarios, app requires login, or slow staging environment.\n\n**Try:** Ensure credentials are configured in [Settings](${process.env.BASE_URL || 'https://www.firstqa.dev'}/dashboard/settings) and re-run with \`/qa testrun\`.\n\n<sub>🤖 Ovi AI Test Automation</sub>`;
       } else {
@@ -178,33 +289,43 @@ async function executeAutomatedTests(params) {
       await octokit.issues.createComment({ owner, repo, issue_number: prNumber, body }).catch(() => {});
     }
 
-    return { success: false, error: error.message, checkRunId };
+    return { success: false, cancelled: isCancelled, error: error.message, checkRunId };
   }
 }
 
-function shouldRunAutomatedTests(pr, aiInsights) {
+/**
+ * @param {Object} pr - GitHub PR payload
+ * @param {Object} aiInsights - Analysis result
+ * @param {Object} [repoConfig] - Normalized .firstqa.yml; trigger labels and staging URL override env vars
+ */
+function shouldRunAutomatedTests(pr, aiInsights, repoConfig = null) {
   if (process.env.TEST_AUTOMATION_ENABLED !== 'true') return false;
 
-  const triggerLabels = (process.env.TEST_AUTOMATION_TRIGGER_LABELS || '').split(',').map(l => l.trim());
-  if (triggerLabels.length > 0) {
-    const prLabels = pr.labels?.map(l => l.name) || [];
-    if (!triggerLabels.some(label => prLabels.includes(label))) return false;
+  const prLabels = pr.labels?.map(l => l.name) || [];
+  if (repoConfig?.testRunTriggerLabels) {
+    const lowered = prLabels.map(l => l.toLowerCase());
+    if (!repoConfig.testRunTriggerLabels.some(label => lowered.includes(label))) return false;
+  } else {
+    const triggerLabels = (process.env.TEST_AUTOMATION_TRIGGER_LABELS || '').split(',').map(l => l.trim());
+    if (triggerLabels.length > 0) {
+      if (!triggerLabels.some(label => prLabels.includes(label))) return false;
+    }
   }
 
   if (aiInsights?.data?.readyForDevPulse?.needsQA === 'No') return false;
 
   const testRecipe = aiInsights?.data?.testRecipe;
   if (!testRecipe || testRecipe.length === 0) return false;
-  if (!process.env.TEST_AUTOMATION_BASE_URL) return false;
+  if (!repoConfig?.stagingUrl && !process.env.TEST_AUTOMATION_BASE_URL) return false;
 
   return true;
 }
 
-function getTestConfig() {
+function getTestConfig(repoConfig = null) {
   return {
-    baseUrl: process.env.TEST_AUTOMATION_BASE_URL || 'http://localhost:3000',
+    baseUrl: repoConfig?.stagingUrl || process.env.TEST_AUTOMATION_BASE_URL || 'http://localhost:3000',
     enabled: process.env.TEST_AUTOMATION_ENABLED === 'true',
-    triggerLabels: (process.env.TEST_AUTOMATION_TRIGGER_LABELS || '').split(',').map(l => l.trim()).filter(Boolean),
+    triggerLabels: repoConfig?.testRunTriggerLabels || (process.env.TEST_AUTOMATION_TRIGGER_LABELS || '').split(',').map(l => l.trim()).filter(Boolean),
     headless: process.env.TEST_AUTOMATION_HEADLESS !== 'false',
     timeout: parseInt(process.env.TEST_AUTOMATION_TIMEOUT || '60000'),
     takeScreenshots: process.env.TEST_AUTOMATION_SCREENSHOTS !== 'false'
@@ -0,0 +1,177 @@
+/**
+ * Failure Source Mapper
+ * Links failed test scenarios back to the source files and lines that implement the failing flow,
+ * so check-run annotations land on real code instead of a placeholder path.
+ *
+ * Matching uses the same signals the Test Recipe was written from: selectors, routes, UI text and
+ * messages found in the PR's changed files (flowDiscovery), then the repo's indexed product areas.
+ * A match on a changed line is annotated on that line; a match elsewhere in a file is annotated
+ * at file level. Accessibility violations are located the same way, from the offending element's
+ * attributes and text.
+ */
+
+const { discoverFlows } = require('../ai/flowDiscovery');
+const { parseDiffHunks } = require('../ai/diffLineMapper');
+
+/** Most source locations annotated per failed scenario */
+const MAX_LOCATIONS_PER_SCENARIO = 2;
+/** Shortest UI text / title worth matching — shorter strings ("OK", "Go") match everywhere */
+const MIN_TEXT_LENGTH = 4;
+
+/**
+ * Build the lookup data for a PR once per test run
+ * @param {Object} params
+ * @param {Object} [params.fileContents] - { filePath: content } of changed files (fetchChangedFileContents)
+ * @param {Array} [params.selectorHints] - [{ file, type, value }]
+ * @param {string} [params.diff] - PR diff
+ * @param {Object} [params.productAreas] - repo_context.product_areas: { slug: { name, paths } }
+ * @returns {Object|null} Source index, or null when there is nothing to match against
+ */
+function buildSourceIndex({ fileContents = {}, selectorHints = [], diff = '', productAreas = {} } = {}) {
+  const changedLines = new Map();
+  for (const [file, hunks] of parseDiffHunks(diff)) {
+    changedLines.set(file, new Set(hunks.flatMap(h => h.lines).filter(l => l.type === 'add').map(l => l.num)));
+  }
+  if (Object.keys(fileContents).length === 0 && changedLines.size === 0) return null;
+
+  return {
+    flows: discoverFlows(fileContents, selectorHints),
+    fileLines: Object.fromEntries(Object.entries(fileContents).map(([file, content]) => [file, String(content).split('\n')])),
+    changedLines,
+    productAreas: productAreas || {}
+  };
+}
+
+/**
+ * Text the scenario's signals are searched in — what it did, what it expected and what happened
+ */
+function getScenarioText(scenario) {
+  return [scenario.scenario, scenario.steps, scenario.expected, scenario.actualResult, scenario.error]
+    .filter(Boolean)
+    .join('\n')
+    .toLowerCase();
+}
+
+/**
+ * Flow signals (needle + file + weight) that appear in the scenario text
+ */
+function findSignals(flows, text) {
+  const signals = [];
+  const add = (needle, file, weight) => {
+    if (file && needle && String(needle).length >= MIN_TEXT_LENGTH && text.includes(String(needle).toLowerCase())) {
+      signals.push({ needle: String(needle), file, weight });
+    }
+  };
+  for (const s of flows.selectors || []) {
+    add(s.value, s.file, 3);
+    add(s.selector, s.file, 3);
+  }
+  for (const m of flows.messages || []) add(m.message, m.file, 3);
+  for (const r of flows.routes || []) add(r.path, r.file, 2);
+  for (const u of flows.uiElements || []) add(u.text, u.file, 2);
+  for (const t of flows.sectionTitles || []) add(t.title, t.file, 1);
+  return signals;
+}
+
+/**
+ * Line of `needle` in a file, preferring a changed line
+ * @returns {{ line: number, changed: boolean }|null}
+ */
+function findLine(index, file, needle) {
+  const lines = index.fileLines[file];
+  if (!lines) return null;
+  const changed = index.changedLines.get(file) || new Set();
+  let first = null;
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].includes(needle)) continue;
+    if (changed.has(i + 1)) return { line: i + 1, changed: true };
+    if (first === null) first = i + 1;
+  }
+  return first === null ? null : { line: first, changed: false };
+}
+
+/** Extensions of files that render UI — preferred when an element's signals match several files */
+const UI_FILE_PATTERN = /\.(jsx|tsx|vue|svelte|html?|ejs|hbs|handlebars|erb|php|astro|njk|liquid)$/i;
+
+/**
+ * Source location of a page element (accessibility violation node), matched on its test id, id,
+ * name, labels, text, image source and classes in the PR's changed files
+ * @param {Object} node - { attrs, text, classes } as collected by the accessibility audit
+ * @returns {{ path: string, line: number, changed: boolean, matched: string }|null}
+ */
+function locateElementSource(node, index) {
+  if (!index || !node) return null;
+  const attrs = node.attrs || {};
+  const needles = [
+    [attrs['data-testid'], 4],
+    [attrs.id, 3],
+    [attrs.name, 3],
+    [attrs['aria-label'], 3],
+    [attrs.placeholder, 2],
+    [node.text, 2],
+    [attrs.src && attrs.src.split(/[?#]/)[0].split('/').pop(), 2],
+    ...(node.classes || []).map(c => [c, 1])
+  ].filter(([needle]) => needle && String(needle).length >= MIN_TEXT_LENGTH);
+
+  let best = null;
+  for (const file of Object.keys(index.fileLines)) {
+    for (const [needle, weight] of needles) {
+      const hit = findLine(index, file, String(needle));
+      if (!hit) continue;
+      const score = weight + (hit.changed ? 2 : 0) + (UI_FILE_PATTERN.test(file) ? 1 : 0);
+      if (!best || score > best.score) best = { path: file, line: hit.line, changed: hit.changed, matched: String(needle), score };
+    }
+  }
+  if (!best) return null;
+  const { score, ...location } = best;
+  return location;
+}
+
+/**
+ * Changed files of the product area(s) whose name appears in the scenario text
+ */
+function findAreaFiles(index, text) {
+  const files = [];
+  for (const area of Object.values(index.productAreas)) {
+    const name = String(area?.name || '').toLowerCase();
+    if (name.length < MIN_TEXT_LENGTH || !text.includes(name)) continue;
+    for (const p of area.paths || []) {
+      if (index.changedLines.has(p) && !files.some(f => f.path === p)) files.push({ path: p, area: area.name });
+    }
+  }
+  return files;
+}
+
+/**
+ * Source locations for one failed scenario
+ * @returns {Array<{ path: string, line: number|null, changed: boolean, matched: string }>}
+ *   `line` is null for file-level matches (product area only)
+ */
+function locateScenarioSource(scenario, index) {
+  if (!index) return [];
+  const text = getScenarioText(scenario);
+  const byFile = new Map();
+
+  for (const signal of findSignals(index.flows, text)) {
+    const hit = findLine(index, signal.file, signal.needle);
+    if (!hit) continue;
+    const score = signal.weight + (hit.changed ? 2 : 0);
+    const current = byFile.get(signal.file);
+    if (!current || score > current.score) {
+      byFile.set(signal.file, { path: signal.file, line: hit.line, changed: hit.changed, matched: signal.needle, score });
+    }
+  }
+
+  const locations = [...byFile.values()].sort((a, b) => b.score - a.score).slice(0, MAX_LOCATIONS_PER_SCENARIO);
+  if (locations.length > 0) return locations.map(({ score, ...loc }) => loc);
+
+  return findAreaFiles(index, text)
+    .slice(0, MAX_LOCATIONS_PER_SCENARIO)
+    .map(({ path, area }) => ({ path, line: null, changed: false, matched: `the ${area} product area` }));
+}
+
+module.exports = {
+  buildSourceIndex,
+  locateScenarioSource,
+  locateElementSource
+};
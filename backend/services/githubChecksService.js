@@ -5,6 +5,8 @@
 
 const { Octokit } = require('@octokit/rest');
 const { createAppAuth } = require('@octokit/auth-app');
+const { formatExportLinks } = require('./testReportFormatter');
+const { getDeviceProfile, getScenarioLabel } = require('../ai/deviceProfiles');
 
 /**
  * Get authenticated Octokit instance for GitHub App
@@ -61,13 +63,16 @@ async function createCheckRun(octokit, owner, repo, sha, prNumber) {
 
 /**
  * Update Check Run with test results
+ * @param {Object} [options] - { cancelled: boolean } close as `cancelled` with the partial results;
+ *   { sourceIndex } maps failures to source files for annotations (failureSourceMapper.buildSourceIndex)
  */
-async function updateCheckRunWithResults(octokit, owner, repo, checkRunId, results) {
+async function updateCheckRunWithResults(octokit, owner, repo, checkRunId, results, options = {}) {
   try {
     // If no scenarios ran at all, treat as a failure — not a vacuous pass
     const noScenariosRan = !results.totalTests || results.totalTests === 0;
     const passed = !noScenariosRan && results.failed === 0;
-    const conclusion = noScenariosRan ? 'failure' : (passed ? 'success' : 'failure');
+    const conclusion = options.cancelled ? 'cancelled' : noScenariosRan ? 'failure' : (passed ? 'success' : 'failure');
+    const completedCount = (results.scenarios || []).filter(s => s.status !== 'SKIPPED').length;
 
     // Generate summary
     const summary = generateSummary(results);
@@ -75,8 +80,11 @@ async function updateCheckRunWithResults(octokit, owner, repo, checkRunId, resul
     // Generate detailed text output
     const textOutput = generateDetailedOutput(results);
 
-    // Create annotations for failed tests
-    const annotations = generateAnnotations(results);
+    // Create annotations for failed tests, then accessibility issues — GitHub keeps only the first 50
+    const annotations = [
+      ...generateAnnotations(results, options.sourceIndex),
+      ...generateAccessibilityAnnotations(results.accessibility, options.sourceIndex)
+    ];
 
     console.log(`📝 Updating Check Run ${checkRunId} with ${conclusion}`);
 
@@ -88,11 +96,13 @@ async function updateCheckRunWithResults(octokit, owner, repo, checkRunId, resul
       conclusion,
       completed_at: new Date().toISOString(),
       output: {
-        title: noScenariosRan
-          ? '⚠️ No tests ran — browser session may have failed to start'
-          : passed 
-            ? `✅ All ${results.totalTests} tests passed!` 
-            : `❌ ${results.failed} of ${results.totalTests} tests failed`,
+        title: options.cancelled
+          ? `🛑 Cancelled — ${completedCount} of ${results.totalTests || 0} scenarios ran`
+          : noScenariosRan
+            ? '⚠️ No tests ran — browser session may have failed to start'
+            : passed
+              ? `✅ All ${results.totalTests} tests passed!`
+              : `❌ ${results.failed} of ${results.totalTests} tests failed`,
         summary,
         text: textOutput,
         annotations: annotations.slice(0, 50) // GitHub limits to 50 annotations
@@ -145,13 +155,34 @@ function generateSummary(results) {
   summary += `| ❌ Failed | ${results.failed} |\n`;
   summary += `| ⏭️ Skipped | ${results.skipped} |\n`;
   summary += `| **Total** | **${results.totalTests}** |\n\n`;
+  if (results.devices) {
+    summary += `📱 **Devices:** ${results.devices.map(d => getDeviceProfile(d).label).join(', ')} — each scenario ran on every device.\n\n`;
+  }
+  if (results.replayed > 0) {
+    summary += `⚡ ${results.replayed} scenario(s) replayed from cached scripts without the agent.\n\n`;
+  }
+  if (results.silentFailures && results.silentFailures.total > 0) {
+    const { total, passingScenarios } = results.silentFailures;
+    summary += `🔇 **Silent failures:** ${total} browser error(s) not on the allowlist${passingScenarios > 0 ? `, ${passingScenarios} in passing scenario(s)` : ''}.\n\n`;
+  }
+  if (results.accessibility) {
+    const { total, pagesAudited, byImpact } = results.accessibility;
+    summary += `♿ **Accessibility:** ${total === 0 ? 'no issues' : `${total} issue(s) — ${byImpact.critical} critical, ${byImpact.serious} serious`} on ${pagesAudited} page state(s).\n\n`;
+  }
+  if (results.visualSummary && (results.visualSummary.changed > 0 || results.visualSummary.new > 0)) {
+    summary += `🖼️ **Visual:** ${results.visualSummary.changed} changed, ${results.visualSummary.new} new screenshot(s) — \`/qa baseline accept\` to update the baselines.\n\n`;
+  }
+  const exportLinks = formatExportLinks(results.exportUrls);
+  if (exportLinks) {
+    summary += `📦 **Download:** ${exportLinks}\n\n`;
+  }
 
   if (results.failed > 0) {
     summary += `### ⚠️ Failed Tests\n\n`;
     results.scenarios
       .filter(s => s.status === 'FAIL' || s.status === 'ERROR')
       .forEach(s => {
-        summary += `- **${s.scenario}** (${s.priority})\n`;
+        summary += `- **${getScenarioLabel(s)}** (${s.priority})\n`;
       });
   }
 
@@ -180,7 +211,7 @@ function generateDetailedOutput(results) {
     for (const scenario of scenarios) {
       const statusEmoji = scenario.status === 'PASS' ? '✅' : '❌';
       const duration = (scenario.duration / 1000).toFixed(1);
-      output += `| ${scenario.scenario} | ${statusEmoji} ${scenario.status} | ${duration}s |\n`;
+      output += `| ${getScenarioLabel(scenario)} | ${statusEmoji} ${scenario.status} | ${duration}s |\n`;
     }
 
     output += `\n`;
@@ -196,7 +227,7 @@ function generateDetailedOutput(results) {
     for (const scenario of noPriority) {
       const statusEmoji = scenario.status === 'PASS' ? '✅' : '❌';
       const duration = (scenario.duration / 1000).toFixed(1);
-      output += `| ${scenario.scenario} | ${statusEmoji} ${scenario.status} | ${duration}s |\n`;
+      output += `| ${getScenarioLabel(scenario)} | ${statusEmoji} ${scenario.status} | ${duration}s |\n`;
     }
   }
 
@@ -204,24 +235,79 @@ function generateDetailedOutput(results) {
 }
 
 /**
- * Generate annotations for failed tests
+ * Generate annotations for failed tests, on the source that implements the failing flow.
+ * A match on a changed line is annotated there; a match outside the diff is annotated at file level.
+ * Failures that map to no file (or runs without a source index) get an annotation on `test-results`.
+ * @param {Object} [sourceIndex] - failureSourceMapper.buildSourceIndex() for the PR
  */
-function generateAnnotations(results) {
+function generateAnnotations(results, sourceIndex = null) {
+  const { locateScenarioSource } = require('./failureSourceMapper');
   const annotations = [];
+  let unlocated = 0;
 
   results.scenarios
     .filter(s => s.status === 'FAIL' || s.status === 'ERROR')
-    .forEach((scenario, index) => {
+    .forEach(scenario => {
+      const locations = locateScenarioSource(scenario, sourceIndex);
+      if (locations.length === 0) {
+        unlocated++;
+        annotations.push({
+          path: 'test-results',
+          start_line: unlocated,
+          end_line: unlocated,
+          annotation_level: 'failure',
+          title: `❌ ${getScenarioLabel(scenario)}`,
+          message: scenario.error || 'Test failed without specific error message',
+          raw_details: generateAnnotationDetails(scenario)
+        });
+        return;
+      }
+      for (const location of locations) {
+        const onLine = location.changed && location.line;
+        const where = location.line
+          ? `Matched \`${location.matched}\` at line ${location.line}${onLine ? '' : ' (outside this PR\'s changes)'}.`
+          : `Matched by ${location.matched}.`;
+        annotations.push({
+          path: location.path,
+          start_line: onLine ? location.line : 1,
+          end_line: onLine ? location.line : 1,
+          annotation_level: 'failure',
+          title: `❌ ${getScenarioLabel(scenario)}`,
+          message: `${scenario.error || 'Test failed without specific error message'}\n\n${where}`,
+          raw_details: generateAnnotationDetails(scenario)
+        });
+      }
+    });
+
+  return annotations;
+}
+
+/**
+ * Annotations for accessibility violations on the changed template/component that renders the element.
+ * Violations whose element matches no changed file are left to the report.
+ * @param {Object} [accessibility] - results.accessibility (accessibilityAudit summary)
+ */
+function generateAccessibilityAnnotations(accessibility, sourceIndex = null) {
+  const { locateElementSource } = require('./failureSourceMapper');
+  if (!accessibility || !sourceIndex) return [];
+  const annotations = [];
+
+  for (const rule of accessibility.rules) {
+    for (const node of rule.nodes) {
+      const location = locateElementSource(node, sourceIndex);
+      if (!location) continue;
+      const onLine = location.changed;
       annotations.push({
-        path: 'test-results',
-        start_line: index + 1,
-        end_line: index + 1,
-        annotation_level: 'failure',
-        title: `❌ ${scenario.scenario}`,
-        message: scenario.error || 'Test failed without specific error message',
-        raw_details: generateAnnotationDetails(scenario)
+        path: location.path,
+        start_line: onLine ? location.line : 1,
+        end_line: onLine ? location.line : 1,
+        annotation_level: rule.impact === 'critical' || rule.impact === 'serious' ? 'warning' : 'notice',
+        title: `♿ ${rule.id} (${rule.impact})`,
+        message: `${rule.help} — seen on ${node.pages.join(', ')}.\n\nMatched \`${location.matched}\` at line ${location.line}${onLine ? '' : ' (outside this PR\'s changes)'}.`,
+        raw_details: `Element: ${node.target}\n${node.html}\n\nRule: ${rule.helpUrl}`
       });
-    });
+    }
+  }
 
   return annotations;
 }
@@ -230,7 +316,7 @@ function generateAnnotations(results) {
  * Generate detailed annotation text for a failed test
  */
 function generateAnnotationDetails(scenario) {
-  let details = `**Test Scenario:** ${scenario.scenario}\n`;
+  let details = `**Test Scenario:** ${getScenarioLabel(scenario)}\n`;
   details += `**Priority:** ${scenario.priority}\n`;
   details += `**Duration:** ${(scenario.duration / 1000).toFixed(2)}s\n\n`;
   
@@ -292,6 +378,16 @@ function extractQAPulseDecision(aiData) {
   return null;
 }
 
+/**
+ * Extract the QA Pulse risk level ("| Risk | High | ... |") from the analysis markdown
+ * @returns {'Low'|'Medium'|'High'|null}
+ */
+function extractQAPulseRisk(aiData) {
+  const text = typeof aiData === 'string' ? aiData : aiData?.raw || aiData?.formatted || '';
+  const match = String(text).match(/\|\s*\**Risk\**\s*\|\s*\**\s*(?:[^\w|]*\s*)?(Low|Medium|High)\b/i);
+  return match ? match[1].charAt(0).toUpperCase() + match[1].slice(1).toLowerCase() : null;
+}
+
 function normalizeDecision(raw) {
   const lower = (raw || '').toLowerCase().trim();
   if (lower.startsWith('ship')) return 'ship';
@@ -300,23 +396,12 @@ function normalizeDecision(raw) {
   return null;
 }
 
-const DECISION_TO_CONCLUSION = {
-  'ship': 'success',
-  'investigate': 'neutral',
-  'no-go': 'action_required'
-};
-
-const DECISION_LABELS = {
-  'ship': 'Ship It!',
-  'investigate': 'Investigate',
-  'no-go': 'No-Go'
-};
-
 /**
- * Create a GitHub Check Run for QA analysis results (non-blocking).
- * Separate from test-execution checks.
+ * Create the "FirstQA — QA Analysis" check run. Separate from test-execution checks.
+ * The conclusion comes from the repo's merge policy (see mergePolicy.refreshQAAnalysisCheck).
+ * @param {Object} params - { installationId, owner, repo, sha, conclusion, title, summary, analysisUrl }
  */
-async function createQAAnalysisCheck({ installationId, owner, repo, sha, decision, bugCount, analysisUrl }) {
+async function createQAAnalysisCheck({ installationId, owner, repo, sha, conclusion, title, summary, analysisUrl }) {
   if (!installationId || !sha) {
     console.log('⏭️ Skipping QA analysis check: missing installationId or SHA');
     return null;
@@ -324,13 +409,6 @@ async function createQAAnalysisCheck({ installationId, owner, repo, sha, decisio
 
   try {
     const octokit = await getOctokit(installationId);
-    const conclusion = DECISION_TO_CONCLUSION[decision] || 'neutral';
-    const label = DECISION_LABELS[decision] || 'Unknown';
-
-    const bugLine = typeof bugCount === 'number' && bugCount > 0
-      ? `\n**Bugs & Risks:** ${bugCount} identified`
-      : '';
-
     const response = await octokit.checks.create({
       owner,
       repo,
@@ -339,10 +417,7 @@ async function createQAAnalysisCheck({ installationId, owner, repo, sha, decisio
       status: 'completed',
       conclusion,
       completed_at: new Date().toISOString(),
-      output: {
-        title: `QA Pulse: ${label}`,
-        summary: `**Decision:** ${label}${bugLine}\n\nSee the PR comment for the full analysis.`
-      },
+      output: { title, summary },
       details_url: analysisUrl || `${process.env.BASE_URL || 'http://localhost:3000'}/dashboard`
     });
 
@@ -360,6 +435,7 @@ module.exports = {
   updateCheckRunWithResults,
   updateCheckRunWithError,
   extractQAPulseDecision,
+  extractQAPulseRisk,
   createQAAnalysisCheck
 };
 
@@ -0,0 +1,479 @@
+/**
+ * Durable Job Queue
+ * Runs PR analyses, codebase indexing and test runs as jobs that survive restarts.
+ *
+ * Jobs live in the Supabase `job_queue` table (migration 022). Without Supabase — or before the
+ * migration has run — they fall back to a JSON file in the data directory.
+ *
+ * A worker claims a due job by flipping it from `queued` to `running` and holds a lease
+ * (`locked_until`) that it renews while the handler runs. Jobs whose lease expires (the process
+ * died mid-run) are put back in the queue. Failures retry with exponential backoff until
+ * `max_attempts`; handlers can throw an error with `retryable = false` to fail immediately.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../lib/supabase');
+const { createJsonFile, checkResult, createStoreSelector } = require('../utils/dataStore');
+
+const TABLE = 'job_queue';
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+/** Jobs running at once in this process */
+const MAX_CONCURRENCY = parseInt(process.env.JOB_QUEUE_CONCURRENCY || '4', 10);
+/** Jobs running at once per concurrency key (one key per GitHub installation), across all workers */
+const MAX_CONCURRENCY_PER_KEY = parseInt(process.env.JOB_QUEUE_CONCURRENCY_PER_INSTALLATION || '2', 10);
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_QUEUE_POLL_INTERVAL_MS || '2000', 10);
+/** A running job's lease; renewed every third of this while the handler is alive */
+const LEASE_MS = 2 * 60 * 1000;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 15 * 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 3;
+/** Finished jobs kept in the local file store */
+const FILE_STORE_KEEP_FINISHED = 500;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const handlers = new Map();
+/** Jobs running in this process: id → AbortController */
+const activeJobs = new Map();
+let pollTimer = null;
+let ticking = false;
+
+// ---------------------------------------------------------------------------
+// Stores
+// ---------------------------------------------------------------------------
+
+function matchesExpectations(job, expect) {
+  if (!job) return false;
+  if (expect.status && job.status !== expect.status) return false;
+  if (expect.lockedBy && job.locked_by !== expect.lockedBy) return false;
+  return true;
+}
+
+function matchesFilter(job, filter) {
+  if (filter.userId && job.user_id !== filter.userId) return false;
+  if (filter.repoId && job.repo_id !== filter.repoId) return false;
+  if (filter.prNumber != null && job.pr_number !== filter.prNumber) return false;
+  if (filter.type && job.job_type !== filter.type) return false;
+  if (filter.statuses && !filter.statuses.includes(job.status)) return false;
+  return true;
+}
+
+/**
+ * Local JSON-file store. Single process only — fine for self-hosted installs and local dev.
+ */
+function createFileStore() {
+  const file = createJsonFile('job-queue.json', { description: 'job queue file', empty: () => [] });
+  const load = file.load;
+
+  const save = () => {
+    const jobs = load();
+    const finished = jobs.filter(j => FINISHED_STATUSES.includes(j.status));
+    if (finished.length <= FILE_STORE_KEEP_FINISHED) return file.save();
+    const drop = new Set(finished
+      .sort((a, b) => (a.finished_at || '').localeCompare(b.finished_at || ''))
+      .slice(0, finished.length - FILE_STORE_KEEP_FINISHED)
+      .map(j => j.id));
+    file.save(jobs.filter(j => !drop.has(j.id)));
+  };
+
+  return {
+    name: 'file',
+    async insert(job) {
+      load().push(job);
+      save();
+      return { ...job };
+    },
+    async get(id) {
+      const job = load().find(j => j.id === id);
+      return job ? { ...job } : null;
+    },
+    async update(id, patch, expect = {}) {
+      const job = load().find(j => j.id === id);
+      if (!matchesExpectations(job, expect)) return null;
+      Object.assign(job, patch, { updated_at: new Date().toISOString() });
+      save();
+      return { ...job };
+    },
+    async findQueuedByDedupeKey(dedupeKey) {
+      const job = load().find(j => j.status === 'queued' && j.dedupe_key === dedupeKey);
+      return job ? { ...job } : null;
+    },
+    async listDue(nowIso, limit) {
+      return load()
+        .filter(j => j.status === 'queued' && j.run_after <= nowIso)
+        .sort((a, b) => a.run_after.localeCompare(b.run_after))
+        .slice(0, limit)
+        .map(j => ({ ...j }));
+    },
+    async listRunning() {
+      return load().filter(j => j.status === 'running').map(j => ({ ...j }));
+    },
+    async list(filter, limit) {
+      return load()
+        .filter(j => matchesFilter(j, filter))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .slice(0, limit)
+        .map(j => ({ ...j }));
+    }
+  };
+}
+
+/**
+ * Supabase store. Conditional updates (`expect`) make claiming a job safe across several workers.
+ */
+function createSupabaseStore() {
+  const check = result => checkResult(TABLE, result);
+
+  return {
+    name: 'supabase',
+    async insert(job) {
+      return check(await supabaseAdmin.from(TABLE).insert(job).select().single());
+    },
+    async get(id) {
+      return check(await supabaseAdmin.from(TABLE).select('*').eq('id', id).maybeSingle());
+    },
+    async update(id, patch, expect = {}) {
+      let query = supabaseAdmin.from(TABLE).update({ ...patch, updated_at: new Date().toISOString() }).eq('id', id);
+      if (expect.status) query = query.eq('status', expect.status);
+      if (expect.lockedBy) query = query.eq('locked_by', expect.lockedBy);
+      const rows = check(await query.select());
+      return rows && rows.length > 0 ? rows[0] : null;
+    },
+    async findQueuedByDedupeKey(dedupeKey) {
+      return check(await supabaseAdmin.from(TABLE).select('*').eq('status', 'queued').eq('dedupe_key', dedupeKey).maybeSingle());
+    },
+    async listDue(nowIso, limit) {
+      return check(await supabaseAdmin.from(TABLE).select('*').eq('status', 'queued').lte('run_after', nowIso).order('run_after', { ascending: true }).limit(limit)) || [];
+    },
+    async listRunning() {
+      return check(await supabaseAdmin.from(TABLE).select('id, concurrency_key, locked_by, locked_until, attempts, max_attempts, cancel_requested').eq('status', 'running')) || [];
+    },
+    async list(filter, limit) {
+      let query = supabaseAdmin.from(TABLE).select('*');
+      if (filter.userId) query = query.eq('user_id', filter.userId);
+      if (filter.repoId) query = query.eq('repo_id', filter.repoId);
+      if (filter.prNumber != null) query = query.eq('pr_number', filter.prNumber);
+      if (filter.type) query = query.eq('job_type', filter.type);
+      if (filter.statuses) query = query.in('status', filter.statuses);
+      return check(await query.order('created_at', { ascending: false }).limit(limit)) || [];
+    }
+  };
+}
+
+const { withStore } = createStoreSelector({
+  createSupabaseStore,
+  createFileStore,
+  missingTable: 'job_queue table missing (run migration 022)',
+  onSelect: store => console.log(`📬 Job queue using ${store.name} store (worker ${WORKER_ID})`)
+});
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Register the function that runs jobs of a type
+ * @param {string} type - e.g. 'github_analysis'
+ * @param {Function} handler - async (payload, { job, signal, reportProgress }) => result (JSON-serializable)
+ * @param {Object} [options] - { maxAttempts }
+ */
+function registerJobHandler(type, handler, options = {}) {
+  handlers.set(type, { run: handler, maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS });
+}
+
+/**
+ * Add a job to the queue
+ * With `dedupeKey`, a job that is still queued under the same key is reused: its payload is
+ * replaced and its start pushed back to `runAfter` (used to debounce pushes to a PR).
+ * @param {Object} job - { type, payload, concurrencyKey, dedupeKey, userId, repoId, prNumber, runAfter, maxAttempts }
+ * @returns {Promise<Object>} Job row, plus `deduped: true` when an existing job was reused
+ */
+async function enqueueJob({ type, payload = {}, concurrencyKey = null, dedupeKey = null, userId = null, repoId = null, prNumber = null, runAfter = null, maxAttempts = null }) {
+  if (!handlers.has(type)) {
+    throw new Error(`No job handler registered for "${type}"`);
+  }
+  const runAfterIso = new Date(runAfter || Date.now()).toISOString();
+
+  if (dedupeKey) {
+    const existing = await withStore(s => s.findQueuedByDedupeKey(dedupeKey));
+    if (existing) {
+      const updated = await withStore(s => s.update(existing.id, { payload, run_after: runAfterIso }, { status: 'queued' }));
+      if (updated) {
+        console.log(`📬 Job ${updated.id} (${type}) rescheduled for ${runAfterIso} [${dedupeKey}]`);
+        return { ...updated, deduped: true };
+      }
+    }
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    job_type: type,
+    status: 'queued',
+    user_id: userId,
+    concurrency_key: concurrencyKey,
+    dedupe_key: dedupeKey,
+    repo_id: repoId,
+    pr_number: prNumber,
+    payload,
+    progress: {},
+    result: null,
+    attempts: 0,
+    max_attempts: maxAttempts || handlers.get(type).maxAttempts,
+    run_after: runAfterIso,
+    locked_by: null,
+    locked_until: null,
+    cancel_requested: false,
+    last_error: null,
+    created_at: now,
+    updated_at: now,
+    started_at: null,
+    finished_at: null
+  };
+  let inserted;
+  try {
+    inserted = await withStore(s => s.insert(job));
+  } catch (err) {
+    // Unique violation on dedupe_key: another request queued the same work a moment ago
+    if (err.code !== '23505' || !dedupeKey) throw err;
+    const existing = await withStore(s => s.findQueuedByDedupeKey(dedupeKey));
+    if (!existing) throw err;
+    return { ...existing, deduped: true };
+  }
+  console.log(`📬 Job ${inserted.id} (${type}) queued${repoId ? ` for ${repoId}${prNumber ? `#${prNumber}` : ''}` : ''}`);
+  // Pick it up right away instead of waiting for the next poll
+  if (pollTimer) setImmediate(() => tick());
+  return inserted;
+}
+
+/**
+ * Cancel a job. Queued jobs are cancelled immediately; running jobs get `cancel_requested`
+ * and their handler's AbortSignal fires (here, or on the worker holding the lease at its next heartbeat).
+ * @returns {Promise<{ success: boolean, message: string, job?: Object }>}
+ */
+async function cancelJob(id) {
+  const job = await withStore(s => s.get(id));
+  if (!job) return { success: false, message: 'Job not found' };
+  if (FINISHED_STATUSES.includes(job.status)) {
+    return { success: false, message: `Job already ${job.status}`, job };
+  }
+  if (job.status === 'queued') {
+    const cancelled = await withStore(s => s.update(id, { status: 'cancelled', finished_at: new Date().toISOString(), last_error: 'Cancelled before start' }, { status: 'queued' }));
+    if (cancelled) {
+      console.log(`🛑 Job ${id} cancelled before start`);
+      return { success: true, message: 'Job cancelled', job: cancelled };
+    }
+    // Claimed by a worker in the meantime — fall through to the running case
+  }
+  const flagged = await withStore(s => s.update(id, { cancel_requested: true }, { status: 'running' }));
+  if (!flagged) {
+    const latest = await withStore(s => s.get(id));
+    return { success: false, message: `Job already ${latest?.status || 'gone'}`, job: latest };
+  }
+  const controller = activeJobs.get(id);
+  if (controller) controller.abort();
+  console.log(`🛑 Cancellation requested for running job ${id}`);
+  return { success: true, message: 'Cancellation requested', job: flagged };
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+async function getJob(id) {
+  return withStore(s => s.get(id));
+}
+
+/**
+ * List jobs, newest first
+ * @param {Object} [filter] - { userId, repoId, prNumber, type, statuses: string[] }
+ * @param {number} [limit]
+ */
+async function listJobs(filter = {}, limit = 50) {
+  return withStore(s => s.list(filter, Math.min(limit, 200)));
+}
+
+// ---------------------------------------------------------------------------
+// Worker
+// ---------------------------------------------------------------------------
+
+function retryDelayMs(attempts) {
+  const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1), RETRY_MAX_DELAY_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+function leaseUntil() {
+  return new Date(Date.now() + LEASE_MS).toISOString();
+}
+
+/** Result values are stored as JSON — drop anything that won't serialize */
+function toStoredResult(result) {
+  if (result === undefined) return null;
+  try {
+    return JSON.parse(JSON.stringify(result));
+  } catch (err) {
+    return { note: 'Result not serializable' };
+  }
+}
+
+/**
+ * Put jobs whose worker stopped renewing its lease back in the queue (or fail them when out of attempts)
+ */
+async function recoverExpiredLeases(running) {
+  const now = new Date().toISOString();
+  for (const job of running) {
+    if (!job.locked_until || new Date(job.locked_until).getTime() >= Date.now() || activeJobs.has(job.id)) continue;
+    let patch;
+    if (job.cancel_requested) {
+      patch = { status: 'cancelled', finished_at: now, locked_by: null, locked_until: null, last_error: 'Cancelled (worker stopped)' };
+    } else if (job.attempts >= job.max_attempts) {
+      patch = { status: 'failed', finished_at: now, locked_by: null, locked_until: null, last_error: 'Worker stopped before the job finished' };
+    } else {
+      patch = { status: 'queued', run_after: now, locked_by: null, locked_until: null, last_error: 'Worker stopped before the job finished — retrying' };
+    }
+    const recovered = await withStore(s => s.update(job.id, patch, { status: 'running', lockedBy: job.locked_by }));
+    if (recovered) {
+      console.warn(`⚠️ Job ${job.id} lease from ${job.locked_by} expired → ${recovered.status}`);
+    }
+  }
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.job_type);
+  const controller = new AbortController();
+  activeJobs.set(job.id, controller);
+  const label = `${job.job_type} ${job.id}${job.repo_id ? ` (${job.repo_id}${job.pr_number ? `#${job.pr_number}` : ''})` : ''}`;
+  console.log(`▶️ Job ${label} started (attempt ${job.attempts}/${job.max_attempts})`);
+
+  const heartbeat = setInterval(async () => {
+    try {
+      const renewed = await withStore(s => s.update(job.id, { locked_until: leaseUntil() }, { status: 'running', lockedBy: WORKER_ID }));
+      if (!renewed || renewed.cancel_requested) controller.abort();
+    } catch (err) {
+      console.warn(`⚠️ Job ${job.id} heartbeat failed (non-fatal):`, err.message);
+    }
+  }, Math.round(LEASE_MS / 3));
+  heartbeat.unref();
+
+  const reportProgress = async (progress) => {
+    try {
+      await withStore(s => s.update(job.id, { progress }, { status: 'running', lockedBy: WORKER_ID }));
+    } catch (err) {
+      console.warn(`⚠️ Job ${job.id} progress update failed (non-fatal):`, err.message);
+    }
+  };
+
+  const finish = async (patch) => {
+    try {
+      await withStore(s => s.update(job.id, { ...patch, locked_by: null, locked_until: null }, { status: 'running', lockedBy: WORKER_ID }));
+    } catch (err) {
+      console.error(`❌ Could not record outcome of job ${job.id}:`, err.message);
+    }
+  };
+
+  try {
+    const result = await handler.run(job.payload || {}, { job, signal: controller.signal, reportProgress });
+    const now = new Date().toISOString();
+    if (controller.signal.aborted) {
+      console.log(`🛑 Job ${label} cancelled`);
+      await finish({ status: 'cancelled', finished_at: now, result: toStoredResult(result), last_error: 'Cancelled' });
+    } else {
+      console.log(`✅ Job ${label} succeeded`);
+      await finish({ status: 'succeeded', finished_at: now, result: toStoredResult(result) });
+    }
+  } catch (err) {
+    const now = new Date().toISOString();
+    if (controller.signal.aborted) {
+      console.log(`🛑 Job ${label} cancelled: ${err.message}`);
+      await finish({ status: 'cancelled', finished_at: now, last_error: err.message });
+    } else if (err.retryable === false || job.attempts >= job.max_attempts) {
+      console.error(`❌ Job ${label} failed permanently:`, err.message);
+      await finish({ status: 'failed', finished_at: now, last_error: err.message });
+    } else {
+      const delay = retryDelayMs(job.attempts);
+      console.warn(`⚠️ Job ${label} failed, retrying in ${Math.round(delay / 1000)}s:`, err.message);
+      await finish({ status: 'queued', run_after: new Date(Date.now() + delay).toISOString(), last_error: err.message });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    activeJobs.delete(job.id);
+    if (pollTimer) setImmediate(() => tick());
+  }
+}
+
+/**
+ * One scheduling pass: recover dead leases, then claim due jobs while global and per-key limits allow
+ */
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    const running = await withStore(s => s.listRunning());
+    await recoverExpiredLeases(running);
+
+    let slots = MAX_CONCURRENCY - activeJobs.size;
+    if (slots <= 0) return;
+
+    const perKey = new Map();
+    for (const job of running) {
+      if (job.concurrency_key) perKey.set(job.concurrency_key, (perKey.get(job.concurrency_key) || 0) + 1);
+    }
+
+    const due = await withStore(s => s.listDue(new Date().toISOString(), 50));
+    for (const job of due) {
+      if (slots <= 0) break;
+      if (!handlers.has(job.job_type)) continue;
+      if (job.concurrency_key && (perKey.get(job.concurrency_key) || 0) >= MAX_CONCURRENCY_PER_KEY) continue;
+
+      const claimed = await withStore(s => s.update(job.id, {
+        status: 'running',
+        attempts: (job.attempts || 0) + 1,
+        locked_by: WORKER_ID,
+        locked_until: leaseUntil(),
+        started_at: job.started_at || new Date().toISOString()
+      }, { status: 'queued' }));
+      if (!claimed) continue; // another worker got it first
+
+      if (claimed.concurrency_key) perKey.set(claimed.concurrency_key, (perKey.get(claimed.concurrency_key) || 0) + 1);
+      slots--;
+      runJob(claimed);
+    }
+  } catch (err) {
+    console.error('❌ Job queue poll failed:', err.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start polling for jobs. Safe to call more than once.
+ */
+function startJobWorker() {
+  if (pollTimer) return;
+  console.log(`📬 Job worker ${WORKER_ID} started (concurrency ${MAX_CONCURRENCY}, ${MAX_CONCURRENCY_PER_KEY} per installation)`);
+  pollTimer = setInterval(() => tick(), POLL_INTERVAL_MS);
+  pollTimer.unref();
+  tick();
+}
+
+/**
+ * Stop polling. Jobs already running finish (or their lease expires and another worker retries them).
+ */
+function stopJobWorker() {
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+module.exports = {
+  JOB_STATUSES,
+  registerJobHandler,
+  enqueueJob,
+  cancelJob,
+  getJob,
+  listJobs,
+  startJobWorker,
+  stopJobWorker
+};
@@ -0,0 +1,210 @@
+/**
+ * Blast Radius - What a PR can break, from repo_context.dependency_graph
+ * Walks the graph backwards from the changed files (who imports them, who imports those, ...),
+ * losing confidence with every hop, and ranks the files, product areas and user flows reached.
+ */
+
+const path = require('path').posix;
+const { deriveProductAreasFromPaths } = require('./codebaseAnalyzer');
+
+/** Confidence of a direct importer; each further hop multiplies by it again (0.7, 0.49, 0.34, ...) */
+const HOP_DECAY = 0.7;
+const MAX_DEPTH = 5;
+/** Flows that only share a product area with a changed file */
+const SAME_AREA_CONFIDENCE = 0.5;
+const MAX_FILES = 50;
+
+/**
+ * Importer lists per file (the dependency graph reversed)
+ * @param {Object<string, string[]>} dependencyGraph - file → files it imports
+ * @param {string[]} changedFiles - Known files besides the graph's keys
+ */
+function buildReverseGraph(dependencyGraph, changedFiles) {
+  // Indexes built before imports were resolved hold raw specifiers ('./cart', '@/lib/money');
+  // map the relative and aliased ones onto known files by path without extension
+  const byStem = new Map();
+  for (const file of [...Object.keys(dependencyGraph || {}), ...changedFiles]) {
+    const stem = file.replace(/\.\w+$/, '');
+    byStem.set(stem, file);
+    if (stem.endsWith('/index')) byStem.set(stem.slice(0, -'/index'.length), file);
+  }
+  const toFile = (from, dep) => {
+    if (dep.startsWith('.')) {
+      const joined = path.normalize(path.join(path.dirname(from), dep));
+      return byStem.get(joined.replace(/\.\w+$/, '')) || byStem.get(joined) || null;
+    }
+    if (/^[@~]\//.test(dep)) return byStem.get(`src/${dep.slice(2)}`) || byStem.get(dep.slice(2)) || null;
+    return dep;
+  };
+
+  const importers = new Map();
+  for (const [file, deps] of Object.entries(dependencyGraph || {})) {
+    if (!Array.isArray(deps)) continue;
+    for (const raw of deps) {
+      const dep = typeof raw === 'string' ? toFile(file, raw) : null;
+      if (!dep || dep === file) continue;
+      if (!importers.has(dep)) importers.set(dep, []);
+      if (!importers.get(dep).includes(file)) importers.get(dep).push(file);
+    }
+  }
+  return importers;
+}
+
+/**
+ * Rank what a change reaches
+ * @param {Object} params
+ * @param {string[]} params.changedFiles
+ * @param {Object<string, string[]>} [params.dependencyGraph] - repo_context.dependency_graph
+ * @param {Object<string, { name: string, paths: string[] }>} [params.productAreas] - repo_context.product_areas
+ * @param {Array<{ name: string, file_paths: string[], area: string|null }>} [params.userFlows] - repo_context.user_flows
+ * @returns {{
+ *   files: Array<{ file: string, depth: number, confidence: number, via: string[] }>,
+ *   areas: Array<{ slug: string, name: string, confidence: number, depth: number, files: number }>,
+ *   flows: Array<{ flowName: string, confidence: number, reason: string, depth: number|null, via: string[] }>,
+ *   dependentCount: number
+ * }} Each list highest confidence first; `via` is the import chain from the file back to a changed file
+ */
+function computeBlastRadius({ changedFiles = [], dependencyGraph = {}, productAreas = {}, userFlows = [] }) {
+  const importers = buildReverseGraph(dependencyGraph, changedFiles);
+
+  // Breadth-first, so each file is reached first by its shortest chain; `reached` also stops cycles
+  const reached = new Map();
+  let frontier = [];
+  for (const file of new Set(changedFiles)) {
+    reached.set(file, { file, depth: 0, confidence: 1, via: [] });
+    frontier.push(file);
+  }
+  for (let depth = 1; depth <= MAX_DEPTH && frontier.length; depth++) {
+    const next = [];
+    for (const file of frontier) {
+      for (const importer of importers.get(file) || []) {
+        if (reached.has(importer)) continue;
+        const chain = [file, ...reached.get(file).via];
+        reached.set(importer, { file: importer, depth, confidence: round(HOP_DECAY ** depth), via: chain });
+        next.push(importer);
+      }
+    }
+    frontier = next;
+  }
+  const files = [...reached.values()].sort((a, b) => a.depth - b.depth || a.file.localeCompare(b.file));
+
+  // Product areas: the indexed map, and the path heuristic for files it doesn't cover
+  const areaBySlug = new Map();
+  const fileAreas = new Map();
+  const addArea = (file, slug, name) => {
+    if (!fileAreas.has(file)) fileAreas.set(file, []);
+    if (!fileAreas.get(file).includes(slug)) fileAreas.get(file).push(slug);
+    if (!areaBySlug.has(slug)) areaBySlug.set(slug, { slug, name: name || slug, confidence: 0, depth: Infinity, files: 0 });
+  };
+  for (const [slug, area] of Object.entries(productAreas || {})) {
+    for (const p of (area && area.paths) || []) {
+      if (reached.has(p)) addArea(p, slug, area.name);
+    }
+  }
+  for (const area of deriveProductAreasFromPaths(files.map(f => f.file).filter(f => !fileAreas.has(f)))) {
+    for (const p of area.paths) addArea(p, area.slug, productAreas?.[area.slug]?.name || area.name);
+  }
+  for (const [file, slugs] of fileAreas) {
+    const { confidence, depth } = reached.get(file);
+    for (const slug of slugs) {
+      const area = areaBySlug.get(slug);
+      area.files++;
+      if (confidence > area.confidence) area.confidence = confidence;
+      if (depth < area.depth) area.depth = depth;
+    }
+  }
+  const areas = [...areaBySlug.values()].sort((a, b) => b.confidence - a.confidence || b.files - a.files);
+
+  // User flows: their closest file, or a product area shared with a changed file
+  const changedAreas = new Set(changedFiles.flatMap(f => fileAreas.get(f) || []));
+  const flows = [];
+  const seen = new Set();
+  for (const flow of userFlows || []) {
+    const name = flow.name || flow.entity_name;
+    if (!name || seen.has(name)) continue;
+    let closest = null;
+    for (const p of flow.file_paths || []) {
+      const hit = reached.get(p);
+      if (hit && (!closest || hit.depth < closest.depth)) closest = hit;
+    }
+    const sameArea = flow.area && changedAreas.has(flow.area);
+    if (closest && (closest.confidence >= SAME_AREA_CONFIDENCE || !sameArea)) {
+      seen.add(name);
+      flows.push({
+        flowName: name,
+        confidence: closest.confidence,
+        reason: closest.depth === 0 ? 'direct file change' : 'dependency impact',
+        depth: closest.depth,
+        via: closest.depth === 0 ? [] : [closest.file, ...closest.via]
+      });
+    } else if (sameArea) {
+      seen.add(name);
+      flows.push({ flowName: name, confidence: SAME_AREA_CONFIDENCE, reason: 'same product area', depth: null, via: [] });
+    }
+  }
+  flows.sort((a, b) => b.confidence - a.confidence);
+
+  const dependentCount = files.filter(f => f.depth > 0).length;
+  return { files: files.slice(0, MAX_FILES), areas, flows, dependentCount };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * "2 hops from `src/lib/money.ts`" — how far a file or flow is from the change
+ */
+function describeChain(depth, via) {
+  if (!depth) return 'changed';
+  return `${depth} hop${depth === 1 ? '' : 's'} from \`${via[via.length - 1]}\``;
+}
+
+/**
+ * Collapsible "Blast radius" section for the PR comment; '' when the change reaches nothing beyond itself
+ * @param {ReturnType<typeof computeBlastRadius>|null} blastRadius
+ */
+function formatBlastRadiusForComment(blastRadius) {
+  if (!blastRadius) return '';
+  const indirect = blastRadius.files.filter(f => f.depth > 0);
+  if (!indirect.length && !blastRadius.flows.length) return '';
+
+  const pct = c => `${Math.round(c * 100)}%`;
+  const lines = [];
+  const reachedCount = blastRadius.dependentCount;
+  const summary = [
+    `${reachedCount} dependent file${reachedCount === 1 ? '' : 's'}`,
+    blastRadius.areas.length ? `${blastRadius.areas.length} product area${blastRadius.areas.length === 1 ? '' : 's'}` : '',
+    blastRadius.flows.length ? `${blastRadius.flows.length} user flow${blastRadius.flows.length === 1 ? '' : 's'}` : ''
+  ].filter(Boolean).join(', ');
+  lines.push(`<details>\n<summary>💥 <b>Blast radius</b> — ${summary}</summary>\n`);
+  if (blastRadius.flows.length) {
+    lines.push('**User flows**\n');
+    lines.push('| Flow | Confidence | Why |\n|------|------------|-----|');
+    for (const f of blastRadius.flows.slice(0, 10)) {
+      const why = f.reason === 'dependency impact' ? `depends on the change (${describeChain(f.depth, f.via)})` : f.reason;
+      lines.push(`| ${f.flowName} | ${pct(f.confidence)} | ${why} |`);
+    }
+    lines.push('');
+  }
+  if (blastRadius.areas.length) {
+    lines.push(`**Product areas:** ${blastRadius.areas.slice(0, 8).map(a => `${a.name} (${pct(a.confidence)})`).join(', ')}\n`);
+  }
+  if (indirect.length) {
+    lines.push('**Dependent files**\n');
+    for (const f of indirect.slice(0, 15)) {
+      lines.push(`- \`${f.file}\` — ${pct(f.confidence)}, ${describeChain(f.depth, f.via)}`);
+    }
+    if (reachedCount > 15) lines.push(`- …and ${reachedCount - 15} more`);
+    lines.push('');
+  }
+  lines.push('</details>');
+  return lines.join('\n');
+}
+
+module.exports = {
+  HOP_DECAY,
+  MAX_DEPTH,
+  computeBlastRadius,
+  formatBlastRadiusForComment
+};
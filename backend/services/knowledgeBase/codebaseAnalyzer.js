@@ -1,16 +1,26 @@
 /**
  * Codebase Analyzer - Initial repository analysis for product knowledge
- * Fetches files from repo, extracts knowledge via GPT-4o-mini, creates embeddings, stores in product_knowledge
+ * Checks out the repo once through a source provider (GitHub or Bitbucket tarball, or a local checkout),
+ * extracts knowledge via GPT-4o-mini, creates embeddings, stores in product_knowledge
+ * Re-indexing is incremental: only files changed on the default branch since the last indexed commit
+ * (repo_context.indexed_sha) are re-extracted, and repo_context is patched rather than rebuilt.
  */
 
+const crypto = require('crypto');
 const OpenAI = require('openai');
 const { supabaseAdmin, isSupabaseConfigured } = require('../../lib/supabase');
-const { getOctokit } = require('../githubChecksService');
+const { createGitHubSource, readCheckedOutFile } = require('./sourceProviders');
+const { createImportResolver, CONFIG_FILES } = require('./importResolver');
+const { extractModuleInfo } = require('../../ai/astExtractor');
 
 const EXCLUDED_PATTERNS = ['node_modules', '.git', 'dist', 'build', '.next', '.nuxt', 'coverage', '__pycache__', '.venv', 'venv'];
 const EXCLUDED_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.ico', '.woff', '.woff2', '.ttf', '.eot', '.map', '.min.js', '.min.css', '.lock'];
 const BATCH_SIZE = parseInt(process.env.INITIAL_ANALYSIS_BATCH_SIZE || '50', 10);
 const MAX_FILE_SIZE = 100000; // ~100KB per file
+/** Changed files above which a re-index rebuilds everything instead */
+const MAX_INCREMENTAL_FILES = 300;
+/** Bumped when what an index stores changes shape, so older indexes are rebuilt instead of patched (2: resolved dependency_graph) */
+const INDEX_FORMAT_VERSION = 2;
 const ANALYSISABLE_EXTENSIONS = ['.js', '.ts', '.jsx', '.tsx', '.vue', '.py', '.java', '.go', '.rb', '.php', '.cs', '.rs', '.swift', '.kt'];
 const TEST_FILE_PATTERNS = [
   /\.(test|spec)\.(js|ts|jsx|tsx)$/i,
@@ -148,6 +158,40 @@ function deriveProductAreasFromPaths(filePaths) {
   return Array.from(areaBySlug.values());
 }
 
+/**
+ * Apply product-area overrides from .firstqa.yml on top of the heuristic areas.
+ * Files matched by an override's globs move to that area; areas left empty are dropped.
+ * @param {Array<{ slug: string, name: string, paths: string[] }>} areas - Heuristic areas
+ * @param {string[]} filePaths - Repo file paths
+ * @param {Object} overrides - { [slug]: { name, paths: string[] } }
+ * @returns {Array<{ slug: string, name: string, paths: string[] }>}
+ */
+function applyProductAreaOverrides(areas, filePaths, overrides) {
+  if (!overrides || Object.keys(overrides).length === 0) return areas;
+  const { matchesAnyGlob } = require('../../utils/globMatcher');
+  const claimed = new Map();
+  for (const [slug, override] of Object.entries(overrides)) {
+    for (const p of filePaths) {
+      if (!claimed.has(p) && matchesAnyGlob(p, override.paths)) claimed.set(p, slug);
+    }
+  }
+  const bySlug = new Map();
+  for (const area of areas) {
+    const paths = area.paths.filter(p => !claimed.has(p));
+    bySlug.set(area.slug, { ...area, paths });
+  }
+  for (const [slug, override] of Object.entries(overrides)) {
+    const paths = filePaths.filter(p => claimed.get(p) === slug);
+    const existing = bySlug.get(slug);
+    bySlug.set(slug, {
+      slug,
+      name: override.name || existing?.name || slug,
+      paths: [...(existing?.paths || []), ...paths]
+    });
+  }
+  return Array.from(bySlug.values()).filter(a => a.paths.length > 0 || overrides[a.slug]);
+}
+
 /**
  * Extract user flow name from test file path/name
  * e.g. subscriptionUpgrade.test.ts -> "upgrade subscription", loginFlow.test.js -> "login flow"
@@ -165,30 +209,236 @@ function extractUserFlowFromTestFile(filePath, content) {
 }
 
 /**
- * Parse import/require statements to get dependency module names (repo-relative or service name)
+ * Imports of a file (static, dynamic, require and re-exports) with the names they bind — from the
+ * AST for JS/TS/Vue/Svelte, a regex scan for anything that doesn't parse.
+ * importResolver.js turns them into repo files.
+ * @returns {Array<{ specifier: string, names: string[]|null }>}
  */
 function parseImports(content, filePath) {
+  if (!content || typeof content !== 'string') return [];
+  const info = extractModuleInfo(filePath, content);
+  if (info) return info.imports.map(({ specifier, names }) => ({ specifier, names }));
   const deps = new Set();
-  if (!content || typeof content !== 'string') return Array.from(deps);
   const reRequire = /require\s*\(\s*['"`]([^'"`]+)['"`]\s*\)/g;
   const reImport = /import\s+(?:[\w{}\s,*]+\s+from\s+)?['"`]([^'"`]+)['"`]/g;
   let m;
   while ((m = reRequire.exec(content)) !== null) deps.add(m[1].trim());
   while ((m = reImport.exec(content)) !== null) deps.add(m[1].trim());
-  return Array.from(deps).filter(Boolean);
+  return Array.from(deps).filter(Boolean).map(specifier => ({ specifier, names: null }));
+}
+
+/**
+ * Fingerprint of the settings that decide which files get indexed — an index built with other
+ * ignore_paths (or an older format) can't be patched, only rebuilt
+ */
+function getIndexFingerprint(options = {}) {
+  const ignorePaths = [...(options.ignorePaths || [])].sort();
+  return crypto.createHash('sha1').update(JSON.stringify({ ignorePaths, format: INDEX_FORMAT_VERSION })).digest('hex').slice(0, 16);
+}
+
+/**
+ * Files changed on the branch since the last indexed commit
+ * @returns {Promise<{ baseSha: string, changed: string[], removed: string[] }|null>} null when a full index is needed:
+ *   never indexed, other branch or settings, history rewritten (not a fast-forward) or too many changes
+ */
+async function getChangesSinceLastIndex(source, { repoId, branch, headSha, fingerprint }) {
+  const { data: indexed, error } = await supabaseAdmin
+    .from('repo_context')
+    .select('indexed_sha, indexed_branch, index_fingerprint')
+    .eq('repo_id', repoId)
+    .maybeSingle();
+  if (error) {
+    console.warn('⚠️ Could not read last indexed commit (run migration 027), indexing in full (non-fatal):', error.message);
+    return null;
+  }
+  if (!indexed?.indexed_sha || indexed.indexed_branch !== branch || indexed.index_fingerprint !== fingerprint) return null;
+  if (indexed.indexed_sha === headSha) return { baseSha: headSha, changed: [], removed: [] };
+
+  let comparison;
+  try {
+    comparison = await source.compare(indexed.indexed_sha, headSha);
+  } catch (err) {
+    console.warn(`⚠️ Could not compare ${indexed.indexed_sha.slice(0, 7)}...${headSha.slice(0, 7)}, indexing in full (non-fatal):`, err.message);
+    return null;
+  }
+  // After a force push, or past a few hundred files, rebuild
+  const files = comparison.files || [];
+  if (comparison.status !== 'ahead' || comparison.truncated || files.length >= MAX_INCREMENTAL_FILES) return null;
+
+  const changed = [];
+  const removed = [];
+  for (const file of files) {
+    if (file.status === 'removed') {
+      removed.push(file.filename);
+      continue;
+    }
+    if (file.status === 'renamed' && file.previous_filename) removed.push(file.previous_filename);
+    changed.push(file.filename);
+  }
+  return { baseSha: indexed.indexed_sha, changed, removed };
+}
+
+/**
+ * Delete the extracted knowledge of files (product areas are re-derived separately). An entry
+ * that also covers files outside `paths` stays, with just those other files left in file_paths.
+ */
+async function removeFileKnowledge(repoId, paths) {
+  const removed = new Set(paths);
+  const rows = new Map();
+  for (let i = 0; i < paths.length; i += 100) {
+    const { data, error } = await supabaseAdmin
+      .from('product_knowledge')
+      .select('id, file_paths')
+      .eq('repo_id', repoId)
+      .neq('knowledge_type', 'product_area')
+      .overlaps('file_paths', paths.slice(i, i + 100));
+    if (error) {
+      console.warn('⚠️ Could not look up knowledge of changed files (non-fatal):', error.message);
+      return;
+    }
+    for (const row of data || []) rows.set(row.id, row.file_paths || []);
+  }
+
+  const toDelete = [];
+  for (const [id, filePaths] of rows) {
+    const kept = filePaths.filter(path => !removed.has(path));
+    if (kept.length === 0) {
+      toDelete.push(id);
+      continue;
+    }
+    const { error } = await supabaseAdmin.from('product_knowledge').update({ file_paths: kept }).eq('id', id);
+    if (error) console.warn('⚠️ Could not trim knowledge of changed files (non-fatal):', error.message);
+  }
+
+  for (let i = 0; i < toDelete.length; i += 100) {
+    const { error } = await supabaseAdmin
+      .from('product_knowledge')
+      .delete()
+      .in('id', toDelete.slice(i, i + 100));
+    if (error) console.warn('⚠️ Could not remove knowledge of changed files (non-fatal):', error.message);
+  }
+}
+
+/**
+ * Delete everything a previous full index extracted, before rebuilding it. Knowledge synced from
+ * merged PRs (source_pr_number) is kept.
+ */
+async function removeIndexedKnowledge(repoId) {
+  const { error } = await supabaseAdmin
+    .from('product_knowledge')
+    .delete()
+    .eq('repo_id', repoId)
+    .neq('knowledge_type', 'product_area')
+    .is('source_pr_number', null);
+  if (error) console.warn('⚠️ Could not clear previous index (non-fatal):', error.message);
+}
+
+/**
+ * Patch a repo_context list: fresh entries first, then the stored ones of files that weren't
+ * touched, de-duplicated by key
+ */
+function replaceFileEntries(existing, incoming, touched, keyFn, limit) {
+  const byKey = new Map();
+  for (const entry of [...incoming, ...(existing || []).filter(e => !touched.has(e.file))]) {
+    const key = keyFn(entry);
+    if (!byKey.has(key)) byKey.set(key, entry);
+  }
+  return [...byKey.values()].slice(0, limit);
+}
+
+/**
+ * Remember the commit the index now reflects, for the next incremental run
+ */
+async function recordIndexedCommit(repoId, { sha, branch, fingerprint }) {
+  const { error } = await supabaseAdmin
+    .from('repo_context')
+    .update({ indexed_sha: sha, indexed_branch: branch, index_fingerprint: fingerprint, indexed_at: new Date().toISOString() })
+    .eq('repo_id', repoId);
+  if (error) console.warn('⚠️ Could not record indexed commit — the next re-index will be a full one (run migration 027):', error.message);
+}
+
+/**
+ * Keep what indexing found before the product map edits, so edits saved later can be applied without a re-index
+ */
+async function recordIndexedProductMap(repoId, { paths, areas }) {
+  const { error } = await supabaseAdmin
+    .from('repo_context')
+    .update({ indexed_paths: paths, indexed_areas: areas })
+    .eq('repo_id', repoId);
+  if (error) console.warn('⚠️ Could not record indexed paths — product map ownership rules only see files already in an area (run migration 028):', error.message);
+}
+
+/**
+ * Write the product_area knowledge rows of new and changed areas; drop the rows of areas that are gone
+ * @param {Object<string, { name: string, paths: string[] }>} areas - product_areas to store
+ * @param {Object<string, { name: string, paths: string[] }>} previousAreas - product_areas the rows were written from ({} for none)
+ * @returns {Promise<number>} Rows created
+ */
+async function syncProductAreaRows(repoId, areas, previousAreas, gitSha) {
+  let created = 0;
+  for (const [slug, area] of Object.entries(areas)) {
+    // Unchanged areas keep their row and embedding
+    const previous = previousAreas[slug];
+    if (previous && previous.name === area.name && (previous.paths || []).join('\n') === area.paths.join('\n')) continue;
+    const { data: existing } = await supabaseAdmin
+      .from('product_knowledge')
+      .select('id')
+      .eq('repo_id', repoId)
+      .eq('knowledge_type', 'product_area')
+      .eq('entity_name', slug)
+      .limit(1)
+      .maybeSingle();
+    const embedding = await createEmbedding(`${area.name}: ${area.paths.slice(0, 5).join(', ')}`);
+    if (existing) {
+      await supabaseAdmin.from('product_knowledge').update({
+        description: area.name,
+        file_paths: area.paths.slice(0, 200),
+        embedding,
+        last_updated: new Date().toISOString()
+      }).eq('id', existing.id);
+    } else {
+      await supabaseAdmin.from('product_knowledge').insert({
+        repo_id: repoId,
+        knowledge_type: 'product_area',
+        entity_name: slug,
+        description: area.name,
+        file_paths: area.paths.slice(0, 200),
+        dependencies: [],
+        metadata: {},
+        embedding,
+        git_sha: gitSha,
+        source_pr_number: null
+      });
+      created++;
+    }
+  }
+  const staleAreas = Object.keys(previousAreas).filter(slug => !areas[slug]);
+  if (staleAreas.length) {
+    await supabaseAdmin
+      .from('product_knowledge')
+      .delete()
+      .eq('repo_id', repoId)
+      .eq('knowledge_type', 'product_area')
+      .in('entity_name', staleAreas);
+  }
+  return created;
 }
 
 /**
  * Analyze repository and populate product_knowledge
  * @param {string} repoFullName - owner/repo
- * @param {number} installationId - GitHub App installation ID
+ * @param {number} installationId - GitHub App installation ID (unused with `options.source`)
  * @param {string} defaultBranch - Default branch (default 'main')
  * @param {Object} [onComplete] - Optional: { postComment: async (body) => {} } to post completion message
- * @returns {Promise<{jobId: string, filesAnalyzed: number, entriesCreated: number}>}
+ * @param {Object} [options] - Optional .firstqa.yml settings: { ignorePaths: string[], productAreaOverrides: Object },
+ *   plus `signal` (AbortSignal) to stop between batches when the indexing job is cancelled and
+ *   `full` to rebuild the index instead of re-indexing the files changed since the last indexed commit.
+ *   `source` reads the repo from elsewhere than the GitHub installation (sourceProviders.js)
+ * @returns {Promise<{jobId: string, filesAnalyzed: number, entriesCreated: number, filesRemoved: number, incremental: boolean}>}
  */
-async function analyzeRepository(repoFullName, installationId, defaultBranch = 'main', onComplete = null) {
-  const [owner, repo] = repoFullName.split('/');
+async function analyzeRepository(repoFullName, installationId, defaultBranch = 'main', onComplete = null, options = {}) {
   const repoId = repoFullName;
+  const source = options.source || createGitHubSource({ repoFullName, installationId });
 
   if (!isSupabaseConfigured()) {
     throw new Error('Supabase not configured - cannot run codebase analysis');
@@ -221,25 +471,56 @@ async function analyzeRepository(repoFullName, installationId, defaultBranch = '
 
   let filesAnalyzed = 0;
   let entriesCreated = 0;
+  let checkout = null;
 
   try {
-    const octokit = await getOctokit(installationId);
-    if (!octokit) throw new Error('Could not get GitHub API client');
+    const treeSha = await source.resolveRef(defaultBranch);
 
-    const refRes = await octokit.git.getRef({ owner, repo, ref: `heads/${defaultBranch}` });
-    const treeSha = refRes.data.object.sha;
+    // Re-index: only what changed on the branch since the last indexed commit
+    const fingerprint = getIndexFingerprint(options);
+    const changes = options.full ? null : await getChangesSinceLastIndex(source, { repoId, branch: defaultBranch, headSha: treeSha, fingerprint });
+    const incremental = !!changes;
 
-    const treeRes = await octokit.git.getTree({ owner, repo, tree_sha: treeSha, recursive: '1' });
-    const allPaths = (treeRes.data.tree || [])
-      .filter(t => t.type === 'blob')
-      .map(t => t.path);
+    if (incremental && changes.changed.length === 0 && changes.removed.length === 0) {
+      console.log(`✅ ${repoFullName} index is up to date at ${treeSha.slice(0, 7)}`);
+      await supabaseAdmin
+        .from('knowledge_sync_jobs')
+        .update({
+          status: 'completed',
+          progress: 100,
+          completed_at: new Date().toISOString(),
+          metadata: { mode: 'incremental', files_analyzed: 0, entries_created: 0, note: 'Already up to date' }
+        })
+        .eq('id', jobId);
+      if (onComplete?.postComment) {
+        await onComplete.postComment(`✅ **Codebase index is up to date** — nothing changed on \`${defaultBranch}\` since it was built (\`${treeSha.slice(0, 7)}\`).`)
+          .catch(e => console.warn('Could not post completion comment:', e.message));
+      }
+      return { jobId, filesAnalyzed: 0, entriesCreated: 0, filesRemoved: 0, incremental };
+    }
 
-    const filePaths = filterRelevantFiles(allPaths);
-    const totalFiles = filePaths.length;
-    console.log(`📂 Found ${totalFiles} analyzable files in ${repoFullName}`);
+    // One checkout of the commit; every path is listed (product areas are derived from all of them).
+    // Unchanged files are written too — imports of changed files resolve through them (barrels, tsconfig)
+    const { matchesAnyGlob } = require('../../utils/globMatcher');
+    const isIndexed = p => filterRelevantFiles([p]).length > 0 && !matchesAnyGlob(p, options.ignorePaths);
+    checkout = await source.checkout(treeSha, {
+      filter: p => isIndexed(p) || CONFIG_FILES.includes(p.split('/').pop()),
+      maxFileSize: MAX_FILE_SIZE,
+      signal: options.signal
+    });
+
+    const filePaths = filterRelevantFiles(checkout.paths).filter(p => !matchesAnyGlob(p, options.ignorePaths));
+    const relevant = new Set(filePaths);
+    const toExtract = incremental ? changes.changed.filter(p => relevant.has(p)) : filePaths;
+    // Files whose knowledge rows and repo_context entries are replaced (incremental only)
+    const touched = new Set(incremental ? [...changes.changed, ...changes.removed] : []);
+    const totalFiles = toExtract.length;
+    console.log(incremental
+      ? `📂 ${repoFullName}: ${changes.changed.length} changed, ${changes.removed.length} removed since ${changes.baseSha.slice(0, 7)} — re-indexing ${totalFiles} analyzable file(s)`
+      : `📂 Found ${totalFiles} analyzable files in ${repoFullName}`);
 
     // Handle empty repos or repos with no analyzable files
-    if (totalFiles === 0) {
+    if (!incremental && totalFiles === 0) {
       console.log(`ℹ️  No analyzable files in ${repoFullName}, marking job as completed`);
       await supabaseAdmin
         .from('knowledge_sync_jobs')
@@ -253,13 +534,20 @@ async function analyzeRepository(repoFullName, installationId, defaultBranch = '
       return { filesAnalyzed: 0, entriesCreated: 0 };
     }
 
+    // Knowledge of the files being re-extracted (or gone) is replaced, not added to
+    if (incremental) {
+      await removeFileKnowledge(repoId, [...touched]);
+    } else {
+      await removeIndexedKnowledge(repoId);
+    }
+
     const batches = [];
-    for (let i = 0; i < filePaths.length; i += BATCH_SIZE) {
-      batches.push(filePaths.slice(i, i + BATCH_SIZE));
+    for (let i = 0; i < toExtract.length; i += BATCH_SIZE) {
+      batches.push(toExtract.slice(i, i + BATCH_SIZE));
     }
 
     const dependencyGraph = {};
-    const testFlowsByArea = {};
+    const importsByFile = {};
     const sectionTitlesAccum = [];
     const routesAccum = [];
     const uiElementsAccum = [];
@@ -268,18 +556,18 @@ async function analyzeRepository(repoFullName, installationId, defaultBranch = '
     const { extractSectionTitles, extractRoutes, extractUIElements, extractAPIEndpoints, extractMessages } = require('../../ai/flowDiscovery');
 
     for (let b = 0; b < batches.length; b++) {
+      if (options.signal?.aborted) throw new Error('Indexing cancelled');
       const batch = batches[b];
       const progress = Math.round(((b + 1) / batches.length) * 100);
       let batchErrors = 0;
 
       for (const filePath of batch) {
         try {
-          const contentRes = await octokit.repos.getContent({ owner, repo, path: filePath, ref: defaultBranch });
-          const content = contentRes.data.content ? Buffer.from(contentRes.data.content, 'base64').toString('utf8') : '';
+          const content = await readCheckedOutFile(checkout, filePath, MAX_FILE_SIZE);
           if (content.length > MAX_FILE_SIZE || content.length < 10) continue;
 
           const imports = parseImports(content, filePath);
-          if (imports.length) dependencyGraph[filePath] = imports;
+          if (imports.length) importsByFile[filePath] = imports;
 
           const titles = extractSectionTitles(filePath, content);
           if (titles.length) sectionTitlesAccum.push(...titles);
@@ -293,8 +581,6 @@ async function analyzeRepository(repoFullName, installationId, defaultBranch = '
             const flowName = extractUserFlowFromTestFile(filePath, content);
             const areas = deriveProductAreasFromPaths([filePath]);
             const areaSlug = areas.length ? areas[0].slug : 'other';
-            if (!testFlowsByArea[areaSlug]) testFlowsByArea[areaSlug] = [];
-            if (!testFlowsByArea[areaSlug].includes(flowName)) testFlowsByArea[areaSlug].push(flowName);
             const embedding = await createEmbedding(`${flowName}: test flow`);
             await supabaseAdmin.from('product_knowledge').insert({
               repo_id: repoId,
@@ -356,54 +642,47 @@ async function analyzeRepository(repoFullName, installationId, defaultBranch = '
         .eq('id', jobId);
     }
 
-    const productAreasHeuristic = deriveProductAreasFromPaths(filePaths);
-    for (const area of productAreasHeuristic) {
-      const slug = area.slug;
-      const { data: existing } = await supabaseAdmin
-        .from('product_knowledge')
-        .select('id')
-        .eq('repo_id', repoId)
-        .eq('knowledge_type', 'product_area')
-        .eq('entity_name', slug)
-        .limit(1)
-        .maybeSingle();
-      const embedding = await createEmbedding(`${area.name}: ${area.paths.slice(0, 5).join(', ')}`);
-      const payload = {
-        repo_id: repoId,
-        knowledge_type: 'product_area',
-        entity_name: slug,
-        description: area.name,
-        file_paths: area.paths.slice(0, 200),
-        dependencies: [],
-        metadata: {},
-        embedding,
-        git_sha: treeSha,
-        source_pr_number: null
-      };
-      if (existing) {
-        await supabaseAdmin.from('product_knowledge').update({
-          description: payload.description,
-          file_paths: payload.file_paths,
-          embedding: payload.embedding,
-          last_updated: new Date().toISOString()
-        }).eq('id', existing.id);
-      } else {
-        await supabaseAdmin.from('product_knowledge').insert(payload);
-        entriesCreated++;
+    // Imports → repo files, through tsconfig paths and barrel re-exports (packages drop out)
+    const resolver = createImportResolver({
+      files: checkout.paths,
+      readFile: p => readCheckedOutFile(checkout, p, MAX_FILE_SIZE)
+    });
+    for (const [filePath, imports] of Object.entries(importsByFile)) {
+      try {
+        const dependencies = await resolver.resolveImports(filePath, imports);
+        if (dependencies.length) dependencyGraph[filePath] = dependencies;
+      } catch (err) {
+        console.warn(`⚠️ Could not resolve imports of ${filePath} (non-fatal):`, err.message);
       }
     }
 
+    // An incremental run patches what the last index stored
+    const { data: previousContext } = incremental
+      ? await supabaseAdmin
+        .from('repo_context')
+        .select('product_areas, dependency_graph, section_titles, routes, ui_elements, api_endpoints, messages')
+        .eq('repo_id', repoId)
+        .maybeSingle()
+      : { data: null };
+
+    // The team's product map edits (dashboard) are applied on top of what the paths suggest
+    const productAreasIndexed = {};
+    for (const a of applyProductAreaOverrides(deriveProductAreasFromPaths(filePaths), filePaths, options.productAreaOverrides)) {
+      productAreasIndexed[a.slug] = { name: a.name, paths: a.paths };
+    }
     const { data: userFlowRows } = await supabaseAdmin
       .from('product_knowledge')
       .select('entity_name, description, file_paths, metadata')
       .eq('repo_id', repoId)
       .eq('knowledge_type', 'user_flow');
-    const userFlows = (userFlowRows || []).map(r => ({
-      name: r.entity_name,
-      description: r.description,
-      file_paths: r.file_paths || [],
-      area: (r.metadata && r.metadata.area) || null
-    }));
+    const { buildProductMap, getProductMap } = require('./productMap');
+    const { productAreas: productAreasMap, userFlows, testsByArea } = buildProductMap({
+      indexedAreas: productAreasIndexed,
+      filePaths,
+      flowRows: userFlowRows || [],
+      edits: await getProductMap(repoId)
+    });
+    entriesCreated += await syncProductAreaRows(repoId, productAreasMap, previousContext?.product_areas || {}, treeSha);
 
     const { data: serviceRows } = await supabaseAdmin
       .from('product_knowledge')
@@ -414,53 +693,53 @@ async function analyzeRepository(repoFullName, installationId, defaultBranch = '
     for (const r of serviceRows || []) {
       services[r.entity_name] = { path: (r.file_paths && r.file_paths[0]) || '', dependencies: r.dependencies || [] };
     }
-
-    const productAreasMap = {};
-    for (const a of productAreasHeuristic) {
-      productAreasMap[a.slug] = { name: a.name, paths: a.paths };
-    }
-
-    const sectionTitles = [...new Map(sectionTitlesAccum.map(s => [s.title.toLowerCase(), s])).values()].slice(0, 30);
-    const uniqueRoutes = [...new Map(routesAccum.map(r => [r.path, r])).values()].slice(0, 50);
-    const uniqueUIElements = [...new Map(uiElementsAccum.map(u => [`${u.type}:${u.text}`, u])).values()].slice(0, 60);
-    const uniqueAPIEndpoints = [...new Map(apiEndpointsAccum.map(e => [e.endpoint, e])).values()].slice(0, 40);
-    const uniqueMessages = [...new Map(messagesAccum.map(m => [m.message, m])).values()].slice(0, 30);
+    const previousGraph = Object.fromEntries(Object.entries(previousContext?.dependency_graph || {}).filter(([file]) => !touched.has(file)));
 
     await supabaseAdmin.from('repo_context').upsert({
       repo_id: repoId,
       product_areas: productAreasMap,
       user_flows: userFlows,
       services: services,
-      tests_by_area: testFlowsByArea,
-      dependency_graph: dependencyGraph,
-      section_titles: sectionTitles,
-      routes: uniqueRoutes,
-      ui_elements: uniqueUIElements,
-      api_endpoints: uniqueAPIEndpoints,
-      messages: uniqueMessages,
+      tests_by_area: testsByArea,
+      dependency_graph: { ...previousGraph, ...dependencyGraph },
+      section_titles: replaceFileEntries(previousContext?.section_titles, sectionTitlesAccum, touched, s => s.title.toLowerCase(), 30),
+      routes: replaceFileEntries(previousContext?.routes, routesAccum, touched, r => r.path, 50),
+      ui_elements: replaceFileEntries(previousContext?.ui_elements, uiElementsAccum, touched, u => `${u.type}:${u.text}`, 60),
+      api_endpoints: replaceFileEntries(previousContext?.api_endpoints, apiEndpointsAccum, touched, e => e.endpoint, 40),
+      messages: replaceFileEntries(previousContext?.messages, messagesAccum, touched, m => m.message, 30),
       git_sha: treeSha,
       updated_at: new Date().toISOString()
     }, { onConflict: 'repo_id' });
+    await recordIndexedCommit(repoId, { sha: treeSha, branch: defaultBranch, fingerprint });
+    await recordIndexedProductMap(repoId, { paths: filePaths, areas: productAreasIndexed });
 
+    const filesRemoved = incremental ? changes.removed.length : 0;
     await supabaseAdmin
       .from('knowledge_sync_jobs')
       .update({
         status: 'completed',
         progress: 100,
         completed_at: new Date().toISOString(),
-        metadata: { files_analyzed: filesAnalyzed, entries_created: entriesCreated }
+        metadata: {
+          mode: incremental ? 'incremental' : 'full',
+          ...(incremental ? { base_sha: changes.baseSha, files_removed: filesRemoved } : {}),
+          files_analyzed: filesAnalyzed,
+          entries_created: entriesCreated
+        }
       })
       .eq('id', jobId);
 
-    console.log(`✅ Codebase analysis complete: ${filesAnalyzed} files, ${entriesCreated} entries`);
+    console.log(`✅ Codebase ${incremental ? 're-index' : 'analysis'} complete: ${filesAnalyzed} files, ${entriesCreated} entries${incremental ? `, ${filesRemoved} removed` : ''}`);
     if (onComplete?.postComment) {
       try {
-        await onComplete.postComment(`✅ **Codebase analysis complete!** Analyzed ${filesAnalyzed} files, extracted ${entriesCreated} knowledge entries. Your next analyses will have full product context.`);
+        await onComplete.postComment(incremental
+          ? `✅ **Codebase index updated** — re-indexed ${filesAnalyzed} changed file(s) and dropped ${filesRemoved} removed since \`${changes.baseSha.slice(0, 7)}\` (${entriesCreated} knowledge entries).`
+          : `✅ **Codebase analysis complete!** Analyzed ${filesAnalyzed} files, extracted ${entriesCreated} knowledge entries. Your next analyses will have full product context.`);
       } catch (e) {
         console.warn('Could not post completion comment:', e.message);
       }
     }
-    return { jobId, filesAnalyzed, entriesCreated };
+    return { jobId, filesAnalyzed, entriesCreated, filesRemoved, incremental };
   } catch (err) {
     console.error('Codebase analysis failed:', err);
     await supabaseAdmin
@@ -474,12 +753,16 @@ async function analyzeRepository(repoFullName, installationId, defaultBranch = '
 
     if (onComplete?.postComment) {
       try {
-        await onComplete.postComment(`❌ **Codebase analysis failed:** ${err.message}\n\nRetry with \`/qa -index\` when ready.`);
+        await onComplete.postComment(options.signal?.aborted
+          ? '🛑 **Codebase indexing cancelled.** Run `/qa -index` to start it again.'
+          : `❌ **Codebase analysis failed:** ${err.message}\n\nRetry with \`/qa -index\` when ready.`);
       } catch (e) {
         console.warn('Could not post error comment:', e.message);
       }
     }
     throw err;
+  } finally {
+    if (checkout) await checkout.cleanup();
   }
 }
 
@@ -487,6 +770,8 @@ module.exports = {
   analyzeRepository,
   filterRelevantFiles,
   deriveProductAreasFromPaths,
+  applyProductAreaOverrides,
+  syncProductAreaRows,
   extractUserFlowFromTestFile,
   parseImports,
   isTestFile
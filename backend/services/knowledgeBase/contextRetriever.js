@@ -5,7 +5,7 @@
 
 const OpenAI = require('openai');
 const { supabaseAdmin, isSupabaseConfigured } = require('../../lib/supabase');
-const { deriveProductAreasFromPaths } = require('./codebaseAnalyzer');
+const { computeBlastRadius } = require('./blastRadius');
 
 const openai = process.env.OPENAI_API_KEY ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY }) : null;
 
@@ -23,88 +23,45 @@ async function createEmbedding(text) {
 }
 
 /**
- * Get affected user flows for PR changed files (direct match, dependency expansion, same area)
+ * Get affected user flows for PR changed files — direct change, transitive importers (confidence
+ * decays per hop) or same product area; see blastRadius.js
  * @param {string} repoId - repo full name
  * @param {string[]} changedFiles - changed file paths
- * @returns {Promise<Array<{ flowName: string, confidence: number, reason: string }>>}
+ * @returns {Promise<Array<{ flowName: string, confidence: number, reason: string, depth: number|null, via: string[] }>>}
  */
 async function getAffectedFlows(repoId, changedFiles) {
-  const out = [];
-  if (!changedFiles.length) return out;
+  if (!changedFiles.length) return [];
   try {
     const { data: rc } = await supabaseAdmin
       .from('repo_context')
       .select('product_areas, user_flows, dependency_graph')
       .eq('repo_id', repoId)
       .maybeSingle();
-    const productAreas = (rc && rc.product_areas) || {};
-    const userFlows = (rc && rc.user_flows) || [];
-    const dependencyGraph = (rc && rc.dependency_graph) || {};
-    const changedSet = new Set(changedFiles);
-
-    const fileToAreas = {};
-    const areasFromHeuristic = deriveProductAreasFromPaths(changedFiles);
-    for (const a of areasFromHeuristic) {
-      for (const p of a.paths) {
-        if (!fileToAreas[p]) fileToAreas[p] = [];
-        fileToAreas[p].push(a.slug);
-      }
-    }
-    for (const [areaSlug, areaData] of Object.entries(productAreas)) {
-      const paths = (areaData && areaData.paths) || [];
-      for (const p of paths) {
-        if (changedSet.has(p)) {
-          if (!fileToAreas[p]) fileToAreas[p] = [];
-          if (!fileToAreas[p].includes(areaSlug)) fileToAreas[p].push(areaSlug);
-        }
-      }
-    }
-
-    const impactedFiles = new Set(changedFiles);
-    for (const [file, deps] of Object.entries(dependencyGraph)) {
-      const depList = Array.isArray(deps) ? deps : [];
-      const matchesChanged = depList.some(d => {
-        if (changedSet.has(d)) return true;
-        if (d.endsWith('.js') || d.endsWith('.ts') || d.endsWith('.tsx') || d.endsWith('.jsx')) return changedSet.has(d);
-        const asPath = d.replace(/^\.\//, '').replace(/^\@\//, '');
-        return changedSet.has(asPath) || changedFiles.some(cf => cf.includes(d) || cf.endsWith(d));
-      });
-      if (matchesChanged) impactedFiles.add(file);
-    }
-
-    const flowSeen = new Set();
-    for (const flow of userFlows) {
-      const name = flow.name || flow.entity_name;
-      const paths = flow.file_paths || [];
-      const directMatch = paths.some(p => changedSet.has(p));
-      const depMatch = paths.some(p => impactedFiles.has(p)) && !directMatch;
-      const areaSlug = flow.area || null;
-      const changedAreas = new Set();
-      for (const f of changedFiles) {
-        (fileToAreas[f] || []).forEach(a => changedAreas.add(a));
-      }
-      const sameArea = areaSlug && changedAreas.has(areaSlug) && !directMatch && !depMatch;
-      if (directMatch) {
-        if (!flowSeen.has(name)) { flowSeen.add(name); out.push({ flowName: name, confidence: 1.0, reason: 'direct file change' }); }
-      } else if (depMatch) {
-        if (!flowSeen.has(name)) { flowSeen.add(name); out.push({ flowName: name, confidence: 0.7, reason: 'dependency impact' }); }
-      } else if (sameArea) {
-        if (!flowSeen.has(name)) { flowSeen.add(name); out.push({ flowName: name, confidence: 0.5, reason: 'same product area' }); }
-      }
-    }
-    return out;
+    return getBlastRadius(rc, changedFiles).flows;
   } catch (err) {
     console.error('getAffectedFlows error:', err.message);
     return [];
   }
 }
 
+/**
+ * Ranked files, product areas and user flows a change reaches, from a repo_context row
+ */
+function getBlastRadius(rc, changedFiles) {
+  return computeBlastRadius({
+    changedFiles,
+    dependencyGraph: (rc && rc.dependency_graph) || {},
+    productAreas: (rc && rc.product_areas) || {},
+    userFlows: (rc && rc.user_flows) || []
+  });
+}
+
 /**
  * Get product context for analysis
  * @param {string} repoFullName - owner/repo
  * @param {string[]} changedFiles - Array of changed file paths
  * @param {string} description - PR title + body or ticket description (for semantic search)
- * @returns {Promise<{components, apis, dataModels, relatedFeatures}>}
+ * @returns {Promise<{components, apis, dataModels, relatedFeatures, affectedFlows, blastRadius}>}
  */
 async function getProductContext(repoFullName, changedFiles = [], description = '') {
   const repoId = repoFullName;
@@ -116,6 +73,7 @@ async function getProductContext(repoFullName, changedFiles = [], description =
     productAreas: [],
     userFlows: [],
     affectedFlows: [],
+    blastRadius: null,
     repoContext: null,
     sectionTitles: []
   };
@@ -132,13 +90,16 @@ async function getProductContext(repoFullName, changedFiles = [], description =
     };
 
     if (changedFiles.length && process.env.ENABLE_KNOWLEDGE_SYNC === 'true') {
-      result.affectedFlows = await getAffectedFlows(repoId, changedFiles);
       const { data: rc } = await supabaseAdmin
         .from('repo_context')
         .select('product_areas, user_flows, services, tests_by_area, dependency_graph, section_titles, routes, ui_elements, api_endpoints, messages')
         .eq('repo_id', repoId)
         .maybeSingle();
       result.repoContext = rc || null;
+      if (rc) {
+        result.blastRadius = getBlastRadius(rc, changedFiles);
+        result.affectedFlows = result.blastRadius.flows;
+      }
       if (rc && Array.isArray(rc.section_titles) && rc.section_titles.length) {
         result.sectionTitles = rc.section_titles;
       }
@@ -262,8 +223,14 @@ function formatProductContextForPrompt(context) {
   }
   const parts = [];
   if (context.affectedFlows && context.affectedFlows.length) {
-    parts.push('### Affected User Flows\n' + context.affectedFlows.map(f =>
-      `- **${f.flowName}** (${(f.confidence * 100).toFixed(0)}% – ${f.reason})`
+    parts.push('### Affected User Flows\n' + context.affectedFlows.slice(0, 15).map(f =>
+      `- **${f.flowName}** (${(f.confidence * 100).toFixed(0)}% – ${f.reason}${f.depth ? `, ${f.depth} hop${f.depth === 1 ? '' : 's'} from ${f.via[f.via.length - 1]}` : ''})`
+    ).join('\n'));
+  }
+  const dependents = (context.blastRadius?.files || []).filter(f => f.depth > 0);
+  if (dependents.length) {
+    parts.push('### Blast Radius (files importing the change, directly or transitively)\n' + dependents.slice(0, 15).map(f =>
+      `- ${f.file} (${(f.confidence * 100).toFixed(0)}%, ${f.depth} hop${f.depth === 1 ? '' : 's'})`
     ).join('\n'));
   }
   if (context.productAreas && context.productAreas.length) {
@@ -325,5 +292,6 @@ function formatProductContextForPrompt(context) {
 module.exports = {
   getProductContext,
   formatProductContextForPrompt,
-  getAffectedFlows
+  getAffectedFlows,
+  getBlastRadius
 };
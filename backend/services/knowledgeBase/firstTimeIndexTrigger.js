@@ -81,17 +81,27 @@ function triggerGitHubFirstTimeIndex(repoFullName, installationId, postComment =
 }
 
 /**
- * Trigger first-time index for a Bitbucket repo
- * Currently GitHub-only: Bitbucket codebase analyzer not implemented yet.
+ * Trigger first-time index for a Bitbucket repo (read through the Bitbucket source provider)
+ * @param {string} workspace
+ * @param {string} repoSlug
+ * @param {Function} [postComment] - Optional (body) => postComment(...)
  */
-function triggerBitbucketFirstTimeIndex(workspace, repoSlug) {
+function triggerBitbucketFirstTimeIndex(workspace, repoSlug, postComment = null) {
   if (process.env.ENABLE_KNOWLEDGE_SYNC !== 'true') return;
   const repoId = `${workspace}/${repoSlug}`;
-  repoNeedsFirstTimeIndex(repoId).then(needs => {
+  repoNeedsFirstTimeIndex(repoId).then(async needs => {
     if (!needs) return;
-    console.log(`📚 Bitbucket repo ${repoId} has no knowledge - Bitbucket codebase analyzer not yet implemented`);
-    // TODO: Implement Bitbucket codebase analyzer
-  }).catch(() => {});
+    console.log(`📚 First analysis for Bitbucket repo ${repoId} - starting background codebase indexing`);
+    const { bitbucketRequest } = require('../../utils/bitbucketService');
+    const { createBitbucketSource } = require('./sourceProviders');
+    const { analyzeRepository } = require('./codebaseAnalyzer');
+    const repo = await bitbucketRequest('GET', `/repositories/${workspace}/${repoSlug}`, workspace);
+    await analyzeRepository(repoId, null, repo?.mainbranch?.name || 'main', postComment ? { postComment } : null, {
+      source: createBitbucketSource({ workspace, repoSlug })
+    });
+  }).catch(e => {
+    console.warn('First-time index failed:', e.message);
+  });
 }
 
 /**
@@ -0,0 +1,237 @@
+/**
+ * Import Resolver
+ * Turns the import specifiers of a file into the repo files they load, for
+ * repo_context.dependency_graph:
+ * - relative and root-absolute paths, with extension, index-file and `.js` → `.ts` lookup
+ * - tsconfig / jsconfig `paths` and `baseUrl` (nearest config up the tree, `extends` followed)
+ * - barrel files: a named import from a module that only re-exports it points at the file that
+ *   defines the name, so a change there reaches the importer without fanning out to every barrel user
+ * Package imports resolve to nothing and are left out of the graph.
+ */
+
+const path = require('path').posix;
+const { extractModuleInfo } = require('../../ai/astExtractor');
+
+const RESOLVE_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts', '.vue', '.svelte', '.json'];
+const CONFIG_FILES = ['tsconfig.json', 'jsconfig.json'];
+/** Aliases tried when no tsconfig maps a specifier (Vue CLI, Nuxt, Vite templates) */
+const CONVENTIONAL_ALIASES = [['@/', ['src/', '']], ['~/', ['src/', '']]];
+const MAX_BARREL_DEPTH = 5;
+const MAX_EXTENDS_DEPTH = 5;
+
+/**
+ * Parse tsconfig-style JSON: comments and trailing commas allowed
+ * @returns {Object|null}
+ */
+function parseJsonc(text) {
+  let out = '';
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (inString) {
+      out += c;
+      if (c === '\\') out += text[++i] || '';
+      else if (c === '"') inString = false;
+    } else if (c === '"') {
+      inString = true;
+      out += c;
+    } else if (c === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      out += '\n';
+    } else if (c === '/' && text[i + 1] === '*') {
+      i = text.indexOf('*/', i + 2);
+      if (i === -1) break;
+      i++;
+    } else {
+      out += c;
+    }
+  }
+  try {
+    return JSON.parse(out.replace(/,(\s*[}\]])/g, '$1'));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * @param {Object} params
+ * @param {Iterable<string>} params.files - Repo-relative paths of every file in the repo (as far as known)
+ * @param {(path: string) => Promise<string|null>} params.readFile - Contents of a repo file, null/'' when unavailable
+ * @param {boolean} [params.probeConfigs] - Look for tsconfig/jsconfig files missing from `files`
+ *   (when `files` is only part of the repo)
+ */
+function createImportResolver({ files, readFile, probeConfigs = false }) {
+  const fileSet = new Set(files);
+  const contents = new Map();
+  const configsByDir = new Map();
+  const modules = new Map();
+
+  const read = (filePath) => {
+    if (!contents.has(filePath)) {
+      contents.set(filePath, Promise.resolve(readFile(filePath)).then(text => text || null, () => null));
+    }
+    return contents.get(filePath);
+  };
+
+  /** A repo file for a path without (or with a swapped) extension */
+  const tryFile = (candidate) => {
+    const normalized = path.normalize(candidate).replace(/^\.\//, '');
+    if (normalized.startsWith('..')) return null;
+    if (fileSet.has(normalized)) return normalized;
+    // TS ESM imports name the compiled .js file
+    const withoutJs = normalized.replace(/\.(m|c)?jsx?$/, '');
+    for (const base of withoutJs === normalized ? [normalized] : [withoutJs, normalized]) {
+      for (const ext of RESOLVE_EXTENSIONS) {
+        if (fileSet.has(`${base}${ext}`)) return `${base}${ext}`;
+      }
+    }
+    for (const ext of RESOLVE_EXTENSIONS) {
+      if (fileSet.has(`${normalized}/index${ext}`)) return `${normalized}/index${ext}`;
+    }
+    return null;
+  };
+
+  /** { baseUrlDir, pathsDir, paths } of a config file, `extends` merged in */
+  const loadConfig = async (configPath, depth = 0) => {
+    const json = parseJsonc((await read(configPath)) || '');
+    if (!json) return null;
+    const dir = path.dirname(configPath);
+    let inherited = null;
+    const parent = Array.isArray(json.extends) ? json.extends[0] : json.extends;
+    if (typeof parent === 'string' && parent.startsWith('.') && depth < MAX_EXTENDS_DEPTH) {
+      const parentPath = path.normalize(path.join(dir, parent.endsWith('.json') ? parent : `${parent}.json`));
+      inherited = await loadConfig(parentPath, depth + 1);
+    }
+    const options = json.compilerOptions || {};
+    const baseUrlDir = typeof options.baseUrl === 'string' ? path.normalize(path.join(dir, options.baseUrl)) : inherited?.baseUrlDir ?? null;
+    return {
+      baseUrlDir,
+      // `paths` are relative to baseUrl, or to the config that declares them
+      pathsDir: options.paths ? (typeof options.baseUrl === 'string' ? baseUrlDir : dir) : inherited?.pathsDir ?? dir,
+      paths: options.paths || inherited?.paths || {}
+    };
+  };
+
+  const nearestConfig = async (dir) => {
+    if (configsByDir.has(dir)) return configsByDir.get(dir);
+    let config = null;
+    for (const name of CONFIG_FILES) {
+      const candidate = dir === '.' || dir === '' ? name : `${dir}/${name}`;
+      if (fileSet.has(candidate) || (probeConfigs && await read(candidate))) {
+        config = await loadConfig(candidate);
+        if (config) break;
+      }
+    }
+    if (!config && dir !== '.' && dir !== '') config = await nearestConfig(path.dirname(dir));
+    configsByDir.set(dir, config);
+    return config;
+  };
+
+  /**
+   * Repo file an import specifier loads
+   * @returns {Promise<string|null>} null for packages and anything not in the repo
+   */
+  const resolve = async (fromFile, rawSpecifier) => {
+    const specifier = String(rawSpecifier || '').replace(/[?#].*$/, '');
+    if (!specifier) return null;
+    if (specifier.startsWith('.')) return tryFile(path.join(path.dirname(fromFile), specifier));
+    if (specifier.startsWith('/')) return tryFile(specifier.slice(1));
+
+    const config = await nearestConfig(path.dirname(fromFile));
+    if (config) {
+      // Most specific pattern first, as TypeScript does
+      const prefixLength = p => (p.includes('*') ? p.indexOf('*') : Infinity);
+      const patterns = Object.keys(config.paths).sort((a, b) => prefixLength(b) - prefixLength(a));
+      for (const pattern of patterns) {
+        const star = pattern.indexOf('*');
+        const prefix = star === -1 ? pattern : pattern.slice(0, star);
+        const suffix = star === -1 ? '' : pattern.slice(star + 1);
+        const matches = star === -1 ? specifier === pattern : specifier.startsWith(prefix) && specifier.endsWith(suffix) && specifier.length >= prefix.length + suffix.length;
+        if (!matches) continue;
+        const wildcard = star === -1 ? '' : specifier.slice(prefix.length, specifier.length - suffix.length);
+        for (const target of [].concat(config.paths[pattern])) {
+          const found = tryFile(path.join(config.pathsDir, String(target).replace('*', wildcard)));
+          if (found) return found;
+        }
+      }
+      if (config.baseUrlDir !== null) {
+        const found = tryFile(path.join(config.baseUrlDir, specifier));
+        if (found) return found;
+      }
+    }
+    for (const [alias, roots] of CONVENTIONAL_ALIASES) {
+      if (!specifier.startsWith(alias)) continue;
+      for (const root of roots) {
+        const found = tryFile(`${root}${specifier.slice(alias.length)}`);
+        if (found) return found;
+      }
+    }
+    return null;
+  };
+
+  const moduleInfo = (filePath) => {
+    if (!modules.has(filePath)) {
+      modules.set(filePath, read(filePath).then(text => (text ? extractModuleInfo(filePath, text) : null)));
+    }
+    return modules.get(filePath);
+  };
+
+  /**
+   * File that defines an export, following re-exports
+   * @returns {Promise<string|null>} null when the module (chain) doesn't export the name
+   */
+  const findDefinition = async (filePath, name, depth, visited) => {
+    if (depth > MAX_BARREL_DEPTH || visited.has(`${filePath}#${name}`)) return null;
+    visited.add(`${filePath}#${name}`);
+    const info = await moduleInfo(filePath);
+    if (!info) return filePath;
+    if (info.exports.includes(name)) return filePath;
+    for (const reexport of info.reexports) {
+      if (reexport.names === '*' || !(name in reexport.names)) continue;
+      const target = await resolve(filePath, reexport.specifier);
+      if (!target) return filePath;
+      const imported = reexport.names[name];
+      return imported === '*' ? target : (await findDefinition(target, imported, depth + 1, visited)) || target;
+    }
+    if (name === 'default') return null;
+    for (const reexport of info.reexports) {
+      if (reexport.names !== '*') continue;
+      const target = await resolve(filePath, reexport.specifier);
+      const found = target && await findDefinition(target, name, depth + 1, visited);
+      if (found) return found;
+    }
+    return null;
+  };
+
+  /**
+   * Repo files a module depends on
+   * @param {string} fromFile
+   * @param {Array<{ specifier: string, names?: string[]|null }>} imports - astExtractor imports (or bare specifiers)
+   * @returns {Promise<string[]>}
+   */
+  const resolveImports = async (fromFile, imports) => {
+    const targets = new Set();
+    for (const entry of imports) {
+      const { specifier, names = null } = typeof entry === 'string' ? { specifier: entry } : entry;
+      const target = await resolve(fromFile, specifier);
+      if (!target || target === fromFile) continue;
+      const info = names?.length ? await moduleInfo(target) : null;
+      if (!info?.reexports.length) {
+        targets.add(target);
+        continue;
+      }
+      for (const name of names) {
+        targets.add((await findDefinition(target, name, 0, new Set())) || target);
+      }
+    }
+    return [...targets].sort();
+  };
+
+  return { resolve, resolveImports };
+}
+
+module.exports = {
+  CONFIG_FILES,
+  parseJsonc,
+  createImportResolver
+};
@@ -8,6 +8,8 @@ const { supabaseAdmin, isSupabaseConfigured } = require('../../lib/supabase');
 const { getOctokit } = require('../githubChecksService');
 
 const { parseImports, extractUserFlowFromTestFile, isTestFile, deriveProductAreasFromPaths } = require('./codebaseAnalyzer');
+const { createImportResolver } = require('./importResolver');
+const { buildProductMap, getProductMap } = require('./productMap');
 const { extractRoutes, extractUIElements, extractAPIEndpoints, extractMessages } = require('../../ai/flowDiscovery');
 
 const EXTRACTION_PROMPT = `Extract structured knowledge from this code file. Return a JSON object with "entries" array.
@@ -115,6 +117,8 @@ async function syncPRKnowledge(prNumber, repoFullName, installationId, headSHA)
     );
 
     const dependencyGraphUpdates = {};
+    const importsByFile = {};
+    const fetchedContent = new Map();
     const newRoutes = [];
     const newUIElements = [];
     const newAPIEndpoints = [];
@@ -128,8 +132,9 @@ async function syncPRKnowledge(prNumber, repoFullName, installationId, headSHA)
           : '';
         if (content.length > 100000 || content.length < 10) continue;
 
+        fetchedContent.set(file.filename, content);
         const imports = parseImports(content, file.filename);
-        if (imports.length) dependencyGraphUpdates[file.filename] = imports;
+        if (imports.length) importsByFile[file.filename] = imports;
 
         newRoutes.push(...extractRoutes(file.filename, content));
         newUIElements.push(...extractUIElements(file.filename, content));
@@ -224,6 +229,30 @@ async function syncPRKnowledge(prNumber, repoFullName, installationId, headSHA)
       .eq('repo_id', repoId)
       .maybeSingle();
     const existingGraph = (existingRc && existingRc.dependency_graph) || {};
+
+    // Resolve against the files the last index knows plus the PR's; anything else needed
+    // (barrels, tsconfig) is fetched at the PR head
+    const resolver = createImportResolver({
+      files: [...Object.keys(existingGraph), ...Object.values(existingGraph).flat(), ...changedFiles.map(f => f.filename)],
+      readFile: async (filePath) => {
+        if (fetchedContent.has(filePath)) return fetchedContent.get(filePath);
+        try {
+          const { data } = await octokit.repos.getContent({ owner, repo, path: filePath, ref: headSHA });
+          return data.content ? Buffer.from(data.content, 'base64').toString('utf8') : null;
+        } catch (err) {
+          return null;
+        }
+      },
+      probeConfigs: true
+    });
+    for (const [filePath, imports] of Object.entries(importsByFile)) {
+      try {
+        const dependencies = await resolver.resolveImports(filePath, imports);
+        if (dependencies.length) dependencyGraphUpdates[filePath] = dependencies;
+      } catch (err) {
+        console.warn(`prKnowledgeSync: could not resolve imports of ${filePath}:`, err.message);
+      }
+    }
     const mergedGraph = { ...existingGraph, ...dependencyGraphUpdates };
 
     const mergeByKey = (existing, incoming, keyFn, limit) => {
@@ -241,18 +270,12 @@ async function syncPRKnowledge(prNumber, repoFullName, installationId, headSHA)
       .select('entity_name, description, file_paths, metadata')
       .eq('repo_id', repoId)
       .eq('knowledge_type', 'user_flow');
-    const userFlows = (userFlowRows || []).map(r => ({
-      name: r.entity_name,
-      description: r.description,
-      file_paths: r.file_paths || [],
-      area: (r.metadata && r.metadata.area) || null
-    }));
-    const testsByArea = (existingRc && existingRc.tests_by_area) || {};
-    for (const f of userFlows) {
-      const area = f.area || 'other';
-      if (!testsByArea[area]) testsByArea[area] = [];
-      if (!testsByArea[area].includes(f.name)) testsByArea[area].push(f.name);
-    }
+    // Flows keep the team's renames, merges and splits; stored product_areas are already curated
+    const { userFlows, testsByArea } = buildProductMap({
+      indexedAreas: (existingRc && existingRc.product_areas) || {},
+      flowRows: userFlowRows || [],
+      edits: await getProductMap(repoId)
+    });
     const payload = {
       repo_id: repoId,
       dependency_graph: mergedGraph,
@@ -0,0 +1,400 @@
+/**
+ * Product Map - The team's edits to the product areas and user flows indexing finds
+ *
+ * Edits are stored as rules (product_maps table) and applied on top of every index, so they
+ * survive re-indexing:
+ *
+ *   areas: { <slug>: { name?, paths?: [glob], merge_into?: <slug> } }
+ *     name        rename the area
+ *     paths       ownership rules — matching files move to this area (a new slug splits them off)
+ *     merge_into  fold the area into another one
+ *   flows: { <flow name>: { name?, area?: <slug>, paths?: [glob], merge_into?: <flow name> } }
+ *     name        rename the flow
+ *     area        put the flow in an area
+ *     paths       split — files of other flows matching the globs move to this flow
+ *     merge_into  fold the flow into another one
+ *
+ * Keys are the names indexing produces (or new ones for splits), so rules keep pointing at the
+ * same things after a re-index. Areas from glob rules take precedence over .firstqa.yml product_areas.
+ */
+
+const { supabaseAdmin, isSupabaseConfigured } = require('../../lib/supabase');
+const { applyProductAreaOverrides, syncProductAreaRows } = require('./codebaseAnalyzer');
+const { matchesAnyGlob } = require('../../utils/globMatcher');
+
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+const MAX_NAME_LENGTH = 80;
+const AREA_KEYS = ['name', 'paths', 'merge_into'];
+const FLOW_KEYS = ['name', 'area', 'paths', 'merge_into'];
+
+const EMPTY_MAP = Object.freeze({ areas: {}, flows: {} });
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate product map edits (dashboard form or API body)
+ * @returns {{ map: { areas: Object, flows: Object }, errors: string[] }} map holds the valid rules only
+ */
+function validateProductMap(raw) {
+  const errors = [];
+  const map = { areas: {}, flows: {} };
+  if (raw === undefined || raw === null) return { map, errors };
+  if (!isPlainObject(raw)) return { map, errors: ['The product map must be an object with `areas` and `flows`'] };
+
+  const name = (value, field) => {
+    if (value === undefined) return undefined;
+    if (typeof value !== 'string' || !value.trim() || value.trim().length > MAX_NAME_LENGTH) {
+      errors.push(`\`${field}\` must be a name of 1-${MAX_NAME_LENGTH} characters`);
+      return null;
+    }
+    return value.trim();
+  };
+  const globs = (value, field) => {
+    if (value === undefined) return undefined;
+    const list = Array.isArray(value) ? value : [value];
+    const valid = list.filter(g => typeof g === 'string' && g.trim()).map(g => g.trim());
+    if (valid.length !== list.length || valid.length === 0) {
+      errors.push(`\`${field}\` must be a list of globs, e.g. \`app/billing/**\``);
+      return null;
+    }
+    return valid;
+  };
+  const section = (value, field, allowed) => {
+    if (!isPlainObject(value)) {
+      errors.push(`\`${field}\` must be an object`);
+      return null;
+    }
+    for (const key of Object.keys(value)) {
+      if (!allowed.includes(key)) errors.push(`\`${field}.${key}\` is not a known setting (${allowed.join(', ')})`);
+    }
+    return value;
+  };
+
+  if (raw.areas !== undefined && !isPlainObject(raw.areas)) errors.push('`areas` must map area slugs to edits');
+  for (const [rawSlug, value] of Object.entries(isPlainObject(raw.areas) ? raw.areas : {})) {
+    const field = `areas.${rawSlug}`;
+    if (!SLUG_PATTERN.test(rawSlug)) {
+      errors.push(`\`${field}\`: slug may only contain letters, numbers, \`-\` and \`_\``);
+      continue;
+    }
+    const edit = section(value, field, AREA_KEYS);
+    if (!edit) continue;
+    const slug = rawSlug.toLowerCase();
+    const rule = { name: name(edit.name, `${field}.name`), paths: globs(edit.paths, `${field}.paths`) };
+    if (edit.merge_into !== undefined) {
+      const target = typeof edit.merge_into === 'string' ? edit.merge_into.trim().toLowerCase() : '';
+      if (!SLUG_PATTERN.test(target) || target === slug) errors.push(`\`${field}.merge_into\` must be the slug of another area`);
+      else if (rule.paths) errors.push(`\`${field}\`: an area merged into another can't own paths`);
+      else rule.merge_into = target;
+    }
+    const clean = Object.fromEntries(Object.entries(rule).filter(([, v]) => v !== undefined && v !== null));
+    if (Object.keys(clean).length) map.areas[slug] = clean;
+  }
+
+  if (raw.flows !== undefined && !isPlainObject(raw.flows)) errors.push('`flows` must map flow names to edits');
+  for (const [flowName, value] of Object.entries(isPlainObject(raw.flows) ? raw.flows : {})) {
+    const field = `flows.${flowName}`;
+    const key = flowName.trim();
+    if (!key || key.length > MAX_NAME_LENGTH * 2) {
+      errors.push(`\`${field}\`: flow names must be 1-${MAX_NAME_LENGTH * 2} characters`);
+      continue;
+    }
+    const edit = section(value, field, FLOW_KEYS);
+    if (!edit) continue;
+    const rule = { name: name(edit.name, `${field}.name`), paths: globs(edit.paths, `${field}.paths`) };
+    if (edit.area !== undefined) {
+      if (typeof edit.area !== 'string' || !SLUG_PATTERN.test(edit.area.trim())) errors.push(`\`${field}.area\` must be an area slug`);
+      else rule.area = edit.area.trim().toLowerCase();
+    }
+    if (edit.merge_into !== undefined) {
+      const target = typeof edit.merge_into === 'string' ? edit.merge_into.trim() : '';
+      if (!target || target === key) errors.push(`\`${field}.merge_into\` must be the name of another flow`);
+      else if (rule.paths) errors.push(`\`${field}\`: a flow merged into another can't claim paths`);
+      else rule.merge_into = target;
+    }
+    const clean = Object.fromEntries(Object.entries(rule).filter(([, v]) => v !== undefined && v !== null));
+    if (Object.keys(clean).length) map.flows[key] = clean;
+  }
+
+  for (const [field, rules] of [['areas', map.areas], ['flows', map.flows]]) {
+    for (const cycle of findMergeCycles(rules)) {
+      errors.push(`\`${field}.${cycle[0]}.merge_into\` goes round in a cycle (${cycle.join(' → ')})`);
+      for (const key of cycle.slice(0, -1)) {
+        delete rules[key].merge_into;
+        if (Object.keys(rules[key]).length === 0) delete rules[key];
+      }
+    }
+  }
+
+  return { map, errors };
+}
+
+/**
+ * merge_into chains that come back around, each once: a → b → a is `['a', 'b', 'a']`
+ */
+function findMergeCycles(rules) {
+  const cycles = [];
+  const visited = new Set();
+  for (const start of Object.keys(rules)) {
+    const chain = [];
+    let key = start;
+    while (rules[key]?.merge_into !== undefined && !visited.has(key) && !chain.includes(key)) {
+      chain.push(key);
+      key = rules[key].merge_into;
+    }
+    if (chain.includes(key)) cycles.push([...chain.slice(chain.indexOf(key)), key]);
+    chain.forEach(k => visited.add(k));
+  }
+  return cycles;
+}
+
+/**
+ * Where each merged key ends up, following chains (a → b → c); keys in a cycle stay where they are
+ */
+function resolveMerges(edits, exists) {
+  const finalKey = new Map();
+  for (const key of Object.keys(edits)) {
+    const seen = new Set([key]);
+    let target = edits[key].merge_into;
+    while (target && edits[target]?.merge_into && !seen.has(target)) {
+      seen.add(target);
+      target = edits[target].merge_into;
+    }
+    if (target && !seen.has(target) && exists(target)) finalKey.set(key, target);
+  }
+  return finalKey;
+}
+
+/**
+ * Curated product areas
+ * @returns {{ areas: Object<string, { name: string, paths: string[] }>, slugMap: Map<string, string> }}
+ *   slugMap: merged slug → the area it went into
+ */
+function curateAreas(indexedAreas, filePaths, areaEdits) {
+  const owned = {};
+  for (const [slug, edit] of Object.entries(areaEdits)) {
+    if (edit.paths) owned[slug] = { name: edit.name, paths: edit.paths };
+  }
+  const list = Object.entries(indexedAreas || {}).map(([slug, area]) => ({ slug, name: area.name || slug, paths: area.paths || [] }));
+  const bySlug = new Map(applyProductAreaOverrides(list, filePaths, owned).map(a => [a.slug, { name: a.name, paths: [...a.paths] }]));
+
+  for (const [slug, edit] of Object.entries(areaEdits)) {
+    if (edit.name && bySlug.has(slug)) bySlug.get(slug).name = edit.name;
+  }
+  const slugMap = resolveMerges(areaEdits, slug => bySlug.has(slug) || !!areaEdits[slug]);
+  for (const [slug, target] of slugMap) {
+    const source = bySlug.get(slug);
+    if (!source) continue;
+    if (!bySlug.has(target)) bySlug.set(target, { name: areaEdits[target]?.name || target, paths: [] });
+    const into = bySlug.get(target);
+    for (const p of source.paths) if (!into.paths.includes(p)) into.paths.push(p);
+    bySlug.delete(slug);
+  }
+
+  const areas = {};
+  for (const [slug, area] of bySlug) {
+    if (area.paths.length) areas[slug] = area;
+  }
+  return { areas, slugMap };
+}
+
+/**
+ * Curated user flows from the indexed user_flow knowledge rows
+ * @returns {Array<{ name: string, description: string, file_paths: string[], area: string|null, tested: boolean }>}
+ */
+function curateFlows(flowRows, flowEdits, areas, slugMap) {
+  const byName = new Map();
+  for (const row of flowRows || []) {
+    const name = row.entity_name || row.name;
+    if (!name) continue;
+    const existing = byName.get(name);
+    const paths = row.file_paths || [];
+    if (existing) {
+      for (const p of paths) if (!existing.file_paths.includes(p)) existing.file_paths.push(p);
+      existing.tested = existing.tested || !!row.metadata?.from_test;
+      continue;
+    }
+    byName.set(name, {
+      name,
+      description: row.description || '',
+      file_paths: [...paths],
+      area: row.metadata?.area || row.area || null,
+      tested: !!row.metadata?.from_test
+    });
+  }
+
+  // Splits: files of other flows matching a flow's globs move to it
+  for (const [name, edit] of Object.entries(flowEdits)) {
+    if (!edit.paths) continue;
+    if (!byName.has(name)) byName.set(name, { name, description: '', file_paths: [], area: null, tested: false });
+    const target = byName.get(name);
+    for (const flow of byName.values()) {
+      if (flow === target) continue;
+      const claimed = flow.file_paths.filter(p => matchesAnyGlob(p, edit.paths));
+      if (!claimed.length) continue;
+      flow.file_paths = flow.file_paths.filter(p => !claimed.includes(p));
+      flow.split = true;
+      for (const p of claimed) if (!target.file_paths.includes(p)) target.file_paths.push(p);
+      target.tested = target.tested || flow.tested;
+    }
+  }
+  for (const [name, flow] of byName) {
+    if (!flow.file_paths.length && (flow.split || flowEdits[name]?.paths)) byName.delete(name);
+  }
+
+  for (const [name, target] of resolveMerges(flowEdits, n => byName.has(n))) {
+    const source = byName.get(name);
+    if (!source) continue;
+    const into = byName.get(target);
+    for (const p of source.file_paths) if (!into.file_paths.includes(p)) into.file_paths.push(p);
+    into.tested = into.tested || source.tested;
+    byName.delete(name);
+  }
+
+  const fileArea = new Map();
+  for (const [slug, area] of Object.entries(areas)) {
+    for (const p of area.paths) if (!fileArea.has(p)) fileArea.set(p, slug);
+  }
+  const flows = new Map();
+  for (const [key, flow] of byName) {
+    const edit = flowEdits[key] || {};
+    const name = edit.name || flow.name;
+    const explicitArea = edit.area ? (slugMap.get(edit.area) || edit.area) : null;
+    const pathArea = flow.file_paths.map(p => fileArea.get(p)).find(Boolean);
+    const area = explicitArea || pathArea || (flow.area ? (slugMap.get(flow.area) || flow.area) : null);
+    const existing = flows.get(name);
+    if (existing) {
+      // Renamed onto another flow's name
+      for (const p of flow.file_paths) if (!existing.file_paths.includes(p)) existing.file_paths.push(p);
+      existing.tested = existing.tested || flow.tested;
+      continue;
+    }
+    flows.set(name, { name, description: flow.description, file_paths: flow.file_paths, area, tested: flow.tested });
+  }
+  return [...flows.values()];
+}
+
+/**
+ * Apply the team's edits to what indexing found
+ * @param {Object} params
+ * @param {Object<string, { name: string, paths: string[] }>} params.indexedAreas - Areas from path heuristics and .firstqa.yml
+ * @param {string[]} params.filePaths - Every analyzable file (glob rules can claim files no area matched)
+ * @param {Array<Object>} params.flowRows - user_flow product_knowledge rows (entity_name, description, file_paths, metadata)
+ * @param {{ areas: Object, flows: Object }} [params.edits] - Validated product map
+ * @returns {{ productAreas: Object, userFlows: Array, testsByArea: Object<string, string[]> }} repo_context fields
+ */
+function buildProductMap({ indexedAreas = {}, filePaths = [], flowRows = [], edits = EMPTY_MAP }) {
+  const { areas, slugMap } = curateAreas(indexedAreas, filePaths, edits.areas || {});
+  const flows = curateFlows(flowRows, edits.flows || {}, areas, slugMap);
+  const testsByArea = {};
+  for (const flow of flows) {
+    if (!flow.tested) continue;
+    const area = flow.area || 'other';
+    if (!testsByArea[area]) testsByArea[area] = [];
+    if (!testsByArea[area].includes(flow.name)) testsByArea[area].push(flow.name);
+  }
+  return {
+    productAreas: areas,
+    userFlows: flows.map(({ tested, ...flow }) => flow),
+    testsByArea
+  };
+}
+
+/**
+ * Files no curated area owns — what the team most likely wants to write ownership rules for
+ */
+function getUnassignedPaths(filePaths, productAreas) {
+  const owned = new Set(Object.values(productAreas || {}).flatMap(a => a.paths || []));
+  return (filePaths || []).filter(p => !owned.has(p));
+}
+
+/**
+ * Stored edits of a repo; empty when none (or the table is missing)
+ * @returns {Promise<{ areas: Object, flows: Object, updatedAt: string|null }>}
+ */
+async function getProductMap(repoId) {
+  if (!isSupabaseConfigured()) return { ...EMPTY_MAP, updatedAt: null };
+  const { data, error } = await supabaseAdmin
+    .from('product_maps')
+    .select('areas, flows, updated_at')
+    .eq('repo_id', repoId)
+    .maybeSingle();
+  if (error) {
+    console.warn('⚠️ Could not load product map edits (non-fatal, run migration 028):', error.message);
+    return { ...EMPTY_MAP, updatedAt: null };
+  }
+  // Stored rules were valid when saved; re-validating drops anything a later version no longer accepts
+  const { map } = validateProductMap({ areas: data?.areas || {}, flows: data?.flows || {} });
+  return { ...map, updatedAt: data?.updated_at || null };
+}
+
+/**
+ * Store a repo's edits and apply them to its indexed product map right away
+ * @param {string} repoId
+ * @param {{ areas: Object, flows: Object }} map - validateProductMap output
+ * @param {string|null} userId
+ */
+async function saveProductMap(repoId, map, userId = null) {
+  const { error } = await supabaseAdmin
+    .from('product_maps')
+    .upsert({
+      repo_id: repoId,
+      areas: map.areas,
+      flows: map.flows,
+      updated_by: userId,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'repo_id' });
+  if (error) throw new Error(`Could not save product map: ${error.message}`);
+  return applyProductMapToRepo(repoId, map);
+}
+
+/**
+ * Re-apply the edits to a repo's stored index (no re-indexing)
+ * @returns {Promise<{ productAreas: Object, userFlows: Array, testsByArea: Object }|null>} null when the repo isn't indexed
+ */
+async function applyProductMapToRepo(repoId, edits = null) {
+  const { data: rc, error } = await supabaseAdmin
+    .from('repo_context')
+    .select('product_areas, indexed_paths, indexed_areas, git_sha')
+    .eq('repo_id', repoId)
+    .maybeSingle();
+  if (error) throw new Error(`Could not load repo context: ${error.message}`);
+  if (!rc) return null;
+
+  // Indexes from before migration 028 only kept the areas themselves
+  const indexedAreas = rc.indexed_areas && Object.keys(rc.indexed_areas).length ? rc.indexed_areas : rc.product_areas || {};
+  const filePaths = rc.indexed_paths && rc.indexed_paths.length
+    ? rc.indexed_paths
+    : [...new Set(Object.values(indexedAreas).flatMap(a => a.paths || []))];
+  const { data: flowRows } = await supabaseAdmin
+    .from('product_knowledge')
+    .select('entity_name, description, file_paths, metadata')
+    .eq('repo_id', repoId)
+    .eq('knowledge_type', 'user_flow');
+
+  const result = buildProductMap({ indexedAreas, filePaths, flowRows: flowRows || [], edits: edits || await getProductMap(repoId) });
+  await syncProductAreaRows(repoId, result.productAreas, rc.product_areas || {}, rc.git_sha || null);
+  const { error: updateError } = await supabaseAdmin
+    .from('repo_context')
+    .update({
+      product_areas: result.productAreas,
+      user_flows: result.userFlows,
+      tests_by_area: result.testsByArea,
+      updated_at: new Date().toISOString()
+    })
+    .eq('repo_id', repoId);
+  if (updateError) throw new Error(`Could not update repo context: ${updateError.message}`);
+  console.log(`🗺️ Product map applied to ${repoId}: ${Object.keys(result.productAreas).length} areas, ${result.userFlows.length} flows`);
+  return result;
+}
+
+module.exports = {
+  validateProductMap,
+  buildProductMap,
+  getUnassignedPaths,
+  getProductMap,
+  saveProductMap,
+  applyProductMapToRepo
+};
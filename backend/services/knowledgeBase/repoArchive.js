@@ -0,0 +1,205 @@
+/**
+ * Repo Archive
+ * Stream-extracts a repository tarball (.tar.gz, as GitHub and Bitbucket serve them) into a temp
+ * directory, so indexing reads files from disk instead of one API call per file.
+ * Only regular files are written; the archive's top-level folder ("owner-repo-sha/") is stripped and
+ * entries that would land outside the target directory are skipped.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const BLOCK_SIZE = 512;
+
+/**
+ * Fresh temp directory for a checkout
+ */
+async function createTempDir(label) {
+  return fs.promises.mkdtemp(path.join(os.tmpdir(), `firstqa-${String(label).replace(/[^a-z0-9]+/gi, '-')}-`));
+}
+
+async function removeDir(dir) {
+  try {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  } catch (err) {
+    console.warn(`⚠️ Could not remove ${dir} (non-fatal):`, err.message);
+  }
+}
+
+/** NUL-terminated string field of a tar header */
+function readString(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? field.length : end).toString('utf8');
+}
+
+/** Octal number field — or big-endian base-256 when the high bit is set (GNU, files over 8GB) */
+function readNumber(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  if (field[0] & 0x80) {
+    let value = field[0] & 0x7f;
+    for (let i = 1; i < field.length; i++) value = value * 256 + field[i];
+    return value;
+  }
+  return parseInt(readString(header, offset, length).trim() || '0', 8);
+}
+
+/** PAX extended header records ("<length> <key>=<value>\n") */
+function parsePaxHeaders(data) {
+  const headers = {};
+  let pos = 0;
+  while (pos < data.length) {
+    const space = data.indexOf(0x20, pos);
+    if (space === -1) break;
+    const length = parseInt(data.subarray(pos, space).toString('utf8'), 10);
+    if (!length) break;
+    const record = data.subarray(space + 1, pos + length - 1).toString('utf8');
+    const eq = record.indexOf('=');
+    if (eq > 0) headers[record.slice(0, eq)] = record.slice(eq + 1);
+    pos += length;
+  }
+  return headers;
+}
+
+/**
+ * Repo-relative path of an archive entry: top-level folder stripped, `..` and absolute paths refused
+ * @returns {string|null}
+ */
+function toRepoPath(entryName) {
+  const parts = entryName.replace(/\\/g, '/').split('/').filter(p => p && p !== '.');
+  parts.shift();
+  if (parts.length === 0 || parts.includes('..')) return null;
+  return parts.join('/');
+}
+
+/**
+ * Extract a gzipped tarball stream
+ * @param {import('stream').Readable} stream - Response body of the archive download
+ * @param {string} destDir - Directory to write into
+ * @param {Object} [options]
+ * @param {(path: string) => boolean} [options.filter] - Files to write (everything else is only listed)
+ * @param {number} [options.maxFileSize] - Larger files are listed but not written
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ paths: string[], written: string[] }>} Every file in the archive / the ones written
+ */
+async function extractTarball(stream, destDir, { filter = () => true, maxFileSize = Infinity, signal } = {}) {
+  const paths = [];
+  const written = [];
+  const gunzip = zlib.createGunzip();
+  stream.on('error', err => gunzip.destroy(err));
+  stream.pipe(gunzip);
+
+  let pending = Buffer.alloc(0);
+  let entry = null; // { name, size, type, remaining, chunks: Buffer[]|null }
+  let padding = 0;
+  let longName = null;
+  let pax = {};
+  let ended = false;
+
+  const finishEntry = async () => {
+    const { name, type, chunks } = entry;
+    entry = null;
+    const data = chunks ? Buffer.concat(chunks) : null;
+    if (type === 'x') {
+      pax = parsePaxHeaders(data);
+    } else if (type === 'L') {
+      longName = readString(data, 0, data.length);
+    } else if (chunks) {
+      const target = path.join(destDir, name);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, data);
+      written.push(name);
+    }
+  };
+
+  for await (const chunk of gunzip) {
+    if (signal?.aborted) {
+      stream.destroy();
+      throw new Error('Indexing cancelled');
+    }
+    pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+
+    while (!ended) {
+      if (padding > 0) {
+        const skip = Math.min(padding, pending.length);
+        pending = pending.subarray(skip);
+        padding -= skip;
+        if (padding > 0) break;
+      }
+      if (entry) {
+        const take = Math.min(entry.remaining, pending.length);
+        if (entry.chunks && take > 0) entry.chunks.push(pending.subarray(0, take));
+        pending = pending.subarray(take);
+        entry.remaining -= take;
+        if (entry.remaining > 0) break;
+        padding = (BLOCK_SIZE - (entry.size % BLOCK_SIZE)) % BLOCK_SIZE;
+        await finishEntry();
+        continue;
+      }
+      if (pending.length < BLOCK_SIZE) break;
+
+      const header = pending.subarray(0, BLOCK_SIZE);
+      pending = pending.subarray(BLOCK_SIZE);
+      if (header.every(b => b === 0)) {
+        ended = true;
+        break;
+      }
+      const size = readNumber(header, 124, 12);
+      const type = String.fromCharCode(header[156] || 0x30);
+      const prefix = readString(header, 257, 6) === 'ustar' ? readString(header, 345, 155) : '';
+      const rawName = pax.path || longName || (prefix ? `${prefix}/${readString(header, 0, 100)}` : readString(header, 0, 100));
+      pax = {};
+      longName = null;
+
+      let name = rawName;
+      let chunks = null;
+      if (type === 'x' || type === 'L') {
+        chunks = [];
+      } else if (type === '0' || type === '\0' || type === '7') {
+        name = toRepoPath(rawName);
+        if (name) {
+          paths.push(name);
+          if (size <= maxFileSize && filter(name)) chunks = [];
+        }
+      }
+      // Global PAX headers ('g'), directories, links and the rest are skipped
+      entry = { name, size, type, remaining: size, chunks };
+      if (size === 0) {
+        await finishEntry();
+      }
+    }
+  }
+  if (entry) throw new Error(`Archive ended inside ${entry.name}`);
+  return { paths, written };
+}
+
+/**
+ * Every file under a directory, as repo-relative paths (for local checkouts)
+ * @param {string} dir
+ * @param {string[]} [skipDirs] - Directory names not descended into
+ */
+async function listFiles(dir, skipDirs = ['.git', 'node_modules']) {
+  const files = [];
+  const walk = async (relative) => {
+    const entries = await fs.promises.readdir(path.join(dir, relative), { withFileTypes: true });
+    for (const item of entries) {
+      const itemPath = relative ? `${relative}/${item.name}` : item.name;
+      if (item.isDirectory()) {
+        if (!skipDirs.includes(item.name)) await walk(itemPath);
+      } else if (item.isFile()) {
+        files.push(itemPath);
+      }
+    }
+  };
+  await walk('');
+  return files.sort();
+}
+
+module.exports = {
+  createTempDir,
+  removeDir,
+  extractTarball,
+  listFiles
+};
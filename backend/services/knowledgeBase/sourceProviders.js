@@ -0,0 +1,203 @@
+/**
+ * Source Providers
+ * Where the codebase analyzer reads a repository from. Every provider has the same shape:
+ *
+ *   name                          'github' | 'bitbucket' | 'local'
+ *   resolveRef(branch)            → commit SHA the branch points at
+ *   compare(baseSha, headSha)     → { status: 'ahead'|'diverged'|..., files: [{ filename, status, previous_filename }], truncated }
+ *                                   (GitHub's compare shape; status 'ahead' means head is a fast-forward of base,
+ *                                   `truncated` that the file list is incomplete)
+ *   checkout(sha, options)        → { dir, paths, cleanup() } — the commit's files on disk; `paths` lists every file
+ *
+ * Hosted repos are checked out by downloading the commit's tarball once and stream-extracting it
+ * (repoArchive.js) — one request instead of one per file. A local checkout is read where it is.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile, spawn } = require('child_process');
+const { promisify } = require('util');
+const { createTempDir, removeDir, extractTarball, listFiles } = require('./repoArchive');
+
+const execFileAsync = promisify(execFile);
+const ARCHIVE_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Download a tarball and extract it into a fresh temp directory
+ */
+async function checkoutArchive(label, request, { filter, maxFileSize, signal } = {}) {
+  const axios = require('axios');
+  const dir = await createTempDir(label);
+  try {
+    const response = await axios.get(request.url, {
+      headers: request.headers,
+      responseType: 'stream',
+      timeout: ARCHIVE_TIMEOUT_MS,
+      maxRedirects: 5,
+      signal
+    });
+    const { paths, written } = await extractTarball(response.data, dir, { filter, maxFileSize, signal });
+    console.log(`📦 Extracted ${written.length}/${paths.length} files of ${label} to ${dir}`);
+    return { dir, paths, cleanup: () => removeDir(dir) };
+  } catch (err) {
+    await removeDir(dir);
+    throw err;
+  }
+}
+
+/**
+ * GitHub repo through the App installation
+ * @param {Object} params
+ * @param {string} params.repoFullName - owner/repo
+ * @param {number} params.installationId
+ */
+function createGitHubSource({ repoFullName, installationId }) {
+  const [owner, repo] = repoFullName.split('/');
+  let octokit = null;
+  const client = async () => {
+    if (!octokit) {
+      const { getOctokit } = require('../githubChecksService');
+      octokit = await getOctokit(installationId);
+      if (!octokit) throw new Error('Could not get GitHub API client');
+    }
+    return octokit;
+  };
+
+  return {
+    name: 'github',
+    async resolveRef(branch) {
+      const { data } = await (await client()).git.getRef({ owner, repo, ref: `heads/${branch}` });
+      return data.object.sha;
+    },
+    async compare(baseSha, headSha) {
+      const { data } = await (await client()).repos.compareCommits({ owner, repo, base: baseSha, head: headSha });
+      // The compare API lists at most 300 files
+      return { status: data.status, files: data.files || [], truncated: (data.files || []).length >= 300 };
+    },
+    async checkout(sha, options) {
+      const { token } = await (await client()).auth({ type: 'installation' });
+      return checkoutArchive(`${owner}-${repo}`, {
+        url: `https://api.github.com/repos/${owner}/${repo}/tarball/${sha}`,
+        headers: { Authorization: `Bearer ${token}`, Accept: 'application/vnd.github+json' }
+      }, options);
+    }
+  };
+}
+
+/**
+ * Bitbucket Cloud repo through the workspace's OAuth installation
+ * @param {Object} params
+ * @param {string} params.workspace
+ * @param {string} params.repoSlug
+ */
+function createBitbucketSource({ workspace, repoSlug }) {
+  const request = (method, endpoint) => require('../../utils/bitbucketService').bitbucketRequest(method, endpoint, workspace);
+  const base = `/repositories/${workspace}/${repoSlug}`;
+
+  return {
+    name: 'bitbucket',
+    async resolveRef(branch) {
+      const data = await request('GET', `${base}/refs/branches/${encodeURIComponent(branch)}`);
+      return data.target.hash;
+    },
+    async compare(baseSha, headSha) {
+      const mergeBase = await request('GET', `${base}/merge-base/${headSha}..${baseSha}`);
+      // Bitbucket's "a..b" is the changes on a since its merge base with b
+      const diffstat = await request('GET', `${base}/diffstat/${headSha}..${baseSha}?pagelen=500`);
+      const files = (diffstat.values || []).map(d => ({
+        filename: (d.new || d.old).path,
+        status: d.status,
+        previous_filename: d.status === 'renamed' ? d.old?.path : undefined
+      }));
+      return { status: mergeBase?.hash === baseSha ? 'ahead' : 'diverged', files, truncated: !!diffstat.next };
+    },
+    async checkout(sha, options) {
+      const { getAuthenticatedConfig } = require('../../utils/bitbucketAppAuth');
+      const { headers } = await getAuthenticatedConfig(workspace);
+      return checkoutArchive(`${workspace}-${repoSlug}`, {
+        url: `https://bitbucket.org/${workspace}/${repoSlug}/get/${sha}.tar.gz`,
+        headers: { Authorization: headers.Authorization }
+      }, options);
+    }
+  };
+}
+
+/**
+ * Local checkout (self-hosted or offline indexing). A git checkout is indexed at its HEAD commit
+ * (`git archive`, so uncommitted changes are left out) and re-indexes incrementally; any other
+ * directory is read as it is, in full every time.
+ * @param {Object} params
+ * @param {string} params.dir - Checkout root
+ */
+function createLocalSource({ dir }) {
+  const root = path.resolve(dir);
+  const git = async (...args) => (await execFileAsync('git', ['-C', root, ...args], { maxBuffer: 20 * 1024 * 1024 })).stdout.trim();
+  let isGit = null;
+  const isGitCheckout = async () => {
+    // Only the root of a git checkout — a folder inside one is read as a plain directory
+    if (isGit === null) isGit = await git('rev-parse', '--show-toplevel').then(out => path.resolve(out) === root, () => false);
+    return isGit;
+  };
+
+  return {
+    name: 'local',
+    async resolveRef() {
+      return (await isGitCheckout()) ? git('rev-parse', 'HEAD') : `local-${Date.now()}`;
+    },
+    async compare(baseSha, headSha) {
+      if (!(await isGitCheckout())) return { status: 'diverged', files: [], truncated: false };
+      const ahead = await git('merge-base', '--is-ancestor', baseSha, headSha).then(() => true, () => false);
+      const files = (await git('diff', '--name-status', '-M', baseSha, headSha))
+        .split('\n')
+        .filter(Boolean)
+        .map(line => {
+          const [code, first, second] = line.split('\t');
+          if (code.startsWith('R')) return { filename: second, status: 'renamed', previous_filename: first };
+          return { filename: first, status: code === 'D' ? 'removed' : code === 'A' ? 'added' : 'modified' };
+        });
+      return { status: ahead ? 'ahead' : 'diverged', files, truncated: false };
+    },
+    async checkout(sha, options = {}) {
+      if (!(await isGitCheckout())) {
+        return { dir: root, paths: await listFiles(root), cleanup: async () => {} };
+      }
+      const dest = await createTempDir(path.basename(root));
+      const child = spawn('git', ['-C', root, 'archive', '--format=tar.gz', '--prefix=checkout/', sha]);
+      let stderr = '';
+      child.stderr.on('data', d => { stderr += d; });
+      const exited = new Promise(resolve => child.on('close', resolve));
+      try {
+        const { paths } = await extractTarball(child.stdout, dest, options);
+        if (await exited !== 0) throw new Error(`git archive failed: ${stderr.trim()}`);
+        return { dir: dest, paths, cleanup: () => removeDir(dest) };
+      } catch (err) {
+        child.kill();
+        await exited;
+        await removeDir(dest);
+        throw stderr.trim() ? new Error(`git archive failed: ${stderr.trim()}`) : err;
+      }
+    }
+  };
+}
+
+/**
+ * Read a checked-out file; '' when it wasn't extracted (filtered out or over the size limit)
+ */
+async function readCheckedOutFile(checkout, filePath, maxFileSize) {
+  const fullPath = path.join(checkout.dir, filePath);
+  try {
+    const stat = await fs.promises.stat(fullPath);
+    if (!stat.isFile() || stat.size > maxFileSize) return '';
+    return await fs.promises.readFile(fullPath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return '';
+    throw err;
+  }
+}
+
+module.exports = {
+  createGitHubSource,
+  createBitbucketSource,
+  createLocalSource,
+  readCheckedOutFile
+};
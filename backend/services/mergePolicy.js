@@ -0,0 +1,310 @@
+/**
+ * Merge Policy
+ * Decides the conclusion of the "FirstQA — QA Analysis" check from the QA Pulse decision, the
+ * risk level, the bugs found and the latest test-run results, using the repo's `policy` section in
+ * .firstqa.yml. Without a policy the check stays advisory (No-Go → action_required, never failure).
+ *
+ * The inputs are kept per PR (Supabase `qa_check_states`, migration 024) so a finished test run or
+ * a `/qa approve` can re-evaluate the check without re-running the analysis. Approvals are recorded
+ * in `qa_approvals`. Without Supabase, or before the migration has run, both fall back to a JSON
+ * file in the data directory.
+ */
+
+const { supabaseAdmin } = require('../lib/supabase');
+const { createJsonFile, checkResult, createStoreSelector } = require('../utils/dataStore');
+const { matchesPriority } = require('../utils/testRunSelection');
+const { DEFAULT_DEVICE, getScenarioLabel } = require('../ai/deviceProfiles');
+
+const STATES_TABLE = 'qa_check_states';
+const APPROVALS_TABLE = 'qa_approvals';
+
+const RISK_LEVELS = ['low', 'medium', 'high'];
+/** Bug severities, lowest first (same scale as reviewFindings) */
+const BUG_SEVERITIES = ['low', 'medium', 'high', 'blocker'];
+const FAILED_TEST_STATUSES = ['FAIL', 'ERROR', 'TIMEOUT'];
+/** Repo permissions allowed to `/qa approve` */
+const APPROVER_PERMISSIONS = ['admin', 'maintain'];
+
+const DECISION_LABELS = {
+  'ship': 'Ship It!',
+  'investigate': 'Investigate',
+  'no-go': 'No-Go'
+};
+
+/** Advisory mapping used when the repo has no policy */
+const ADVISORY_CONCLUSIONS = {
+  'ship': 'success',
+  'investigate': 'neutral',
+  'no-go': 'action_required'
+};
+
+// ---------------------------------------------------------------------------
+// Evaluation
+// ---------------------------------------------------------------------------
+
+function atLeast(scale, value, threshold) {
+  return scale.indexOf(String(value || '').toLowerCase()) >= scale.indexOf(threshold);
+}
+
+/**
+ * Evaluate the check for a PR
+ * @param {Object|null} policy - repoConfig.mergePolicy of the default branch (null → advisory)
+ * @param {Object} state - { decision, riskLevel, bugSeverities: string[], testRun: { scenarios: [{ scenario, device?, status, priority }] }|null }
+ * @param {Object|null} [approval] - Latest `/qa approve` for this head SHA
+ * @returns {{ conclusion: string, title: string, reasons: string[], blocking: boolean }}
+ */
+function evaluateMergePolicy(policy, state, approval = null) {
+  const label = DECISION_LABELS[state.decision] || 'Unknown';
+  const reasons = [];
+
+  if (!policy) {
+    return { conclusion: ADVISORY_CONCLUSIONS[state.decision] || 'neutral', title: `QA Pulse: ${label}`, reasons, blocking: false };
+  }
+
+  if (state.decision && policy.failOnDecision.includes(state.decision)) {
+    reasons.push(`QA Pulse decision is **${label}**`);
+  }
+  if (policy.failOnRisk && state.riskLevel && atLeast(RISK_LEVELS, state.riskLevel, policy.failOnRisk)) {
+    const critical = (state.bugSeverities || []).filter(s => atLeast(BUG_SEVERITIES, s, policy.bugSeverity));
+    if (critical.length > 0) {
+      reasons.push(`**${state.riskLevel}** risk with ${critical.length} unresolved bug${critical.length === 1 ? '' : 's'} of ${policy.bugSeverity} severity or worse`);
+    }
+  }
+  if (policy.failOnTestPriorities.length > 0 && state.testRun) {
+    const failed = (state.testRun.scenarios || [])
+      .filter(s => FAILED_TEST_STATUSES.includes(s.status) && matchesPriority(s, policy.failOnTestPriorities));
+    if (failed.length > 0) {
+      reasons.push(`${failed.length} ${policy.failOnTestPriorities.join('/')} scenario${failed.length === 1 ? '' : 's'} failed: ${failed.slice(0, 5).map(s => `"${getScenarioLabel(s)}"`).join(', ')}`);
+    }
+  }
+
+  if (reasons.length > 0 && approval) {
+    return {
+      conclusion: 'success',
+      title: `QA Pulse: ${label} — approved by @${approval.approved_by}`,
+      reasons: [...reasons, `Overridden by @${approval.approved_by}: ${approval.reason}`],
+      blocking: false
+    };
+  }
+  if (reasons.length > 0) {
+    return { conclusion: 'failure', title: `QA Pulse: ${label} — blocked by merge policy`, reasons, blocking: true };
+  }
+  const conclusion = state.decision && policy.neutralOnDecision.includes(state.decision) ? 'neutral' : state.decision ? 'success' : 'neutral';
+  return { conclusion, title: `QA Pulse: ${label}`, reasons, blocking: false };
+}
+
+/**
+ * Markdown summary of an evaluation for the check run
+ */
+function formatPolicySummary(state, evaluation, policy) {
+  const lines = [`**Decision:** ${DECISION_LABELS[state.decision] || 'Unknown'}`];
+  if (state.riskLevel) lines.push(`**Risk:** ${state.riskLevel}`);
+  if (state.bugSeverities?.length > 0) lines.push(`**Bugs & Risks:** ${state.bugSeverities.length} identified`);
+  if (state.testRun?.scenarios?.length > 0) {
+    const failed = state.testRun.scenarios.filter(s => FAILED_TEST_STATUSES.includes(s.status)).length;
+    lines.push(`**Test run:** ${state.testRun.scenarios.length - failed} passed, ${failed} failed`);
+  }
+  let summary = lines.join('\n');
+  if (evaluation.reasons.length > 0) {
+    summary += `\n\n### ${evaluation.blocking ? '🚫 Blocked by merge policy' : 'Merge policy'}\n${evaluation.reasons.map(r => `- ${r}`).join('\n')}`;
+  }
+  if (evaluation.blocking) {
+    summary += '\n\nFix the issues and comment `/qa` again, or a maintainer can override with `/qa approve <reason>`.';
+  } else if (!policy) {
+    summary += '\n\nSee the PR comment for the full analysis. This check is advisory — add a `policy` section to `.firstqa.yml` to make it blocking.';
+  } else {
+    summary += '\n\nSee the PR comment for the full analysis.';
+  }
+  return summary;
+}
+
+// ---------------------------------------------------------------------------
+// Stores
+// ---------------------------------------------------------------------------
+
+/**
+ * Local JSON-file store: { states: { "<repo>#<pr>": row }, approvals: [row] }
+ */
+function createFileStore() {
+  const file = createJsonFile('qa-check-states.json', { description: 'QA check state file' });
+  const load = () => {
+    const data = file.load();
+    data.states = data.states || {};
+    data.approvals = data.approvals || [];
+    return data;
+  };
+  const save = () => file.save();
+
+  return {
+    name: 'file',
+    async getState(repoId, prNumber) {
+      const row = load().states[`${repoId}#${prNumber}`];
+      return row ? { ...row } : null;
+    },
+    async saveState(row) {
+      load().states[`${row.repo_id}#${row.pr_number}`] = row;
+      save();
+    },
+    async getApproval(repoId, prNumber, headSha) {
+      const rows = load().approvals.filter(a => a.repo_id === repoId && a.pr_number === prNumber && a.head_sha === headSha);
+      return rows.length > 0 ? { ...rows[rows.length - 1] } : null;
+    },
+    async insertApproval(row) {
+      load().approvals.push({ ...row, created_at: new Date().toISOString() });
+      save();
+    }
+  };
+}
+
+function createSupabaseStore() {
+  return {
+    name: 'supabase',
+    async getState(repoId, prNumber) {
+      return checkResult(STATES_TABLE, await supabaseAdmin.from(STATES_TABLE).select('*').eq('repo_id', repoId).eq('pr_number', prNumber).maybeSingle());
+    },
+    async saveState(row) {
+      checkResult(STATES_TABLE, await supabaseAdmin.from(STATES_TABLE).upsert(row, { onConflict: 'repo_id,pr_number' }));
+    },
+    async getApproval(repoId, prNumber, headSha) {
+      const rows = checkResult(APPROVALS_TABLE, await supabaseAdmin.from(APPROVALS_TABLE).select('*')
+        .eq('repo_id', repoId).eq('pr_number', prNumber).eq('head_sha', headSha)
+        .order('created_at', { ascending: false }).limit(1));
+      return rows?.[0] || null;
+    },
+    async insertApproval(row) {
+      checkResult(APPROVALS_TABLE, await supabaseAdmin.from(APPROVALS_TABLE).insert(row));
+    }
+  };
+}
+
+const { withStore } = createStoreSelector({
+  createSupabaseStore,
+  createFileStore,
+  missingTable: 'QA check state tables missing (run migration 024)'
+});
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Combine test runs on the same head SHA: a partial re-run (`-failed`, `-only`) replaces the results
+ * of the scenarios it ran and keeps the rest. Each device of a matrix run counts separately; desktop
+ * results replace those of a run without devices.
+ */
+function mergeTestRuns(previous, next) {
+  if (!previous?.scenarios?.length || !next) return next;
+  const keyOf = s => (s.device && s.device !== DEFAULT_DEVICE ? `${s.scenario}@${s.device}` : s.scenario);
+  const byName = new Map(previous.scenarios.map(s => [keyOf(s), s]));
+  for (const s of next.scenarios || []) byName.set(keyOf(s), s);
+  return { ...next, scenarios: [...byName.values()] };
+}
+
+/**
+ * Merge new inputs into the PR's check state, evaluate the policy and post the check run.
+ * Inputs from an older head SHA are dropped — a new push needs a new analysis/test run.
+ * @param {Object} params
+ * @param {number} params.installationId
+ * @param {string} params.owner
+ * @param {string} params.repo
+ * @param {number} params.prNumber
+ * @param {string} params.sha - PR head SHA
+ * @param {Object} [params.inputs] - Any of { decision, riskLevel, bugSeverities, testRun, analysisUrl }
+ * @returns {Promise<{ checkRunId: number|null, evaluation: Object|null, state: Object|null }>}
+ */
+async function refreshQAAnalysisCheck({ installationId, owner, repo, prNumber, sha, inputs = {} }) {
+  if (!installationId || !sha) {
+    console.log('⏭️ Skipping QA analysis check: missing installationId or SHA');
+    return { checkRunId: null, evaluation: null, state: null };
+  }
+  const repoId = `${owner}/${repo}`;
+
+  let stored = null;
+  let approval = null;
+  try {
+    stored = await withStore(s => s.getState(repoId, prNumber));
+    approval = await withStore(s => s.getApproval(repoId, prNumber, sha));
+  } catch (err) {
+    console.warn('⚠️ QA check state lookup failed (non-fatal):', err.message);
+  }
+  const previous = stored && stored.head_sha === sha ? stored : {};
+  const state = {
+    decision: inputs.decision !== undefined ? inputs.decision : previous.decision || null,
+    riskLevel: inputs.riskLevel !== undefined ? inputs.riskLevel : previous.risk_level || null,
+    bugSeverities: inputs.bugSeverities !== undefined ? inputs.bugSeverities : previous.bug_severities || [],
+    testRun: inputs.testRun !== undefined ? mergeTestRuns(previous.test_run, inputs.testRun) : previous.test_run || null,
+    analysisUrl: inputs.analysisUrl || previous.analysis_url || null
+  };
+  if (!state.decision && !state.testRun) {
+    console.log(`⏭️ Skipping QA analysis check for ${repoId}#${prNumber}: nothing analyzed at ${sha.substring(0, 7)} yet`);
+    return { checkRunId: null, evaluation: null, state };
+  }
+
+  const { loadMergePolicy } = require('../utils/repoConfig');
+  const policy = await loadMergePolicy(repoId);
+  const evaluation = evaluateMergePolicy(policy, state, approval);
+  const { createQAAnalysisCheck } = require('./githubChecksService');
+  const checkRunId = await createQAAnalysisCheck({
+    installationId,
+    owner,
+    repo,
+    sha,
+    conclusion: evaluation.conclusion,
+    title: evaluation.title,
+    summary: formatPolicySummary(state, evaluation, policy),
+    analysisUrl: state.analysisUrl
+  });
+
+  try {
+    await withStore(s => s.saveState({
+      repo_id: repoId,
+      pr_number: prNumber,
+      head_sha: sha,
+      decision: state.decision,
+      risk_level: state.riskLevel,
+      bug_severities: state.bugSeverities,
+      test_run: state.testRun,
+      conclusion: evaluation.conclusion,
+      analysis_url: state.analysisUrl,
+      updated_at: new Date().toISOString()
+    }));
+  } catch (err) {
+    console.warn('⚠️ QA check state save failed (non-fatal):', err.message);
+  }
+  return { checkRunId, evaluation, state };
+}
+
+/**
+ * Whether a GitHub user may override the check with `/qa approve`
+ * @param {Object} octokit - Installation Octokit for the repo
+ */
+async function canApprove(octokit, owner, repo, username) {
+  const { data } = await octokit.repos.getCollaboratorPermissionLevel({ owner, repo, username });
+  return APPROVER_PERMISSIONS.includes(data.role_name || data.permission);
+}
+
+/**
+ * Record a `/qa approve` for the PR's head SHA
+ * @returns {Promise<Object|null>} Stored check state the approval applies to, or null when nothing was evaluated yet
+ */
+async function recordApproval({ repoId, prNumber, sha, approvedBy, reason }) {
+  const stored = await withStore(s => s.getState(repoId, prNumber));
+  await withStore(s => s.insertApproval({
+    repo_id: repoId,
+    pr_number: prNumber,
+    head_sha: sha,
+    approved_by: approvedBy,
+    reason,
+    previous_conclusion: stored?.head_sha === sha ? stored.conclusion : null
+  }));
+  return stored?.head_sha === sha ? stored : null;
+}
+
+module.exports = {
+  RISK_LEVELS,
+  BUG_SEVERITIES,
+  evaluateMergePolicy,
+  refreshQAAnalysisCheck,
+  canApprove,
+  recordApproval
+};
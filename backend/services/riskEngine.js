@@ -6,6 +6,7 @@
 const SIGNALS = {
   CORE_SERVICE_CHANGE: 40,
   DEPENDENCY_IMPACT: 20,
+  WIDE_BLAST_RADIUS: 15,
   MISSING_TEST_COVERAGE: 20,
   LARGE_PR: 10,
   HISTORICAL_INCIDENTS: 10,
@@ -14,6 +15,11 @@ const SIGNALS = {
 
 const THRESHOLDS = { low: 40, medium: 75 };
 
+/** Flows and files reached with less confidence (3+ import hops away) don't raise signals */
+const MIN_IMPACT_CONFIDENCE = 0.4;
+/** Blast radius that counts as wide: dependents reached in other product areas, or dependent files */
+const WIDE_BLAST_RADIUS = { areas: 2, files: 15 };
+
 const RISK_KEYWORDS = /\b(fix|security|migration|breaking|critical|urgent|patch)\b/i;
 
 /**
@@ -23,11 +29,12 @@ const RISK_KEYWORDS = /\b(fix|security|migration|breaking|critical|urgent|patch)
  * @param {string} opts.diff
  * @param {string} opts.prDescription
  * @param {Array<{ flowName: string, confidence: number, reason: string }>} opts.affectedFlows
+ * @param {Object|null} [opts.blastRadius] - computeBlastRadius output (ranked dependent files, areas, flows)
  * @param {Object|null} opts.repoContext - repo_context row (product_areas, services, tests_by_area, dependency_graph)
  * @param {Object} opts.existingRisks - output of detectRiskPatterns (security, performance, etc.)
  * @returns {{ level: 'Low'|'Medium'|'High', score: number, signals: string[], reasoning: string }}
  */
-function evaluate({ changedFiles = [], diff = '', prDescription = '', affectedFlows = [], repoContext = null, existingRisks = {} }) {
+function evaluate({ changedFiles = [], diff = '', prDescription = '', affectedFlows = [], blastRadius = null, repoContext = null, existingRisks = {} }) {
   const signals = [];
   let score = 0;
 
@@ -53,12 +60,22 @@ function evaluate({ changedFiles = [], diff = '', prDescription = '', affectedFl
     signals.push('Schema/data model change');
   }
 
-  if (affectedFlows && affectedFlows.some(f => f.reason === 'dependency impact')) {
+  const impactedFlows = (affectedFlows || []).filter(f => typeof f.confidence !== 'number' || f.confidence >= MIN_IMPACT_CONFIDENCE);
+  if (impactedFlows.some(f => f.reason === 'dependency impact')) {
     score += SIGNALS.DEPENDENCY_IMPACT;
     signals.push('Dependency impact on flows');
   }
 
-  const affectedFlowNames = (affectedFlows || []).map(f => f.flowName || f.name);
+  if (blastRadius) {
+    const dependents = (blastRadius.files || []).filter(f => f.depth > 0 && f.confidence >= MIN_IMPACT_CONFIDENCE);
+    const otherAreas = (blastRadius.areas || []).filter(a => a.depth > 0 && a.confidence >= MIN_IMPACT_CONFIDENCE);
+    if (otherAreas.length >= WIDE_BLAST_RADIUS.areas || dependents.length >= WIDE_BLAST_RADIUS.files) {
+      score += SIGNALS.WIDE_BLAST_RADIUS;
+      signals.push(`Wide blast radius (${dependents.length} dependent files${otherAreas.length ? `, ${otherAreas.length} other product areas` : ''})`);
+    }
+  }
+
+  const affectedFlowNames = impactedFlows.map(f => f.flowName || f.name);
   const missingTest = affectedFlowNames.some(name => !allTestFlows.has(name));
   if (missingTest && affectedFlowNames.length) {
     score += SIGNALS.MISSING_TEST_COVERAGE;
@@ -7,29 +7,29 @@ const fs = require('fs').promises;
 const path = require('path');
 const FormData = require('form-data');
 const axios = require('axios');
+const { storeArtifact } = require('./artifactStore');
 
 /**
- * Upload screenshot to GitHub (via issue comment attachments)
- * Note: GitHub doesn't have a direct API for uploading images,
- * so we'll use external storage or base64 encoding
- * 
- * For production, use AWS S3, CloudFlare R2, or Imgur
+ * Store a screenshot in the artifact store and return a signed link for GitHub comments.
+ * GitHub has no API for uploading images, so comments link to our own (access-controlled) store.
+ * @param {string} screenshotPath - Local screenshot file
+ * @param {string} filename - Display name (kept for callers; the key follows the file's path)
+ * @param {Object} [options] - { repoId, userId, plan } for the artifact key and retention
  */
-async function uploadScreenshotToGitHub(screenshotPath, filename) {
+async function uploadScreenshotToGitHub(screenshotPath, filename, options = {}) {
   try {
     await fs.stat(screenshotPath);
 
-    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
-    const testResultsRoot = path.join(__dirname, '..', '..', 'test-results');
-    const relativePath = path.relative(testResultsRoot, screenshotPath);
-    const url = `${baseUrl}/test-results/${relativePath}`;
+    const stored = await storeArtifact(screenshotPath, { ...options, kind: 'screenshot' });
+    const url = stored ? stored.url : null;
     
-    console.log(`📸 Screenshot available: ${url}`);
+    console.log(`📸 Screenshot available: ${url || '(not stored)'}`);
     
     return {
       url,
       path: screenshotPath,
-      originalPath: screenshotPath
+      originalPath: screenshotPath,
+      expiresAt: stored ? stored.expiresAt : null
     };
   } catch (error) {
     console.error('Error with screenshot:', error);
@@ -114,14 +114,14 @@ async function uploadToImgur(screenshotPath, clientId) {
 /**
  * Upload multiple screenshots and return URLs
  */
-async function uploadMultipleScreenshots(screenshots) {
+async function uploadMultipleScreenshots(screenshots, options = {}) {
   const uploadPromises = screenshots.map(async (screenshot) => {
     if (!screenshot.path) {
       return { ...screenshot, url: null };
     }
     
     const filename = path.basename(screenshot.path);
-    const result = await uploadScreenshotToGitHub(screenshot.path, filename);
+    const result = await uploadScreenshotToGitHub(screenshot.path, filename, options);
     
     return {
       ...screenshot,
@@ -148,12 +148,14 @@ function generateScreenshotMarkdown(screenshotUrl, altText, caption = null) {
 }
 
 /**
- * Create a comparison view for before/after screenshots
+ * Create a comparison view for before/after screenshots, with the pixel diff as a third column when given
  */
-function generateComparisonMarkdown(beforeUrl, afterUrl, description) {
+function generateComparisonMarkdown(beforeUrl, afterUrl, description, diffUrl = null) {
+  const width = diffUrl ? 270 : 400;
   let markdown = `<table><tr>\n`;
-  markdown += `<td><img src="${beforeUrl}" width="400" /><br/><em>Before</em></td>\n`;
-  markdown += `<td><img src="${afterUrl}" width="400" /><br/><em>After</em></td>\n`;
+  markdown += `<td><img src="${beforeUrl}" width="${width}" /><br/><em>Before</em></td>\n`;
+  markdown += `<td><img src="${afterUrl}" width="${width}" /><br/><em>After</em></td>\n`;
+  if (diffUrl) markdown += `<td><img src="${diffUrl}" width="${width}" /><br/><em>Diff</em></td>\n`;
   markdown += `</tr></table>\n\n`;
   if (description) {
     markdown += `${description}\n\n`;
@@ -3,9 +3,14 @@
  * Generates GitHub PR comments with test execution results
  */
 
-const { generateVideoTimeline, calculateVideoDuration } = require('./videoService');
+const { generateVideoTimeline, getScenarioVideoUrl, getVideoMomentUrl, generateFilmstripMarkdown, calculateVideoDuration } = require('./videoService');
+const { generateComparisonMarkdown } = require('./screenshotService');
+const { getDeviceProfile, getScenarioLabel } = require('../ai/deviceProfiles');
 
-function generateTestReportComment(results, videoUrl, screenshotUrls = {}, manualScenarios = []) {
+/**
+ * Test report comment. Recordings are linked per scenario — every scenario runs in its own browser session.
+ */
+function generateTestReportComment(results, screenshotUrls = {}, manualScenarios = []) {
   const executed = results.scenarios.length;
   const noScenariosRan = executed === 0;
   const allPassed = !noScenariosRan && results.failed === 0;
@@ -24,14 +29,16 @@ function generateTestReportComment(results, videoUrl, screenshotUrls = {}, manua
     comment += `**No scenarios ran.** The browser session likely failed to start or crashed before execution began.\n\n`;
     comment += `**Common causes:** Authentication failed, staging URL unreachable, or browser session error.\n\n`;
     comment += `**Try:** Check credentials in [Settings](${process.env.BASE_URL || 'https://www.firstqa.dev'}/dashboard/settings) and re-run with \`/qa testrun\`.\n\n`;
-    if (videoUrl) comment += `[Watch recording](${videoUrl}) for details.\n\n`;
-    comment += `<sub>🤖 Ovi AI · Browserbase + Playwright · [Dashboard](${process.env.BASE_URL || 'https://www.firstqa.dev'}/dashboard)</sub>\n`;
+    comment += `<sub>🤖 Ovi AI · ${getRunnerLabel(results)} · [Dashboard](${process.env.BASE_URL || 'https://www.firstqa.dev'}/dashboard)</sub>\n`;
     return comment;
   }
 
   comment += `**${results.passed}/${executed} passed** (${passRate}%) · ${duration} · Chromium`;
-  if (videoUrl) {
-    comment += ` · [Watch recording](${videoUrl})`;
+  if (results.devices) {
+    comment += ` · ${results.devices.map(d => getDeviceProfile(d).label).join(', ')}`;
+  }
+  if (results.replayed > 0) {
+    comment += ` · ⚡ ${results.replayed} replayed from cache`;
   }
   comment += `\n\n`;
 
@@ -41,45 +48,64 @@ function generateTestReportComment(results, videoUrl, screenshotUrls = {}, manua
     return (order[a.status] ?? 6) - (order[b.status] ?? 6);
   });
 
-  comment += `| # | Scenario | Priority | Status | Duration | Evidence |\n`;
-  comment += `|---|----------|----------|--------|----------|----------|\n`;
+  comment += `| # | Scenario | Priority | Status | Run | Duration | Evidence |\n`;
+  comment += `|---|----------|----------|--------|-----|----------|----------|\n`;
 
   sorted.forEach((s, i) => {
     const status = getStatusLabel(s.status);
     const dur = (s.duration / 1000).toFixed(1) + 's';
     const evidenceParts = [];
-    if (screenshotUrls[s.scenario]) evidenceParts.push(`[IMG](${screenshotUrls[s.scenario]})`);
-    if (videoUrl) evidenceParts.push(`[Video](${videoUrl})`);
+    const label = getScenarioLabel(s);
+    if (screenshotUrls[label]) evidenceParts.push(`[IMG](${screenshotUrls[label]})`);
+    // Each scenario runs in its own browser session — link its own recording, at the moment the scenario starts
+    const scenarioVideo = getScenarioVideoUrl(s);
+    const scenarioVideoUrl = scenarioVideo && getVideoMomentUrl(scenarioVideo, (s.timeline?.startOffsetMs || 0) / 1000);
+    if (scenarioVideoUrl) evidenceParts.push(`[Video](${scenarioVideoUrl})`);
+    if (s.traceUrl) evidenceParts.push(`[Trace](${s.traceUrl})`);
     const evidence = evidenceParts.length > 0 ? evidenceParts.join(' · ') : '-';
-    comment += `| ${i + 1} | ${s.scenario} | ${s.priority || '-'} | ${status} | ${dur} | ${evidence} |\n`;
+    comment += `| ${i + 1} | ${label} | ${s.priority || '-'} | ${status} | ${getExecutionModeLabel(s)} | ${dur} | ${evidence} |\n`;
   });
 
   comment += `\n`;
 
+  // Scenario × device grid
+  comment += generateDeviceMatrixSection(results);
+
   // Partial pass details
   const partials = results.scenarios.filter(s => s.status === 'PARTIAL');
   if (partials.length > 0) {
     comment += `> 🔶 **Partial passes** — UI steps verified, but some aspects need manual checking:\n`;
     partials.forEach(s => {
-      comment += `> - **${s.scenario}**: ${s.manualNote || s.manual_steps || 'Manual verification needed'}\n`;
+      comment += `> - **${getScenarioLabel(s)}**: ${s.manualNote || s.manual_steps || 'Manual verification needed'}\n`;
     });
     comment += `\n`;
   }
 
   // Failed test details — collapsed
-  const failures = results.scenarios.filter(s => s.status === 'FAIL' || s.status === 'ERROR');
+  const failures = results.scenarios.filter(s => ['FAIL', 'ERROR', 'TIMEOUT'].includes(s.status));
   if (failures.length > 0) {
+    const timelineByScenario = new Map(generateVideoTimeline(results).map(item => [results.scenarios[item.scenarioIndex], item]));
     comment += `<details>\n<summary><strong>❌ Failed Test Details (${failures.length})</strong></summary>\n\n`;
 
     failures.forEach(scenario => {
-      comment += `### ${scenario.scenario}\n\n`;
+      const label = getScenarioLabel(scenario);
+      comment += `### ${label}\n\n`;
 
       if (scenario.expected) comment += `**Expected:** ${scenario.expected}\n`;
       if (scenario.actualResult) comment += `**Actual:** ${scenario.actualResult}\n`;
       if (scenario.error) comment += `\n\`\`\`\n${scenario.error}\n\`\`\`\n`;
 
-      const screenshotUrl = screenshotUrls[scenario.scenario];
-      if (screenshotUrl) comment += `\n![${scenario.scenario}](${screenshotUrl})\n`;
+      const screenshotUrl = screenshotUrls[label];
+      if (screenshotUrl) comment += `\n![${label}](${screenshotUrl})\n`;
+
+      const timelineItem = timelineByScenario.get(scenario);
+      if (timelineItem?.videoUrl) {
+        comment += timelineItem.videoUrl.seekable
+          ? `\n**Recording:** [▶️ ${timelineItem.formattedStartTime} start](${getVideoMomentUrl(timelineItem.videoUrl, timelineItem.startTime)}) → [${timelineItem.formattedEndTime} end](${getVideoMomentUrl(timelineItem.videoUrl, timelineItem.endTime)})\n`
+          : `\n**Recording:** [Session replay](${timelineItem.videoUrl.url}) — scenario runs ${timelineItem.formattedStartTime}–${timelineItem.formattedEndTime}\n`;
+        const filmstrip = generateFilmstripMarkdown(timelineItem);
+        if (filmstrip) comment += `\n${filmstrip}`;
+      }
 
       if (scenario.consoleLogs && scenario.consoleLogs.length > 0) {
         comment += `\n<details>\n<summary>Console Logs (${scenario.consoleLogs.length})</summary>\n\n\`\`\`\n`;
@@ -101,11 +127,20 @@ function generateTestReportComment(results, videoUrl, screenshotUrls = {}, manua
     comment += `> 🚫 **Agent Blocked** — these scenarios require manual execution:\n`;
     blocked.forEach(s => {
       const why = s.error ? s.error.replace(/^Agent blocked:\s*/i, '') : 'not automatable in browser';
-      comment += `> - **${s.scenario}**: ${why}\n`;
+      comment += `> - **${getScenarioLabel(s)}**: ${why}\n`;
     });
     comment += `\n`;
   }
 
+  // Browser errors the scenarios didn't fail on
+  comment += generateSilentFailuresSection(results.silentFailures);
+
+  // Accessibility audit — kept apart from functional results, it doesn't change pass/fail
+  comment += generateAccessibilitySection(results.accessibility);
+
+  // Visual regression against the default branch's baselines
+  comment += generateVisualSection(results.scenarios);
+
   // Manual testing section
   if (manualScenarios.length > 0) {
     comment += `<details>\n<summary><strong>📋 Manual Testing Required (${manualScenarios.length})</strong></summary>\n\n`;
@@ -118,11 +153,140 @@ function generateTestReportComment(results, videoUrl, screenshotUrls = {}, manua
     comment += `\n</details>\n\n`;
   }
 
-  comment += `<sub>🤖 Ovi AI · Browserbase + Playwright · [Dashboard](${process.env.BASE_URL || 'https://www.firstqa.dev'}/dashboard)</sub>\n`;
+  const exportLinks = formatExportLinks(results.exportUrls);
+  if (exportLinks) comment += `📦 **Download:** ${exportLinks}\n\n`;
+
+  // Local runner artifacts are linked above once stored; otherwise they stay on the machine that ran the tests
+  if (results.runner === 'local' && results.scenarios.some(s => s.traceUrl)) {
+    comment += `> 💻 Ran on the local runner — open a downloaded trace with \`npx playwright-core show-trace <zip>\` or at trace.playwright.dev.\n\n`;
+  } else if (results.runner === 'local' && results.scenarios.some(s => s.tracePath || s.videoPath)) {
+    comment += `> 💻 Ran on the local runner — Playwright traces and videos are in \`test-results/${results.executionId}\` on that machine (\`npx playwright-core show-trace <zip>\`).\n\n`;
+  }
+
+  comment += `<sub>🤖 Ovi AI · ${getRunnerLabel(results)} · [Dashboard](${process.env.BASE_URL || 'https://www.firstqa.dev'}/dashboard)</sub>\n`;
 
   return comment;
 }
 
+/**
+ * Scenario × device grid of a device matrix run — which scenarios break on which devices.
+ * '' for a single-device run.
+ */
+function generateDeviceMatrixSection(results) {
+  if (!results.devices || results.devices.length < 2) return '';
+  const rows = new Map();
+  for (const s of results.scenarios) {
+    if (!rows.has(s.scenario)) rows.set(s.scenario, {});
+    rows.get(s.scenario)[s.device] = s.status;
+  }
+  let section = `**📱 Devices**\n\n`;
+  section += `| Scenario | ${results.devices.map(d => getDeviceProfile(d).label).join(' | ')} |\n`;
+  section += `|----------|${results.devices.map(() => '---').join('|')}|\n`;
+  for (const [scenario, statuses] of rows) {
+    section += `| ${scenario} | ${results.devices.map(d => (statuses[d] ? getStatusLabel(statuses[d]) : '-')).join(' | ')} |\n`;
+  }
+  return `${section}\n`;
+}
+
+/**
+ * Collapsed "🔇 Silent Failures" section: console errors, uncaught exceptions and failed requests that
+ * weren't on the allowlist, one row per distinct error. '' when there are none.
+ */
+function generateSilentFailuresSection(silentFailures) {
+  if (!silentFailures || silentFailures.total === 0) return '';
+  const { total, passingScenarios, items } = silentFailures;
+  let section = `> 🔇 **${total} silent failure${total === 1 ? '' : 's'}** — browser errors`;
+  section += passingScenarios > 0 ? `, including in ${passingScenarios} passing scenario(s).\n\n` : `.\n\n`;
+  section += `<details>\n<summary><strong>🔇 Silent Failures (${total})</strong></summary>\n\n`;
+  section += `| Kind | Error | Where | Scenarios |\n`;
+  section += `|------|-------|-------|-----------|\n`;
+  items.slice(0, 25).forEach(item => {
+    const message = item.message.replace(/\|/g, '\\|').replace(/`/g, "'");
+    const repeats = item.count > item.scenarios.length ? ` (×${item.count})` : '';
+    section += `| ${item.label} | \`${message}\`${repeats} | ${item.url ? `\`${item.url.replace(/\|/g, '\\|')}\`` : '-'} | ${item.scenarios.join('<br>')} |\n`;
+  });
+  if (items.length > 25) section += `\n… and ${items.length - 25} more.\n`;
+  section += `\nExpected noise? Add a pattern to \`testrun.allowed_errors\` in \`.firstqa.yml\`.\n\n</details>\n\n`;
+  return section;
+}
+
+/**
+ * Collapsed "♿ Accessibility" section: one row per violated rule, de-duplicated across scenarios.
+ * '' when the run wasn't audited.
+ */
+function generateAccessibilitySection(accessibility) {
+  if (!accessibility) return '';
+  const { total, pagesAudited, byImpact, rules } = accessibility;
+  if (total === 0) return `♿ **Accessibility:** no issues found on ${pagesAudited} page state(s).\n\n`;
+
+  const counts = Object.entries(byImpact).filter(([, n]) => n > 0).map(([impact, n]) => `${n} ${impact}`).join(', ');
+  let section = `<details>\n<summary><strong>♿ Accessibility (${total} issue${total === 1 ? '' : 's'} — ${counts})</strong></summary>\n\n`;
+  section += `Audited ${pagesAudited} distinct page state(s). Each element is listed once, however many scenarios reached it.\n\n`;
+  section += `| Rule | Impact | Elements | Pages | Scenarios |\n`;
+  section += `|------|--------|----------|-------|-----------|\n`;
+  rules.forEach(rule => {
+    const elements = rule.nodes.slice(0, 3).map(n => `\`${n.target.replace(/\|/g, '\\|')}\``).join('<br>');
+    const more = rule.nodes.length > 3 ? `<br>… and ${rule.nodes.length - 3} more` : '';
+    section += `| [${rule.help}](${rule.helpUrl}) | ${rule.impact} | ${elements}${more} | ${rule.pages.join('<br>')} | ${rule.scenarios.length} |\n`;
+  });
+  section += `\n</details>\n\n`;
+  return section;
+}
+
+/**
+ * Collapsed "🖼️ Visual Changes" section: before/after/diff for changed screenshots, links for new ones.
+ * '' when no snapshots were compared.
+ */
+function generateVisualSection(scenarios) {
+  const compared = scenarios.filter(s => s.visual);
+  if (compared.length === 0) return '';
+  const changed = compared.filter(s => s.visual.status === 'changed');
+  const added = compared.filter(s => s.visual.status === 'new');
+  if (changed.length === 0 && added.length === 0) {
+    return `🖼️ **Visual:** ${compared.length} screenshot${compared.length === 1 ? '' : 's'} match the baselines.\n\n`;
+  }
+
+  let section = `<details>\n<summary><strong>🖼️ Visual Changes (${changed.length} changed, ${added.length} new)</strong></summary>\n\n`;
+  changed.forEach(s => {
+    section += `#### ${s.scenario} · ${s.visual.viewport}\n\n`;
+    const percent = s.visual.diffRatio !== null ? `${(s.visual.diffRatio * 100).toFixed(2)}% of pixels changed` : null;
+    section += generateComparisonMarkdown(s.visual.baselineUrl, s.visual.currentUrl, percent, s.visual.diffUrl);
+  });
+  if (added.length > 0) {
+    section += `**No baseline yet:**\n`;
+    added.forEach(s => { section += `- [${s.scenario}](${s.visual.currentUrl}) · ${s.visual.viewport}\n`; });
+    section += `\n`;
+  }
+  section += `Comment \`/qa baseline accept\` to make these the baselines (\`-only=<scenario name>\` for some).\n\n</details>\n\n`;
+  return section;
+}
+
+/**
+ * "[JUnit XML](…) · [CTRF JSON](…) · [HTML report](…)" for the stored exports of a run, or '' when there are none
+ */
+function formatExportLinks(exportUrls) {
+  if (!exportUrls) return '';
+  const labels = { html: 'HTML report', junit: 'JUnit XML', ctrf: 'CTRF JSON' };
+  return Object.keys(labels)
+    .filter(format => exportUrls[format])
+    .map(format => `[${labels[format]}](${exportUrls[format]})`)
+    .join(' · ');
+}
+
+function getRunnerLabel(results) {
+  return results.runner === 'local' ? 'Local Chromium + Playwright' : 'Browserbase + Playwright';
+}
+
+/**
+ * How a scenario was driven: replayed from its cached script, or by the agent
+ */
+function getExecutionModeLabel(scenario) {
+  if (scenario.executionMode === 'replay') return '⚡ Replayed';
+  if (scenario.executionMode === 'agent_fallback') return '🤖 Agent (replay failed)';
+  if (scenario.executionMode === 'agent') return '🤖 Agent';
+  return '-';
+}
+
 function getStatusLabel(status) {
   return {
     PASS: '✅ Pass',
@@ -144,9 +308,9 @@ function generateQuickSummary(results) {
     comment += `Failed tests:\n`;
     results.scenarios
       .filter(s => s.status === 'FAIL' || s.status === 'ERROR')
-      .forEach(s => { comment += `- ${s.scenario}\n`; });
+      .forEach(s => { comment += `- ${getScenarioLabel(s)}\n`; });
   }
   return comment;
 }
 
-module.exports = { generateTestReportComment, generateQuickSummary };
+module.exports = { generateTestReportComment, generateQuickSummary, formatExportLinks };
@@ -0,0 +1,344 @@
+/**
+ * Test Run Exporter
+ * Turns the results object of executeTestRecipe into files other tools understand:
+ * - JUnit XML — CI artifact viewers, Jenkins, GitLab, most test dashboards
+ * - CTRF JSON — Common Test Report Format (https://ctrf.io)
+ * - HTML — a self-contained report (inline CSS, screenshots embedded as data URIs, no scripts)
+ *
+ * Files are written to test-results/<executionId>/exports; the orchestrator copies them to the
+ * artifact store and links them from the PR comment and check run.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getDeviceProfile, getScenarioLabel } = require('../ai/deviceProfiles');
+
+const EXPORT_FILES = {
+  junit: 'junit.xml',
+  ctrf: 'ctrf.json',
+  html: 'report.html'
+};
+/** Screenshots larger than this are linked by name instead of embedded in the HTML report */
+const MAX_EMBEDDED_SCREENSHOT_BYTES = 3 * 1024 * 1024;
+
+const FAILED_STATUSES = ['FAIL'];
+const ERROR_STATUSES = ['ERROR', 'TIMEOUT'];
+const SKIPPED_STATUSES = ['SKIP', 'SKIPPED', 'BLOCKED'];
+
+/**
+ * CTRF status of a scenario (passed | failed | skipped | pending | other)
+ */
+function toCtrfStatus(status) {
+  if (status === 'PASS' || status === 'PARTIAL') return 'passed';
+  if (FAILED_STATUSES.includes(status) || ERROR_STATUSES.includes(status)) return 'failed';
+  if (SKIPPED_STATUSES.includes(status)) return 'skipped';
+  if (status === 'PENDING') return 'pending';
+  return 'other';
+}
+
+function getConsoleErrors(scenario) {
+  return (scenario.consoleLogs || []).filter(log => log.type === 'error');
+}
+
+function getNetworkErrors(scenario) {
+  return scenario.networkErrors || [];
+}
+
+function getRunTimes(results) {
+  const start = results.startTime ? new Date(results.startTime).getTime() : Date.now();
+  const stop = results.endTime ? new Date(results.endTime).getTime() : start + (results.duration || 0);
+  return { start, stop };
+}
+
+// ---------------------------------------------------------------------------
+// JUnit XML
+// ---------------------------------------------------------------------------
+
+function escapeXml(value) {
+  return String(value ?? '')
+    // Control characters aren't allowed in XML 1.0, even escaped
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function toSeconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+/**
+ * JUnit XML of a run: one <testsuite> per run, one <testcase> per scenario
+ * @param {Object} results - executeTestRecipe results
+ * @param {Object} [meta] - { title, repo, prNumber, sha }
+ * @returns {string}
+ */
+function toJUnitXml(results, meta = {}) {
+  const scenarios = results.scenarios || [];
+  const failures = scenarios.filter(s => FAILED_STATUSES.includes(s.status)).length;
+  const errors = scenarios.filter(s => ERROR_STATUSES.includes(s.status)).length;
+  const skipped = scenarios.filter(s => SKIPPED_STATUSES.includes(s.status)).length;
+  const time = toSeconds(results.duration);
+  const timestamp = results.startTime || new Date().toISOString();
+  const suiteName = meta.title || `FirstQA test run ${results.executionId}`;
+
+  let xml = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+  xml += `<testsuites name="FirstQA" tests="${scenarios.length}" failures="${failures}" errors="${errors}" skipped="${skipped}" time="${time}">\n`;
+  xml += `  <testsuite name="${escapeXml(suiteName)}" tests="${scenarios.length}" failures="${failures}" errors="${errors}" skipped="${skipped}" time="${time}" timestamp="${escapeXml(timestamp)}">\n`;
+  xml += `    <properties>\n`;
+  const properties = {
+    executionId: results.executionId,
+    baseUrl: results.baseUrl,
+    runner: results.runner,
+    repository: meta.repo,
+    pullRequest: meta.prNumber,
+    sha: meta.sha
+  };
+  for (const [name, value] of Object.entries(properties)) {
+    if (value != null && value !== '') xml += `      <property name="${name}" value="${escapeXml(value)}"/>\n`;
+  }
+  xml += `    </properties>\n`;
+
+  for (const s of scenarios) {
+    const classname = `firstqa.${String(s.priority || 'unprioritized').toLowerCase().replace(/[^a-z0-9]+/g, '_')}`;
+    xml += `    <testcase name="${escapeXml(getScenarioLabel(s))}" classname="${escapeXml(classname)}" time="${toSeconds(s.duration)}">\n`;
+
+    const message = s.error || s.actualResult || s.status;
+    if (FAILED_STATUSES.includes(s.status)) {
+      xml += `      <failure message="${escapeXml(message)}" type="${s.status}">${escapeXml([`Expected: ${s.expected || '-'}`, `Actual: ${s.actualResult || '-'}`].join('\n'))}</failure>\n`;
+    } else if (ERROR_STATUSES.includes(s.status)) {
+      xml += `      <error message="${escapeXml(message)}" type="${s.status}">${escapeXml(s.error || '')}</error>\n`;
+    } else if (SKIPPED_STATUSES.includes(s.status)) {
+      xml += `      <skipped message="${escapeXml(message)}"/>\n`;
+    }
+
+    const out = [];
+    if (s.steps) out.push(`Steps:\n${s.steps}`);
+    if (s.actualResult) out.push(`Actual: ${s.actualResult}`);
+    if (s.manualNote) out.push(`Manual check: ${s.manualNote}`);
+    if (s.actionLog?.length) out.push(`Actions:\n${s.actionLog.join('\n')}`);
+    // [[ATTACHMENT|…]] is picked up by Jenkins, GitLab and Azure DevOps
+    for (const attachment of [s.screenshotPath, s.videoPath, s.tracePath].filter(Boolean)) {
+      out.push(`[[ATTACHMENT|${attachment}]]`);
+    }
+    if (out.length > 0) xml += `      <system-out>${escapeXml(out.join('\n\n'))}</system-out>\n`;
+
+    const err = [
+      ...getConsoleErrors(s).map(log => `[console.${log.type}] ${log.text}`),
+      ...getNetworkErrors(s).map(e => `[network] ${e.url} — ${e.failure || 'failed'}`)
+    ];
+    if (err.length > 0) xml += `      <system-err>${escapeXml(err.join('\n'))}</system-err>\n`;
+
+    xml += `    </testcase>\n`;
+  }
+
+  xml += `  </testsuite>\n`;
+  xml += `</testsuites>\n`;
+  return xml;
+}
+
+// ---------------------------------------------------------------------------
+// CTRF JSON
+// ---------------------------------------------------------------------------
+
+/**
+ * CTRF report of a run
+ * @param {Object} results - executeTestRecipe results
+ * @param {Object} [meta] - { title, repo, prNumber, sha }
+ * @returns {Object}
+ */
+function toCtrfReport(results, meta = {}) {
+  const scenarios = results.scenarios || [];
+  const { start, stop } = getRunTimes(results);
+  const count = status => scenarios.filter(s => toCtrfStatus(s.status) === status).length;
+
+  return {
+    reportFormat: 'CTRF',
+    specVersion: '0.0.0',
+    generatedBy: 'FirstQA',
+    results: {
+      tool: { name: 'FirstQA', extra: { runner: results.runner } },
+      summary: {
+        tests: scenarios.length,
+        passed: count('passed'),
+        failed: count('failed'),
+        skipped: count('skipped'),
+        pending: count('pending'),
+        other: count('other'),
+        start,
+        stop
+      },
+      tests: scenarios.map(s => ({
+        name: getScenarioLabel(s),
+        status: toCtrfStatus(s.status),
+        duration: s.duration || 0,
+        message: s.error || s.actualResult || undefined,
+        rawStatus: s.status,
+        suite: s.priority || undefined,
+        browser: 'chromium',
+        device: s.device ? getDeviceProfile(s.device).label : undefined,
+        steps: s.timeline?.steps?.map(step => ({ name: step.label, status: 'passed' })),
+        attachments: [
+          s.screenshotPath && { name: 'screenshot', contentType: 'image/png', path: s.screenshotPath },
+          s.videoPath && { name: 'video', contentType: 'video/webm', path: s.videoPath },
+          s.tracePath && { name: 'trace', contentType: 'application/zip', path: s.tracePath }
+        ].filter(Boolean),
+        extra: {
+          expected: s.expected,
+          actualResult: s.actualResult,
+          manualNote: s.manualNote || undefined,
+          executionMode: s.executionMode,
+          sessionReplayUrl: s.sessionReplayUrl || undefined,
+          consoleErrors: getConsoleErrors(s),
+          networkErrors: getNetworkErrors(s)
+        }
+      })),
+      environment: {
+        appName: meta.repo,
+        buildName: meta.prNumber ? `PR #${meta.prNumber}` : undefined,
+        commit: meta.sha,
+        testEnvironment: results.baseUrl
+      },
+      extra: { executionId: results.executionId, replayed: results.replayed || 0 }
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// HTML
+// ---------------------------------------------------------------------------
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+async function readScreenshotDataUri(screenshotPath) {
+  if (!screenshotPath) return null;
+  try {
+    const stats = await fs.stat(screenshotPath);
+    if (stats.size > MAX_EMBEDDED_SCREENSHOT_BYTES) return null;
+    const data = await fs.readFile(screenshotPath);
+    const type = /\.jpe?g$/i.test(screenshotPath) ? 'image/jpeg' : 'image/png';
+    return `data:${type};base64,${data.toString('base64')}`;
+  } catch (err) {
+    return null;
+  }
+}
+
+const HTML_STYLE = `
+body { font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 0; color: #1f2328; background: #f6f8fa; }
+main { max-width: 1100px; margin: 0 auto; padding: 24px; }
+h1 { font-size: 22px; margin: 0 0 4px; }
+.meta { color: #59636e; margin-bottom: 16px; }
+.summary { display: flex; gap: 12px; margin-bottom: 24px; }
+.summary div { background: #fff; border: 1px solid #d1d9e0; border-radius: 6px; padding: 8px 16px; }
+.summary b { display: block; font-size: 20px; }
+table { border-collapse: collapse; width: 100%; background: #fff; margin-bottom: 24px; }
+th, td { border: 1px solid #d1d9e0; padding: 6px 10px; text-align: left; vertical-align: top; }
+th { background: #f6f8fa; }
+.status { font-weight: 600; white-space: nowrap; }
+.passed { color: #1a7f37; } .failed { color: #d1242f; } .skipped, .pending, .other { color: #9a6700; }
+details { background: #fff; border: 1px solid #d1d9e0; border-radius: 6px; margin-bottom: 12px; padding: 8px 16px; }
+summary { cursor: pointer; font-weight: 600; }
+pre { background: #f6f8fa; padding: 8px; overflow-x: auto; white-space: pre-wrap; word-break: break-word; }
+img { max-width: 100%; border: 1px solid #d1d9e0; margin-top: 8px; }
+`;
+
+/**
+ * Self-contained HTML report of a run
+ * @param {Object} results - executeTestRecipe results
+ * @param {Object} [meta] - { title, repo, prNumber, sha }
+ * @returns {Promise<string>}
+ */
+async function toHtmlReport(results, meta = {}) {
+  const scenarios = results.scenarios || [];
+  const { start } = getRunTimes(results);
+  const title = meta.title || `FirstQA test run ${results.executionId}`;
+  const count = status => scenarios.filter(s => toCtrfStatus(s.status) === status).length;
+
+  let html = `<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n`;
+  html += `<title>${escapeHtml(title)}</title>\n<style>${HTML_STYLE}</style>\n</head>\n<body>\n<main>\n`;
+  html += `<h1>${escapeHtml(title)}</h1>\n`;
+  html += `<div class="meta">${escapeHtml(new Date(start).toISOString())} · ${escapeHtml(results.baseUrl || '')} · ${results.runner === 'local' ? 'Local Chromium' : 'Browserbase'}${meta.sha ? ` · ${escapeHtml(String(meta.sha).slice(0, 7))}` : ''} · ${Math.round((results.duration || 0) / 1000)}s</div>\n`;
+  html += `<div class="summary">`;
+  for (const [label, status] of [['Passed', 'passed'], ['Failed', 'failed'], ['Skipped', 'skipped']]) {
+    html += `<div><b class="${status}">${count(status)}</b>${label}</div>`;
+  }
+  html += `<div><b>${scenarios.length}</b>Total</div></div>\n`;
+
+  html += `<table>\n<tr><th>#</th><th>Scenario</th><th>Priority</th><th>Status</th><th>Duration</th></tr>\n`;
+  scenarios.forEach((s, i) => {
+    html += `<tr><td>${i + 1}</td><td><a href="#scenario-${i + 1}">${escapeHtml(getScenarioLabel(s))}</a></td><td>${escapeHtml(s.priority || '-')}</td>`;
+    html += `<td class="status ${toCtrfStatus(s.status)}">${escapeHtml(s.status)}</td><td>${((s.duration || 0) / 1000).toFixed(1)}s</td></tr>\n`;
+  });
+  html += `</table>\n`;
+
+  for (const [i, s] of scenarios.entries()) {
+    const status = toCtrfStatus(s.status);
+    html += `<details id="scenario-${i + 1}"${status === 'failed' ? ' open' : ''}>\n`;
+    html += `<summary><span class="${status}">${escapeHtml(s.status)}</span> — ${escapeHtml(getScenarioLabel(s))}</summary>\n`;
+    if (s.steps) html += `<p><b>Steps</b></p><pre>${escapeHtml(s.steps)}</pre>\n`;
+    if (s.expected) html += `<p><b>Expected:</b> ${escapeHtml(s.expected)}</p>\n`;
+    if (s.actualResult) html += `<p><b>Actual:</b> ${escapeHtml(s.actualResult)}</p>\n`;
+    if (s.manualNote) html += `<p><b>Manual check:</b> ${escapeHtml(s.manualNote)}</p>\n`;
+    if (s.error) html += `<pre>${escapeHtml(s.error)}</pre>\n`;
+
+    const consoleErrors = getConsoleErrors(s);
+    if (consoleErrors.length > 0) {
+      html += `<p><b>Console errors (${consoleErrors.length})</b></p><pre>${escapeHtml(consoleErrors.map(log => log.text).join('\n'))}</pre>\n`;
+    }
+    const networkErrors = getNetworkErrors(s);
+    if (networkErrors.length > 0) {
+      html += `<p><b>Network errors (${networkErrors.length})</b></p><pre>${escapeHtml(networkErrors.map(e => `${e.url} — ${e.failure || 'failed'}`).join('\n'))}</pre>\n`;
+    }
+
+    const screenshot = await readScreenshotDataUri(s.screenshotPath);
+    if (screenshot) html += `<img src="${screenshot}" alt="Screenshot of ${escapeHtml(s.scenario)}">\n`;
+    else if (s.screenshotPath) html += `<p><i>Screenshot: ${escapeHtml(path.basename(s.screenshotPath))}</i></p>\n`;
+    html += `</details>\n`;
+  }
+
+  html += `<p class="meta">Generated by FirstQA · execution ${escapeHtml(results.executionId || '')}</p>\n`;
+  html += `</main>\n</body>\n</html>\n`;
+  return html;
+}
+
+// ---------------------------------------------------------------------------
+// Files
+// ---------------------------------------------------------------------------
+
+/**
+ * Write all exports of a run to <resultsDir>/exports
+ * @param {Object} results - executeTestRecipe results (needs resultsDir)
+ * @param {Object} [meta] - { title, repo, prNumber, sha }
+ * @returns {Promise<{ junit: string, ctrf: string, html: string }>} File paths
+ */
+async function writeRunExports(results, meta = {}) {
+  const exportsDir = path.join(results.resultsDir, 'exports');
+  await fs.mkdir(exportsDir, { recursive: true });
+
+  const paths = {
+    junit: path.join(exportsDir, EXPORT_FILES.junit),
+    ctrf: path.join(exportsDir, EXPORT_FILES.ctrf),
+    html: path.join(exportsDir, EXPORT_FILES.html)
+  };
+  await fs.writeFile(paths.junit, toJUnitXml(results, meta), 'utf-8');
+  await fs.writeFile(paths.ctrf, JSON.stringify(toCtrfReport(results, meta), null, 2), 'utf-8');
+  await fs.writeFile(paths.html, await toHtmlReport(results, meta), 'utf-8');
+  return paths;
+}
+
+module.exports = {
+  EXPORT_FILES,
+  toJUnitXml,
+  toCtrfReport,
+  toHtmlReport,
+  writeRunExports
+};
@@ -5,13 +5,16 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { storeArtifact } = require('./artifactStore');
 
 /**
- * Upload video to GitHub as a release asset or external storage
- * For now, we'll store videos locally and provide file paths
- * In production, you'd upload to S3/CloudFlare R2 and return URLs
+ * Store a recorded video (or Playwright trace) in the artifact store
+ * @param {string} videoPath - Local file
+ * @param {string} destinationName - Display name (kept for callers; the key follows the file's path)
+ * @param {Object} [options] - { repoId, userId, plan, kind } for the artifact key and retention
+ * @returns {Promise<{ path, size, url: string|null, expiresAt: string|null }>}
  */
-async function uploadVideo(videoPath, destinationName) {
+async function uploadVideo(videoPath, destinationName, options = {}) {
   try {
     // Check if video exists
     const stats = await fs.stat(videoPath);
@@ -19,14 +22,14 @@ async function uploadVideo(videoPath, destinationName) {
       throw new Error('Video file not found');
     }
 
-    // For now, return local file path
-    // In production, upload to cloud storage and return URL
-    console.log(`📹 Video ready: ${videoPath} (${Math.round(stats.size / 1024 / 1024)}MB)`);
+    const stored = await storeArtifact(videoPath, { kind: 'video', ...options });
+    console.log(`📹 Video ready: ${stored ? stored.url : videoPath} (${Math.round(stats.size / 1024 / 1024)}MB)`);
     
     return {
       path: videoPath,
       size: stats.size,
-      url: null // Would be cloud URL in production
+      url: stored ? stored.url : null,
+      expiresAt: stored ? stored.expiresAt : null
     };
   } catch (error) {
     console.error('Error uploading video:', error);
@@ -35,32 +38,59 @@ async function uploadVideo(videoPath, destinationName) {
 }
 
 /**
- * Generate video timeline with timestamps for each test scenario
+ * Timeline of each scenario in its recording, from the offsets the executor measured
+ * (scenario.timeline). Every scenario has its own session, so offsets are relative to that
+ * scenario's video or replay. Scenarios that never opened a session have no entry.
  */
 function generateVideoTimeline(results) {
-  let currentTimestamp = 0;
   const timeline = [];
 
   for (let i = 0; i < results.scenarios.length; i++) {
     const scenario = results.scenarios[i];
-    const duration = scenario.duration / 1000; // Convert to seconds
+    const recorded = scenario.timeline;
+    if (!recorded || recorded.startOffsetMs == null) continue;
 
+    const startTime = recorded.startOffsetMs / 1000;
+    const endTime = (recorded.endOffsetMs ?? recorded.startOffsetMs) / 1000;
     timeline.push({
       scenarioIndex: i,
       scenario: scenario.scenario,
       status: scenario.status,
-      startTime: currentTimestamp,
-      endTime: currentTimestamp + duration,
-      formattedStartTime: formatTimestamp(currentTimestamp),
-      formattedEndTime: formatTimestamp(currentTimestamp + duration)
+      videoUrl: getScenarioVideoUrl(scenario),
+      startTime,
+      endTime,
+      formattedStartTime: formatTimestamp(startTime),
+      formattedEndTime: formatTimestamp(endTime),
+      steps: (recorded.steps || []).map(step => ({
+        ...step,
+        time: step.offsetMs / 1000,
+        formattedTime: formatTimestamp(step.offsetMs / 1000)
+      }))
     });
-
-    currentTimestamp += duration + 1; // +1 second delay between tests
   }
 
   return timeline;
 }
 
+/**
+ * Recording of one scenario: the stored local video, else the Browserbase session replay
+ * @returns {{ url: string, seekable: boolean }|null} seekable — a plain video file that honours `#t=`
+ */
+function getScenarioVideoUrl(scenario) {
+  if (scenario.videoUrl) return { url: scenario.videoUrl, seekable: true };
+  if (scenario.sessionReplayUrl) return { url: scenario.sessionReplayUrl, seekable: false };
+  return null;
+}
+
+/**
+ * Link to a moment of a recording — a media fragment (`#t=12.3`) for video files.
+ * The Browserbase replay page can't be deep-linked, so it gets the plain URL.
+ */
+function getVideoMomentUrl(video, seconds) {
+  if (!video) return null;
+  return video.seekable ? `${video.url}#t=${Math.max(0, seconds).toFixed(1)}` : video.url;
+}
+
 /**
  * Format timestamp in MM:SS format
  */
@@ -74,28 +104,56 @@ function formatTimestamp(seconds) {
  * Generate markdown for video embedding with timestamps
  */
 function generateVideoMarkdown(videoUrl, timeline, includeFailedOnly = false) {
-  if (!videoUrl) {
+  if (!videoUrl && !timeline.some(t => t.videoUrl)) {
     return '_Video recording not available_';
   }
 
   let markdown = `### 🎥 Test Execution Video\n\n`;
-  markdown += `[📹 Watch Full Test Run](${videoUrl})\n\n`;
+  if (videoUrl) markdown += `[📹 Watch Full Test Run](${videoUrl})\n\n`;
   
-  const scenarios = includeFailedOnly 
+  const scenarios = (includeFailedOnly 
     ? timeline.filter(t => t.status === 'FAIL' || t.status === 'ERROR')
-    : timeline;
+    : timeline).filter(t => t.videoUrl);
 
   if (scenarios.length > 0) {
     markdown += `**Jump to specific tests:**\n`;
     for (const item of scenarios) {
       const emoji = item.status === 'PASS' ? '✅' : '❌';
-      markdown += `- [${emoji} ${item.scenario}](${videoUrl}#t=${Math.floor(item.startTime)}) (${item.formattedStartTime} - ${item.formattedEndTime})\n`;
+      markdown += `- [${emoji} ${item.scenario}](${getVideoMomentUrl(item.videoUrl, item.startTime)}) (${item.formattedStartTime} - ${item.formattedEndTime})\n`;
     }
   }
 
   return markdown;
 }
 
+/**
+ * Filmstrip of a failed scenario: one thumbnail per step, each linking to that moment of the recording.
+ * Steps need a `thumbnailUrl` (set once thumbnails are in the artifact store).
+ * @param {Object} item - generateVideoTimeline entry
+ */
+function generateFilmstripMarkdown(item, { perRow = 4 } = {}) {
+  const frames = item.steps.filter(step => step.thumbnailUrl);
+  if (frames.length === 0) return '';
+
+  let markdown = `<table>\n`;
+  for (let i = 0; i < frames.length; i += perRow) {
+    markdown += `<tr>\n`;
+    for (const step of frames.slice(i, i + perRow)) {
+      const image = `<img src="${step.thumbnailUrl}" width="180" alt="Step ${step.index}" />`;
+      const momentUrl = getVideoMomentUrl(item.videoUrl, step.time);
+      const label = escapeHtml(step.label);
+      markdown += `<td align="center" valign="top">${momentUrl ? `<a href="${momentUrl}">${image}</a>` : image}<br/><sub><b>${step.formattedTime}</b> · ${label}</sub></td>\n`;
+    }
+    markdown += `</tr>\n`;
+  }
+  markdown += `</table>\n`;
+  return markdown;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/\|/g, '&#124;');
+}
+
 /**
  * Calculate total video duration from results
  */
@@ -110,7 +168,10 @@ function calculateVideoDuration(results) {
 module.exports = {
   uploadVideo,
   generateVideoTimeline,
+  getScenarioVideoUrl,
+  getVideoMomentUrl,
   generateVideoMarkdown,
+  generateFilmstripMarkdown,
   formatTimestamp,
   calculateVideoDuration
 };
@@ -0,0 +1,223 @@
+/**
+ * Visual Baselines
+ * Visual regression testing for test runs: every passing scenario's final state is captured
+ * (visualSnapshot.js) and compared pixel-wise (visualDiff.js) with the accepted baseline image for
+ * the same scenario and viewport on the repo's default branch.
+ *
+ * Baselines are only ever set by `/qa baseline accept`, which promotes the new images of the PR's
+ * last test run. Baseline images are permanent artifacts (artifactStore.copyArtifactPermanent); a
+ * replaced baseline gets the normal retention so old reports keep their links for a while.
+ * Baseline records live in the Supabase `visual_baselines` table (migration 026), or a JSON file in
+ * the data directory without Supabase.
+ */
+
+const fs = require('fs');
+const { supabaseAdmin } = require('../lib/supabase');
+const { createJsonFile, checkResult, createStoreSelector } = require('../utils/dataStore');
+const { storeArtifact, readArtifact, copyArtifactPermanent, releaseArtifact, getArtifactUrl } = require('./artifactStore');
+const { diffImages } = require('./visualDiff');
+
+const TABLE = 'visual_baselines';
+/** Share of changed pixels (percent) above which a snapshot counts as changed */
+const DEFAULT_THRESHOLD_PERCENT = 0.1;
+/** Repo permissions allowed to `/qa baseline accept` */
+const ACCEPT_PERMISSIONS = ['admin', 'maintain', 'write'];
+/** Snapshot outcomes `/qa baseline accept` promotes */
+const ACCEPTABLE_STATUSES = ['changed', 'new'];
+
+/**
+ * Whether test runs capture and compare visual snapshots.
+ * An explicit option (.firstqa.yml testrun.visual.enabled) wins; otherwise TEST_EXECUTION_VISUAL=false turns it off.
+ */
+function isVisualRegressionEnabled(requested) {
+  if (typeof requested === 'boolean') return requested;
+  return process.env.TEST_EXECUTION_VISUAL !== 'false';
+}
+
+/**
+ * Changed-pixel threshold as a fraction (config and VISUAL_DIFF_THRESHOLD are in percent)
+ */
+function getDiffThreshold(configuredPercent) {
+  const fromEnv = parseFloat(process.env.VISUAL_DIFF_THRESHOLD);
+  const percent = typeof configuredPercent === 'number' ? configuredPercent : Number.isFinite(fromEnv) ? fromEnv : DEFAULT_THRESHOLD_PERCENT;
+  return Math.max(0, percent) / 100;
+}
+
+/**
+ * Baseline key of a scenario. Test Recipes are regenerated per PR, so only the (normalized) name
+ * is stable enough to find the same scenario on a later PR.
+ */
+function getBaselineKey(scenario) {
+  return String(scenario.scenario || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80) || 'scenario';
+}
+
+// ---------------------------------------------------------------------------
+// Stores
+// ---------------------------------------------------------------------------
+
+/**
+ * Local JSON-file store, keyed by "<repo>:<branch>:<baselineKey>:<viewport>"
+ */
+function createFileStore() {
+  const file = createJsonFile('visual-baselines.json', { description: 'visual baselines file' });
+  const load = file.load;
+  const save = () => file.save();
+  const rowKey = (repoId, branch, key, viewport) => `${repoId}:${branch}:${key}:${viewport}`;
+
+  return {
+    name: 'file',
+    async get(repoId, branch, key, viewport) {
+      const row = load()[rowKey(repoId, branch, key, viewport)];
+      return row ? { ...row } : null;
+    },
+    async upsert(row) {
+      load()[rowKey(row.repo_id, row.branch, row.baseline_key, row.viewport)] = row;
+      save();
+    }
+  };
+}
+
+function createSupabaseStore() {
+  const check = result => checkResult(TABLE, result);
+
+  return {
+    name: 'supabase',
+    async get(repoId, branch, key, viewport) {
+      return check(await supabaseAdmin.from(TABLE).select('*')
+        .eq('repo_id', repoId).eq('branch', branch).eq('baseline_key', key).eq('viewport', viewport)
+        .maybeSingle());
+    },
+    async upsert(row) {
+      check(await supabaseAdmin.from(TABLE).upsert(row, { onConflict: 'repo_id,branch,baseline_key,viewport' }));
+    }
+  };
+}
+
+const { withStore } = createStoreSelector({
+  createSupabaseStore,
+  createFileStore,
+  missingTable: `${TABLE} table missing (run migration 026)`
+});
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Compare the visual snapshots of a run with the branch's baselines and set `scenario.visual`:
+ * { key, viewport, status: 'unchanged'|'changed'|'new', diffRatio, currentKey, currentUrl, baselineUrl, diffUrl, masks }
+ * @param {Array} scenarios - results.scenarios; those with `visualSnapshot` are compared
+ * @param {Object} params
+ * @param {string} params.repoId - "owner/repo"
+ * @param {string} params.branch - Default branch the baselines belong to
+ * @param {number} params.threshold - Changed-pixel fraction (getDiffThreshold)
+ * @param {Object} [params.artifactOptions] - { repoId, userId } for storing snapshots and diffs
+ * @returns {Promise<{ unchanged: number, changed: number, new: number }>}
+ */
+async function compareWithBaselines(scenarios, { repoId, branch, threshold, artifactOptions = {} }) {
+  const counts = { unchanged: 0, changed: 0, new: 0 };
+  for (const scenario of scenarios) {
+    const snapshot = scenario.visualSnapshot;
+    if (!snapshot) continue;
+    try {
+      const key = getBaselineKey(scenario);
+      const current = await storeArtifact(snapshot.path, { ...artifactOptions, kind: 'visual' });
+      if (!current) continue;
+      const visual = { key, viewport: snapshot.viewport, status: 'new', diffRatio: null, currentKey: current.key, currentUrl: current.url, baselineUrl: null, diffUrl: null, masks: snapshot.masks };
+      scenario.visual = visual;
+
+      const baseline = await withStore(s => s.get(repoId, branch, key, snapshot.viewport));
+      const baselinePng = baseline ? await readArtifact(baseline.artifact_key) : null;
+      if (!baselinePng) {
+        counts.new++;
+        continue;
+      }
+
+      const diff = diffImages(baselinePng, await fs.promises.readFile(snapshot.path), { masks: [...snapshot.masks, ...(baseline.masks || [])] });
+      visual.diffRatio = diff.ratio;
+      visual.baselineUrl = getArtifactUrl(baseline.artifact_key, current.expiresAt);
+      visual.baselineAcceptedBy = baseline.accepted_by;
+      if (!diff.sizeChanged && diff.ratio <= threshold) {
+        visual.status = 'unchanged';
+        counts.unchanged++;
+        continue;
+      }
+      visual.status = 'changed';
+      counts.changed++;
+      const diffPath = snapshot.path.replace(/\.png$/, '-diff.png');
+      await fs.promises.writeFile(diffPath, diff.diffPng);
+      visual.diffUrl = (await storeArtifact(diffPath, { ...artifactOptions, kind: 'visual' }))?.url || null;
+    } catch (err) {
+      console.warn(`⚠️ Visual comparison failed for "${scenario.scenario}" (non-fatal):`, err.message);
+    }
+  }
+  console.log(`🖼️ Visual snapshots: ${counts.changed} changed, ${counts.new} new, ${counts.unchanged} unchanged`);
+  return counts;
+}
+
+/**
+ * Whether a GitHub user may `/qa baseline accept` (anyone who can push to the repo)
+ * @param {Object} octokit - Installation Octokit for the repo
+ */
+async function canAcceptBaselines(octokit, owner, repo, username) {
+  const { data } = await octokit.repos.getCollaboratorPermissionLevel({ owner, repo, username });
+  return ACCEPT_PERMISSIONS.includes(data.role_name || data.permission);
+}
+
+/**
+ * Promote the changed and new snapshots of a test run to the branch's baselines
+ * @param {Object} params
+ * @param {string} params.repoId
+ * @param {string} params.branch
+ * @param {Array} params.scenarios - Scenarios of the last test run, with `visual`
+ * @param {string} params.acceptedBy - GitHub login
+ * @param {number} [params.prNumber]
+ * @param {string} [params.sha] - PR head SHA the images were taken on
+ * @param {string} [params.userId] - Owner of the installation (retention of replaced baselines)
+ * @returns {Promise<{ accepted: string[], missing: string[] }>} Scenario names promoted / whose image had expired
+ */
+async function acceptBaselines({ repoId, branch, scenarios, acceptedBy, prNumber = null, sha = null, userId = null }) {
+  const accepted = [];
+  const missing = [];
+  for (const scenario of scenarios) {
+    const visual = scenario.visual;
+    if (!visual?.currentKey || !ACCEPTABLE_STATUSES.includes(visual.status)) continue;
+
+    const name = `baselines/${branch}/${visual.key}/${visual.viewport}-${Date.now().toString(36)}.png`;
+    const copy = await copyArtifactPermanent(visual.currentKey, name, { repoId, kind: 'baseline' });
+    if (!copy) {
+      missing.push(scenario.scenario);
+      continue;
+    }
+    const previous = await withStore(s => s.get(repoId, branch, visual.key, visual.viewport));
+    await withStore(s => s.upsert({
+      repo_id: repoId,
+      branch,
+      baseline_key: visual.key,
+      viewport: visual.viewport,
+      scenario: scenario.scenario,
+      artifact_key: copy.key,
+      masks: visual.masks || [],
+      source_sha: sha,
+      pr_number: prNumber,
+      accepted_by: acceptedBy,
+      accepted_at: new Date().toISOString()
+    }));
+    if (previous && previous.artifact_key !== copy.key) await releaseArtifact(previous.artifact_key, { userId });
+    accepted.push(scenario.scenario);
+  }
+  return { accepted, missing };
+}
+
+module.exports = {
+  isVisualRegressionEnabled,
+  getDiffThreshold,
+  getBaselineKey,
+  compareWithBaselines,
+  canAcceptBaselines,
+  acceptBaselines
+};
@@ -0,0 +1,228 @@
+/**
+ * Visual Diff
+ * Pixel comparison of two PNG screenshots for visual regression baselines.
+ * Screenshots come from Chromium (8-bit, non-interlaced RGB/RGBA), so a small PNG codec on top of
+ * zlib covers them without an image library.
+ *
+ * Pixels are compared in YIQ space (perceived color difference, as pixelmatch does); masked
+ * rectangles — dynamic regions such as clocks, ads and videos — are ignored. Areas where the images
+ * differ in size count as changed.
+ */
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+/** Channels per pixel by PNG color type (gray, RGB, gray+alpha, RGBA) */
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+/** Largest YIQ delta between two colors (black vs white) */
+const MAX_YIQ_DELTA = 35215;
+/** Default per-pixel color tolerance, 0..1 — ignores compression noise and subpixel anti-aliasing */
+const DEFAULT_PIXEL_THRESHOLD = 0.1;
+
+let crcTable = null;
+
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Decode a PNG into RGBA pixels
+ * @param {Buffer} buffer
+ * @returns {{ width: number, height: number, data: Buffer }}
+ */
+function decodePng(buffer) {
+  if (!Buffer.isBuffer(buffer) || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) throw new Error('Not a PNG file');
+
+  let width = 0;
+  let height = 0;
+  let colorType = 0;
+  const idat = [];
+  for (let offset = 8; offset + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      width = chunk.readUInt32BE(0);
+      height = chunk.readUInt32BE(4);
+      const bitDepth = chunk[8];
+      colorType = chunk[9];
+      if (bitDepth !== 8 || !CHANNELS[colorType] || chunk[12] !== 0) {
+        throw new Error(`Unsupported PNG format (bit depth ${bitDepth}, color type ${colorType}, interlace ${chunk[12]})`);
+      }
+    } else if (type === 'IDAT') {
+      idat.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+  if (!width || !height) throw new Error('PNG has no image header');
+
+  const channels = CHANNELS[colorType];
+  const stride = width * channels;
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const pixels = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? pixels[row + x - channels] : 0;
+      const up = y > 0 ? pixels[row - stride + x] : 0;
+      const upLeft = y > 0 && x >= channels ? pixels[row - stride + x - channels] : 0;
+      let value = line[x];
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) value += paeth(left, up, upLeft);
+      pixels[row + x] = value & 0xff;
+    }
+  }
+
+  if (colorType === 6) return { width, height, data: pixels };
+  const gray = colorType === 0 || colorType === 4;
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0, j = 0; i < width * height; i++, j += channels) {
+    data[i * 4] = pixels[j];
+    data[i * 4 + 1] = gray ? pixels[j] : pixels[j + 1];
+    data[i * 4 + 2] = gray ? pixels[j] : pixels[j + 2];
+    data[i * 4 + 3] = colorType === 4 ? pixels[j + 1] : 255;
+  }
+  return { width, height, data };
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode RGBA pixels as a PNG
+ * @param {{ width: number, height: number, data: Buffer }} image
+ * @returns {Buffer}
+ */
+function encodePng({ width, height, data }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 6;
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) data.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/** RGB of a pixel blended over white, so transparent areas compare as the page background */
+function blended(data, i) {
+  const alpha = data[i + 3] / 255;
+  return [0, 1, 2].map(c => 255 + (data[i + c] - 255) * alpha);
+}
+
+function yiqDelta(a, b) {
+  const y = (a[0] - b[0]) * 0.29889531 + (a[1] - b[1]) * 0.58662247 + (a[2] - b[2]) * 0.11448223;
+  const i = (a[0] - b[0]) * 0.59597799 - (a[1] - b[1]) * 0.27417610 - (a[2] - b[2]) * 0.32180189;
+  const q = (a[0] - b[0]) * 0.21147017 - (a[1] - b[1]) * 0.52261711 + (a[2] - b[2]) * 0.31114694;
+  return 0.5053 * y * y + 0.299 * i * i + 0.1957 * q * q;
+}
+
+/**
+ * Compare two screenshots
+ * @param {Buffer} baselinePng
+ * @param {Buffer} currentPng
+ * @param {Object} [options]
+ * @param {Array<{x, y, width, height}>} [options.masks] - Regions (image pixels) to ignore
+ * @param {number} [options.pixelThreshold] - Per-pixel color tolerance, 0..1
+ * @returns {{ width: number, height: number, diffPixels: number, totalPixels: number, ratio: number, sizeChanged: boolean, diffPng: Buffer }}
+ *   The diff image shows the current screenshot faded, changed pixels in red and masked regions in gray.
+ */
+function diffImages(baselinePng, currentPng, { masks = [], pixelThreshold = DEFAULT_PIXEL_THRESHOLD } = {}) {
+  const baseline = decodePng(baselinePng);
+  const current = decodePng(currentPng);
+  const width = Math.max(baseline.width, current.width);
+  const height = Math.max(baseline.height, current.height);
+  const maxDelta = MAX_YIQ_DELTA * pixelThreshold * pixelThreshold;
+
+  const masked = new Uint8Array(width * height);
+  for (const m of masks) {
+    const x0 = Math.max(0, Math.floor(m.x));
+    const y0 = Math.max(0, Math.floor(m.y));
+    const x1 = Math.min(width, Math.ceil(m.x + m.width));
+    const y1 = Math.min(height, Math.ceil(m.y + m.height));
+    for (let y = y0; y < y1; y++) masked.fill(1, y * width + x0, y * width + Math.max(x0, x1));
+  }
+
+  const out = Buffer.alloc(width * height * 4);
+  let diffPixels = 0;
+  let totalPixels = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      if (masked[y * width + x]) {
+        out.fill(200, o, o + 3);
+        out[o + 3] = 255;
+        continue;
+      }
+      totalPixels++;
+      const inBaseline = x < baseline.width && y < baseline.height;
+      const inCurrent = x < current.width && y < current.height;
+      const b = inBaseline ? blended(baseline.data, (y * baseline.width + x) * 4) : null;
+      const c = inCurrent ? blended(current.data, (y * current.width + x) * 4) : null;
+      if (!b || !c || yiqDelta(b, c) > maxDelta) {
+        diffPixels++;
+        out[o] = 255;
+        out[o + 1] = 0;
+        out[o + 2] = 0;
+      } else {
+        // Faded grayscale of the page, for orientation
+        const gray = 255 + ((c[0] * 0.299 + c[1] * 0.587 + c[2] * 0.114) - 255) * 0.1;
+        out.fill(Math.round(gray), o, o + 3);
+      }
+      out[o + 3] = 255;
+    }
+  }
+
+  return {
+    width,
+    height,
+    diffPixels,
+    totalPixels,
+    ratio: totalPixels > 0 ? diffPixels / totalPixels : 0,
+    sizeChanged: baseline.width !== current.width || baseline.height !== current.height,
+    diffPng: encodePng({ width, height, data: out })
+  };
+}
+
+module.exports = {
+  decodePng,
+  encodePng,
+  diffImages
+};
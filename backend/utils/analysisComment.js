@@ -0,0 +1,274 @@
+/**
+ * Canonical analysis comment
+ * One "Ovi analysis" comment per PR, found by a hidden marker and edited in place.
+ * Earlier versions are folded into a collapsible history with a diff of risks and test-recipe rows.
+ */
+
+const ANALYSIS_COMMENT_MARKER = '<!-- firstqa:analysis';
+const HISTORY_MARKER = '<!-- firstqa:analysis:history -->';
+const ENTRY_START = '<!-- firstqa:analysis:entry -->';
+const ENTRY_END = '<!-- /firstqa:analysis:entry -->';
+
+/** GitHub rejects comment bodies over 65,536 chars — leave headroom for the header and wrappers */
+const MAX_COMMENT_CHARS = 60000;
+/** Versions kept in the history section */
+const MAX_HISTORY_ENTRIES = 10;
+
+/**
+ * Normalize a risk / scenario line so small formatting changes don't count as a new item
+ */
+function normalizeItem(text) {
+  return String(text || '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/[*_~`]/g, '')
+    .replace(/\[(?:🚫\s*)?(?:BLOCKER|HIGH|MEDIUM|LOW)\]/gi, '')
+    .replace(/[^\p{L}\p{N}:./\s-]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Extract bullet items from the "Bugs & Risks" / "Risks" section of an analysis comment
+ * @param {string} markdown
+ * @returns {string[]} Risk lines (without the bullet)
+ */
+function extractRisks(markdown) {
+  const section = String(markdown || '').match(/^#{2,4}[^\n]*(?:Bugs\s*&\s*Risks|Risks)[^\n]*\n([\s\S]*?)(?=\n#{1,4}\s|\n---|\n<details|(?![\s\S]))/im);
+  if (!section) return [];
+  return section[1]
+    .split('\n')
+    .map(l => l.trim())
+    .filter(l => /^[-*]\s+/.test(l))
+    .map(l => l.replace(/^[-*]\s+/, '').trim())
+    .filter(l => l && !/^✅/.test(l));
+}
+
+/**
+ * Extract scenario names from the first Test Recipe table in an analysis comment
+ * @param {string} markdown
+ * @returns {string[]}
+ */
+function extractTestRecipeScenarios(markdown) {
+  const lines = String(markdown || '').split('\n');
+  const headerIdx = lines.findIndex(l => /^\s*\|\s*Scenario\s*\|/i.test(l));
+  if (headerIdx === -1) return [];
+  const scenarios = [];
+  for (let i = headerIdx + 1; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line.startsWith('|')) break;
+    const firstCell = (line.split('|')[1] || '').trim();
+    if (!firstCell || /^[\s\-:]+$/.test(firstCell)) continue;
+    scenarios.push(firstCell);
+  }
+  return scenarios;
+}
+
+/**
+ * Extract the QA Pulse table rows (Decision, Risk, Impact) from an analysis comment
+ * @param {string} markdown
+ * @returns {Array<{ metric: string, value: string, details: string }>}
+ */
+function extractQAPulseRows(markdown) {
+  const lines = String(markdown || '').split('\n');
+  const headerIdx = lines.findIndex(l => /^\s*\|\s*Metric\s*\|/i.test(l));
+  if (headerIdx === -1) return [];
+  const rows = [];
+  for (let i = headerIdx + 1; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line.startsWith('|')) break;
+    const cells = line.split('|').slice(1, -1).map(c => c.trim());
+    if (!cells[0] || /^[\s\-:]+$/.test(cells[0])) continue;
+    rows.push({ metric: cells[0].replace(/\*/g, ''), value: cells[1] || '', details: cells[2] || '' });
+  }
+  return rows;
+}
+
+/**
+ * Summary-only version of an analysis (`/qa -quiet`): QA Pulse values plus risk and scenario counts
+ * @param {string} markdown - Full analysis markdown
+ * @returns {string}
+ */
+function formatAnalysisSummary(markdown) {
+  const pulse = extractQAPulseRows(markdown);
+  const risks = extractRisks(markdown);
+  const scenarios = extractTestRecipeScenarios(markdown);
+  let out = '## 🎯 QA Pulse (summary)\n\n';
+  if (pulse.length) {
+    out += pulse.map(r => `- **${r.metric}:** ${r.value}`).join('\n') + '\n';
+  } else {
+    out += '- **Decision:** not found in the analysis\n';
+  }
+  out += `- **Bugs & risks:** ${risks.length === 0 ? '✅ none found' : `${risks.length} found`}\n`;
+  out += `- **Test recipe:** ${scenarios.length} scenario${scenarios.length === 1 ? '' : 's'}\n`;
+  out += '\n*Quiet mode — comment `/qa` for the full analysis.*';
+  return out;
+}
+
+function diffItems(previous, current) {
+  const prevKeys = new Map(previous.map(p => [normalizeItem(p), p]));
+  const currKeys = new Map(current.map(c => [normalizeItem(c), c]));
+  return {
+    added: [...currKeys].filter(([k]) => !prevKeys.has(k)).map(([, v]) => v),
+    removed: [...prevKeys].filter(([k]) => !currKeys.has(k)).map(([, v]) => v)
+  };
+}
+
+/**
+ * Diff two analysis bodies by risks and test-recipe rows
+ * @returns {{ risks: { added: string[], removed: string[] }, scenarios: { added: string[], removed: string[] } }}
+ */
+function diffAnalysisVersions(previousBody, currentBody) {
+  return {
+    risks: diffItems(extractRisks(previousBody), extractRisks(currentBody)),
+    scenarios: diffItems(extractTestRecipeScenarios(previousBody), extractTestRecipeScenarios(currentBody))
+  };
+}
+
+/**
+ * Split an existing canonical comment into its current body, metadata and history entries
+ * @param {string} commentBody
+ * @returns {{ version: number, sha: string|null, at: string|null, current: string, entries: string[] }|null}
+ */
+function parseCanonicalAnalysisComment(commentBody) {
+  const body = String(commentBody || '');
+  const header = body.match(/^<!-- firstqa:analysis v=(\d+) sha=(\S*) at=(\S*) -->\n?/);
+  if (!header) return null;
+  const rest = body.slice(header[0].length);
+  const historyIdx = rest.indexOf(HISTORY_MARKER);
+  const current = (historyIdx === -1 ? rest : rest.slice(0, historyIdx)).trim();
+  const entries = [];
+  if (historyIdx !== -1) {
+    const history = rest.slice(historyIdx);
+    let from = 0;
+    while (true) {
+      const start = history.indexOf(ENTRY_START, from);
+      if (start === -1) break;
+      const end = history.indexOf(ENTRY_END, start);
+      if (end === -1) break;
+      entries.push(history.slice(start, end + ENTRY_END.length));
+      from = end + ENTRY_END.length;
+    }
+  }
+  return {
+    version: parseInt(header[1], 10) || 1,
+    sha: header[2] || null,
+    at: header[3] || null,
+    current,
+    entries
+  };
+}
+
+function formatTimestamp(iso) {
+  if (!iso) return 'unknown time';
+  const d = new Date(iso);
+  if (isNaN(d.getTime())) return 'unknown time';
+  return `${d.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+function formatDiffList(label, diff, addedIcon, removedIcon, removedWord) {
+  if (diff.added.length === 0 && diff.removed.length === 0) return `**${label}:** no change\n`;
+  const parts = [];
+  if (diff.added.length) parts.push(`${addedIcon} ${diff.added.length} added`);
+  if (diff.removed.length) parts.push(`${removedIcon} ${diff.removed.length} ${removedWord}`);
+  let out = `**${label}:** ${parts.join(' · ')}\n`;
+  diff.added.forEach(item => { out += `- ${addedIcon} ${item}\n`; });
+  diff.removed.forEach(item => { out += `- ${removedIcon} ~~${item.replace(/~/g, '')}~~\n`; });
+  return out;
+}
+
+/**
+ * Render one history entry: what changed from the previous version, plus that version collapsed
+ */
+function formatHistoryEntry(previous, nextVersion, diff, includeBody = true) {
+  let entry = `${ENTRY_START}\n`;
+  entry += `#### v${previous.version}${previous.sha ? ` (\`${previous.sha.substring(0, 7)}\`)` : ''} · ${formatTimestamp(previous.at)} → v${nextVersion}\n\n`;
+  entry += formatDiffList('Risks', diff.risks, '➕', '✅', 'resolved');
+  entry += formatDiffList('Test recipe', diff.scenarios, '➕', '➖', 'removed');
+  if (includeBody) {
+    entry += `\n<details>\n<summary>v${previous.version} as posted</summary>\n\n${previous.current}\n\n</details>\n`;
+  } else {
+    entry += `\n*v${previous.version} body trimmed to fit GitHub's comment size limit.*\n`;
+  }
+  entry += ENTRY_END;
+  return entry;
+}
+
+/** Drop the collapsed body from a rendered entry, keeping its diff */
+function trimEntryBody(entry) {
+  const bodyStart = entry.indexOf('\n<details>\n<summary>v');
+  if (bodyStart === -1) return entry;
+  const versionMatch = entry.match(/<summary>v(\d+) as posted<\/summary>/);
+  return `${entry.slice(0, bodyStart)}\n*v${versionMatch ? versionMatch[1] : '?'} body trimmed to fit GitHub's comment size limit.*\n${ENTRY_END}`;
+}
+
+/**
+ * The analysis itself cut at a line break to fit the size limit with its header, with a visible note
+ */
+function truncateToCommentLimit(current, header) {
+  const note = '\n\n---\n\n*✂️ Analysis truncated to fit GitHub\'s comment size limit.*';
+  if (header.length + current.length <= MAX_COMMENT_CHARS) return current;
+  const cut = current.slice(0, MAX_COMMENT_CHARS - header.length - note.length);
+  const lastBreak = cut.lastIndexOf('\n');
+  return `${lastBreak > 0 ? cut.slice(0, lastBreak) : cut}${note}`;
+}
+
+/**
+ * Build the canonical comment body from the new analysis and (optionally) the existing comment
+ * @param {string} newBody - Freshly formatted analysis markdown
+ * @param {string|null} existingCommentBody - Current canonical comment, if any
+ * @param {Object} [meta] - { sha: string } head SHA the new analysis ran against
+ * @returns {{ body: string, version: number, diff: Object|null }}
+ */
+function buildCanonicalAnalysisComment(newBody, existingCommentBody, meta = {}) {
+  const previous = existingCommentBody ? parseCanonicalAnalysisComment(existingCommentBody) : null;
+  const version = previous ? previous.version + 1 : 1;
+  const header = `<!-- firstqa:analysis v=${version} sha=${meta.sha || ''} at=${new Date().toISOString()} -->\n`;
+  const current = truncateToCommentLimit(String(newBody || '').trim(), header);
+
+  if (!previous) {
+    return { body: `${header}${current}`, version, diff: null };
+  }
+
+  const diff = diffAnalysisVersions(previous.current, current);
+  let entries = [formatHistoryEntry(previous, version, diff), ...previous.entries].slice(0, MAX_HISTORY_ENTRIES);
+
+  const render = () => {
+    const summary = `🕘 Analysis history — ${entries.length} earlier version${entries.length === 1 ? '' : 's'}`;
+    return `${header}${current}\n\n${HISTORY_MARKER}\n\n<details>\n<summary>${summary}</summary>\n\n${entries.join('\n\n')}\n\n</details>`;
+  };
+
+  // Over the size limit: trim bodies oldest-first, then drop whole entries
+  let body = render();
+  for (let i = entries.length - 1; i >= 0 && body.length > MAX_COMMENT_CHARS; i--) {
+    entries[i] = trimEntryBody(entries[i]);
+    body = render();
+  }
+  while (entries.length > 1 && body.length > MAX_COMMENT_CHARS) {
+    entries = entries.slice(0, -1);
+    body = render();
+  }
+  if (body.length > MAX_COMMENT_CHARS) {
+    body = `${header}${current}`;
+  }
+  return { body, version, diff };
+}
+
+/**
+ * Whether a comment body is a canonical analysis comment
+ */
+function isCanonicalAnalysisComment(commentBody) {
+  return typeof commentBody === 'string' && commentBody.startsWith(ANALYSIS_COMMENT_MARKER);
+}
+
+module.exports = {
+  ANALYSIS_COMMENT_MARKER,
+  buildCanonicalAnalysisComment,
+  parseCanonicalAnalysisComment,
+  isCanonicalAnalysisComment,
+  diffAnalysisVersions,
+  extractRisks,
+  extractTestRecipeScenarios,
+  extractQAPulseRows,
+  formatAnalysisSummary
+};
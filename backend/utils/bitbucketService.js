@@ -34,6 +34,8 @@ const bitbucketAppAuth = require('./bitbucketAppAuth');
 // Reuse the same hybrid PR formatter used for GitHub so Bitbucket PR comments
 // look identical in structure and content.
 const { formatHybridAnalysisForComment } = require('./githubService');
+const { parseQaCommand, formatQaUsageReply, formatQaScopeNote } = require('./qaCommandParser');
+const { matchesAnyGlob } = require('./globMatcher');
 
 /**
  * Extract workspace from repository string
@@ -183,6 +185,28 @@ async function fetchPRCommits(workspace, repoSlug, prId) {
   }
 }
 
+/**
+ * Every item of a paginated collection, following `next` links (capped at maxPages)
+ */
+async function bitbucketRequestAll(endpoint, workspaceSlug, maxPages = 20) {
+  const values = [];
+  let next = endpoint;
+  for (let page = 0; next && page < maxPages; page++) {
+    const data = await bitbucketRequest('GET', next, workspaceSlug);
+    values.push(...(data?.values || []));
+    next = data?.next ? data.next.replace(BITBUCKET_API_BASE, '') : null;
+  }
+  return values;
+}
+
+/**
+ * Every repository in a workspace the installation can see, as `<workspace>/<repo>` ids
+ */
+async function listWorkspaceRepos(workspace) {
+  const repos = await bitbucketRequestAll(`/repositories/${workspace}?pagelen=100`, workspace);
+  return repos.map(repo => `${workspace}/${repo.slug}`);
+}
+
 /**
  * Fetch commit details
  */
@@ -235,6 +259,37 @@ async function postComment(workspace, repoSlug, prId, body) {
   }
 }
 
+/**
+ * Post the analysis' bugs as inline comments on the diff lines they point at.
+ * Bitbucket has no batched review, so each finding is its own inline comment; findings whose
+ * fingerprint marker is already on the PR (same as the GitHub path) are skipped. Findings that
+ * can't be anchored to a diff line stay in the analysis comment's Bugs & Risks section only.
+ * @returns {Promise<{success: boolean, posted: number, skipped: number, unanchored: number}>}
+ */
+async function postInlineReviewFindings(workspace, repoSlug, prId, aiInsights, diff) {
+  const { getReviewFindings, getFindingFingerprint, formatFindingComment } = require('../ai/reviewFindings');
+  const { mapFindingsToDiff } = require('../ai/diffLineMapper');
+  const { anchored, unanchored } = mapFindingsToDiff(getReviewFindings(aiInsights), diff);
+  if (anchored.length === 0) return { success: true, posted: 0, skipped: 0, unanchored: unanchored.length };
+
+  const existing = await bitbucketRequestAll(`/repositories/${workspace}/${repoSlug}/pullrequests/${prId}/comments?pagelen=100`, workspace);
+  const postedMarkers = new Set(existing
+    .filter(c => c.inline?.path && !c.deleted)
+    .map(c => (c.content?.raw || '').match(/<!-- firstqa:finding:(\w+) -->/)?.[1])
+    .filter(Boolean));
+
+  let count = 0;
+  for (const finding of anchored.filter(f => !postedMarkers.has(getFindingFingerprint(f)))) {
+    await bitbucketRequest('POST', `/repositories/${workspace}/${repoSlug}/pullrequests/${prId}/comments`, workspace, {
+      content: { raw: `${formatFindingComment(finding)}\n<!-- firstqa:finding:${getFindingFingerprint(finding)} -->` },
+      inline: { path: finding.path, to: finding.line }
+    });
+    count++;
+  }
+  console.log(`✅ Posted ${count} inline finding(s) to ${workspace}/${repoSlug}#${prId} (${anchored.length - count} already posted, ${unanchored.length} outside the diff)`);
+  return { success: true, posted: count, skipped: anchored.length - count, unanchored: unanchored.length };
+}
+
 /**
  * Call AI analysis endpoint (same as GitHub)
  */
@@ -268,8 +323,9 @@ async function callTestRecipeEndpoint(data) {
  * Format and post analysis to PR
  * Uses the same hybrid formatter as GitHub so Bitbucket PR comments
  * look identical in structure and branding.
+ * @param {Object} [qaFlags] - Parsed `/qa` flags; `quiet` posts the summary only
  */
-async function formatAndPostDetailedAnalysis(workspace, repoSlug, prId, aiInsights) {
+async function formatAndPostDetailedAnalysis(workspace, repoSlug, prId, aiInsights, qaFlags = {}) {
   try {
     if (!aiInsights || !aiInsights.success) {
       const errorMsg = aiInsights?.error || 'Analysis failed';
@@ -277,8 +333,13 @@ async function formatAndPostDetailedAnalysis(workspace, repoSlug, prId, aiInsigh
       return { success: false, error: errorMsg };
     }
 
+    if (qaFlags.quiet && typeof aiInsights.data === 'string') {
+      const { formatAnalysisSummary } = require('./analysisComment');
+      return await postComment(workspace, repoSlug, prId, formatAnalysisSummary(aiInsights.data));
+    }
+
     // Reuse GitHub's hybrid formatter to keep PR analysis identical.
-    const commentBody = formatHybridAnalysisForComment(aiInsights);
+    const commentBody = formatHybridAnalysisForComment(aiInsights) + formatQaScopeNote(qaFlags);
     return await postComment(workspace, repoSlug, prId, commentBody);
   } catch (error) {
     console.error('Error formatting and posting analysis:', error.message);
@@ -292,14 +353,23 @@ async function formatAndPostDetailedAnalysis(workspace, repoSlug, prId, aiInsigh
 async function handleTestRequest(workspace, repoSlug, prId, comment, sender) {
   try {
     console.log(`🧪 Processing /qa request for ${workspace}/${repoSlug}#${prId}`);
+    const qaFlags = parseQaCommand(comment.content?.raw || comment.body || '', { platform: 'bitbucket' }).flags;
 
-    // First-time auto-index (Bitbucket analyzer not yet implemented - logs only for now)
+    // First-time auto-index in the background (this analysis runs without product knowledge)
     const { triggerBitbucketFirstTimeIndex } = require('../services/knowledgeBase/firstTimeIndexTrigger');
     triggerBitbucketFirstTimeIndex(workspace, repoSlug);
 
     // Get PR details
     const prDescription = await fetchPRDescription(workspace, repoSlug, prId);
-    const prDiff = await fetchPRDiff(workspace, repoSlug, prId);
+    let prDiff = await fetchPRDiff(workspace, repoSlug, prId);
+    if (qaFlags.only.length > 0 && !/^(No code changes|Error fetching)/.test(prDiff)) {
+      const { filterDiffFiles } = require('../ai/diffLineMapper');
+      prDiff = filterDiffFiles(prDiff, file => matchesAnyGlob(file, qaFlags.only));
+      if (!prDiff) {
+        await postComment(workspace, repoSlug, prId, `⚠️ **\`-only=${qaFlags.only.join(',')}\` matched no changed files in this PR.** Check the glob, or comment \`/qa\` to analyze everything.`);
+        return { success: false, message: 'No files matched -only' };
+      }
+    }
     
     // Get commits
     const commits = await fetchPRCommits(workspace, repoSlug, prId);
@@ -322,11 +392,17 @@ async function handleTestRequest(workspace, repoSlug, prId, comment, sender) {
       title: `PR #${prId}`,
       body: prDescription,
       diff: prDiff,
-      newCommits: newCommits
+      newCommits: newCommits,
+      focus: qaFlags.focus,
+      lang: qaFlags.lang
     });
 
     // Post analysis
-    const result = await formatAndPostDetailedAnalysis(workspace, repoSlug, prId, aiInsights);
+    const result = await formatAndPostDetailedAnalysis(workspace, repoSlug, prId, aiInsights, qaFlags);
+    if (aiInsights?.success && !qaFlags.quiet) {
+      await postInlineReviewFindings(workspace, repoSlug, prId, aiInsights, prDiff)
+        .catch(err => console.warn('⚠️ Inline review comments failed (non-fatal):', err.message));
+    }
 
     // Save test request
     const testRequests = loadTestRequests();
@@ -378,8 +454,9 @@ async function processWebhookEvent(event) {
       const commentBody = comment.content?.raw || comment.body || '';
       
       // Check for /qa command
-      if (commentBody.trim().startsWith('/qa')) {
+      if (/^\/qa(\s|$)/i.test(commentBody.trim())) {
         console.log('🧪 /qa command detected!');
+        const qaCommand = parseQaCommand(commentBody, { platform: 'bitbucket' });
         
         // Debug: Log payload structure to understand Bitbucket's format
         console.log('📦 Payload keys:', Object.keys(payload));
@@ -426,6 +503,11 @@ return {
           message: `FirstQA is not installed for this workspace. Please install at: ${process.env.BASE_URL || 'https://firstqa.dev'}/bitbucket/install` 
         };
         }
+        if (qaCommand.command === 'help' || qaCommand.errors.length > 0) {
+          console.log(`❓ /qa ${qaCommand.command === 'help' ? 'help' : 'usage error'}: ${qaCommand.errors.join('; ') || 'help requested'}`);
+          await postComment(workspace, repoSlug, prId, formatQaUsageReply(qaCommand, 'bitbucket'));
+          return { success: true, message: qaCommand.errors.length > 0 ? 'Invalid /qa command' : 'Posted /qa help' };
+        }
         return await handleTestRequest(workspace, repoSlug, prId, comment, actor);
       }
     }
@@ -451,6 +533,8 @@ return {
 }
 
 module.exports = {
+  bitbucketRequest,
+  listWorkspaceRepos,
   processWebhookEvent,
   handleTestRequest,
   fetchPRDescription,
@@ -0,0 +1,128 @@
+/**
+ * Data Store
+ * Plumbing for services that keep their rows in a Supabase table and fall back to a JSON file
+ * in the data directory without Supabase — or before the table's migration has run.
+ * Each service supplies only its own queries: a file store and a Supabase store with the same methods.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isSupabaseConfigured } = require('../lib/supabase');
+
+/**
+ * DATA_DIR (default ~/.firstqa/data), created if needed; ./data when it can't be
+ */
+function resolveDataDir() {
+  const homeDir = process.env.HOME || process.env.USERPROFILE;
+  const dataDir = process.env.DATA_DIR || path.join(homeDir, '.firstqa', 'data');
+  try {
+    fs.mkdirSync(dataDir, { recursive: true });
+    return dataDir;
+  } catch (err) {
+    const fallback = path.join(process.cwd(), 'data');
+    fs.mkdirSync(fallback, { recursive: true });
+    return fallback;
+  }
+}
+
+/**
+ * A JSON file in the data directory, read once and kept in memory. Single process only —
+ * fine for self-hosted installs and local dev.
+ * @param {string} fileName - e.g. 'job-queue.json'
+ * @param {Object} options
+ * @param {string} options.description - For the warning when the file can't be read, e.g. 'job queue file'
+ * @param {() => *} [options.empty] - Contents of a new file (default `{}`)
+ * @returns {{ load: () => *, save: (next?: *) => void }} `save(next)` replaces the contents before writing
+ */
+function createJsonFile(fileName, { description, empty = () => ({}) }) {
+  const filePath = path.join(resolveDataDir(), fileName);
+  let data = null;
+
+  const load = () => {
+    if (data) return data;
+    try {
+      data = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : empty();
+    } catch (err) {
+      console.warn(`⚠️ Could not read ${description} ${filePath}, starting empty (non-fatal):`, err.message);
+      data = empty();
+    }
+    return data;
+  };
+
+  // Written to a temp file and renamed, so a crash mid-write can't leave half a file
+  const save = (next = data) => {
+    data = next;
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  };
+
+  return { load, save };
+}
+
+/** Postgres "undefined_table" / PostgREST "table not in schema cache" */
+function isMissingTableError(error) {
+  return error && (error.code === '42P01' || error.code === 'PGRST205');
+}
+
+class MissingTableError extends Error {}
+
+/**
+ * Unwrap a Supabase result: MissingTableError when the table doesn't exist yet, else the error prefixed with the table
+ * @param {string} table
+ * @param {{ data: *, error: Object|null }} result
+ */
+function checkResult(table, { data, error }) {
+  if (isMissingTableError(error)) throw new MissingTableError(error.message);
+  if (error) {
+    const err = new Error(`${table}: ${error.message}`);
+    err.code = error.code;
+    throw err;
+  }
+  return data;
+}
+
+/**
+ * Pick the Supabase store when Supabase is configured, else the file store; if the table turns
+ * out to be missing, switch to the file store for good.
+ * @param {Object} options
+ * @param {() => Object} options.createSupabaseStore
+ * @param {() => Object} options.createFileStore
+ * @param {string} options.missingTable - Warning when falling back, e.g. 'job_queue table missing (run migration 022)'
+ * @param {(store: Object) => void} [options.onSelect] - Called with the store first picked
+ * @returns {{ getStore: () => Object, withStore: (fn: (store: Object) => Promise<*>) => Promise<*> }}
+ */
+function createStoreSelector({ createSupabaseStore, createFileStore, missingTable, onSelect = null }) {
+  let store = null;
+
+  const getStore = () => {
+    if (!store) {
+      store = isSupabaseConfigured() ? createSupabaseStore() : createFileStore();
+      if (onSelect) onSelect(store);
+    }
+    return store;
+  };
+
+  /** Run a store operation against the current store */
+  const withStore = async (fn) => {
+    try {
+      return await fn(getStore());
+    } catch (err) {
+      if (!(err instanceof MissingTableError)) throw err;
+      console.warn(`⚠️ ${missingTable} — falling back to local file store:`, err.message);
+      store = createFileStore();
+      return fn(store);
+    }
+  };
+
+  return { getStore, withStore };
+}
+
+module.exports = {
+  resolveDataDir,
+  createJsonFile,
+  isMissingTableError,
+  MissingTableError,
+  checkResult,
+  createStoreSelector
+};
@@ -10,6 +10,11 @@ const axios = require('axios');
 const githubAppAuth = require('./githubAppAuth');
 const { supabaseAdmin, isSupabaseConfigured } = require('../lib/supabase');
 const { generateAnalysisId, feedbackFooter } = require('./feedbackHelper');
+const { loadRepoConfig, formatRepoConfigErrorComment } = require('./repoConfig');
+const { matchesAnyGlob } = require('./globMatcher');
+const { parseQaCommand, formatQaUsageReply, formatQaScopeNote } = require('./qaCommandParser');
+const { selectTestScenarios, getFailedScenarioNames, describeSelection } = require('./testRunSelection');
+const { registerJobHandler, enqueueJob, listJobs, cancelJob } = require('../services/jobQueue');
 // Initialize GitHub client with token (for backward compatibility)
 let octokit;
 let simulatedMode = false;
@@ -640,8 +645,9 @@ async function fetchPR(repository, prNumber) {
 
 /**
  * Fetch PR diff for AI analysis
+ * @param {Object} [options] - { ignorePaths: string[], onlyPaths: string[] } globs to leave out (.firstqa.yml) / keep (`/qa -only=`)
  */
-async function fetchPRDiff(repository, prNumber) {
+async function fetchPRDiff(repository, prNumber, options = {}) {
   try {
     const [owner, repoName] = repository.split('/');
     if (!owner || !repoName) {
@@ -662,6 +668,8 @@ async function fetchPRDiff(repository, prNumber) {
     // Combine patches from all files
     let fullDiff = '';
     response.data.forEach(file => {
+      if (matchesAnyGlob(file.filename, options.ignorePaths)) return;
+      if (options.onlyPaths?.length && !matchesAnyGlob(file.filename, options.onlyPaths)) return;
       if (file.patch) {
         fullDiff += `diff --git a/${file.filename} b/${file.filename}\n`;
         fullDiff += file.patch + '\n\n';
@@ -686,9 +694,10 @@ const PRIORITY_EXTENSIONS = ['.tsx', '.jsx', '.ts', '.js', '.vue', '.svelte', '.
  * Prioritizes UI/frontend files where data-testid, aria-label, and selectors live
  * @param {string} repository - owner/repo
  * @param {number} prNumber - PR number
+ * @param {Object} [options] - { ignorePaths: string[], onlyPaths: string[] } globs to skip (.firstqa.yml) / keep (`/qa -only=`)
  * @returns {Promise<Object>} { fileContents: { path: string }, selectorHints: [...] }
  */
-async function fetchChangedFileContents(repository, prNumber) {
+async function fetchChangedFileContents(repository, prNumber, options = {}) {
   try {
     const [owner, repoName] = repository.split('/');
     if (!owner || !repoName) return { fileContents: {}, selectorHints: [] };
@@ -702,6 +711,8 @@ async function fetchChangedFileContents(repository, prNumber) {
     const filesResponse = await repoOctokit.pulls.listFiles({ owner, repo: repoName, pull_number: prNumber });
     const codeFiles = filesResponse.data
       .filter(f => f.filename && !f.filename.includes('node_modules') && !f.filename.includes('dist'))
+      .filter(f => !matchesAnyGlob(f.filename, options.ignorePaths))
+      .filter(f => !options.onlyPaths?.length || matchesAnyGlob(f.filename, options.onlyPaths))
       .filter(f => /\.(js|ts|jsx|tsx|vue|svelte|py|java|go|rb|c|cs|php|ejs|html|erb|hbs|pug)$/i.test(f.filename));
 
     // Prioritize UI files (contain selectors, test IDs)
@@ -1061,6 +1072,138 @@ async function postComment(repo, issueNumber, body) {
   }
 }
 
+/**
+ * Post or update the PR's canonical analysis comment.
+ * Finds FirstQA's existing analysis comment by its hidden marker and edits it in place,
+ * folding the previous version into a history section. Falls back to a new comment.
+ * @param {string} repo - owner/repo
+ * @param {number} issueNumber - PR number
+ * @param {string} body - Formatted analysis markdown
+ * @param {Object} [meta] - { sha } head SHA the analysis ran against
+ * @returns {Promise<{success: boolean, commentId?: number, updated?: boolean, version?: number}>}
+ */
+async function upsertAnalysisComment(repo, issueNumber, body, meta = {}) {
+  const { buildCanonicalAnalysisComment, isCanonicalAnalysisComment } = require('./analysisComment');
+  try {
+    const [owner, repoName] = repo.split('/');
+    const repoOctokit = await githubAppAuth.getOctokitForRepo(owner, repoName);
+    if (!repoOctokit) throw new Error('No GitHub client');
+
+    const comments = await repoOctokit.paginate(repoOctokit.issues.listComments, {
+      owner, repo: repoName, issue_number: issueNumber, per_page: 100
+    });
+    const existing = comments
+      .filter(c => (c.user?.type === 'Bot' || c.user?.login?.endsWith('[bot]')) && isCanonicalAnalysisComment(c.body))
+      .pop();
+
+    const { body: canonicalBody, version } = buildCanonicalAnalysisComment(body, existing?.body || null, meta);
+    if (existing) {
+      await repoOctokit.issues.updateComment({ owner, repo: repoName, comment_id: existing.id, body: canonicalBody });
+      console.log(`✅ Analysis comment updated in place (v${version}) on ${repo}#${issueNumber}`);
+      return { success: true, commentId: existing.id, updated: true, version };
+    }
+    const result = await postComment(repo, issueNumber, canonicalBody);
+    return { ...result, updated: false, version };
+  } catch (error) {
+    console.warn(`⚠️ Could not update analysis comment in place on ${repo}#${issueNumber}, posting new comment:`, error.message);
+    const { buildCanonicalAnalysisComment } = require('./analysisComment');
+    return postComment(repo, issueNumber, buildCanonicalAnalysisComment(body, null, meta).body);
+  }
+}
+
+const REPO_CONFIG_ERROR_MARKER = '<!-- firstqa:config-error -->';
+
+/**
+ * Post the invalid .firstqa.yml comment. Automatic runs keep one such comment per PR (hidden marker)
+ * and update it in place, so every push to a PR with a broken config doesn't add another.
+ */
+async function postRepoConfigError(repo, prNumber, repoConfigResult, { auto = false } = {}) {
+  const body = formatRepoConfigErrorComment(repoConfigResult.path, repoConfigResult.errors);
+  if (!auto) return postComment(repo, prNumber, body);
+
+  const markedBody = `${REPO_CONFIG_ERROR_MARKER}\n${body}`;
+  try {
+    const [owner, repoName] = repo.split('/');
+    const repoOctokit = await githubAppAuth.getOctokitForRepo(owner, repoName);
+    if (!repoOctokit) throw new Error('No GitHub client');
+    const comments = await repoOctokit.paginate(repoOctokit.issues.listComments, {
+      owner, repo: repoName, issue_number: prNumber, per_page: 100
+    });
+    const existing = comments
+      .filter(c => (c.user?.type === 'Bot' || c.user?.login?.endsWith('[bot]')) && (c.body || '').startsWith(REPO_CONFIG_ERROR_MARKER))
+      .pop();
+    if (existing) {
+      if (existing.body !== markedBody) {
+        await repoOctokit.issues.updateComment({ owner, repo: repoName, comment_id: existing.id, body: markedBody });
+      }
+      return { success: true, commentId: existing.id, updated: true };
+    }
+  } catch (error) {
+    // Better to say nothing than to risk a new comment on every push
+    console.warn(`⚠️ Could not look up the config error comment on ${repo}#${prNumber}, not posting (non-fatal):`, error.message);
+    return { success: false, message: error.message };
+  }
+  return postComment(repo, prNumber, markedBody);
+}
+
+/**
+ * Post the analysis' bugs as a PR review with inline comments on the diff lines they point at.
+ * Findings already posted on an earlier run (same hidden fingerprint marker) are skipped; findings
+ * that can't be anchored to a diff line stay in the analysis comment's Bugs & Risks section only.
+ * @param {string} repo - owner/repo
+ * @param {number} prNumber - PR number
+ * @param {Object} aiInsights - generateQAInsights result
+ * @param {string} diff - PR diff the analysis ran on
+ * @param {Object} [options] - { sha } head SHA the analysis ran against
+ * @returns {Promise<{success: boolean, posted: number, skipped: number, unanchored: number, message?: string}>}
+ */
+async function postInlineReviewFindings(repo, prNumber, aiInsights, diff, options = {}) {
+  const { getReviewFindings, getFindingFingerprint, formatFindingComment } = require('../ai/reviewFindings');
+  const { mapFindingsToDiff } = require('../ai/diffLineMapper');
+  const findings = getReviewFindings(aiInsights);
+  if (findings.length === 0) return { success: true, posted: 0, skipped: 0, unanchored: 0 };
+
+  const { anchored, unanchored } = mapFindingsToDiff(findings, diff);
+  if (anchored.length === 0) {
+    return { success: true, posted: 0, skipped: 0, unanchored: unanchored.length, message: 'No finding maps to a diff line' };
+  }
+
+  const [owner, repoName] = repo.split('/');
+  const repoOctokit = await githubAppAuth.getOctokitForRepo(owner, repoName);
+  if (!repoOctokit) return { success: false, posted: 0, skipped: 0, unanchored: unanchored.length, message: 'No GitHub client' };
+
+  const existing = await repoOctokit.paginate(repoOctokit.pulls.listReviewComments, {
+    owner, repo: repoName, pull_number: prNumber, per_page: 100
+  });
+  const postedMarkers = new Set(existing.map(c => (c.body || '').match(/<!-- firstqa:finding:(\w+) -->/)?.[1]).filter(Boolean));
+  const fresh = anchored.filter(f => !postedMarkers.has(getFindingFingerprint(f)));
+  if (fresh.length === 0) {
+    return { success: true, posted: 0, skipped: anchored.length, unanchored: unanchored.length, message: 'All findings already posted' };
+  }
+
+  let body = `🤖 **Ovi found ${fresh.length} issue${fresh.length === 1 ? '' : 's'} on the changed lines.** The full report is in the QA analysis comment.`;
+  if (unanchored.length > 0) {
+    body += `\n\n${unanchored.length} more finding${unanchored.length === 1 ? ' points' : 's point'} outside this diff — see **Bugs & Risks** in the analysis comment.`;
+  }
+
+  await repoOctokit.pulls.createReview({
+    owner,
+    repo: repoName,
+    pull_number: prNumber,
+    ...(options.sha ? { commit_id: options.sha } : {}),
+    event: 'COMMENT',
+    body,
+    comments: fresh.map(f => ({
+      path: f.path,
+      line: f.line,
+      side: 'RIGHT',
+      body: `${formatFindingComment(f)}\n<!-- firstqa:finding:${getFindingFingerprint(f)} -->`
+    }))
+  });
+  console.log(`✅ Posted ${fresh.length} inline finding(s) to ${repo}#${prNumber} (${anchored.length - fresh.length} already posted, ${unanchored.length} outside the diff)`);
+  return { success: true, posted: fresh.length, skipped: anchored.length - fresh.length, unanchored: unanchored.length };
+}
+
 /**
  * Add the "Reviewed by Ovi" label to a GitHub PR
  */
@@ -1226,22 +1369,25 @@ That's it! We'll handle the rest. 🚀
 }
 
 /**
- * Parse /qa command flags from comment body
- * Supports: /qa -testrun -env=https://example.com/ -index -reindex -analyze_codebase
- * @returns {{ testRun: boolean, envUrl: string|null, indexCodebase: boolean }}
+ * Load .firstqa.yml from the PR's head ref
+ * @param {string} repoFullName - owner/repo
+ * @param {number} prNumber - PR number
+ * @returns {Promise<{ found: boolean, path: string|null, config: Object, errors: string[], headSha: string|null }>}
  */
-function parseQaFlags(commentBody) {
-  const body = String(commentBody || '').trim();
-  const hasFlag = (flag) => new RegExp(`(^|\\s)${flag}(\\s|$)`, 'i').test(body);
-  const testRun = hasFlag('-testrun');
-  const envMatch = body.match(/-env=(\S+)/i);
-  const envUrl = envMatch ? envMatch[1].trim() : null;
-  const indexCodebase =
-    hasFlag('-index') ||
-    hasFlag('-reindex') ||
-    hasFlag('-analyze_codebase') ||
-    hasFlag('-setup');
-  return { testRun, envUrl, indexCodebase };
+async function loadRepoConfigForPR(repoFullName, prNumber) {
+  let headSha = null;
+  try {
+    const [owner, repoName] = repoFullName.split('/');
+    const repoOctokit = await githubAppAuth.getOctokitForRepo(owner, repoName);
+    if (repoOctokit) {
+      const { data: pr } = await repoOctokit.pulls.get({ owner, repo: repoName, pull_number: prNumber });
+      headSha = pr.head?.sha || null;
+    }
+  } catch (err) {
+    console.warn(`⚠️ Could not resolve head ref for ${repoFullName}#${prNumber}, reading config from default branch:`, err.message);
+  }
+  const result = await loadRepoConfig(repoFullName, headSha);
+  return { ...result, headSha };
 }
 
 /**
@@ -1289,10 +1435,20 @@ function parseTestRecipeFromAiResponse(aiData) {
   return recipe;
 }
 
+/**
+ * Whether /qa cancel stopped the analysis job — checked after each AI call, before anything is posted
+ */
+function isAnalysisCancelled(signal, repoFullName, prNumber) {
+  if (!signal?.aborted) return false;
+  console.log(`🛑 Analysis of ${repoFullName}#${prNumber} cancelled — nothing posted`);
+  return true;
+}
+
 /**
  * Handle test request - core functionality
+ * `options.signal` aborts the analysis when its job is cancelled
  */
-async function handleTestRequest(repository, issue, comment, sender, userId = null, installationId = null) {
+async function handleTestRequest(repository, issue, comment, sender, userId = null, installationId = null, options = {}) {
   const analysisStartMs = Date.now();
   console.log(`Processing test request from ${sender.login} on PR #${issue.number} (${repository.full_name})`);
   console.log(`Repository: ${repository.full_name}`);
@@ -1304,6 +1460,10 @@ async function handleTestRequest(repository, issue, comment, sender, userId = nu
     const limitCheck = await checkUsageLimits(userId);
     if (!limitCheck.allowed) {
       console.warn(`⚠️ Usage limit exceeded for user ${userId}`);
+      // Automatic runs stay silent — the user hears about the trial on their next /qa
+      if (options.auto) {
+        return { success: false, message: 'Trial expired', limitReached: true };
+      }
       const baseUrl = process.env.BASE_URL || 'https://www.firstqa.dev';
       const limitMessage = `## ⏰ Free trial ended
 
@@ -1324,9 +1484,19 @@ Questions? Reply here or email hello@firstqa.dev`;
     }
     console.log(`✅ Trial active: ${limitCheck.daysLeft} day(s) remaining`);
   }
+
+  // Load .firstqa.yml from the PR head — invalid config blocks the run with an explanation
+  const repoConfigResult = options.repoConfigResult || await loadRepoConfigForPR(repository.full_name, issue.number);
+  if (repoConfigResult.errors.length > 0) {
+    await postRepoConfigError(repository.full_name, issue.number, repoConfigResult, { auto: options.auto });
+    return { success: false, message: 'Invalid repo config' };
+  }
+  const repoConfig = repoConfigResult.config;
+  const indexBranch = repoConfig.defaultBranch || 'main';
+  const indexOptions = { ignorePaths: repoConfig.ignorePaths, productAreaOverrides: repoConfig.productAreas };
   
   // Check for -index / -reindex / -analyze_codebase / -setup flag - trigger codebase indexing
-  const qaFlags = parseQaFlags(comment.body);
+  const qaFlags = parseQaCommand(comment.body).flags;
   if (qaFlags.indexCodebase) {
     if (process.env.ENABLE_KNOWLEDGE_SYNC !== 'true') {
       await postComment(repository.full_name, issue.number, '❌ **Knowledge sync is disabled.** Set `ENABLE_KNOWLEDGE_SYNC=true` to use codebase indexing.');
@@ -1337,17 +1507,27 @@ Questions? Reply here or email hello@firstqa.dev`;
       const { count } = await supabaseAdmin.from('product_knowledge').select('*', { count: 'exact', head: true }).eq('repo_id', repository.full_name).limit(1);
       return (count || 0) > 0;
     })();
-    if (hasKnowledge) {
-      await postComment(repository.full_name, issue.number, '🔄 **Re-indexing codebase...** This will take 5-10 minutes. I\'ll update you when complete.');
+    if (hasKnowledge && !qaFlags.fullIndex) {
+      await postComment(repository.full_name, issue.number, '🔄 **Re-indexing codebase...** Only files changed since the last index are re-read. I\'ll update you when complete.');
+    } else if (hasKnowledge) {
+      await postComment(repository.full_name, issue.number, '🔄 **Rebuilding the codebase index...** This will take 5-10 minutes. I\'ll update you when complete.');
     } else {
       await postComment(repository.full_name, issue.number, '🚀 **FirstQA is learning your codebase...** This will take 5-10 minutes. You\'ll be notified when complete.');
     }
-    const { analyzeRepository } = require('../services/knowledgeBase/codebaseAnalyzer');
-    const postCommentFn = (body) => postComment(repository.full_name, issue.number, body);
-    analyzeRepository(repository.full_name, installationId, 'main', { postComment: postCommentFn }).catch(err => {
-      console.error('Codebase analysis error:', err);
+    const job = await enqueueGitHubJob('github_index', {
+      repoFullName: repository.full_name,
+      prNumber: issue.number,
+      userId,
+      installationId,
+      payload: { branch: indexBranch, indexOptions: { ...indexOptions, full: qaFlags.fullIndex } }
     });
-    return { success: true, message: 'Codebase indexing started' };
+    return { success: true, message: 'Codebase indexing queued', jobId: job.id };
+  }
+
+  // Repo default analysis mode: a bare `/qa` on a repo configured for short mode gets the short analysis
+  if (repoConfig.analysisMode === 'short' && /^\/qa\s*$/i.test(String(comment.body || '').trim())) {
+    console.log(`⚙️ ${repository.full_name} defaults to short analysis (.firstqa.yml)`);
+    return handleShortRequest(repository, issue, comment, sender, userId, repoConfig, { signal: options.signal });
   }
   
   // Create a unique ID for this test request
@@ -1362,7 +1542,7 @@ Questions? Reply here or email hello@firstqa.dev`;
       if (needsIndex) {
         console.log(`📚 First-time indexing for ${repository.full_name} — waiting before analysis`);
         await postComment(repository.full_name, issue.number, '📚 **Building product knowledge from your codebase.** Analysis will follow shortly.');
-        await analyzeRepository(repository.full_name, installationId, 'main');
+        await analyzeRepository(repository.full_name, installationId, indexBranch, null, { ...indexOptions, signal: options.signal });
         console.log(`✅ First-time indexing complete for ${repository.full_name}, proceeding with analysis`);
       }
     } catch (indexErr) {
@@ -1427,8 +1607,12 @@ Questions? Reply here or email hello@firstqa.dev`;
   const prDescription = await fetchPRDescription(repository.full_name, issue.number);
   console.log(`📄 PR description: ${prDescription ? 'Success' : 'Failed'}`);
   console.log(`📝 Fetching PR diff for ${repository.full_name}#${issue.number}`);
-  const prDiff = await fetchPRDiff(repository.full_name, issue.number);
+  const prDiff = await fetchPRDiff(repository.full_name, issue.number, { ignorePaths: repoConfig.ignorePaths, onlyPaths: qaFlags.only });
   console.log(`📝 PR diff: ${prDiff ? `Success (${prDiff.length} chars)` : 'Failed'}`);
+  if (qaFlags.only.length > 0 && prDiff === 'No code changes detected') {
+    await postComment(repository.full_name, issue.number, `⚠️ **\`-only=${qaFlags.only.join(',')}\` matched no changed files in this PR.** Check the glob, or comment \`/qa\` to analyze everything.`);
+    return { success: false, message: 'No files matched -only' };
+  }
   
   // Build lean commit context — the full PR diff already contains all code;
   // this section only adds commit-level metadata the AI can't infer from the diff.
@@ -1483,7 +1667,7 @@ Questions? Reply here or email hello@firstqa.dev`;
   let fileContents = {};
   let selectorHints = [];
   try {
-    const fetched = await fetchChangedFileContents(repository.full_name, issue.number);
+    const fetched = await fetchChangedFileContents(repository.full_name, issue.number, { ignorePaths: repoConfig.ignorePaths, onlyPaths: qaFlags.only });
     fileContents = fetched.fileContents || {};
     selectorHints = fetched.selectorHints || [];
   } catch (err) {
@@ -1508,7 +1692,9 @@ Questions? Reply here or email hello@firstqa.dev`;
       diff: diffToAnalyze, // FULL PR diff - complete analysis
       newCommits: newCommits.length > 0 ? newCommits : undefined,
       fileContents,
-      selectorHints
+      selectorHints,
+      focus: qaFlags.focus,
+      lang: qaFlags.lang
     });
     if (aiInsights && aiInsights.success) {
       console.log('✅ FirstQA Ovi AI analysis completed successfully');
@@ -1543,6 +1729,9 @@ The AI analysis failed: ${aiInsights?.error || 'unknown error'}
 **Please try again** by commenting \`/qa\` on this PR.`
     };
   }
+  if (isAnalysisCancelled(options.signal, repository.full_name, issue.number)) {
+    return { success: false, message: 'Analysis cancelled' };
+  }
   // Generate test request object
   const testRequest = {
     id: requestId,
@@ -1579,7 +1768,11 @@ The AI analysis failed: ${aiInsights?.error || 'unknown error'}
 
   // Single title at top: when we have commits we add one title and strip duplicate from AI output
   const hasCommitsBlock = newCommits.length > 0;
-  if (hasCommitsBlock) {
+  // Automatic re-analysis after a push: lead with what changed and fold the full analysis away
+  const isIncrementalUpdate = Boolean(options.auto && lastAnalyzedSHA && hasCommitsBlock);
+  if (isIncrementalUpdate) {
+    acknowledgmentComment += formatIncrementalUpdateHeader(lastAnalyzedSHA, currentHeadSHA, newCommits, options.changedSinceLastReview || []);
+  } else if (hasCommitsBlock) {
     acknowledgmentComment += `# 🎯 QA Analysis - by Ovi (the AI QA)\n\n`;
     const isUpdate = lastAnalyzedSHA !== null;
     if (isUpdate) {
@@ -1604,7 +1797,10 @@ The AI analysis failed: ${aiInsights?.error || 'unknown error'}
     if (hasCommitsBlock) {
       aiPart = aiPart.replace(/^#\s*🎯\s*QA Analysis[^\n]*\n+\s*/i, '');
     }
-    acknowledgmentComment += aiPart;
+    if (isIncrementalUpdate) {
+      aiPart = `<details>\n<summary>📋 Full updated analysis</summary>\n\n${aiPart}\n\n</details>\n`;
+    }
+    acknowledgmentComment += aiPart + formatQaScopeNote(qaFlags);
   } else if (aiInsights && !aiInsights.success) {
     acknowledgmentComment += `
 *Note: Ovi QA Agent insights could not be generated for this PR (${aiInsights.error}), but manual testing will proceed as normal.*
@@ -1623,7 +1819,8 @@ The AI analysis failed: ${aiInsights?.error || 'unknown error'}
           selectorHints,
           prTitle: issue.title,
           repoName: repository.full_name,
-          prNumber: issue.number
+          prNumber: issue.number,
+          userId
         });
       }
     } catch (specErr) {
@@ -1638,10 +1835,29 @@ The AI analysis failed: ${aiInsights?.error || 'unknown error'}
     }
     acknowledgmentComment += feedbackFooter(fullAnalysisId);
   }
+  if (isAnalysisCancelled(options.signal, repository.full_name, issue.number)) {
+    return { success: false, message: 'Analysis cancelled' };
+  }
   const elapsedSec = ((Date.now() - analysisStartMs) / 1000).toFixed(1);
   console.log(`⏱️ PR analysis completed in ${elapsedSec}s, posting comment`);
-  const commentResult = await postComment(repository.full_name, issue.number, acknowledgmentComment);
-  console.log(`✅ Acknowledgment comment ${commentResult.simulated ? 'would be' : 'was'} posted`);
+  let commentResult;
+  if (qaFlags.quiet && aiInsights?.success && typeof aiInsights.data === 'string') {
+    // -quiet: short reply only; the canonical analysis comment is left as it was
+    const { formatAnalysisSummary } = require('./analysisComment');
+    commentResult = await postComment(repository.full_name, issue.number, `${formatAnalysisSummary(aiInsights.data)}\n${feedbackFooter(fullAnalysisId)}`);
+  } else {
+    commentResult = await upsertAnalysisComment(repository.full_name, issue.number, acknowledgmentComment, { sha: currentHeadSHA });
+  }
+  console.log(`✅ Acknowledgment comment ${commentResult.simulated ? 'would be' : 'was'} ${commentResult.updated ? 'updated' : 'posted'}`);
+
+  // Inline review comments for bugs that point at diff lines (non-blocking)
+  if (aiInsights?.success && repoConfig.inlineComments && !qaFlags.quiet) {
+    try {
+      await postInlineReviewFindings(repository.full_name, issue.number, aiInsights, prDiff, { sha: currentHeadSHA });
+    } catch (reviewErr) {
+      console.warn('⚠️ Inline review comments failed (non-fatal):', reviewErr.message);
+    }
+  }
   
   // Save analysis to database if user_id is available
   if (userId && isSupabaseConfigured() && aiInsights && aiInsights.success) {
@@ -1669,24 +1885,29 @@ The AI analysis failed: ${aiInsights?.error || 'unknown error'}
     console.warn(`⚠️ Analysis for ${repository.full_name}#${issue.number} NOT saved to DB — userId is null (installation lookup may have failed)`);
   }
   
-  // Post GitHub Check status (non-blocking)
+  // Post the QA Analysis check — its conclusion follows the repo's merge policy (non-blocking)
   if (installationId && currentHeadSHA && aiInsights?.success) {
     try {
-      const { extractQAPulseDecision, createQAAnalysisCheck } = require('../services/githubChecksService');
+      const { extractQAPulseDecision, extractQAPulseRisk } = require('../services/githubChecksService');
       const decision = extractQAPulseDecision(aiInsights.data);
       if (decision) {
+        const { refreshQAAnalysisCheck } = require('../services/mergePolicy');
+        const { getReviewFindings } = require('../ai/reviewFindings');
         const [chkOwner, chkRepo] = repository.full_name.split('/');
-        const bugCount = typeof aiInsights.data?.bugsAndRisks?.length === 'number'
-          ? aiInsights.data.bugsAndRisks.length
-          : null;
-        await createQAAnalysisCheck({
+        // One entry per bug — a bug listed at several locations yields several findings
+        const bugs = new Map(getReviewFindings(aiInsights).map(f => [f.title, f.severity]));
+        await refreshQAAnalysisCheck({
           installationId,
           owner: chkOwner,
           repo: chkRepo,
+          prNumber: issue.number,
           sha: currentHeadSHA,
-          decision,
-          bugCount,
-          analysisUrl: `https://github.com/${repository.full_name}/pull/${issue.number}`
+          inputs: {
+            decision,
+            riskLevel: aiInsights.metadata?.risk?.level || extractQAPulseRisk(aiInsights.data),
+            bugSeverities: [...bugs.values()],
+            analysisUrl: `https://github.com/${repository.full_name}/pull/${issue.number}`
+          }
         });
       }
     } catch (checkErr) {
@@ -1698,7 +1919,24 @@ The AI analysis failed: ${aiInsights?.error || 'unknown error'}
   const labelResult = await addOviReviewedLabel(repository.full_name, issue.number);
   console.log(`✅ "Reviewed by Ovi" label ${labelResult.simulated ? 'would be' : 'was'} added`);
 
-  // Note: test execution is now handled by the separate /qa testrun command (handleTestRunCommand).
+  // Test execution is normally handled by the separate /qa testrun command (handleTestRunCommand).
+  // Repos can opt in to running it right after analysis via testrun.trigger_labels in .firstqa.yml.
+  if (repoConfig.testRunTriggerLabels && repoConfig.testRunTriggerLabels.length > 0 && aiInsights?.success) {
+    const prLabels = (issue.labels || []).map(l => (l.name || '').toLowerCase());
+    const matched = repoConfig.testRunTriggerLabels.find(l => prLabels.includes(l));
+    if (matched) {
+      console.log(`🏷️ PR #${issue.number} has trigger label "${matched}" — starting test run`);
+      await enqueueGitHubJob('github_testrun', {
+        repoFullName: repository.full_name,
+        prNumber: issue.number,
+        userId,
+        installationId,
+        payload: toJobContext(repository, issue, { ...comment, body: '/qa testrun' }, sender)
+      }).catch(err => {
+        console.error(`❌ Could not queue label-triggered test run for ${repository.full_name}#${issue.number}:`, err.message);
+      });
+    }
+  }
   
   // Send email notification - DISABLED to prevent spam
   // const emailResult = await sendEmailNotification(testRequest);
@@ -1716,7 +1954,8 @@ The AI analysis failed: ${aiInsights?.error || 'unknown error'}
 /**
  * Handle short request - generate a short analysis
  */
-async function handleShortRequest(repository, issue, comment, sender, userId = null) {
+async function handleShortRequest(repository, issue, comment, sender, userId = null, repoConfig = null, options = {}) {
+  const analysisStartMs = Date.now();
   console.log(`Processing short request from ${sender.login} on PR #${issue.number}`);
   console.log(`Repository: ${repository.full_name}`);
   console.log(`Comment: ${comment.body}`);
@@ -1748,6 +1987,16 @@ Questions? Reply here or email hello@firstqa.dev`;
     console.log(`✅ Trial active: ${limitCheck.daysLeft} day(s) remaining`);
   }
   
+  // Load .firstqa.yml unless the caller already did
+  if (!repoConfig) {
+    const repoConfigResult = await loadRepoConfigForPR(repository.full_name, issue.number);
+    if (repoConfigResult.errors.length > 0) {
+      await postComment(repository.full_name, issue.number, formatRepoConfigErrorComment(repoConfigResult.path, repoConfigResult.errors));
+      return { success: false, message: 'Invalid repo config' };
+    }
+    repoConfig = repoConfigResult.config;
+  }
+
   // Create a unique ID for this test request
   const requestId = `${repository.full_name.replace('/', '-')}-${issue.number}-${Date.now()}`;
   // Get PR description and diff
@@ -1755,7 +2004,7 @@ Questions? Reply here or email hello@firstqa.dev`;
   const prDescription = await fetchPRDescription(repository.full_name, issue.number);
   console.log(`📄 PR description: ${prDescription ? 'Success' : 'Failed'}`);
   console.log(`📝 Fetching PR diff for ${repository.full_name}#${issue.number}`);
-  const prDiff = await fetchPRDiff(repository.full_name, issue.number);
+  const prDiff = await fetchPRDiff(repository.full_name, issue.number, { ignorePaths: repoConfig.ignorePaths });
   console.log(`📝 PR diff: ${prDiff ? `Success (${prDiff.length} chars)` : 'Failed'}`);
   // Debug what we're sending to AI
   console.log('🔍 AI Input Debug:');
@@ -1837,6 +2086,9 @@ Questions? Reply here or email hello@firstqa.dev`;
       }
     };
   }
+  if (isAnalysisCancelled(options.signal, repository.full_name, issue.number)) {
+    return { success: false, message: 'Analysis cancelled' };
+  }
   // Generate test request object
   const testRequest = {
     id: requestId,
@@ -1878,8 +2130,8 @@ Questions? Reply here or email hello@firstqa.dev`;
   }
   const elapsedSecShort = ((Date.now() - analysisStartMs) / 1000).toFixed(1);
   console.log(`⏱️ Short PR analysis completed in ${elapsedSecShort}s, posting comment`);
-  const commentResult = await postComment(repository.full_name, issue.number, acknowledgmentComment);
-  console.log(`✅ Acknowledgment comment ${commentResult.simulated ? 'would be' : 'was'} posted`);
+  const commentResult = await upsertAnalysisComment(repository.full_name, issue.number, acknowledgmentComment);
+  console.log(`✅ Acknowledgment comment ${commentResult.simulated ? 'would be' : 'was'} ${commentResult.updated ? 'updated' : 'posted'}`);
   
   // Save analysis to database if user_id is available
   if (userId && isSupabaseConfigured() && aiInsights && aiInsights.success) {
@@ -1923,6 +2175,36 @@ Questions? Reply here or email hello@firstqa.dev`;
     simulated: simulatedMode
   };
 }
+/**
+ * Header for automatic re-analysis comments: commits and files since the last reviewed SHA
+ * @param {string} lastAnalyzedSHA
+ * @param {string|null} headSHA
+ * @param {Array} newCommits - From fetchNewCommitsWithDetails (newest first)
+ * @param {Array<{filename, status, additions, deletions}>} changedFiles
+ * @returns {string}
+ */
+function formatIncrementalUpdateHeader(lastAnalyzedSHA, headSHA, newCommits, changedFiles) {
+  const MAX_FILES_LISTED = 15;
+  let header = `# 🔄 QA Update — what changed since last review\n\n`;
+  header += `\`${lastAnalyzedSHA.substring(0, 7)}\` → \`${(headSHA || '').substring(0, 7) || 'HEAD'}\` · **${newCommits.length} new commit(s)**`;
+  if (changedFiles.length > 0) header += `, **${changedFiles.length} file(s) changed**`;
+  header += `\n\n`;
+  [...newCommits].reverse().forEach((commit, index) => {
+    header += `${index + 1}. \`${commit.sha.substring(0, 7)}\` - ${commit.message.split('\n')[0]}\n`;
+  });
+  if (changedFiles.length > 0) {
+    header += `\n**Files changed since last review:**\n`;
+    changedFiles.slice(0, MAX_FILES_LISTED).forEach(f => {
+      header += `- \`${f.filename}\` (${f.status}, +${f.additions}/−${f.deletions})\n`;
+    });
+    if (changedFiles.length > MAX_FILES_LISTED) {
+      header += `- …and ${changedFiles.length - MAX_FILES_LISTED} more\n`;
+    }
+  }
+  header += `\nThe analysis below covers the whole PR at its new head; scenarios are kept stable and only change where the new commits require it.\n\n---\n\n`;
+  return header;
+}
+
 /** Priority order for Test Recipe: Smoke first, then Critical Path, then Regression */
 function testRecipePriorityOrder(priority) {
   const p = (priority || '').trim().toLowerCase();
@@ -1997,6 +2279,9 @@ function formatHybridAnalysisForComment(aiInsights) {
       .replace(/\t/g, '\n')
       .trim();
     cleanedData = sortTestRecipeTableByPriority(cleanedData);
+    const { formatBlastRadiusForComment } = require('../services/knowledgeBase/blastRadius');
+    const blastRadiusSection = formatBlastRadiusForComment(aiInsights.metadata?.blastRadius);
+    if (blastRadiusSection) cleanedData += `\n\n${blastRadiusSection}`;
     
     const finalComment = `${cleanedData}
 
@@ -2192,6 +2477,7 @@ ${aiData}`;
 /**
  * Format and post detailed analysis with hybrid structure
  * @param {string} [options.banner] - Optional banner to prepend (e.g. for post-merge staging analysis)
+ * @param {string} [options.sha] - Commit the analysis ran against (recorded in the canonical comment's history)
  */
 async function formatAndPostDetailedAnalysis(repository, prNumber, aiInsights, options = {}, analysisId = null) {
   // Handle fallback if AI insights failed
@@ -2249,17 +2535,23 @@ async function formatAndPostDetailedAnalysis(repository, prNumber, aiInsights, o
   if (analysisId && aiInsights?.success) {
     detailedComment += feedbackFooter(analysisId);
   }
-  return await postComment(repository, prNumber, detailedComment);
+  return await upsertAnalysisComment(repository, prNumber, detailedComment, { sha: options.sha });
 }
 
 /**
  * Handle PR opened event - generate comprehensive analysis
+ * `userId` (looked up from the installation when not given) sets the automatic test run's artifact retention
  */
-async function handlePROpened(repository, pr, installationId) {
+async function handlePROpened(repository, pr, installationId, userId = null) {
   console.log(`🔍 Handling PR opened event for ${repository.full_name}#${pr.number}`);
+  const repoConfigResult = await loadRepoConfig(repository.full_name, pr.head?.sha);
+  if (repoConfigResult.errors.length > 0) {
+    return await postComment(repository.full_name, pr.number, formatRepoConfigErrorComment(repoConfigResult.path, repoConfigResult.errors));
+  }
+  const repoConfig = repoConfigResult.config;
   // Get PR description and diff for analysis
   const prDescription = await fetchPRDescription(repository.full_name, pr.number);
-  const prDiff = await fetchPRDiff(repository.full_name, pr.number);
+  const prDiff = await fetchPRDiff(repository.full_name, pr.number, { ignorePaths: repoConfig.ignorePaths });
   console.log(`🔍 Generating COMPREHENSIVE ANALYSIS for PR #${pr.number}`);
   // Generate comprehensive analysis using the detailed endpoint
   let aiInsights;
@@ -2290,12 +2582,16 @@ async function handlePROpened(repository, pr, installationId) {
   
   // Post the analysis first
   const prOpenedAnalysisId = generateAnalysisId();
-  const analysisResult = await formatAndPostDetailedAnalysis(repository.full_name, pr.number, aiInsights, {}, prOpenedAnalysisId);
+  const analysisResult = await formatAndPostDetailedAnalysis(repository.full_name, pr.number, aiInsights, { sha: pr.head?.sha }, prOpenedAnalysisId);
+  if (aiInsights?.success && repoConfig.inlineComments) {
+    await postInlineReviewFindings(repository.full_name, pr.number, aiInsights, prDiff, { sha: pr.head?.sha })
+      .catch(err => console.warn('⚠️ Inline review comments failed (non-fatal):', err.message));
+  }
   
   // Check if automated testing should run
   const { shouldRunAutomatedTests, executeAutomatedTests } = require('../services/automatedTestOrchestrator');
   
-  if (shouldRunAutomatedTests(pr, aiInsights)) {
+  if (shouldRunAutomatedTests(pr, aiInsights, repoConfig)) {
     console.log('🤖 Automated testing is enabled for this PR');
     
     // Extract test recipe from AI insights
@@ -2305,18 +2601,38 @@ async function handlePROpened(repository, pr, installationId) {
       // Parse repository owner and name
       const [owner, repo] = repository.full_name.split('/');
       
+      // Changed files and diff, so failed scenarios are annotated on the code behind the failing flow
+      const loadSourceContext = async () => {
+        const { fileContents, selectorHints } = await fetchChangedFileContents(repository.full_name, pr.number, { ignorePaths: repoConfig.ignorePaths });
+        let productAreas = {};
+        if (process.env.ENABLE_KNOWLEDGE_SYNC === 'true' && isSupabaseConfigured()) {
+          const { data: rc } = await supabaseAdmin.from('repo_context').select('product_areas').eq('repo_id', repository.full_name).maybeSingle();
+          productAreas = rc?.product_areas || {};
+        }
+        return { diff: prDiff, fileContents, selectorHints, productAreas };
+      };
+
       // Execute automated tests asynchronously (don't block)
-      executeAutomatedTests({
-        owner,
-        repo,
-        prNumber: pr.number,
-        sha: pr.head.sha,
-        testRecipe,
-        baseUrl: process.env.TEST_AUTOMATION_BASE_URL,
-        installationId
-      }).catch(error => {
-        console.error('❌ Automated test execution failed:', error.message);
-      });
+      const ownerUserId = userId || await findUserIdForInstallation(installationId);
+      loadSourceContext()
+        .catch(err => {
+          console.warn('⚠️ Could not load changed files for failure annotations (non-fatal):', err.message);
+          return null;
+        })
+        .then(sourceContext => executeAutomatedTests({
+          owner,
+          repo,
+          prNumber: pr.number,
+          sha: pr.head.sha,
+          testRecipe,
+          baseUrl: repoConfig.stagingUrl || process.env.TEST_AUTOMATION_BASE_URL,
+          installationId,
+          sourceContext,
+          userId: ownerUserId
+        }))
+        .catch(error => {
+          console.error('❌ Automated test execution failed:', error.message);
+        });
     } else {
       console.log('⏭️  No test recipe available for automated testing');
     }
@@ -2385,7 +2701,7 @@ async function handlePRMergedToStaging(repository, pr, userId, installationId) {
 
   const postMergeAnalysisId = generateAnalysisId();
   const banner = `## 🚀 Post-Merge Staging Analysis\n\n*Automatically generated when this PR was merged into \`${baseRef}\`. Use this to prepare staging testing.*\n`;
-  await formatAndPostDetailedAnalysis(repository.full_name, pr.number, aiInsights, { banner }, postMergeAnalysisId);
+  await formatAndPostDetailedAnalysis(repository.full_name, pr.number, aiInsights, { banner, sha: pr.merge_commit_sha || pr.head?.sha }, postMergeAnalysisId);
 
   if (userId && isSupabaseConfigured() && aiInsights?.success) {
     try {
@@ -2410,32 +2726,195 @@ async function handlePRMergedToStaging(repository, pr, userId, installationId) {
   return { success: true, postMergeStaging: true };
 }
 
+/** Quiet period after the last push before an automatic analysis runs — a burst of pushes collapses into one */
+const AUTO_ANALYZE_DEBOUNCE_MS = parseInt(process.env.AUTO_ANALYZE_DEBOUNCE_MS || '120000', 10);
+
+/**
+ * Whether the installation owner opted in to automatic PR analysis (client_settings.auto_analyze_prs)
+ * @param {string|null} userId
+ * @returns {Promise<boolean>}
+ */
+async function isAutoAnalyzeEnabled(userId) {
+  if (!userId || !isSupabaseConfigured()) return false;
+  try {
+    const { data: settings } = await supabaseAdmin
+      .from('client_settings')
+      .select('auto_analyze_prs')
+      .eq('user_id', userId)
+      .maybeSingle();
+    return settings?.auto_analyze_prs === true;
+  } catch (err) {
+    console.warn('⚠️ Could not read auto_analyze_prs setting (non-fatal):', err.message);
+    return false;
+  }
+}
+
+/**
+ * Files changed between two commits (for "what changed since last review")
+ * Returns null when the range can't be compared, e.g. after a force push dropped the base commit.
+ * @returns {Promise<Array<{filename, status, additions, deletions}>|null>}
+ */
+async function fetchFilesChangedSince(repository, baseSha, headSha) {
+  try {
+    const [owner, repoName] = repository.split('/');
+    const repoOctokit = await githubAppAuth.getOctokitForRepo(owner, repoName);
+    if (!repoOctokit) return null;
+    const { data } = await repoOctokit.repos.compareCommits({ owner, repo: repoName, base: baseSha, head: headSha });
+    if (data.status === 'diverged' || data.status === 'behind') return null;
+    return (data.files || []).map(f => ({
+      filename: f.filename,
+      status: f.status,
+      additions: f.additions || 0,
+      deletions: f.deletions || 0
+    }));
+  } catch (err) {
+    console.warn(`⚠️ Could not compare ${baseSha.substring(0, 7)}...${headSha.substring(0, 7)}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Debounce an automatic analysis for a PR. Each new push pushes the queued job back,
+ * so the debounce survives restarts.
+ */
+async function scheduleAutoAnalysis(repository, pr, userId, installationId) {
+  const key = `${repository.full_name}#${pr.number}`;
+  const job = await enqueueGitHubJob('github_auto_analysis', {
+    repoFullName: repository.full_name,
+    prNumber: pr.number,
+    userId,
+    installationId,
+    dedupeKey: `github_auto_analysis:${key}`,
+    runAfter: Date.now() + AUTO_ANALYZE_DEBOUNCE_MS,
+    payload: { headSha: pr.head?.sha || null }
+  });
+  if (job.deduped) {
+    console.log(`⏳ [auto] Push burst on ${key} — restarting ${Math.round(AUTO_ANALYZE_DEBOUNCE_MS / 1000)}s debounce`);
+  } else {
+    console.log(`⏳ [auto] Auto-analysis scheduled for ${key} in ${Math.round(AUTO_ANALYZE_DEBOUNCE_MS / 1000)}s`);
+  }
+  return job;
+}
+
+/**
+ * Run an automatic analysis once the push burst has settled.
+ * Re-reads the PR so drafts, closed PRs and already-analyzed heads are skipped,
+ * and skips when the changes since the last review are docs-only. `signal` aborts it when the job is cancelled.
+ */
+async function handleAutoAnalysis(repository, prNumber, userId, installationId, { signal = null } = {}) {
+  const repoFullName = repository.full_name;
+  const [owner, repoName] = repoFullName.split('/');
+  const repoOctokit = await githubAppAuth.getOctokitForRepo(owner, repoName);
+  if (!repoOctokit) {
+    console.warn(`⚠️ [auto] No GitHub client for ${repoFullName} — skipping auto-analysis`);
+    return { success: false, message: 'No GitHub client' };
+  }
+
+  const { data: pr } = await repoOctokit.pulls.get({ owner, repo: repoName, pull_number: prNumber });
+  if (pr.state !== 'open') {
+    console.log(`⏭️ [auto] ${repoFullName}#${prNumber} is ${pr.state} — skipping`);
+    return { success: true, message: 'PR not open', skipped: true };
+  }
+  if (pr.draft) {
+    console.log(`⏭️ [auto] ${repoFullName}#${prNumber} is a draft — skipping`);
+    return { success: true, message: 'Draft PR', skipped: true };
+  }
+
+  const headSha = pr.head.sha;
+  const lastAnalyzedSHA = getLastAnalyzedCommitSHA(repoFullName, prNumber);
+  if (lastAnalyzedSHA === headSha) {
+    console.log(`⏭️ [auto] ${repoFullName}#${prNumber} head ${headSha.substring(0, 7)} already analyzed — skipping`);
+    return { success: true, message: 'Already analyzed', skipped: true };
+  }
+
+  const repoConfigResult = await loadRepoConfig(repoFullName, headSha);
+  const ignorePaths = repoConfigResult.config.ignorePaths;
+
+  // Classify only what changed since the last review, so a docs-only follow-up push doesn't re-run analysis
+  let changedSinceLastReview = lastAnalyzedSHA ? await fetchFilesChangedSince(repoFullName, lastAnalyzedSHA, headSha) : null;
+  let filesToClassify = changedSinceLastReview;
+  if (!filesToClassify) {
+    const { data: prFiles } = await repoOctokit.pulls.listFiles({ owner, repo: repoName, pull_number: prNumber, per_page: 100 });
+    filesToClassify = prFiles.map(f => ({ filename: f.filename }));
+  }
+  const relevantFiles = filesToClassify.map(f => f.filename).filter(f => !matchesAnyGlob(f, ignorePaths));
+  if (relevantFiles.length === 0) {
+    console.log(`⏭️ [auto] ${repoFullName}#${prNumber}: only ignored paths changed — skipping`);
+    return { success: true, message: 'Only ignored paths changed', skipped: true };
+  }
+  const { classifyPRChangeType } = require('./changeTypeClassifier');
+  const classification = classifyPRChangeType(relevantFiles);
+  if (classification.type === 'documentation') {
+    console.log(`⏭️ [auto] ${repoFullName}#${prNumber}: docs-only changes — skipping`);
+    return { success: true, message: 'Docs-only changes', skipped: true };
+  }
+
+  console.log(`🤖 [auto] Running automatic ${lastAnalyzedSHA ? 'incremental ' : ''}analysis for ${repoFullName}#${prNumber} @ ${headSha.substring(0, 7)}`);
+  const issue = {
+    number: pr.number,
+    title: pr.title,
+    html_url: pr.html_url,
+    labels: pr.labels || [],
+    pull_request: { url: pr.url }
+  };
+  const sender = { login: pr.user?.login || 'firstqa-auto', type: 'User' };
+  return handleTestRequest(repository, issue, { body: '/qa' }, sender, userId, installationId, {
+    auto: true,
+    signal,
+    repoConfigResult,
+    changedSinceLastReview: (changedSinceLastReview || []).filter(f => !matchesAnyGlob(f.filename, ignorePaths))
+  });
+}
+
+/**
+ * Numbered Test Recipe rows for selection errors ("1. Login works (Smoke)")
+ */
+function formatRecipeRows(recipe) {
+  const rows = recipe.slice(0, 30).map((s, i) => `${i + 1}. ${s.scenario}${s.priority ? ` (${s.priority})` : ''}`);
+  if (recipe.length > 30) rows.push(`…and ${recipe.length - 30} more`);
+  return rows.join('\n');
+}
+
+/**
+ * Per-scenario results of the last finished test run on a PR (stored on its queue job)
+ * @returns {Promise<{ scenarios: Array<{scenario, status, visual?}>, baselineBranch: string|null, finishedAt: string }|null>}
+ */
+async function findLastTestRunResult(repoFullName, prNumber) {
+  const runs = await listJobs({ repoId: repoFullName, prNumber, type: 'github_testrun', statuses: ['succeeded', 'cancelled'] }, 10);
+  const run = runs.find(j => j.result?.scenarios?.length > 0);
+  return run ? { scenarios: run.result.scenarios, baselineBranch: run.result.baselineBranch || null, finishedAt: run.finished_at || run.updated_at } : null;
+}
+
 /**
  * Handle /qa testrun command.
  * Looks up the most recent /qa analysis for the PR and executes the test recipe
  * against the staging URL (from -env=URL flag or client settings).
  * Requires a prior /qa analysis to exist.
+ * Runs inside a `github_testrun` job; `options.signal` aborts the run when the job is cancelled
+ * and `options.reportProgress` records scenarios done / total for `/qa status`.
  */
-async function handleTestRunCommand(repository, issue, comment, sender, userId, installationId) {
+async function handleTestRunCommand(repository, issue, comment, sender, userId, installationId, options = {}) {
   const repoFullName = repository.full_name;
   const prNumber = issue.number;
   const [owner, repo] = repoFullName.split('/');
 
   console.log(`🔬 [testrun] Manual test run requested by ${sender.login} for ${repoFullName}#${prNumber}`);
 
+  // Load .firstqa.yml from the PR head — invalid config blocks the run with an explanation
+  const repoConfigResult = await loadRepoConfigForPR(repoFullName, prNumber);
+  if (repoConfigResult.errors.length > 0) {
+    await postComment(repoFullName, prNumber, formatRepoConfigErrorComment(repoConfigResult.path, repoConfigResult.errors));
+    return { success: false, message: 'Invalid repo config' };
+  }
+  const repoConfig = repoConfigResult.config;
+
   // Parse flags from comment
-  const envMatch = comment.body.match(/-env=(\S+)/i);
-  const envUrl = envMatch ? envMatch[1].trim() : null;
-  // Accept -context in any format — quoted, =value, or free-form space-separated
+  // -context is accepted in any format — quoted, =value, or free-form space-separated
   // e.g: -context="email: foo@bar.com; password: Abc123"
   //      -context=cookie:session=abc123
   //      -context credentials email: foo@bar.com; password: Abc123.
-  const contextMatch =
-    comment.body.match(/-context="([^"]+)"/i) ||              // -context="..."
-    comment.body.match(/-context='([^']+)'/i) ||              // -context='...'
-    comment.body.match(/-context=(\S+)/i) ||                  // -context=word
-    comment.body.match(/-context\s+(.+?)(?=\s+-\w|\n|$)/is); // -context anything until next flag or EOL
-  const rawContext = contextMatch ? contextMatch[1].trim() : null;
+  const qaFlags = parseQaCommand(comment.body).flags;
+  const { envUrl, context: rawContext } = qaFlags;
 
   // Always pass the full raw text to the agent so it can interpret anything
   let userContext = rawContext;
@@ -2476,8 +2955,8 @@ async function handleTestRunCommand(repository, issue, comment, sender, userId,
     }
   }
 
-  // 1. Look up staging URL + test credentials: inline flag > client settings > env var
-  let baseUrl = envUrl || null;
+  // 1. Look up staging URL + test credentials: inline flag > .firstqa.yml > client settings > env var
+  let baseUrl = envUrl || repoConfig.stagingUrl || null;
   let testCredentials = inlineCredentials || null;
 
   if (isSupabaseConfigured() && userId) {
@@ -2502,7 +2981,7 @@ async function handleTestRunCommand(repository, issue, comment, sender, userId,
 
   if (!baseUrl) {
     await postComment(repoFullName, prNumber,
-      `⚠️ **No staging URL configured.**\n\nProvide one inline:\n\`\`\`\n/qa testrun -env=https://staging.yourapp.com\n\`\`\`\nOr set it in [FirstQA Settings](${process.env.BASE_URL || 'https://www.firstqa.dev'}/dashboard/settings).`
+      `⚠️ **No staging URL configured.**\n\nProvide one inline:\n\`\`\`\n/qa testrun -env=https://staging.yourapp.com\n\`\`\`\nOr set \`staging_url\` in \`.firstqa.yml\`, or in [FirstQA Settings](${process.env.BASE_URL || 'https://www.firstqa.dev'}/dashboard/settings).`
     );
     return { success: false, message: 'No staging URL' };
   }
@@ -2563,6 +3042,43 @@ async function handleTestRunCommand(repository, issue, comment, sender, userId,
     return { success: false, message: 'No prior analysis' };
   }
 
+  // Same order as the Test Recipe table in the analysis comment, so -only row numbers line up
+  fullRecipe = [...fullRecipe].sort((a, b) => testRecipePriorityOrder(a.priority) - testRecipePriorityOrder(b.priority));
+
+  // 3. Narrow the recipe: -only (rows / names), -priority, -failed (from the last stored run)
+  const selectionNote = describeSelection(qaFlags);
+  if (selectionNote) {
+    let failedScenarioNames = null;
+    if (qaFlags.failed) {
+      const previousRun = await findLastTestRunResult(repoFullName, prNumber);
+      if (!previousRun) {
+        await postComment(repoFullName, prNumber,
+          `⚠️ **No previous test run found for this PR.** \`-failed\` re-runs the failures of the last \`/qa testrun\` — run one first.`
+        );
+        return { success: false, message: 'No previous test run' };
+      }
+      failedScenarioNames = getFailedScenarioNames(previousRun.scenarios);
+      if (failedScenarioNames.length === 0) {
+        await postComment(repoFullName, prNumber,
+          `✅ **Nothing to re-run** — no scenarios failed in the last test run (${formatElapsed(previousRun.finishedAt)} ago).`
+        );
+        return { success: true, message: 'No failed scenarios to re-run' };
+      }
+    }
+
+    const selection = selectTestScenarios(fullRecipe, { only: qaFlags.only, priority: qaFlags.priority, failedScenarioNames });
+    if (selection.unmatched.length > 0 || selection.selected.length === 0) {
+      const problem = selection.unmatched.length > 0
+        ? `No Test Recipe row matches ${selection.unmatched.map(u => `\`${u}\``).join(', ')}.`
+        : `No scenarios match ${selectionNote}.`;
+      await postComment(repoFullName, prNumber,
+        `⚠️ **Nothing to run.** ${problem}\n\n**Test Recipe rows:**\n${formatRecipeRows(fullRecipe)}`
+      );
+      return { success: false, message: 'No scenarios selected' };
+    }
+    console.log(`🎯 [testrun] Selected ${selection.selected.length}/${fullRecipe.length} scenarios (${selectionNote})`);
+    fullRecipe = selection.selected;
+  }
 
   // 4. Filter: run UI + API scenarios, skip Unit
   const unitSkipped = fullRecipe.filter(s => s.automation && s.automation.toLowerCase() === 'unit');
@@ -2586,7 +3102,9 @@ async function handleTestRunCommand(repository, issue, comment, sender, userId,
       const octokit = await getOctokit(installationId);
       const { data: files } = await octokit.pulls.listFiles({ owner, repo, pull_number: prNumber, per_page: 100 });
       const { classifyPRChangeType } = require('./changeTypeClassifier');
-      const classification = classifyPRChangeType(files.map(f => f.filename));
+      const classification = classifyPRChangeType(
+        files.map(f => f.filename).filter(f => !matchesAnyGlob(f, repoConfig.ignorePaths))
+      );
 
       if (classification.type === 'documentation' || classification.type === 'infrastructure') {
         await postComment(repoFullName, prNumber,
@@ -2609,17 +3127,23 @@ async function handleTestRunCommand(repository, issue, comment, sender, userId,
     unitNote = `\n> ${unitSkipped.length} unit test scenario${unitSkipped.length > 1 ? 's' : ''} skipped (run in your test suite):\n${unitSkipped.map(s => `> - ${s.scenario}`).join('\n')}\n`;
   }
 
+  // Device matrix: -devices wins over .firstqa.yml testrun.devices; neither means desktop only
+  const devices = qaFlags.devices?.length > 0 ? qaFlags.devices : repoConfig.testRunDevices;
+  const deviceNote = devices?.length > 0 ? ` on ${devices.map(d => `\`${d}\``).join(', ')}` : '';
+
   await postComment(repoFullName, prNumber,
-    `🤖 **Starting test execution** — ${runnableRecipe.length} scenario${runnableRecipe.length > 1 ? 's' : ''} against \`${baseUrl}\`${changeNote}${unitNote}\nResults will be posted here when complete.`
+    `🤖 **Starting test execution** — ${runnableRecipe.length} scenario${runnableRecipe.length > 1 ? 's' : ''}${deviceNote} against \`${baseUrl}\`${selectionNote ? ` (${selectionNote})` : ''}${changeNote}${unitNote}\nResults will be posted here when complete.`
   );
 
-  // 7. Get PR head SHA for the Check Run
+  // 7. Get PR head SHA for the Check Run (and the default branch visual baselines belong to)
   let sha = null;
+  let baselineBranch = repoConfig.defaultBranch;
   try {
     const repoOctokit = await githubAppAuth.getOctokitForRepo(owner, repo);
     if (repoOctokit) {
       const { data: prData } = await repoOctokit.pulls.get({ owner, repo, pull_number: prNumber });
       sha = prData.head.sha;
+      baselineBranch = baselineBranch || prData.base.repo.default_branch;
     }
   } catch (err) {
     console.warn('⚠️ [testrun] Could not fetch PR SHA:', err.message);
@@ -2631,6 +3155,7 @@ async function handleTestRunCommand(repository, issue, comment, sender, userId,
 
   // 8. Fetch product knowledge for executor context (routes, UI vocab, flows)
   let appKnowledge = null;
+  let productAreas = {};
   if (process.env.ENABLE_KNOWLEDGE_SYNC === 'true' && isSupabaseConfigured()) {
     try {
       const { data: rc } = await supabaseAdmin
@@ -2639,6 +3164,7 @@ async function handleTestRunCommand(repository, issue, comment, sender, userId,
         .eq('repo_id', repoFullName)
         .maybeSingle();
       if (rc) {
+        productAreas = rc.product_areas || {};
         const areas = rc.product_areas ? Object.values(rc.product_areas).slice(0, 8).map(a => a.name || a.slug).filter(Boolean) : [];
         const flows = rc.user_flows ? rc.user_flows.slice(0, 10).map(f => f.name).filter(Boolean) : [];
         if (areas.length || flows.length) {
@@ -2654,28 +3180,411 @@ async function handleTestRunCommand(repository, issue, comment, sender, userId,
     }
   }
 
-  // 9. Execute tests (non-blocking)
+  // Changed files and diff, so failed scenarios are annotated on the code behind the failing flow
+  let sourceContext = null;
+  if (sha) {
+    const [diff, { fileContents, selectorHints }] = await Promise.all([
+      fetchPRDiff(repoFullName, prNumber, { ignorePaths: repoConfig.ignorePaths }),
+      fetchChangedFileContents(repoFullName, prNumber, { ignorePaths: repoConfig.ignorePaths })
+    ]);
+    sourceContext = { diff, fileContents, selectorHints, productAreas };
+  }
+
+  // 9. Execute tests — the job stays running (and holds its concurrency slot) until the run finishes
   const { executeAutomatedTests } = require('../services/automatedTestOrchestrator');
-  executeAutomatedTests({
-    owner,
-    repo,
-    prNumber,
-    sha: sha || null,
-    testRecipe: runnableRecipe,
-    baseUrl,
-    installationId,
-    userContext,
-    testCredentials,
-    authCookies,
-    appKnowledge
-  }).catch(err => {
+  const visualBaselines = require('../services/visualBaselines');
+  let execution;
+  try {
+    execution = await executeAutomatedTests({
+      owner,
+      repo,
+      prNumber,
+      sha: sha || null,
+      testRecipe: runnableRecipe,
+      baseUrl,
+      installationId,
+      userContext,
+      testCredentials,
+      authCookies,
+      appKnowledge,
+      sourceContext,
+      userId,
+      accessibilityAudit: repoConfig.accessibilityAudit,
+      allowedErrors: repoConfig.allowedErrors,
+      devices,
+      visualRegression: visualBaselines.isVisualRegressionEnabled(repoConfig.visualRegression)
+        ? { branch: baselineBranch || 'main', threshold: visualBaselines.getDiffThreshold(repoConfig.visualThreshold), mask: repoConfig.visualMask }
+        : null,
+      signal: options.signal,
+      onProgress: options.reportProgress
+    });
+  } catch (err) {
     console.error(`❌ [testrun] Execution failed for ${repoFullName}#${prNumber}:`, err.message);
-    postComment(repoFullName, prNumber,
+    await postComment(repoFullName, prNumber,
       `❌ **Test execution failed:** ${err.message}\n\nCheck the logs or try again with \`/qa testrun\`.`
     ).catch(() => {});
+    throw err;
+  }
+
+  // 10. Re-evaluate the QA Analysis check with the test results (merge policy may block on failed scenarios)
+  const testedScenarios = (execution.results?.scenarios || []).map(sc => ({
+    scenario: sc.scenario,
+    ...(sc.device ? { device: sc.device } : {}),
+    status: sc.status,
+    priority: sc.priority,
+    // What `/qa baseline accept` promotes
+    ...(sc.visual ? { visual: { key: sc.visual.key, viewport: sc.visual.viewport, status: sc.visual.status, currentKey: sc.visual.currentKey, masks: sc.visual.masks } } : {})
+  }));
+  if (sha && installationId && !execution.cancelled && testedScenarios.length > 0) {
+    try {
+      const { refreshQAAnalysisCheck } = require('../services/mergePolicy');
+      await refreshQAAnalysisCheck({
+        installationId, owner, repo, prNumber, sha,
+        inputs: { testRun: { scenarios: testedScenarios.map(({ visual, ...sc }) => sc), finishedAt: new Date().toISOString() } }
+      });
+    } catch (checkErr) {
+      console.warn('⚠️ [testrun] QA Check re-evaluation failed (non-fatal):', checkErr.message);
+    }
+  }
+
+  return {
+    success: execution.success,
+    message: execution.cancelled ? 'Test execution cancelled' : `Test execution finished: ${runnableRecipe.length} scenarios`,
+    checkRunId: execution.checkRunId || null,
+    passed: execution.results?.passed ?? null,
+    failed: execution.results?.failed ?? null,
+    // Kept on the job so `/qa testrun -failed` and `/qa baseline accept` can use them later
+    scenarios: testedScenarios,
+    baselineBranch
+  };
+}
+
+const JOB_LABELS = {
+  github_analysis: '🧪 Analysis',
+  github_auto_analysis: '🤖 Auto-analysis',
+  github_testrun: '🔬 Test run',
+  github_index: '📚 Codebase index'
+};
+
+function formatDuration(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function formatElapsed(fromIso) {
+  return formatDuration(Date.now() - new Date(fromIso).getTime());
+}
+
+/**
+ * Queued / running jobs for a PR, plus repo-wide indexing jobs (indexing isn't tied to one PR)
+ */
+async function listActivePRJobs(repoFullName, prNumber) {
+  const active = await listJobs({ repoId: repoFullName, statuses: ['queued', 'running'] });
+  return active.filter(j => j.pr_number === prNumber || j.job_type === 'github_index');
+}
+
+/**
+ * Running knowledge_sync_jobs row for the repo (indexing progress lives there, not on the queue job)
+ */
+async function getRunningKnowledgeSync(repoFullName) {
+  if (!isSupabaseConfigured()) return null;
+  try {
+    const { data } = await supabaseAdmin
+      .from('knowledge_sync_jobs')
+      .select('job_type, progress, started_at, metadata')
+      .eq('repo_id', repoFullName)
+      .eq('status', 'running')
+      .order('started_at', { ascending: false })
+      .limit(1);
+    return data?.[0] || null;
+  } catch (err) {
+    console.warn('⚠️ Could not read knowledge_sync_jobs (non-fatal):', err.message);
+    return null;
+  }
+}
+
+function formatIndexProgress(knowledgeSync) {
+  const meta = knowledgeSync.metadata || {};
+  return `${knowledgeSync.progress || 0}%${meta.total_files ? ` · ${meta.files_analyzed || 0}/${meta.total_files} files` : ''}`;
+}
+
+function formatJobProgress(job, knowledgeSync) {
+  if (job.cancel_requested) return 'cancelling…';
+  if (job.status === 'queued') {
+    const startsIn = new Date(job.run_after).getTime() - Date.now();
+    const retryNote = job.attempts > 0 ? `retry ${job.attempts + 1}/${job.max_attempts} after: ${job.last_error || 'error'}` : '';
+    const waitNote = startsIn > 1000 ? `starts in ${formatDuration(startsIn)}` : 'waiting for a free slot';
+    return [retryNote, waitNote].filter(Boolean).join(' · ');
+  }
+  if (job.job_type === 'github_index' && knowledgeSync) return formatIndexProgress(knowledgeSync);
+  const progress = job.progress || {};
+  if (progress.phase === 'scoring') return 'scoring scenarios';
+  if (progress.phase === 'executing') {
+    return `${progress.done}/${progress.total} scenarios${progress.current ? ` · now: ${progress.current}` : ''}`;
+  }
+  return 'in progress';
+}
+
+/**
+ * Handle /qa status — what is queued or running for this PR, with progress
+ */
+async function handleQaStatusCommand(repository, issue) {
+  const repoFullName = repository.full_name;
+  const prNumber = issue.number;
+  const active = await listActivePRJobs(repoFullName, prNumber);
+  const knowledgeSync = await getRunningKnowledgeSync(repoFullName);
+
+  let body = '### 📋 FirstQA status\n\n';
+  if (active.length === 0 && !knowledgeSync) {
+    body += 'Nothing is queued or running for this PR.\n';
+  } else {
+    body += '| Job | State | Progress | Since |\n|-----|-------|----------|-------|\n';
+    for (const job of active) {
+      const state = job.status === 'running' ? '▶️ running' : '⏳ queued';
+      const since = formatElapsed(job.status === 'running' ? (job.started_at || job.created_at) : job.created_at);
+      const owner = job.pr_number && job.pr_number !== prNumber ? ` (#${job.pr_number})` : '';
+      body += `| ${JOB_LABELS[job.job_type] || job.job_type}${owner} | ${state} | ${formatJobProgress(job, knowledgeSync)} | ${since} |\n`;
+    }
+    // Indexing started outside the queue (first-time index before an analysis)
+    if (knowledgeSync && !active.some(j => j.job_type === 'github_index' && j.status === 'running')) {
+      body += `| ${JOB_LABELS.github_index} | ▶️ running | ${formatIndexProgress(knowledgeSync)} | ${formatElapsed(knowledgeSync.started_at)} |\n`;
+    }
+    if (active.some(j => j.pr_number === prNumber)) body += '\nComment `/qa cancel` to stop the jobs of this PR.\n';
+  }
+
+  const recent = await listJobs({ repoId: repoFullName, prNumber, statuses: ['succeeded', 'failed', 'cancelled'] }, 3);
+  if (recent.length > 0) {
+    const icons = { succeeded: '✅', failed: '❌', cancelled: '🛑' };
+    body += `\n**Recent:**\n${recent.map(j => `- ${icons[j.status]} ${JOB_LABELS[j.job_type] || j.job_type} ${j.status} ${formatElapsed(j.finished_at || j.updated_at)} ago${j.status === 'failed' && j.last_error ? ` — ${j.last_error}` : ''}`).join('\n')}\n`;
+  }
+
+  await postComment(repoFullName, prNumber, body);
+  return { success: true, message: `Status posted (${active.length} active job(s))` };
+}
+
+/**
+ * Handle /qa cancel — cancel everything queued or running for this PR.
+ * Only jobs this PR requested: a repo-wide index another PR asked for keeps running.
+ * A running test run closes its browser session, completes the check run as cancelled and posts partial results;
+ * a running analysis finishes its current AI call and posts nothing.
+ */
+async function handleQaCancelCommand(repository, issue, sender) {
+  const repoFullName = repository.full_name;
+  const prNumber = issue.number;
+  console.log(`🛑 /qa cancel requested by ${sender.login} for ${repoFullName}#${prNumber}`);
+  const active = (await listActivePRJobs(repoFullName, prNumber)).filter(j => j.pr_number === prNumber);
+  if (active.length === 0) {
+    await postComment(repoFullName, prNumber, '🛑 Nothing to cancel — no analysis, indexing or test run is queued or running for this PR.');
+    return { success: true, message: 'Nothing to cancel' };
+  }
+
+  const lines = [];
+  for (const job of active) {
+    const result = await cancelJob(job.id);
+    const label = JOB_LABELS[job.job_type] || job.job_type;
+    if (!result.success) {
+      lines.push(`- ${label}: ${result.message.toLowerCase()}`);
+    } else if (result.job?.status === 'cancelled') {
+      lines.push(`- ${label}: removed from the queue`);
+    } else if (job.job_type === 'github_testrun') {
+      lines.push(`- ${label}: stopping — results for the scenarios that already ran will be posted`);
+    } else if (job.job_type === 'github_analysis' || job.job_type === 'github_auto_analysis') {
+      lines.push(`- ${label}: stopping — its analysis won't be posted`);
+    } else {
+      lines.push(`- ${label}: stopping`);
+    }
+  }
+  await postComment(repoFullName, prNumber, `🛑 **Cancelling ${active.length} job${active.length === 1 ? '' : 's'}** (requested by @${sender.login})\n\n${lines.join('\n')}`);
+  return { success: true, message: `Cancelled ${active.length} job(s)` };
+}
+
+/**
+ * /qa approve <reason> — a maintainer passes the QA Analysis check for the current head SHA
+ * despite the merge policy. Recorded with the reason; a new push needs a new approval.
+ */
+async function handleQaApproveCommand(repository, issue, sender, reason, installationId) {
+  const repoFullName = repository.full_name;
+  const prNumber = issue.number;
+  const [owner, repo] = repoFullName.split('/');
+  console.log(`✅ /qa approve requested by ${sender.login} for ${repoFullName}#${prNumber}`);
+
+  const repoOctokit = await githubAppAuth.getOctokitForRepo(owner, repo);
+  if (!repoOctokit) return { success: false, message: 'No GitHub client' };
+
+  const { canApprove, recordApproval, refreshQAAnalysisCheck } = require('../services/mergePolicy');
+  if (!(await canApprove(repoOctokit, owner, repo, sender.login).catch(() => false))) {
+    await postComment(repoFullName, prNumber, `⛔ **@${sender.login}, only repository maintainers or admins can use \`/qa approve\`.**`);
+    return { success: false, message: 'Not a maintainer' };
+  }
+  const { loadMergePolicy } = require('./repoConfig');
+  if (!(await loadMergePolicy(repoFullName))) {
+    await postComment(repoFullName, prNumber, 'ℹ️ **Nothing to approve** — this repo has no `policy` in `.firstqa.yml` on its default branch, so the QA Analysis check never blocks merging.');
+    return { success: true, message: 'No merge policy' };
+  }
+
+  const { data: pr } = await repoOctokit.pulls.get({ owner, repo, pull_number: prNumber });
+  const sha = pr.head.sha;
+  const stored = await recordApproval({ repoId: repoFullName, prNumber, sha, approvedBy: sender.login, reason });
+  const { evaluation } = await refreshQAAnalysisCheck({ installationId, owner, repo, prNumber, sha });
+
+  const note = !stored
+    ? `No analysis has run on \`${sha.substring(0, 7)}\` yet — the approval applies once it does.`
+    : evaluation?.reasons.length > 1
+      ? `The QA Analysis check now passes. Overridden:\n${evaluation.reasons.slice(0, -1).map(r => `- ${r}`).join('\n')}`
+      : 'The QA Analysis check was not blocking — the approval is recorded in case a later test run on this commit fails the policy.';
+  await postComment(repoFullName, prNumber, `✅ **Approved by @${sender.login}** for \`${sha.substring(0, 7)}\`\n\n> ${reason}\n\n${note}\n\nNew commits need a new approval.`);
+  return { success: true, message: 'Approval recorded' };
+}
+
+/**
+ * /qa baseline accept [-only=...] — promote the changed and new screenshots of the PR's last test run
+ * to the visual baselines of the default branch. Needs push access to the repo.
+ */
+async function handleQaBaselineCommand(repository, issue, sender, flags, userId) {
+  const repoFullName = repository.full_name;
+  const prNumber = issue.number;
+  const [owner, repo] = repoFullName.split('/');
+  console.log(`🖼️ /qa baseline accept requested by ${sender.login} for ${repoFullName}#${prNumber}`);
+
+  const repoOctokit = await githubAppAuth.getOctokitForRepo(owner, repo);
+  if (!repoOctokit) return { success: false, message: 'No GitHub client' };
+
+  const { canAcceptBaselines, acceptBaselines } = require('../services/visualBaselines');
+  if (!(await canAcceptBaselines(repoOctokit, owner, repo, sender.login).catch(() => false))) {
+    await postComment(repoFullName, prNumber, `⛔ **@${sender.login}, only collaborators with write access can use \`/qa baseline accept\`.**`);
+    return { success: false, message: 'No write access' };
+  }
+
+  const lastRun = await findLastTestRunResult(repoFullName, prNumber);
+  const withSnapshots = (lastRun?.scenarios || []).filter(s => s.visual);
+  if (withSnapshots.length === 0) {
+    await postComment(repoFullName, prNumber, 'ℹ️ **No screenshots to accept** — the last test run on this PR took no visual snapshots. Run `/qa testrun` first (only passing scenarios are captured).');
+    return { success: true, message: 'No visual snapshots' };
+  }
+
+  const { selected, unmatched } = selectTestScenarios(lastRun.scenarios, { only: flags.only });
+  if (unmatched.length > 0) {
+    await postComment(repoFullName, prNumber, `⚠️ **Could not match** ${unmatched.map(u => `\`${u}\``).join(', ')} to a scenario of the last test run:\n\n${formatRecipeRows(lastRun.scenarios)}`);
+    return { success: false, message: 'Unmatched -only selectors' };
+  }
+
+  const { data: pr } = await repoOctokit.pulls.get({ owner, repo, pull_number: prNumber });
+  const branch = lastRun.baselineBranch || pr.base.repo.default_branch;
+  const { accepted, missing } = await acceptBaselines({
+    repoId: repoFullName,
+    branch,
+    scenarios: selected,
+    acceptedBy: sender.login,
+    prNumber,
+    sha: pr.head.sha,
+    userId
   });
 
-  return { success: true, message: `Test execution started: ${runnableRecipe.length} scenarios` };
+  if (accepted.length === 0 && missing.length === 0) {
+    await postComment(repoFullName, prNumber, `✅ **Nothing to accept** — every screenshot${flags.only.length ? ' you selected' : ''} already matches the \`${branch}\` baseline.`);
+    return { success: true, message: 'No visual changes' };
+  }
+  let body = `🖼️ **Visual baselines updated by @${sender.login}** on \`${branch}\`\n\n${accepted.map(name => `- ${name}`).join('\n')}`;
+  if (missing.length > 0) {
+    body += `\n\n⚠️ ${missing.length} screenshot${missing.length === 1 ? ' has' : 's have'} expired from the artifact store — re-run \`/qa testrun\` and accept again:\n${missing.map(name => `- ${name}`).join('\n')}`;
+  }
+  await postComment(repoFullName, prNumber, body);
+  return { success: true, message: `Accepted ${accepted.length} baseline(s)` };
+}
+
+/**
+ * Trim webhook objects down to what the /qa handlers read, so job payloads stay small
+ */
+function toJobContext(repository, issue, comment, sender) {
+  return {
+    repository: { full_name: repository.full_name },
+    issue: {
+      number: issue.number,
+      title: issue.title,
+      html_url: issue.html_url,
+      labels: (issue.labels || []).map(l => ({ name: l.name })),
+      pull_request: issue.pull_request ? { url: issue.pull_request.url } : null
+    },
+    comment: { id: comment.id || null, body: comment.body },
+    sender: { login: sender.login, type: sender.type }
+  };
+}
+
+/**
+ * Queue GitHub work on the durable job queue. Jobs from one installation share a concurrency slot pool.
+ */
+function enqueueGitHubJob(type, { repoFullName, prNumber = null, userId = null, installationId = null, dedupeKey = null, runAfter = null, payload = {} }) {
+  return enqueueJob({
+    type,
+    payload: { ...payload, repoFullName, prNumber, installationId },
+    concurrencyKey: `github:${installationId || repoFullName}`,
+    dedupeKey,
+    userId,
+    repoId: repoFullName,
+    prNumber,
+    runAfter
+  });
+}
+
+registerJobHandler('github_analysis', async (payload, { job, signal }) => {
+  const { repository, issue, comment, sender, installationId } = payload;
+  return handleTestRequest(repository, issue, comment, sender, job.user_id, installationId, { signal });
+}, { maxAttempts: 2 });
+
+registerJobHandler('github_auto_analysis', async (payload, { job, signal }) => {
+  return handleAutoAnalysis({ full_name: payload.repoFullName }, payload.prNumber, job.user_id, payload.installationId, { signal });
+}, { maxAttempts: 2 });
+
+// Test runs and indexing post their own failure comments — retrying would repeat them
+registerJobHandler('github_testrun', async (payload, { job, signal, reportProgress }) => {
+  const { repository, issue, comment, sender, installationId } = payload;
+  return handleTestRunCommand(repository, issue, comment, sender, job.user_id, installationId, { signal, reportProgress });
+}, { maxAttempts: 1 });
+
+registerJobHandler('github_index', async (payload, { signal }) => {
+  const { analyzeRepository } = require('../services/knowledgeBase/codebaseAnalyzer');
+  const { repoFullName, prNumber, installationId, branch, indexOptions } = payload;
+  const onComplete = prNumber ? { postComment: (body) => postComment(repoFullName, prNumber, body) } : null;
+  return analyzeRepository(repoFullName, installationId, branch || 'main', onComplete, { ...(indexOptions || {}), signal });
+}, { maxAttempts: 1 });
+
+/**
+ * user_id of the FirstQA account that installed the GitHub App (null when unknown)
+ */
+async function findUserIdForInstallation(installationId) {
+  let userId = null;
+  if (installationId && isSupabaseConfigured()) {
+    try {
+      console.log(`🔍 Looking up user for installation: ${installationId} (${typeof installationId})`);
+      // Use .limit(1) instead of .single() to handle potential duplicates gracefully
+      const { data: integrations, error } = await supabaseAdmin
+        .from('integrations')
+        .select('user_id')
+        .eq('provider', 'github')
+        .eq('account_id', installationId.toString())
+        .limit(1);
+      
+      console.log(`🔍 Query result - data:`, integrations, error ? `queryErr: ${error.message}` : 'ok');
+      
+      if (error) {
+        console.error(`❌ Error querying for user:`, error);
+      }
+      
+      if (integrations && integrations.length > 0) {
+        userId = integrations[0].user_id;
+        console.log(`✅ Found user_id: ${userId} for installation: ${installationId}`);
+      } else {
+        console.warn(`⚠️ No user found for installation ${installationId}`);
+      }
+    } catch (error) {
+      console.error('❌ Exception looking up user by installation_id:', error.message);
+      console.error('❌ Stack:', error.stack);
+    }
+  }
+  return userId;
 }
 
 /**
@@ -2692,36 +3601,8 @@ async function processWebhookEvent(event) {
     console.log(`🔑 Installation ID: ${installationId}`);
     
     // Look up user_id from database using installation_id
-    let userId = null;
-    if (installationId && isSupabaseConfigured()) {
-      try {
-        console.log(`🔍 Looking up user for installation: ${installationId} (${typeof installationId})`);
-        // Use .limit(1) instead of .single() to handle potential duplicates gracefully
-        const { data: integrations, error } = await supabaseAdmin
-          .from('integrations')
-          .select('user_id')
-          .eq('provider', 'github')
-          .eq('account_id', installationId.toString())
-          .limit(1);
-        
-        console.log(`🔍 Query result - data:`, integrations, error ? `queryErr: ${error.message}` : 'ok');
-        
-        if (error) {
-          console.error(`❌ Error querying for user:`, error);
-        }
-        
-        if (integrations && integrations.length > 0) {
-          userId = integrations[0].user_id;
-          console.log(`✅ Found user_id: ${userId} for installation: ${installationId}`);
-        } else {
-          console.warn(`⚠️ No user found for installation ${installationId}`);
-        }
-      } catch (error) {
-        console.error('❌ Exception looking up user by installation_id:', error.message);
-        console.error('❌ Stack:', error.stack);
-      }
-    }
-    
+    const userId = await findUserIdForInstallation(installationId);
+
     // Log a short summary only (no payload body/diff to avoid leaking code and flooding logs)
     const repo = payload.repository?.full_name || payload.pull_request?.base?.repo?.full_name || '?';
     const prNum = payload.pull_request?.number ?? payload.issue?.number;
@@ -2761,7 +3642,6 @@ async function processWebhookEvent(event) {
           return (count || 0) > 0;
         })();
         if (!hasKnowledge) {
-          const { analyzeRepository } = require('../services/knowledgeBase/codebaseAnalyzer');
           const { getOctokit } = require('../services/githubChecksService');
           const octokit = await getOctokit(installationId);
           let prNumber = null;
@@ -2774,41 +3654,44 @@ async function processWebhookEvent(event) {
               console.warn('Could not fetch latest PR for installation comment:', e.message);
             }
           }
-          const postCommentFn = prNumber ? (body) => postComment(repoFullName, prNumber, body) : null;
-          if (postCommentFn) {
-            await postCommentFn('🚀 **FirstQA is learning your codebase...** This will take 5-10 minutes. You\'ll be notified when complete.');
+          if (prNumber) {
+            await postComment(repoFullName, prNumber, '🚀 **FirstQA is learning your codebase...** This will take 5-10 minutes. You\'ll be notified when complete.');
           }
-          analyzeRepository(repoFullName, installationId, 'main', postCommentFn ? { postComment: postCommentFn } : null).catch(err => {
+          await enqueueGitHubJob('github_index', {
+            repoFullName,
+            prNumber,
+            userId,
+            installationId,
+            dedupeKey: `github_index:${repoFullName}`,
+            payload: { branch: 'main' }
+          }).catch(err => {
             console.error('Auto-index on install failed:', err.message);
           });
         }
       }
     }
 
-    // Handle pull_request event - NO automatic analysis on PR open
-    // Analysis is triggered ONLY via /qa comment command
-    if (eventType === 'pull_request' && payload.action === 'opened') {
+    // Handle pull_request opened / synchronize / ready_for_review.
+    // Analysis runs on /qa by default; users who enable auto_analyze_prs get a debounced automatic run.
+    if (eventType === 'pull_request' && ['opened', 'synchronize', 'ready_for_review'].includes(payload.action)) {
       const { repository, pull_request: pr } = payload;
-      console.log(`📋 PR #${pr?.number} opened on ${repository?.full_name} - waiting for /qa command to trigger analysis`);
       // Background PR knowledge sync (non-blocking)
-      if (process.env.ENABLE_KNOWLEDGE_SYNC === 'true' && installationId && pr?.head?.sha) {
+      if (payload.action !== 'ready_for_review' && process.env.ENABLE_KNOWLEDGE_SYNC === 'true' && installationId && pr?.head?.sha) {
         const { syncPRKnowledge } = require('../services/knowledgeBase/prKnowledgeSync');
         syncPRKnowledge(pr.number, repository.full_name, installationId, pr.head.sha).catch(err =>
           console.error('PR knowledge sync error:', err.message)
         );
       }
-      return { success: true, message: 'PR opened - use /qa command to trigger analysis' };
-    }
-
-    // PR synchronize (new commits) - background knowledge sync
-    if (eventType === 'pull_request' && payload.action === 'synchronize') {
-      const { repository, pull_request: pr } = payload;
-      if (process.env.ENABLE_KNOWLEDGE_SYNC === 'true' && installationId && pr?.head?.sha) {
-        const { syncPRKnowledge } = require('../services/knowledgeBase/prKnowledgeSync');
-        syncPRKnowledge(pr.number, repository.full_name, installationId, pr.head.sha).catch(err =>
-          console.error('PR knowledge sync error:', err.message)
-        );
+      if (!(await isAutoAnalyzeEnabled(userId))) {
+        console.log(`📋 PR #${pr?.number} ${payload.action} on ${repository?.full_name} - waiting for /qa command to trigger analysis`);
+        return { success: true, message: `PR ${payload.action} - use /qa command to trigger analysis` };
       }
+      if (pr?.draft) {
+        console.log(`📋 PR #${pr.number} is a draft - auto-analysis waits until it is ready for review`);
+        return { success: true, message: 'Draft PR - auto-analysis skipped' };
+      }
+      const job = await scheduleAutoAnalysis(repository, pr, userId, installationId);
+      return { success: true, message: `PR ${payload.action} - auto-analysis scheduled`, jobId: job.id };
     }
 
     // Handle pull_request closed + merged - knowledge sync
@@ -2846,16 +3729,38 @@ async function processWebhookEvent(event) {
         return { success: true, message: 'Skipped bot comment' };
       }
       console.log(`Comment body: ${comment.body}`);
-      // Check for /qa testrun command (run tests from prior analysis)
       const commentTrimmed = comment.body.trim().toLowerCase();
-      if (commentTrimmed.startsWith('/qa testrun') || commentTrimmed.startsWith('/qa -testrun')) {
-        console.log('🔬 /qa testrun command detected!');
-        return await handleTestRunCommand(repository, issue, comment, sender, userId, installationId);
-      }
-      // Check for /qa command (manual QA analysis) — must be exactly "/qa" or "/qa " followed by flags
+      // Check for /qa command — must start the comment: "/qa", "/qa help", "/qa testrun", "/qa -flags"
       if (/^\/qa(\s|$)/.test(commentTrimmed)) {
-        console.log('🧪 /qa command detected!');
-        return await handleTestRequest(repository, issue, comment, sender, userId, installationId);
+        const qaCommand = parseQaCommand(comment.body);
+        if (qaCommand.command === 'help' || qaCommand.errors.length > 0) {
+          console.log(`❓ /qa ${qaCommand.command === 'help' ? 'help' : 'usage error'}: ${qaCommand.errors.join('; ') || 'help requested'}`);
+          await postComment(repository.full_name, issue.number, formatQaUsageReply(qaCommand, 'github'));
+          return { success: true, message: qaCommand.errors.length > 0 ? 'Invalid /qa command' : 'Posted /qa help' };
+        }
+        // /qa testrun (run tests from prior analysis)
+        if (qaCommand.command === 'status') {
+          return await handleQaStatusCommand(repository, issue);
+        }
+        if (qaCommand.command === 'cancel') {
+          return await handleQaCancelCommand(repository, issue, sender);
+        }
+        if (qaCommand.command === 'approve') {
+          return await handleQaApproveCommand(repository, issue, sender, qaCommand.flags.reason, installationId);
+        }
+        if (qaCommand.command === 'baseline') {
+          return await handleQaBaselineCommand(repository, issue, sender, qaCommand.flags, userId);
+        }
+        const jobType = qaCommand.command === 'testrun' ? 'github_testrun' : 'github_analysis';
+        console.log(qaCommand.command === 'testrun' ? '🔬 /qa testrun command detected!' : '🧪 /qa command detected!');
+        const job = await enqueueGitHubJob(jobType, {
+          repoFullName: repository.full_name,
+          prNumber: issue.number,
+          userId,
+          installationId,
+          payload: toJobContext(repository, issue, comment, sender)
+        });
+        return { success: true, message: `${qaCommand.command === 'testrun' ? 'Test run' : 'Analysis'} queued`, jobId: job.id };
       }
       // Check for /short command (short QA analysis)
       if (/^\/short(\s|$)/.test(commentTrimmed)) {
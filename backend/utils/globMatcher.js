@@ -0,0 +1,89 @@
+/**
+ * Minimal gitignore-style glob matching for repo paths.
+ * Supports `**`, `*`, `?` and `{a,b}`. Patterns without a slash match the file's basename.
+ */
+
+const regexCache = new Map();
+
+function escapeRegex(ch) {
+  return /[.+^$()|[\]\\]/.test(ch) ? `\\${ch}` : ch;
+}
+
+/**
+ * Convert a glob pattern to a RegExp anchored at both ends
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  if (regexCache.has(glob)) return regexCache.get(glob);
+  let src = '';
+  let inBraces = false;
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*') {
+      if (glob[i + 1] === '*') {
+        // `**/` matches zero or more directories, a trailing `**` matches everything below
+        if (glob[i + 2] === '/') {
+          src += '(?:.*/)?';
+          i += 2;
+        } else {
+          src += '.*';
+          i += 1;
+        }
+      } else {
+        src += '[^/]*';
+      }
+    } else if (ch === '?') {
+      src += '[^/]';
+    } else if (ch === '{') {
+      inBraces = true;
+      src += '(?:';
+    } else if (ch === '}' && inBraces) {
+      inBraces = false;
+      src += ')';
+    } else if (ch === ',' && inBraces) {
+      src += '|';
+    } else {
+      src += escapeRegex(ch);
+    }
+  }
+  const re = new RegExp(`^${src}$`);
+  regexCache.set(glob, re);
+  return re;
+}
+
+/**
+ * Test a repo-relative path against a single glob
+ * @param {string} filePath
+ * @param {string} glob
+ * @returns {boolean}
+ */
+function matchesGlob(filePath, glob) {
+  if (!filePath || !glob) return false;
+  const normalizedPath = String(filePath).replace(/^\.?\//, '');
+  let pattern = String(glob).trim().replace(/^\.?\//, '');
+  if (!pattern) return false;
+  // `dir/` means everything under dir
+  if (pattern.endsWith('/')) pattern += '**';
+  if (!pattern.includes('/')) {
+    const base = normalizedPath.split('/').pop();
+    return globToRegExp(pattern).test(base);
+  }
+  return globToRegExp(pattern).test(normalizedPath);
+}
+
+/**
+ * @param {string} filePath
+ * @param {string[]} globs
+ * @returns {boolean}
+ */
+function matchesAnyGlob(filePath, globs) {
+  if (!Array.isArray(globs) || globs.length === 0) return false;
+  return globs.some(g => matchesGlob(filePath, g));
+}
+
+module.exports = {
+  globToRegExp,
+  matchesGlob,
+  matchesAnyGlob
+};
@@ -6,6 +6,7 @@
 const axios = require('axios');
 const { generateInstallationToken } = require('./jiraConnectAuth');
 const { supabaseAdmin, isSupabaseConfigured } = require('../lib/supabase');
+const { parseQaCommand, formatQaUsageReply } = require('./qaCommandParser');
 
 /**
  * Process webhook from Jira Connect
@@ -34,7 +35,7 @@ async function processConnectWebhook(payload, installation) {
 
     // Extract and check for /qa command
     const commentText = extractTextFromComment(comment);
-    const hasQaCommand = commentText.trim().toLowerCase().startsWith('/qa');
+    const hasQaCommand = /^\/qa(\s|$)/i.test(commentText.trim());
     
     if (!hasQaCommand) {
       console.log('✓ No /qa command, skipping');
@@ -44,6 +45,14 @@ async function processConnectWebhook(payload, installation) {
     console.log('🧪 /qa command detected! Processing analysis...');
     console.log(`📝 Comment preview: "${commentText.substring(0, 100)}..."`);
 
+    const qaCommand = parseQaCommand(commentText, { platform: 'jira' });
+    if (qaCommand.command === 'help' || qaCommand.errors.length > 0) {
+      console.log(`❓ /qa ${qaCommand.command === 'help' ? 'help' : 'usage error'}: ${qaCommand.errors.join('; ') || 'help requested'}`);
+      await postComment(issue.key, formatQaUsageReply(qaCommand, 'jira'), installation);
+      return { success: true, message: qaCommand.errors.length > 0 ? 'Invalid /qa command' : 'Posted /qa help' };
+    }
+    const qaFlags = qaCommand.flags;
+
 
     // Fetch full ticket details
     const ticketDetails = await fetchTicketDetails(issue.key, installation);
@@ -64,7 +73,9 @@ async function processConnectWebhook(payload, installation) {
       labels: ticketDetails.labels,
       platform: 'jira',
       priority: ticketDetails.priority,
-      type: ticketDetails.type
+      type: ticketDetails.type,
+      focus: qaFlags.focus,
+      lang: qaFlags.lang
     });
 
     if (!aiInsights || !aiInsights.success) {
@@ -74,18 +85,23 @@ async function processConnectWebhook(payload, installation) {
 
     console.log('✅ AI analysis completed');
 
-    // Build rich ADF comment for Jira (headings, bullets, table)
-    let adfDoc = buildJiraAdfFromAnalysis(aiInsights.data);
-    if (ticketDetails.assigneeAccountId) {
-      adfDoc.content.unshift({
-        type: 'paragraph',
-        content: [
-          { type: 'mention', attrs: { id: ticketDetails.assigneeAccountId } },
-          { type: 'text', text: ' — QA analysis ready.' }
-        ]
-      });
+    // Build rich ADF comment for Jira (headings, bullets, table); -quiet posts the summary as plain text
+    if (qaFlags.quiet) {
+      const { formatAnalysisSummaryComment } = require('./ticketAnalysisFormatter');
+      await postComment(issue.key, formatAnalysisSummaryComment(aiInsights.data), installation);
+    } else {
+      const adfDoc = buildJiraAdfFromAnalysis(aiInsights.data);
+      if (ticketDetails.assigneeAccountId) {
+        adfDoc.content.unshift({
+          type: 'paragraph',
+          content: [
+            { type: 'mention', attrs: { id: ticketDetails.assigneeAccountId } },
+            { type: 'text', text: ' — QA analysis ready.' }
+          ]
+        });
+      }
+      await postComment(issue.key, adfDoc, installation);
     }
-    await postComment(issue.key, adfDoc, installation);
 
     // Save analysis to database (link to installation, not user)
     if (isSupabaseConfigured()) {
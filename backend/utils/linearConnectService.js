@@ -6,6 +6,7 @@
 const axios = require('axios');
 const { supabaseAdmin, isSupabaseConfigured } = require('../lib/supabase');
 const { generateAnalysisId, feedbackFooter } = require('./feedbackHelper');
+const { parseQaCommand, formatQaUsageReply } = require('./qaCommandParser');
 
 // Linear GraphQL API endpoint
 const LINEAR_API_URL = 'https://api.linear.app/graphql';
@@ -194,7 +195,8 @@ async function processLinearWebhook(payload, installation) {
 
     // Check for /qa command in fetched comment body
     const commentBody = extractTextFromComment(comment);
-    if (!commentBody.includes('/qa')) {
+    const qaCommand = parseQaCommand(commentBody, { platform: 'linear' });
+    if (!qaCommand.isQa) {
       console.log('✓ No /qa command, skipping');
       return { success: true, message: 'Not a /qa command' };
     }
@@ -210,6 +212,12 @@ async function processLinearWebhook(payload, installation) {
     }
     markProcessed(issueId, commentId);
 
+    if (qaCommand.command === 'help' || qaCommand.errors.length > 0) {
+      console.log(`❓ /qa ${qaCommand.command === 'help' ? 'help' : 'usage error'}: ${qaCommand.errors.join('; ') || 'help requested'}`);
+      await postComment(issueId, formatQaUsageReply(qaCommand, 'linear'), installation);
+      return { success: true, message: qaCommand.errors.length > 0 ? 'Invalid /qa command' : 'Posted /qa help' };
+    }
+    const qaFlags = qaCommand.flags;
 
     const { getUserIdFromLinearOrg, userHasAnyProductKnowledge, indexAllUserRepos, extractReposFromTicketContent } = require('../services/knowledgeBase/firstTimeIndexTrigger');
     const orgId = installation.organization_id;
@@ -276,15 +284,22 @@ async function processLinearWebhook(payload, installation) {
         priority: issueDetails.priority,
         type: issueDetails.type,
         designContext,
-        discussionContext
+        discussionContext,
+        focus: qaFlags.focus,
+        lang: qaFlags.lang
       });
       if (!aiInsights || !aiInsights.success) {
         console.error('❌ AI analysis failed');
         return;
       }
       const linearAnalysisId = generateAnalysisId();
-      let analysisComment = formatAnalysisComment(aiInsights.data);
-      analysisComment = `**QA analysis ready.**\n\n${analysisComment}`;
+      let analysisComment;
+      if (qaFlags.quiet) {
+        const { formatAnalysisSummaryComment } = require('./ticketAnalysisFormatter');
+        analysisComment = `${formatAnalysisSummaryComment(aiInsights.data)}\n`;
+      } else {
+        analysisComment = `**QA analysis ready.**\n\n${formatAnalysisComment(aiInsights.data)}`;
+      }
       analysisComment += feedbackFooter(linearAnalysisId);
       await postComment(issueId, analysisComment, installation);
       if (isSupabaseConfigured()) {
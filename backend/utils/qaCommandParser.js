@@ -0,0 +1,392 @@
+/**
+ * /qa command grammar
+ * One parser for every place a `/qa` comment can arrive (GitHub, Bitbucket, Jira Connect, Linear).
+ * Only the line holding `/qa` is parsed — free text below it stays part of the request.
+ *
+ *   /qa [help | testrun | status | cancel] [-flag | -flag=value ...]
+ *   /qa approve <reason>
+ *   /qa baseline accept [-only=...]
+ */
+
+const { DEVICE_PROFILES, MAX_DEVICES, normalizeDeviceName } = require('../ai/deviceProfiles');
+
+/** Subcommands accepted as the first word after `/qa`; anything else is a plain analysis */
+const QA_SUBCOMMANDS = ['help', 'testrun', 'status', 'cancel', 'approve', 'baseline'];
+
+/** Values accepted by -focus (aliases map onto these) */
+const FOCUS_AREAS = ['security', 'performance', 'a11y'];
+const FOCUS_ALIASES = {
+  sec: 'security',
+  perf: 'performance',
+  accessibility: 'a11y'
+};
+
+/** Values accepted by `/qa testrun -priority` (see testRunSelection.js for what each matches) */
+const TESTRUN_PRIORITIES = ['smoke', 'critical', 'regression', 'edge', 'high', 'medium', 'low'];
+
+const PLATFORM_NAMES = { github: 'GitHub', bitbucket: 'Bitbucket', jira: 'Jira', linear: 'Linear' };
+const ALL_PLATFORMS = Object.keys(PLATFORM_NAMES);
+/** Platforms where the command refers to a pull request rather than a ticket */
+const PR_PLATFORMS = ['github', 'bitbucket'];
+/** Platforms whose comments are posted as plain text (Jira ADF paragraphs), not markdown */
+const PLAIN_TEXT_PLATFORMS = ['jira'];
+
+/** Where each subcommand is available */
+const SUBCOMMAND_PLATFORMS = {
+  analyze: ALL_PLATFORMS,
+  help: ALL_PLATFORMS,
+  testrun: ['github'],
+  status: ['github'],
+  cancel: ['github'],
+  approve: ['github'],
+  baseline: ['github']
+};
+
+/**
+ * Flag table. `commands` lists the subcommands a flag is valid for ('analyze' is a bare `/qa`),
+ * `platforms` where it is implemented (default: everywhere).
+ */
+const FLAG_SPECS = {
+  testrun: { type: 'boolean', key: 'testRun', commands: ['analyze', 'testrun'], platforms: ['github'], usage: '-testrun' },
+  env: { type: 'value', commands: ['testrun'], platforms: ['github'], usage: '-env=<url>' },
+  context: { type: 'freeform', commands: ['testrun'], platforms: ['github'], usage: '-context "<text>"' },
+  index: { type: 'boolean', key: 'indexCodebase', commands: ['analyze'], platforms: ['github'], usage: '-index' },
+  reindex: { type: 'boolean', key: 'indexCodebase', commands: ['analyze'], platforms: ['github'], usage: '-reindex' },
+  analyze_codebase: { type: 'boolean', key: 'indexCodebase', commands: ['analyze'], platforms: ['github'], usage: '-analyze_codebase' },
+  setup: { type: 'boolean', key: 'indexCodebase', commands: ['analyze'], platforms: ['github'], usage: '-setup' },
+  full: { type: 'boolean', key: 'fullIndex', commands: ['analyze'], platforms: ['github'], usage: '-full' },
+  only: { type: 'list', commands: ['analyze', 'testrun', 'baseline'], platforms: PR_PLATFORMS, usage: '-only=<glob>[,<glob>]' },
+  priority: { type: 'list', commands: ['testrun'], platforms: ['github'], usage: '-priority=high' },
+  failed: { type: 'boolean', commands: ['testrun'], platforms: ['github'], usage: '-failed' },
+  devices: { type: 'list', commands: ['testrun'], platforms: ['github'], usage: '-devices=desktop,iphone-14' },
+  focus: { type: 'list', commands: ['analyze'], usage: `-focus=${FOCUS_AREAS.join('|')}` },
+  lang: { type: 'value', commands: ['analyze'], usage: '-lang=<language>' },
+  quiet: { type: 'boolean', commands: ['analyze'], usage: '-quiet' }
+};
+
+function notAvailableOn(platform) {
+  return PR_PLATFORMS.includes(platform) ? `is not available on ${PLATFORM_NAMES[platform]} yet` : 'only works on pull requests';
+}
+
+function emptyFlags() {
+  return {
+    testRun: false,
+    envUrl: null,
+    context: null,
+    indexCodebase: false,
+    fullIndex: false,
+    only: [],
+    priority: [],
+    failed: false,
+    devices: [],
+    focus: [],
+    lang: null,
+    quiet: false,
+    reason: null
+  };
+}
+
+/**
+ * Find the `/qa ...` line in a comment
+ * @returns {string|null} Text after `/qa` on that line, or null when there is no command
+ */
+function findCommandLine(text) {
+  const lines = String(text || '').split('\n');
+  for (const line of lines) {
+    const match = line.match(/(?:^|\s)\/qa(?=\s|$)(.*)$/i);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Split the command line on whitespace. Quotes group words when they open a token or follow `=`
+ * (so `-only="src/my app/**"` works but an apostrophe inside free text does not start a quote).
+ */
+function tokenize(line) {
+  const tokens = [];
+  let current = '';
+  let quote = null;
+  let inToken = false;
+  for (const ch of line) {
+    if (quote) {
+      if (ch === quote) quote = null;
+      else current += ch;
+    } else if (/\s/.test(ch)) {
+      if (inToken) tokens.push(current);
+      current = '';
+      inToken = false;
+    } else if ((ch === '"' || ch === '\'') && (!inToken || current.endsWith('='))) {
+      quote = ch;
+      inToken = true;
+    } else {
+      current += ch;
+      inToken = true;
+    }
+  }
+  if (inToken) tokens.push(current);
+  return tokens;
+}
+
+const FLAG_PATTERN = /^--?([a-z_]+)(?:=([\s\S]*))?$/i;
+
+/** A token naming a flag from FLAG_SPECS (`-only=...`, `--failed`) */
+function isKnownFlag(token) {
+  const match = token.match(FLAG_PATTERN);
+  return !!match && Object.prototype.hasOwnProperty.call(FLAG_SPECS, match[1].toLowerCase());
+}
+
+function splitList(value) {
+  return String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a `/qa` comment
+ * @param {string} text - Full comment body
+ * @param {Object} [options] - { platform: 'github' | 'bitbucket' | 'jira' | 'linear' } (default github)
+ * @returns {{ isQa: boolean, command: 'analyze'|'help'|'testrun'|'status'|'cancel'|'approve'|'baseline'|null, flags: Object, errors: string[] }}
+ */
+function parseQaCommand(text, options = {}) {
+  const platform = options.platform || 'github';
+  const flags = emptyFlags();
+  const errors = [];
+
+  const commandLine = findCommandLine(text);
+  if (commandLine === null) {
+    return { isQa: false, command: null, flags, errors };
+  }
+
+  const tokens = tokenize(commandLine);
+  let command = 'analyze';
+  const words = tokens.filter(t => !t.startsWith('-'));
+  if (words.length > 0 && tokens[0] === words[0]) {
+    const word = words[0].toLowerCase();
+    if (QA_SUBCOMMANDS.includes(word)) {
+      command = word;
+      tokens.shift();
+    } else if (words.length === 1) {
+      // A lone unknown word is almost always a typo (`/qa tesrun`); longer text is a note to Ovi
+      errors.push(`Unknown command \`${words[0]}\``);
+      tokens.shift();
+    }
+  }
+
+  // `/qa approve` takes free text, not flags: everything after the word is the recorded reason
+  if (command === 'approve') {
+    flags.reason = commandLine.replace(/^\s*approve\b/i, '').trim() || null;
+    if (!flags.reason) errors.push('`/qa approve` needs a reason, e.g. `/qa approve hotfix, checkout verified manually`');
+    if (!SUBCOMMAND_PLATFORMS.approve.includes(platform)) errors.push(`\`/qa approve\` ${notAvailableOn(platform)}`);
+    return { isQa: true, command, flags, errors };
+  }
+
+  // `/qa baseline` takes an action word; `accept` is the only one
+  if (command === 'baseline') {
+    const action = tokens.length > 0 && !tokens[0].startsWith('-') ? tokens.shift().toLowerCase() : null;
+    if (action !== 'accept') {
+      errors.push(action ? `Unknown baseline action \`${action}\` — use \`/qa baseline accept\`` : '`/qa baseline` needs an action: `/qa baseline accept`');
+    }
+  }
+
+  const seen = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const flagMatch = token.match(FLAG_PATTERN);
+    if (!flagMatch) {
+      // Words are a note to Ovi; a dash-word that isn't a flag (`-Secret1`) is reported, not dropped
+      if (/^--?[a-z]/i.test(token)) errors.push(`Unknown flag \`${token.replace(/=[\s\S]*$/, '')}\``);
+      continue;
+    }
+    const name = flagMatch[1].toLowerCase();
+    const value = flagMatch[2];
+    const spec = FLAG_SPECS[name];
+    if (!spec) {
+      errors.push(`Unknown flag \`-${name}\``);
+      continue;
+    }
+    seen.push(name);
+
+    if (spec.type === 'boolean') {
+      if (value !== undefined) errors.push(`\`-${name}\` does not take a value`);
+      flags[spec.key || name] = true;
+      continue;
+    }
+
+    if (spec.type === 'freeform') {
+      // `-context=...` or everything up to the next known flag: `-context login as admin / -Secret1`
+      let freeText = value;
+      if (freeText === undefined) {
+        const parts = [];
+        while (i + 1 < tokens.length && !isKnownFlag(tokens[i + 1])) parts.push(tokens[++i]);
+        freeText = parts.join(' ');
+      }
+      if (!freeText.trim()) errors.push(`\`-${name}\` needs a value, e.g. \`${spec.usage}\``);
+      else flags[name] = freeText.trim();
+      continue;
+    }
+
+    if (value === undefined || !value.trim()) {
+      errors.push(`\`-${name}\` needs a value, e.g. \`${spec.usage}\``);
+      continue;
+    }
+
+    if (name === 'env') {
+      if (!/^https?:\/\/\S+$/i.test(value.trim())) errors.push('`-env` must be an http(s) URL, e.g. `-env=https://staging.example.com`');
+      else flags.envUrl = value.trim();
+    } else if (name === 'only') {
+      flags.only.push(...splitList(value));
+    } else if (name === 'priority') {
+      for (const raw of splitList(value)) {
+        const level = raw.toLowerCase();
+        if (!TESTRUN_PRIORITIES.includes(level)) {
+          errors.push(`Unknown priority \`${raw}\` (allowed: ${TESTRUN_PRIORITIES.map(p => `\`${p}\``).join(', ')})`);
+        } else if (!flags.priority.includes(level)) {
+          flags.priority.push(level);
+        }
+      }
+    } else if (name === 'devices') {
+      for (const raw of splitList(value)) {
+        const device = normalizeDeviceName(raw);
+        if (!device) {
+          errors.push(`Unknown device \`${raw}\` (allowed: ${Object.keys(DEVICE_PROFILES).map(d => `\`${d}\``).join(', ')})`);
+        } else if (!flags.devices.includes(device)) {
+          flags.devices.push(device);
+        }
+      }
+      if (flags.devices.length > MAX_DEVICES) errors.push(`\`-devices\` takes at most ${MAX_DEVICES} devices`);
+    } else if (name === 'focus') {
+      for (const raw of splitList(value)) {
+        const area = FOCUS_ALIASES[raw.toLowerCase()] || raw.toLowerCase();
+        if (!FOCUS_AREAS.includes(area)) {
+          errors.push(`Unknown focus \`${raw}\` (allowed: ${FOCUS_AREAS.map(f => `\`${f}\``).join(', ')})`);
+        } else if (!flags.focus.includes(area)) {
+          flags.focus.push(area);
+        }
+      }
+    } else if (name === 'lang') {
+      if (!/^[a-z]{2,20}(?:[-_][a-z0-9]{2,8})?$/i.test(value.trim())) {
+        errors.push('`-lang` must be a language code or name, e.g. `-lang=es` or `-lang=pt-BR`');
+      } else {
+        flags.lang = value.trim();
+      }
+    }
+  }
+
+  // `/qa -testrun` is the older spelling of `/qa testrun`
+  if (flags.testRun && command === 'analyze') command = 'testrun';
+
+  if (command === 'help') {
+    if (seen.length) errors.push('`/qa help` does not take flags');
+  } else {
+    if (!SUBCOMMAND_PLATFORMS[command].includes(platform)) {
+      errors.push(`\`/qa ${command}\` ${notAvailableOn(platform)}`);
+    }
+    for (const name of [...new Set(seen)]) {
+      const spec = FLAG_SPECS[name];
+      if (spec.platforms && !spec.platforms.includes(platform)) {
+        if (name !== 'testrun') errors.push(`\`-${name}\` ${notAvailableOn(platform)}`);
+      } else if (name !== 'testrun' && !spec.commands.includes(command)) {
+        errors.push(`\`-${name}\` does not apply to ${command === 'analyze' ? '`/qa`' : `\`/qa ${command}\``}`);
+      }
+    }
+  }
+
+  return { isQa: true, command, flags, errors };
+}
+
+/**
+ * Usage text for `/qa help` and bad commands (markdown)
+ * @param {string} [platform] - 'github' | 'bitbucket' | 'jira' | 'linear'
+ * @returns {string}
+ */
+function formatQaUsage(platform = 'github') {
+  const isPR = PR_PLATFORMS.includes(platform);
+  const rows = [
+    ['`/qa`', isPR ? 'Full QA analysis of this PR' : 'Full QA analysis of this ticket'],
+    ['`/qa help`', 'Show this help']
+  ];
+  if (FLAG_SPECS.only.platforms.includes(platform)) {
+    rows.push(['`/qa -only=src/billing/**`', 'Only analyze changed files matching the glob(s); comma-separate or repeat for more']);
+  }
+  if (FLAG_SPECS.index.platforms.includes(platform)) {
+    rows.push(['`/qa -index`', 'Re-index the codebase files changed since the last index (`-reindex`, `-setup` also work)']);
+    rows.push(['`/qa -index -full`', 'Rebuild the codebase index from scratch']);
+  }
+  if (SUBCOMMAND_PLATFORMS.testrun.includes(platform)) {
+    rows.push(
+      ['`/qa testrun -env=<url>`', 'Run the test recipe in a browser against a staging URL'],
+      ['`/qa testrun -context "<text>"`', 'Extra context for the test agent, e.g. credentials or `cookie:name=value`'],
+      ['`/qa testrun -only=2,4-5,checkout`', 'Run only these Test Recipe rows (numbers, ranges or part of the scenario name)'],
+      ['`/qa testrun -priority=high`', `Run only scenarios of these priorities (${TESTRUN_PRIORITIES.map(p => `\`${p}\``).join(', ')})`],
+      ['`/qa testrun -failed`', 'Re-run only the scenarios that failed in the last test run'],
+      ['`/qa testrun -devices=desktop,iphone-14`', `Run every scenario on each device (${Object.keys(DEVICE_PROFILES).map(d => `\`${d}\``).join(', ')})`]
+    );
+  }
+  if (SUBCOMMAND_PLATFORMS.status.includes(platform)) {
+    rows.push(
+      ['`/qa status`', 'Show queued and running analyses, indexing and test runs for this PR'],
+      ['`/qa cancel`', 'Stop them — a running test run posts the results it has so far']
+    );
+  }
+  if (SUBCOMMAND_PLATFORMS.approve.includes(platform)) {
+    rows.push(['`/qa approve <reason>`', 'Maintainers: pass the QA Analysis check despite the merge policy (recorded with the reason)']);
+  }
+  if (SUBCOMMAND_PLATFORMS.baseline.includes(platform)) {
+    rows.push(['`/qa baseline accept`', 'Make the changed and new screenshots of the last test run the visual baselines (`-only=checkout` for some)']);
+  }
+  rows.push(
+    ['`/qa -focus=security`', `Weight risks and test scenarios toward ${FOCUS_AREAS.map(f => `\`${f}\``).join(', ')} (comma-separate for several)`],
+    ['`/qa -lang=es`', 'Write the analysis in another language'],
+    ['`/qa -quiet`', 'Reply with a short summary only (key verdict and counts)']
+  );
+  if (PLAIN_TEXT_PLATFORMS.includes(platform)) {
+    const strip = (text) => text.replace(/`/g, '');
+    return `🧭 FirstQA commands\n\n${rows.map(([cmd, desc]) => `${strip(cmd)} — ${strip(desc)}`).join('\n')}\n\nFlags can be combined, e.g. /qa -focus=security -quiet`;
+  }
+  return `### 🧭 FirstQA commands
+
+| Command | What it does |
+|---------|--------------|
+${rows.map(([cmd, desc]) => `| ${cmd} | ${desc} |`).join('\n')}
+
+Flags can be combined, e.g. \`/qa -focus=security -quiet\`.`;
+}
+
+/**
+ * Reply for `/qa help` or a command that failed to parse
+ * @param {Object} parsed - Result of parseQaCommand
+ * @param {string} [platform]
+ * @returns {string}
+ */
+function formatQaUsageReply(parsed, platform = 'github') {
+  if (!parsed?.errors?.length) return formatQaUsage(platform);
+  if (PLAIN_TEXT_PLATFORMS.includes(platform)) {
+    return `⚠️ Could not run that /qa command:\n${parsed.errors.map(e => `• ${e.replace(/`/g, '')}`).join('\n')}\n\n${formatQaUsage(platform)}`;
+  }
+  return `⚠️ **Could not run that \`/qa\` command:**
+
+${parsed.errors.map(e => `- ${e}`).join('\n')}
+
+${formatQaUsage(platform)}`;
+}
+
+/**
+ * One-line note appended to a scoped analysis (`-only` / `-focus`) so readers know it is partial
+ * @param {Object} flags - Parsed flags
+ * @returns {string} Empty string for an unscoped run
+ */
+function formatQaScopeNote(flags = {}) {
+  const scope = [];
+  if (flags.only?.length > 0) scope.push(`files matching ${flags.only.map(g => `\`${g}\``).join(', ')}`);
+  if (flags.focus?.length > 0) scope.push(`focus on ${flags.focus.join(', ')}`);
+  return scope.length > 0 ? `\n\n> 🔎 Scoped analysis: ${scope.join(' · ')}\n` : '';
+}
+
+module.exports = {
+  QA_SUBCOMMANDS,
+  FOCUS_AREAS,
+  TESTRUN_PRIORITIES,
+  parseQaCommand,
+  formatQaUsage,
+  formatQaUsageReply,
+  formatQaScopeNote
+};
@@ -0,0 +1,361 @@
+/**
+ * Repository-level configuration (.firstqa.yml)
+ * Loaded from the PR head ref on every /qa run so repos under one installation can behave differently.
+ * Values here win over client_settings and env vars; an invalid file blocks the run with an error comment.
+ */
+
+const githubAppAuth = require('./githubAppAuth');
+const { matchesAnyGlob } = require('./globMatcher');
+const { TESTRUN_PRIORITIES } = require('./qaCommandParser');
+const { DEVICE_PROFILES, MAX_DEVICES, normalizeDeviceName } = require('../ai/deviceProfiles');
+const { MAX_ERROR_PATTERN_LENGTH } = require('../ai/silentFailures');
+
+const REPO_CONFIG_FILENAMES = ['.firstqa.yml', '.firstqa.yaml'];
+const ANALYSIS_MODES = ['full', 'short'];
+const TOP_LEVEL_KEYS = ['version', 'staging_url', 'ignore_paths', 'analysis', 'testrun', 'policy', 'product_areas', 'index'];
+const POLICY_DECISIONS = ['ship', 'investigate', 'no-go'];
+const POLICY_RISK_LEVELS = ['low', 'medium', 'high'];
+const POLICY_BUG_SEVERITIES = ['low', 'medium', 'high', 'blocker'];
+
+/** Config used when the repo has no .firstqa.yml — every field means "fall back to existing behaviour" */
+const DEFAULT_REPO_CONFIG = Object.freeze({
+  stagingUrl: null,
+  ignorePaths: [],
+  analysisMode: null,
+  inlineComments: true,
+  testRunTriggerLabels: null,
+  accessibilityAudit: null,
+  visualRegression: null,
+  visualThreshold: null,
+  visualMask: [],
+  allowedErrors: [],
+  testRunDevices: null,
+  mergePolicy: null,
+  productAreas: {},
+  defaultBranch: null
+});
+
+function isPlainObject(val) {
+  return val !== null && typeof val === 'object' && !Array.isArray(val);
+}
+
+function validateStringList(value, field, errors) {
+  if (!Array.isArray(value)) {
+    errors.push(`\`${field}\` must be a list of strings`);
+    return [];
+  }
+  const list = [];
+  value.forEach((item, i) => {
+    if (typeof item !== 'string' || !item.trim()) {
+      errors.push(`\`${field}[${i}]\` must be a non-empty string`);
+    } else {
+      list.push(item.trim());
+    }
+  });
+  return list;
+}
+
+function validateSection(value, field, allowedKeys, errors) {
+  if (!isPlainObject(value)) {
+    errors.push(`\`${field}\` must be a mapping`);
+    return null;
+  }
+  for (const key of Object.keys(value)) {
+    if (!allowedKeys.includes(key)) {
+      errors.push(`Unknown key \`${field}.${key}\` (allowed: ${allowedKeys.map(k => `\`${k}\``).join(', ')})`);
+    }
+  }
+  return value;
+}
+
+/**
+ * Validate a parsed .firstqa.yml document and normalize it
+ * @param {*} raw - Parsed YAML document
+ * @returns {{ config: Object, errors: string[] }}
+ */
+function validateRepoConfig(raw) {
+  const errors = [];
+  const config = { ...DEFAULT_REPO_CONFIG, productAreas: {} };
+
+  if (raw === null || raw === undefined) return { config, errors };
+  if (!isPlainObject(raw)) {
+    return { config, errors: ['The file must contain a YAML mapping at the top level'] };
+  }
+
+  for (const key of Object.keys(raw)) {
+    if (!TOP_LEVEL_KEYS.includes(key)) {
+      errors.push(`Unknown key \`${key}\` (allowed: ${TOP_LEVEL_KEYS.map(k => `\`${k}\``).join(', ')})`);
+    }
+  }
+
+  if (raw.version !== undefined && raw.version !== 1) {
+    errors.push('`version` must be `1`');
+  }
+
+  if (raw.staging_url !== undefined && raw.staging_url !== null) {
+    if (typeof raw.staging_url !== 'string' || !/^https?:\/\/\S+$/i.test(raw.staging_url.trim())) {
+      errors.push('`staging_url` must be an http(s) URL, e.g. `https://staging.example.com`');
+    } else {
+      config.stagingUrl = raw.staging_url.trim().replace(/\/+$/, '');
+    }
+  }
+
+  if (raw.ignore_paths !== undefined && raw.ignore_paths !== null) {
+    config.ignorePaths = validateStringList(raw.ignore_paths, 'ignore_paths', errors);
+  }
+
+  if (raw.analysis !== undefined && raw.analysis !== null) {
+    const analysis = validateSection(raw.analysis, 'analysis', ['mode', 'inline_comments'], errors);
+    if (analysis && analysis.mode !== undefined) {
+      const mode = String(analysis.mode).toLowerCase();
+      if (!ANALYSIS_MODES.includes(mode)) {
+        errors.push(`\`analysis.mode\` must be one of ${ANALYSIS_MODES.map(m => `\`${m}\``).join(', ')} (got \`${analysis.mode}\`)`);
+      } else {
+        config.analysisMode = mode;
+      }
+    }
+    if (analysis && analysis.inline_comments !== undefined) {
+      if (typeof analysis.inline_comments !== 'boolean') {
+        errors.push('`analysis.inline_comments` must be `true` or `false`');
+      } else {
+        config.inlineComments = analysis.inline_comments;
+      }
+    }
+  }
+
+  if (raw.testrun !== undefined && raw.testrun !== null) {
+    const testrun = validateSection(raw.testrun, 'testrun', ['trigger_labels', 'accessibility', 'visual', 'allowed_errors', 'devices'], errors);
+    if (testrun && testrun.trigger_labels !== undefined) {
+      config.testRunTriggerLabels = validateStringList(testrun.trigger_labels, 'testrun.trigger_labels', errors)
+        .map(l => l.toLowerCase());
+    }
+    if (testrun && testrun.accessibility !== undefined) {
+      if (typeof testrun.accessibility !== 'boolean') {
+        errors.push('`testrun.accessibility` must be `true` or `false`');
+      } else {
+        config.accessibilityAudit = testrun.accessibility;
+      }
+    }
+    if (testrun && testrun.devices !== undefined) {
+      const devices = [];
+      for (const name of validateStringList(testrun.devices, 'testrun.devices', errors)) {
+        const device = normalizeDeviceName(name);
+        if (!device) {
+          errors.push(`\`testrun.devices\` has unknown device \`${name}\` (allowed: ${Object.keys(DEVICE_PROFILES).map(d => `\`${d}\``).join(', ')})`);
+        } else if (!devices.includes(device)) {
+          devices.push(device);
+        }
+      }
+      if (devices.length > MAX_DEVICES) errors.push(`\`testrun.devices\` takes at most ${MAX_DEVICES} devices`);
+      else if (devices.length > 0) config.testRunDevices = devices;
+    }
+    if (testrun && testrun.allowed_errors !== undefined) {
+      config.allowedErrors = validateStringList(testrun.allowed_errors, 'testrun.allowed_errors', errors).filter((pattern, i) => {
+        if (pattern.length > MAX_ERROR_PATTERN_LENGTH) {
+          errors.push(`\`testrun.allowed_errors[${i}]\` is longer than ${MAX_ERROR_PATTERN_LENGTH} characters`);
+          return false;
+        }
+        const regex = pattern.match(/^\/(.+)\/([dgimsuy]*)$/);
+        if (!regex) return true;
+        try {
+          new RegExp(regex[1], regex[2]);
+          return true;
+        } catch (err) {
+          errors.push(`\`testrun.allowed_errors[${i}]\` is not a valid regular expression: ${err.message}`);
+          return false;
+        }
+      });
+    }
+    if (testrun && testrun.visual !== undefined && testrun.visual !== null) {
+      const visual = validateSection(testrun.visual, 'testrun.visual', ['enabled', 'threshold', 'mask'], errors);
+      if (visual && visual.enabled !== undefined) {
+        if (typeof visual.enabled !== 'boolean') errors.push('`testrun.visual.enabled` must be `true` or `false`');
+        else config.visualRegression = visual.enabled;
+      }
+      if (visual && visual.threshold !== undefined) {
+        if (typeof visual.threshold !== 'number' || visual.threshold < 0 || visual.threshold > 100) {
+          errors.push('`testrun.visual.threshold` must be a percentage between 0 and 100, e.g. `0.5`');
+        } else {
+          config.visualThreshold = visual.threshold;
+        }
+      }
+      if (visual && visual.mask !== undefined) {
+        config.visualMask = validateStringList(visual.mask, 'testrun.visual.mask', errors);
+      }
+    }
+  }
+
+  if (raw.policy !== undefined && raw.policy !== null) {
+    const policy = validateSection(raw.policy, 'policy', ['fail_on_decision', 'neutral_on_decision', 'fail_on_risk', 'bug_severity', 'fail_on_test_priorities'], errors);
+    if (policy) {
+      const oneOf = (field, value, allowed) => {
+        const normalized = String(value).toLowerCase();
+        if (allowed.includes(normalized)) return normalized;
+        errors.push(`\`policy.${field}\` must be one of ${allowed.map(v => `\`${v}\``).join(', ')} (got \`${value}\`)`);
+        return null;
+      };
+      const listOf = (field, allowed) => policy[field] === undefined
+        ? null
+        : validateStringList(policy[field], `policy.${field}`, errors).map(v => oneOf(field, v, allowed)).filter(Boolean);
+      config.mergePolicy = {
+        failOnDecision: listOf('fail_on_decision', POLICY_DECISIONS) || ['no-go'],
+        neutralOnDecision: listOf('neutral_on_decision', POLICY_DECISIONS) || ['investigate'],
+        failOnRisk: policy.fail_on_risk === undefined ? null : oneOf('fail_on_risk', policy.fail_on_risk, POLICY_RISK_LEVELS),
+        bugSeverity: policy.bug_severity === undefined ? 'high' : oneOf('bug_severity', policy.bug_severity, POLICY_BUG_SEVERITIES),
+        failOnTestPriorities: listOf('fail_on_test_priorities', TESTRUN_PRIORITIES) || []
+      };
+    }
+  }
+
+  if (raw.product_areas !== undefined && raw.product_areas !== null) {
+    if (!isPlainObject(raw.product_areas)) {
+      errors.push('`product_areas` must be a mapping of area slug to `{ name, paths }`');
+    } else {
+      for (const [slug, area] of Object.entries(raw.product_areas)) {
+        const field = `product_areas.${slug}`;
+        if (!/^[a-z0-9][a-z0-9_-]*$/i.test(slug)) {
+          errors.push(`\`${field}\`: slug may only contain letters, numbers, \`-\` and \`_\``);
+          continue;
+        }
+        const section = validateSection(area, field, ['name', 'paths'], errors);
+        if (!section) continue;
+        if (section.name !== undefined && (typeof section.name !== 'string' || !section.name.trim())) {
+          errors.push(`\`${field}.name\` must be a non-empty string`);
+        }
+        if (section.paths === undefined) {
+          errors.push(`\`${field}.paths\` is required`);
+          continue;
+        }
+        const paths = validateStringList(section.paths, `${field}.paths`, errors);
+        if (Array.isArray(section.paths) && section.paths.length === 0) {
+          errors.push(`\`${field}.paths\` must list at least one glob`);
+        }
+        config.productAreas[slug.toLowerCase()] = {
+          name: typeof section.name === 'string' && section.name.trim() ? section.name.trim() : slug,
+          paths
+        };
+      }
+    }
+  }
+
+  if (raw.index !== undefined && raw.index !== null) {
+    const index = validateSection(raw.index, 'index', ['default_branch'], errors);
+    if (index && index.default_branch !== undefined) {
+      if (typeof index.default_branch !== 'string' || !/^[\w./-]+$/.test(index.default_branch.trim())) {
+        errors.push('`index.default_branch` must be a branch name, e.g. `main`');
+      } else {
+        config.defaultBranch = index.default_branch.trim();
+      }
+    }
+  }
+
+  return { config, errors };
+}
+
+/**
+ * Parse and validate .firstqa.yml contents
+ * @param {string} text - Raw file contents
+ * @returns {{ config: Object, errors: string[] }}
+ */
+function parseRepoConfig(text) {
+  const yaml = require('js-yaml');
+  let raw;
+  try {
+    raw = yaml.load(text, { json: true });
+  } catch (err) {
+    const where = err.mark ? ` (line ${err.mark.line + 1}, column ${err.mark.column + 1})` : '';
+    return { config: { ...DEFAULT_REPO_CONFIG, productAreas: {} }, errors: [`YAML syntax error${where}: ${err.reason || err.message}`] };
+  }
+  return validateRepoConfig(raw);
+}
+
+/**
+ * Load .firstqa.yml from a repo at a given ref (PR head SHA or branch)
+ * A missing file is not an error — defaults are returned with found=false.
+ * @param {string} repoFullName - owner/repo
+ * @param {string} ref - Git ref to read the file from
+ * @returns {Promise<{ found: boolean, path: string|null, config: Object, errors: string[] }>}
+ */
+async function loadRepoConfig(repoFullName, ref) {
+  const defaults = { found: false, path: null, config: { ...DEFAULT_REPO_CONFIG, productAreas: {} }, errors: [] };
+  const [owner, repo] = (repoFullName || '').split('/');
+  if (!owner || !repo) return defaults;
+
+  let octokit;
+  try {
+    octokit = await githubAppAuth.getOctokitForRepo(owner, repo);
+  } catch (err) {
+    console.warn(`⚠️ Could not get GitHub client to load repo config for ${repoFullName} (non-fatal):`, err.message);
+    return defaults;
+  }
+  if (!octokit) return defaults;
+
+  for (const filename of REPO_CONFIG_FILENAMES) {
+    let data;
+    try {
+      ({ data } = await octokit.repos.getContent({ owner, repo, path: filename, ...(ref ? { ref } : {}) }));
+    } catch (err) {
+      if (err.status === 404) continue;
+      console.warn(`⚠️ Could not fetch ${filename} for ${repoFullName} (non-fatal):`, err.message);
+      return defaults;
+    }
+    if (!data || data.type !== 'file' || typeof data.content !== 'string') continue;
+    const text = Buffer.from(data.content, 'base64').toString('utf8');
+    const { config, errors } = parseRepoConfig(text);
+    if (errors.length) {
+      console.warn(`⚠️ Invalid ${filename} in ${repoFullName}@${(ref || 'default').substring(0, 7)}: ${errors.length} error(s)`);
+    } else {
+      console.log(`⚙️ Loaded ${filename} for ${repoFullName}@${(ref || 'default').substring(0, 7)}`);
+    }
+    return { found: true, path: filename, config, errors };
+  }
+  return defaults;
+}
+
+/**
+ * Build the PR comment shown when .firstqa.yml fails validation
+ * @param {string} configPath - File name that failed
+ * @param {string[]} errors
+ * @returns {string}
+ */
+function formatRepoConfigErrorComment(configPath, errors) {
+  const docsUrl = 'https://github.com/ovidon83/firstqa/blob/main/docs/REPO_CONFIG.md';
+  return `## ⚠️ Invalid \`${configPath || '.firstqa.yml'}\`
+
+FirstQA did not run because the repository config on this PR's head commit has ${errors.length} problem${errors.length === 1 ? '' : 's'}:
+
+${errors.map(e => `- ${e}`).join('\n')}
+
+Fix the file and comment \`/qa\` again. See the [config reference](${docsUrl}) for all supported keys.`;
+}
+
+/**
+ * Whether a repo path is excluded by ignore_paths
+ * @param {string} filePath
+ * @param {Object} [config] - Normalized repo config
+ * @returns {boolean}
+ */
+function isIgnoredPath(filePath, config) {
+  return matchesAnyGlob(filePath, config?.ignorePaths);
+}
+
+/**
+ * Merge policy of a repo, read from the default branch so a PR can't loosen the policy it is checked against
+ * @param {string} repoFullName - owner/repo
+ * @returns {Promise<Object|null>} Normalized policy, or null when there is none (or the file is invalid)
+ */
+async function loadMergePolicy(repoFullName) {
+  const { config, errors } = await loadRepoConfig(repoFullName, null);
+  return errors.length > 0 ? null : config.mergePolicy;
+}
+
+module.exports = {
+  DEFAULT_REPO_CONFIG,
+  REPO_CONFIG_FILENAMES,
+  loadRepoConfig,
+  loadMergePolicy,
+  parseRepoConfig,
+  validateRepoConfig,
+  formatRepoConfigErrorComment,
+  isIgnoredPath
+};
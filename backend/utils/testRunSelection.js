@@ -0,0 +1,135 @@
+/**
+ * Test run scenario selection
+ * Narrows the test recipe for `/qa testrun -only=`, `-priority=` and `-failed`.
+ * Row numbers follow the Test Recipe table as posted (sorted Smoke → Critical Path → Regression).
+ */
+
+/** `-priority` values → Test Recipe priority labels they match */
+const PRIORITY_MATCHES = {
+  smoke: ['smoke'],
+  critical: ['critical path', 'critical'],
+  regression: ['regression'],
+  edge: ['edge case'],
+  high: ['smoke', 'critical path', 'critical', 'high'],
+  medium: ['regression', 'medium'],
+  low: ['edge case', 'low']
+};
+
+/** Scenario statuses from testExecutor that `-failed` re-runs */
+const FAILED_STATUSES = ['FAIL', 'ERROR', 'TIMEOUT'];
+
+function normalizePriority(priority) {
+  return String(priority || '')
+    .replace(/[^\p{L}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+function normalizeName(name) {
+  return String(name || '').replace(/[*_`]/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Whether a scenario's priority matches any of the `-priority` values
+ */
+function matchesPriority(scenario, priorities) {
+  const label = normalizePriority(scenario.priority);
+  return priorities.some(p => (PRIORITY_MATCHES[p] || [p]).includes(label));
+}
+
+/**
+ * Resolve `-only` selectors: row numbers (`3`), ranges (`2-4`) or scenario-name substrings (`checkout`)
+ * @returns {{ rows: Set<number>, unmatched: string[] }} 1-based rows
+ */
+function resolveOnlySelectors(recipe, selectors) {
+  const rows = new Set();
+  const unmatched = [];
+  for (const selector of selectors) {
+    const range = selector.match(/^#?(\d+)(?:-(\d+))?$/);
+    if (range) {
+      const from = parseInt(range[1], 10);
+      const to = range[2] ? parseInt(range[2], 10) : from;
+      let hit = false;
+      for (let row = Math.min(from, to); row <= Math.max(from, to); row++) {
+        if (row >= 1 && row <= recipe.length) {
+          rows.add(row);
+          hit = true;
+        }
+      }
+      if (!hit) unmatched.push(selector);
+      continue;
+    }
+    const needle = normalizeName(selector);
+    let hit = false;
+    recipe.forEach((s, i) => {
+      if (normalizeName(s.scenario).includes(needle)) {
+        rows.add(i + 1);
+        hit = true;
+      }
+    });
+    if (!hit) unmatched.push(selector);
+  }
+  return { rows, unmatched };
+}
+
+/**
+ * Pick the scenarios a test run should execute
+ * @param {Array<Object>} recipe - Full test recipe in table order
+ * @param {Object} [selection] - { only: string[], priority: string[], failedScenarioNames: string[]|null }
+ * @returns {{ selected: Array<Object>, unmatched: string[], filtered: boolean }} Selected scenarios carry `row` (1-based)
+ */
+function selectTestScenarios(recipe, selection = {}) {
+  const { only = [], priority = [], failedScenarioNames = null } = selection;
+  let candidates = recipe.map((s, i) => ({ ...s, row: i + 1 }));
+  let unmatched = [];
+
+  if (only.length > 0) {
+    const resolved = resolveOnlySelectors(recipe, only);
+    unmatched = resolved.unmatched;
+    candidates = candidates.filter(s => resolved.rows.has(s.row));
+  }
+  if (priority.length > 0) {
+    candidates = candidates.filter(s => matchesPriority(s, priority));
+  }
+  if (failedScenarioNames) {
+    const failed = new Set(failedScenarioNames.map(normalizeName));
+    candidates = candidates.filter(s => failed.has(normalizeName(s.scenario)));
+  }
+
+  return {
+    selected: candidates,
+    unmatched,
+    filtered: only.length > 0 || priority.length > 0 || !!failedScenarioNames
+  };
+}
+
+/**
+ * Names of the scenarios that failed in a stored test run result
+ * @param {Array<{ scenario: string, status: string }>} scenarios
+ * @returns {string[]}
+ */
+function getFailedScenarioNames(scenarios) {
+  return (scenarios || []).filter(s => FAILED_STATUSES.includes(s.status)).map(s => s.scenario);
+}
+
+/**
+ * Short description of the selection for the "Starting test execution" comment
+ * @param {Object} flags - Parsed /qa flags
+ * @returns {string} e.g. "`-only=2,checkout` · `-priority=high`", or '' when nothing was narrowed
+ */
+function describeSelection(flags = {}) {
+  const parts = [];
+  if (flags.only?.length > 0) parts.push(`\`-only=${flags.only.join(',')}\``);
+  if (flags.priority?.length > 0) parts.push(`\`-priority=${flags.priority.join(',')}\``);
+  if (flags.failed) parts.push('`-failed`');
+  return parts.join(' · ');
+}
+
+module.exports = {
+  PRIORITY_MATCHES,
+  matchesPriority,
+  selectTestScenarios,
+  getFailedScenarioNames,
+  describeSelection
+};
@@ -164,4 +164,20 @@ function formatAnalysisComment(analysis) {
   }
 }
 
-module.exports = { normalizeAnalysis, formatAnalysisComment };
+/**
+ * Summary-only reply for `/qa -quiet` on tickets.
+ * Plain text so it reads the same as a Linear markdown comment and a Jira paragraph comment.
+ */
+function formatAnalysisSummaryComment(analysis) {
+  const a = normalizeAnalysis(analysis || {});
+  const lines = ['🫀 Pulse (summary)', ''];
+  if (a.readinessScore != null) lines.push(`Readiness score: ${a.readinessScore}/5`);
+  if (a.affectedAreas.length > 0) lines.push(`Affected areas: ${a.affectedAreas.join(', ')}`);
+  lines.push(`Highest risk: ${a.highestRisk || 'none flagged'}`);
+  lines.push(`Recommendations: ${a.recommendations.length}`);
+  lines.push(`Test recipe: ${a.testRecipe.length} scenario${a.testRecipe.length === 1 ? '' : 's'}`);
+  lines.push('', 'Quiet mode — comment /qa for the full analysis.');
+  return lines.join('\n');
+}
+
+module.exports = { normalizeAnalysis, formatAnalysisComment, formatAnalysisSummaryComment };
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Index a local checkout into product knowledge (self-hosted or offline use)
+ * Needs the same Supabase and OpenAI settings as the server.
+ *
+ * Usage:
+ *   node scripts/index-local-repo.js --dir=../my-app --repo=acme/my-app [--full]
+ *
+ * --repo is the repo id the knowledge is stored under — use owner/repo to share it with PR analyses.
+ * A git checkout is indexed at its HEAD commit and later runs only re-index what changed since the
+ * last one (--full rebuilds); any other directory is indexed in full as it is.
+ * ignore_paths and product_areas are read from the checkout's .firstqa.yml.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const match = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (match) args[match[1]] = match[2] ?? true;
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (typeof args.dir !== 'string' || typeof args.repo !== 'string') {
+    console.log('Usage: node scripts/index-local-repo.js --dir=../my-app --repo=acme/my-app [--full]');
+    process.exit(2);
+  }
+  const dir = path.resolve(args.dir);
+  if (!fs.existsSync(dir)) {
+    console.error(`❌ ${dir} does not exist`);
+    process.exit(2);
+  }
+
+  const { REPO_CONFIG_FILENAMES, parseRepoConfig, validateRepoConfig } = require('../backend/utils/repoConfig');
+  const configPath = REPO_CONFIG_FILENAMES.map(name => path.join(dir, name)).find(p => fs.existsSync(p));
+  const { config, errors } = configPath ? parseRepoConfig(fs.readFileSync(configPath, 'utf8')) : validateRepoConfig(null);
+  for (const error of errors) console.warn(`⚠️ ${path.basename(configPath)}: ${error}`);
+
+  const { createLocalSource } = require('../backend/services/knowledgeBase/sourceProviders');
+  const { analyzeRepository } = require('../backend/services/knowledgeBase/codebaseAnalyzer');
+  const result = await analyzeRepository(args.repo, null, config.defaultBranch || 'main', null, {
+    source: createLocalSource({ dir }),
+    ignorePaths: config.ignorePaths,
+    productAreaOverrides: config.productAreas,
+    full: args.full === true
+  });
+
+  console.log(`\n📚 ${args.repo}: ${result.filesAnalyzed} files analyzed, ${result.entriesCreated} entries${result.incremental ? `, ${result.filesRemoved} removed (incremental)` : ''}`);
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Run a test recipe on the local runner (local Chromium, no Browserbase)
+ * For local / docker-network staging apps and self-hosted workers — see docs/LOCAL_RUNNER.md
+ *
+ * Usage:
+ *   node scripts/run-local-testrun.js --recipe=recipe.json --url=http://localhost:3000
+ *     [--concurrency=2] [--context="Logged-in admin"] [--cookies="session=abc"]
+ *     [--email=qa@example.com --password=secret] [--cache-key=my-app] [--a11y] [--devices=desktop,iphone-14]
+ *
+ * recipe.json is an array of { scenario, steps, expected, priority } — the Test Recipe rows.
+ * With --cache-key, passing scenarios are cached and replayed without the agent on the next run.
+ * With --a11y, every distinct page state is audited for accessibility issues.
+ * With --devices, every scenario runs once per device profile (see backend/ai/deviceProfiles.js).
+ * Console errors, uncaught exceptions and failed requests are listed under each scenario (🔇).
+ * JUnit XML, CTRF JSON and an HTML report are written to <results>/exports.
+ * Exits 1 when any scenario fails.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const match = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (match) args[match[1]] = match[2] ?? true;
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.recipe || !args.url) {
+    console.log('Usage: node scripts/run-local-testrun.js --recipe=recipe.json --url=http://localhost:3000 [--concurrency=N] [--context="..."] [--cookies="..."] [--email=... --password=...] [--cache-key=...] [--a11y] [--devices=...]');
+    process.exit(2);
+  }
+
+  const recipe = JSON.parse(fs.readFileSync(path.resolve(args.recipe), 'utf8'));
+  if (!Array.isArray(recipe) || recipe.length === 0) {
+    console.error('❌ Recipe must be a non-empty JSON array of scenarios');
+    process.exit(2);
+  }
+
+  const { executeTestRecipe } = require('../backend/ai/testExecutor');
+  const results = await executeTestRecipe(recipe, args.url.replace(/\/+$/, ''), {
+    runner: 'local',
+    concurrency: args.concurrency,
+    scriptCacheKey: typeof args['cache-key'] === 'string' ? args['cache-key'] : null,
+    userContext: typeof args.context === 'string' ? args.context : null,
+    authCookies: typeof args.cookies === 'string' ? args.cookies : null,
+    testCredentials: args.email ? { email: args.email, password: args.password || '' } : null,
+    accessibilityAudit: args.a11y ? true : undefined,
+    devices: typeof args.devices === 'string' ? args.devices.split(',') : undefined
+  });
+
+  const { writeRunExports } = require('../backend/services/testRunExporter');
+  const exportPaths = await writeRunExports(results, { title: `Local test run · ${args.url}` });
+
+  console.log(`\n📁 Results: ${results.resultsDir}`);
+  console.log(`📦 Exports: ${exportPaths.junit}, ${exportPaths.ctrf}, ${exportPaths.html}`);
+  for (const s of results.scenarios) {
+    console.log(`   ${s.status.padEnd(8)} ${s.scenario}${s.device ? ` [${s.device}]` : ''}${s.executionMode === 'replay' ? ' (replayed)' : ''}`);
+    if (s.tracePath) console.log(`            trace: ${s.tracePath}`);
+    if (s.videoPath) console.log(`            video: ${s.videoPath}`);
+    for (const error of s.silentFailures || []) {
+      console.log(`            🔇 ${error.kind}: ${error.message}${error.url ? ` (${error.url})` : ''}`);
+    }
+  }
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,47 @@
+-- Durable queue for long-running work (PR analyses, codebase indexing, test runs)
+-- Jobs survive process restarts: a worker holds a lease (locked_until) while running,
+-- and expired leases are picked up again by the next worker.
+CREATE TABLE IF NOT EXISTS job_queue (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_type TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  concurrency_key TEXT,
+  dedupe_key TEXT,
+  repo_id TEXT,
+  pr_number INTEGER,
+  payload JSONB NOT NULL DEFAULT '{}',
+  progress JSONB NOT NULL DEFAULT '{}',
+  result JSONB,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  run_after TIMESTAMPTZ NOT NULL DEFAULT now(),
+  locked_by TEXT,
+  locked_until TIMESTAMPTZ,
+  cancel_requested BOOLEAN NOT NULL DEFAULT false,
+  last_error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_queue_due ON job_queue(status, run_after);
+CREATE INDEX IF NOT EXISTS idx_job_queue_repo_pr ON job_queue(repo_id, pr_number, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_job_queue_user ON job_queue(user_id, created_at DESC);
+-- At most one queued job per dedupe key (e.g. debounced auto-analysis of a PR)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_job_queue_dedupe_queued ON job_queue(dedupe_key) WHERE status = 'queued' AND dedupe_key IS NOT NULL;
+
+-- RLS
+ALTER TABLE job_queue ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can read own jobs"
+  ON job_queue FOR SELECT
+  USING (auth.uid() = user_id);
+
+-- Service role bypass
+CREATE POLICY "Service role full access on job_queue"
+  ON job_queue FOR ALL
+  USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE job_queue IS 'Durable work queue for analyses, indexing and test runs (see backend/services/jobQueue.js)';
@@ -0,0 +1,29 @@
+-- Cached action scripts for /qa testrun replay
+-- After a scenario passes, the concrete actions the agent took (URLs, selectors, inputs) are stored
+-- here. Later runs of the same scenario replay them without the agent and fall back to it when a step fails.
+CREATE TABLE IF NOT EXISTS test_action_scripts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  repo_id TEXT NOT NULL,
+  scenario_key TEXT NOT NULL,
+  scenario TEXT NOT NULL,
+  steps JSONB NOT NULL DEFAULT '[]',
+  recorded_execution_id TEXT,
+  replay_count INTEGER NOT NULL DEFAULT 0,
+  replay_failures INTEGER NOT NULL DEFAULT 0,
+  last_replayed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (repo_id, scenario_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_test_action_scripts_repo ON test_action_scripts(repo_id);
+
+-- RLS
+ALTER TABLE test_action_scripts ENABLE ROW LEVEL SECURITY;
+
+-- Service role bypass
+CREATE POLICY "Service role full access on test_action_scripts"
+  ON test_action_scripts FOR ALL
+  USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE test_action_scripts IS 'Replayable action scripts of passing test scenarios (see backend/services/actionScriptCache.js)';
@@ -0,0 +1,47 @@
+-- Merge policy state for the "FirstQA — QA Analysis" check
+-- qa_check_states keeps the latest inputs the check is evaluated from (analysis decision, risk, bug
+-- severities, test-run results) so a finished test run or an approval can re-evaluate it.
+-- qa_approvals records every `/qa approve` override.
+CREATE TABLE IF NOT EXISTS qa_check_states (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  repo_id TEXT NOT NULL,
+  pr_number INTEGER NOT NULL,
+  head_sha TEXT NOT NULL,
+  decision TEXT,
+  risk_level TEXT,
+  bug_severities JSONB NOT NULL DEFAULT '[]',
+  test_run JSONB,
+  conclusion TEXT,
+  analysis_url TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (repo_id, pr_number)
+);
+
+CREATE TABLE IF NOT EXISTS qa_approvals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  repo_id TEXT NOT NULL,
+  pr_number INTEGER NOT NULL,
+  head_sha TEXT NOT NULL,
+  approved_by TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  previous_conclusion TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_qa_approvals_pr ON qa_approvals(repo_id, pr_number, created_at DESC);
+
+-- RLS
+ALTER TABLE qa_check_states ENABLE ROW LEVEL SECURITY;
+ALTER TABLE qa_approvals ENABLE ROW LEVEL SECURITY;
+
+-- Service role bypass
+CREATE POLICY "Service role full access on qa_check_states"
+  ON qa_check_states FOR ALL
+  USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role full access on qa_approvals"
+  ON qa_approvals FOR ALL
+  USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE qa_check_states IS 'Inputs of the QA Analysis check per PR (see backend/services/mergePolicy.js)';
+COMMENT ON TABLE qa_approvals IS 'Audit log of /qa approve overrides of the QA Analysis check';
@@ -0,0 +1,25 @@
+-- Test-run artifacts (screenshots, videos, Playwright traces, generated specs) in the artifact store
+-- One row per stored object; the retention sweep deletes objects whose expires_at has passed.
+CREATE TABLE IF NOT EXISTS artifacts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  key TEXT NOT NULL UNIQUE,
+  repo_id TEXT,
+  kind TEXT,
+  plan TEXT,
+  backend TEXT NOT NULL,
+  size_bytes BIGINT,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_artifacts_expires_at ON artifacts(expires_at);
+
+-- RLS
+ALTER TABLE artifacts ENABLE ROW LEVEL SECURITY;
+
+-- Service role bypass
+CREATE POLICY "Service role full access on artifacts"
+  ON artifacts FOR ALL
+  USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE artifacts IS 'Stored test-run artifacts and their retention (see backend/services/artifactStore.js)';
@@ -0,0 +1,30 @@
+-- Visual regression baselines: the accepted screenshot per scenario and viewport on a repo's default branch
+-- Rows are written by `/qa baseline accept`; the image itself is a permanent artifact in the artifact store.
+CREATE TABLE IF NOT EXISTS visual_baselines (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  repo_id TEXT NOT NULL,
+  branch TEXT NOT NULL,
+  baseline_key TEXT NOT NULL,
+  viewport TEXT NOT NULL,
+  scenario TEXT,
+  artifact_key TEXT NOT NULL,
+  masks JSONB NOT NULL DEFAULT '[]',
+  source_sha TEXT,
+  pr_number INTEGER,
+  accepted_by TEXT,
+  accepted_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (repo_id, branch, baseline_key, viewport)
+);
+
+-- Baseline images are kept until replaced: permanent artifacts have no expiry
+ALTER TABLE artifacts ALTER COLUMN expires_at DROP NOT NULL;
+
+-- RLS
+ALTER TABLE visual_baselines ENABLE ROW LEVEL SECURITY;
+
+-- Service role bypass
+CREATE POLICY "Service role full access on visual_baselines"
+  ON visual_baselines FOR ALL
+  USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE visual_baselines IS 'Accepted visual regression baselines per scenario and viewport (see backend/services/visualBaselines.js)';
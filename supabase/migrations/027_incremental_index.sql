@@ -0,0 +1,12 @@
+-- Incremental re-indexing: the default-branch commit the codebase index was last built from.
+-- `git_sha` is also moved by PR knowledge sync, so the indexed commit gets columns of its own.
+-- A re-index diffs the branch head against indexed_sha and only re-extracts what changed;
+-- index_fingerprint (the .firstqa.yml ignore_paths it was built with) forces a full index when it changes.
+ALTER TABLE repo_context
+  ADD COLUMN IF NOT EXISTS indexed_sha TEXT,
+  ADD COLUMN IF NOT EXISTS indexed_branch TEXT,
+  ADD COLUMN IF NOT EXISTS index_fingerprint TEXT,
+  ADD COLUMN IF NOT EXISTS indexed_at TIMESTAMPTZ;
+
+-- Re-indexing replaces the rows of changed, renamed and deleted files
+CREATE INDEX IF NOT EXISTS idx_product_knowledge_repo_source ON product_knowledge(repo_id, source_pr_number);
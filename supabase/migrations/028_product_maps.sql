@@ -0,0 +1,28 @@
+-- User-curated product map: the team's edits to the product areas and user flows found by indexing
+-- (renames, merges, splits, glob ownership rules), edited from /dashboard/product-map.
+-- Edits are kept as rules apart from repo_context and re-applied after every index, so they survive
+-- re-indexing; repo_context.product_areas / user_flows / tests_by_area hold the curated result.
+CREATE TABLE IF NOT EXISTS product_maps (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  repo_id TEXT NOT NULL UNIQUE,
+  areas JSONB NOT NULL DEFAULT '{}',
+  flows JSONB NOT NULL DEFAULT '{}',
+  updated_by UUID,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- What the index found before the edits: every analyzable file (for glob rules that claim files no
+-- area matched) and the areas from path heuristics and .firstqa.yml product_areas
+ALTER TABLE repo_context
+  ADD COLUMN IF NOT EXISTS indexed_paths JSONB DEFAULT '[]',
+  ADD COLUMN IF NOT EXISTS indexed_areas JSONB DEFAULT '{}';
+
+-- RLS
+ALTER TABLE product_maps ENABLE ROW LEVEL SECURITY;
+
+-- Service role bypass
+CREATE POLICY "Service role full access on product_maps"
+  ON product_maps FOR ALL
+  USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE product_maps IS 'Product area and user flow edits per repo, applied on top of indexing (see backend/services/knowledgeBase/productMap.js)';
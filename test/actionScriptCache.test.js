@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildActionScript, resolveScriptStep } = require('../backend/services/actionScriptCache');
+
+const baseUrl = 'https://staging.example.com';
+const testCredentials = { email: 'qa@example.com', password: 'hunter2' };
+
+// agentResult.actions of a Stagehand v3 agent run in `dom` mode, as mapped by its actionMapping
+const domModeActions = [
+  { type: 'ariaTree', reasoning: 'Look at the login page', taskCompleted: false },
+  {
+    type: 'fillForm',
+    reasoning: 'Fill in the login form',
+    taskCompleted: false,
+    fields: [{ action: 'type qa@example.com into the email field', value: 'qa@example.com' }, { action: 'type the password', value: 'hunter2' }]
+  },
+  {
+    type: 'act',
+    reasoning: 'acting from fillform tool',
+    taskCompleted: false,
+    playwrightArguments: { selector: 'xpath=/html/body/form/input[1]', method: 'fill', arguments: ['qa@example.com'], description: 'Email field' }
+  },
+  {
+    type: 'act',
+    reasoning: 'acting from fillform tool',
+    taskCompleted: false,
+    playwrightArguments: { selector: 'xpath=/html/body/form/input[2]', method: 'fill', arguments: ['hunter2'], description: 'Password field' }
+  },
+  { type: 'keys', reasoning: 'Submit', taskCompleted: false, method: 'press', value: 'Enter', success: true, times: 1 },
+  { type: 'wait', reasoning: 'Let the dashboard load', taskCompleted: false, timeMs: 2000 },
+  { type: 'act', reasoning: 'Open settings', taskCompleted: false, action: 'click the Settings link', playwrightArguments: { selector: 'xpath=/html/body/nav/a[3]', method: 'click', arguments: [], description: 'Settings link' } },
+  { type: 'act', reasoning: 'Retry', taskCompleted: false, action: 'click the missing button', success: false },
+  { type: 'scroll', reasoning: 'See the rest of the page', taskCompleted: false, direction: 'down', percentage: 80, success: true, scrolledPixels: 640 },
+  { type: 'navback', reasoning: 'Back to the dashboard', taskCompleted: false, reasoningText: 'Back to the dashboard', success: true },
+  { type: 'goto', reasoning: 'Open billing', taskCompleted: false, url: 'https://staging.example.com/billing?tab=plan' },
+  { type: 'done', reasoning: 'All criteria met', taskCompleted: true, taskComplete: true }
+];
+
+test('builds a script from a dom-mode agent run', () => {
+  const steps = buildActionScript(domModeActions, { baseUrl, startUrl: `${baseUrl}/login`, testCredentials });
+  assert.deepEqual(steps, [
+    { kind: 'goto', url: '/login' },
+    { kind: 'act', selector: 'xpath=/html/body/form/input[1]', method: 'fill', arguments: ['{{email}}'], description: 'Email field' },
+    { kind: 'act', selector: 'xpath=/html/body/form/input[2]', method: 'fill', arguments: ['{{password}}'], description: 'Password field' },
+    { kind: 'keys', method: 'press', value: 'Enter', times: 1 },
+    { kind: 'wait', ms: 2000 },
+    { kind: 'act', selector: 'xpath=/html/body/nav/a[3]', method: 'click', arguments: [], description: 'Settings link' },
+    { kind: 'scroll', direction: 'down', percentage: 80 },
+    { kind: 'navback' },
+    { kind: 'goto', url: '/billing?tab=plan' }
+  ]);
+});
+
+test('hybrid-mode coordinate clicks cannot be replayed', () => {
+  const hybridModeActions = [
+    { type: 'click', reasoning: 'Open settings', taskCompleted: false, describe: 'Settings link in the top nav', coordinates: [812, 44], success: true },
+    { type: 'done', reasoning: 'All criteria met', taskCompleted: true, taskComplete: true }
+  ];
+  assert.equal(buildActionScript(hybridModeActions, { baseUrl, startUrl: baseUrl }), null);
+});
+
+test('resolves credential placeholders and stored paths at replay time', () => {
+  assert.deepEqual(resolveScriptStep({ kind: 'goto', url: '/login' }, { baseUrl, testCredentials }), { kind: 'goto', url: `${baseUrl}/login` });
+  assert.deepEqual(
+    resolveScriptStep({ kind: 'keys', method: 'type', value: '{{password}}', times: 1 }, { baseUrl, testCredentials }),
+    { kind: 'keys', method: 'type', value: 'hunter2', times: 1 }
+  );
+});
@@ -102,13 +102,8 @@ app.use('/bootstrap-icons', express.static(path.join(__dirname, 'node_modules/bo
 
 // Serve test results (screenshots and videos)
 app.use('/test-screenshots', express.static(path.join(__dirname, 'frontend', 'public', 'test-screenshots')));
-app.use('/test-results', express.static(path.join(__dirname, 'test-results'), {
-  setHeaders: (res, filePath) => {
-    if (filePath.endsWith('.ts')) {
-      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-    }
-  }
-}));
+// Test artifacts (screenshots, videos, traces, specs) — only through signed, expiring links
+app.use('/test-results', require('./backend/services/artifactStore').serveArtifact);
 
 // Add error handling middleware
 app.use((err, req, res, next) => {
@@ -237,6 +232,10 @@ app.use('/linear-connect', linearConnectRoutes);
 const knowledgeRoutes = require('./backend/routes/knowledge');
 app.use('/api/knowledge', knowledgeRoutes);
 
+// Job queue API routes (analysis / indexing / test run status for the dashboard)
+const jobRoutes = require('./backend/routes/jobs');
+app.use('/api/jobs', jobRoutes);
+
 // Serve Atlassian Connect descriptor
 app.get('/atlassian-connect.json', (req, res) => {
   res.sendFile(path.join(__dirname, 'atlassian-connect.json'));
@@ -295,7 +294,7 @@ app.post('/generate-test-recipe', bodyParser.json({ limit: '10mb' }), async (req
     const { generateQAInsights } = require('./backend/ai/openaiClient');
     
     // Extract required fields from request body
-    const { repo, pr_number, title, body, diff, newCommits, fileContents, selectorHints } = req.body;
+    const { repo, pr_number, title, body, diff, newCommits, fileContents, selectorHints, focus, lang } = req.body;
     
     // Validate required fields
     if (!repo || !pr_number || !title) {
@@ -325,7 +324,9 @@ app.post('/generate-test-recipe', bodyParser.json({ limit: '10mb' }), async (req
       diff,
       newCommits,
       fileContents: fileContents || {},
-      selectorHints: selectorHints || []
+      selectorHints: selectorHints || [],
+      focus: focus || [],
+      lang: lang || null
     });
     
     if (aiInsights && aiInsights.success) {
@@ -568,4 +569,10 @@ app.listen(PORT, () => {
   
   // Check for any needed data restoration
   githubService.restoreFromBackup();
+
+  // Pick up queued jobs, including ones left over from before a restart
+  require('./backend/services/jobQueue').startJobWorker();
+
+  // Delete test artifacts whose plan retention has ended
+  require('./backend/services/artifactStore').startRetentionSweeper();
 }); 
\ No newline at end of file